@@ -8,7 +8,10 @@ import {
   ThunderboltFilled,
   DeleteOutlined,
   MenuFoldOutlined,
-  MenuUnfoldOutlined
+  MenuUnfoldOutlined,
+  LockOutlined,
+  SafetyCertificateOutlined,
+  LineChartOutlined
 } from '@ant-design/icons'
 import zhCN from 'antd/locale/zh_CN'
 import 'dayjs/locale/zh-cn'
@@ -16,9 +19,17 @@ import 'dayjs/locale/zh-cn'
 // 导入组件
 import Dashboard from './components/Dashboard'
 import BotManager from './components/BotManager'
+import Backtest from './components/Backtest'
 import ManualTrade from './components/ManualTrade'
+import AllowanceManager from './components/AllowanceManager'
 import LogDisplay from './components/LogDisplay'
+import NetworkSwitcher from './components/NetworkSwitcher'
+import WalletSwitcher from './components/WalletSwitcher'
+import UnlockScreen from './components/UnlockScreen'
 import { getWallet, clearAllStorage } from './utils/storage'
+import { getActiveNetwork, subscribeNetwork } from './services/networks'
+import walletSession from './services/session'
+import { getActiveWallet, subscribeWallets } from './services/walletBook'
 
 const { Header, Sider, Content } = Layout
 const { Title } = Typography
@@ -29,18 +40,39 @@ const { Title } = Typography
  */
 function App() {
   // 状态管理
-  const [wallet, setWallet] = useState(null)
+  const [wallet, setWallet] = useState(getActiveWallet())
+  const [unlocked, setUnlocked] = useState(walletSession.isUnlocked())
   const [selectedMenu, setSelectedMenu] = useState('dashboard')
+  const [network, setNetwork] = useState(getActiveNetwork())
   const [isMobile, setIsMobile] = useState(window.innerWidth < 768)
   // 小屏幕默认折叠侧边栏
   const [collapsed, setCollapsed] = useState(window.innerWidth < 768)
 
-  // 从localStorage加载钱包
+  // 钱包会话：解锁/锁定/删除钱包
   useEffect(() => {
-    const savedWallet = getWallet()
-    if (savedWallet) {
-      setWallet(savedWallet)
-    }
+    return walletSession.subscribe((isUnlocked) => {
+      setUnlocked(isUnlocked)
+      setWallet(getActiveWallet())
+    })
+  }, [])
+
+  // 钱包簿：切换当前钱包、导入/归档钱包
+  useEffect(() => {
+    return subscribeWallets(() => setWallet(getActiveWallet()))
+  }, [])
+
+  // 用户有操作时重置自动锁定计时
+  useEffect(() => {
+    if (!unlocked) return
+    const events = ['mousedown', 'keydown', 'touchstart']
+    const handleActivity = () => walletSession.touch()
+    events.forEach(event => window.addEventListener(event, handleActivity))
+    return () => events.forEach(event => window.removeEventListener(event, handleActivity))
+  }, [unlocked])
+
+  // 切换网络后重新加载内容区（余额、价格、代币均按当前网络读取）
+  useEffect(() => {
+    return subscribeNetwork(setNetwork)
   }, [])
 
   // 监听屏幕尺寸变化
@@ -68,11 +100,21 @@ function App() {
       icon: <RobotOutlined />,
       label: '策略机器人'
     },
+    {
+      key: 'backtest',
+      icon: <LineChartOutlined />,
+      label: '策略回测'
+    },
     {
       key: 'manual-trade',
       icon: <SwapOutlined />,
       label: '手动交易'
     },
+    {
+      key: 'allowances',
+      icon: <SafetyCertificateOutlined />,
+      label: '授权管理'
+    },
     {
       key: 'logs',
       icon: <BarChartOutlined />,
@@ -132,9 +174,15 @@ function App() {
       case 'bots':
         return <BotManager wallet={wallet} />
       
+      case 'backtest':
+        return <Backtest />
+      
       case 'manual-trade':
         return <ManualTrade wallet={wallet} />
       
+      case 'allowances':
+        return <AllowanceManager />
+      
       case 'logs':
         return <LogDisplay />
       
@@ -143,17 +191,26 @@ function App() {
     }
   }
 
+  const themeConfig = {
+    algorithm: theme.defaultAlgorithm,
+    token: {
+      colorPrimary: '#1890ff',
+      borderRadius: 8,
+    },
+  }
+
+  // 已保存钱包但未解锁：先输入密码（旧版明文钱包在此设置密码）
+  const storedState = walletSession.getStoredState()
+  if (storedState !== 'none' && !unlocked) {
+    return (
+      <ConfigProvider locale={zhCN} theme={themeConfig}>
+        <UnlockScreen address={wallet?.address || getWallet()?.address} legacy={storedState === 'legacy'} />
+      </ConfigProvider>
+    )
+  }
+
   return (
-    <ConfigProvider
-      locale={zhCN}
-      theme={{
-        algorithm: theme.defaultAlgorithm,
-        token: {
-          colorPrimary: '#1890ff',
-          borderRadius: 8,
-        },
-      }}
-    >
+    <ConfigProvider locale={zhCN} theme={themeConfig}>
       <Layout style={{ minHeight: '100vh' }}>
         {/* 顶部标题栏 */}
         <Header
@@ -180,12 +237,20 @@ function App() {
           <Title level={3} style={{ color: 'white', margin: 0, fontSize: isMobile ? '18px' : '24px' }}>
             SwapX Trading Bot {!isMobile && 'v2.0'}
           </Title>
+          <div style={{ marginLeft: 'auto', display: 'flex', alignItems: 'center', gap: 12 }}>
+            <NetworkSwitcher compact={isMobile} />
+          </div>
           {wallet && (
-            <div style={{ marginLeft: 'auto', display: 'flex', alignItems: 'center', gap: 12 }}>
+            <div style={{ marginLeft: 12, display: 'flex', alignItems: 'center', gap: 12 }}>
               <ThunderboltFilled style={{ color: '#52c41a' }} />
-              <span style={{ color: '#1890ff' }}>
-                {wallet.address.slice(0, 6)}...{wallet.address.slice(-4)}
-              </span>
+              <WalletSwitcher compact={isMobile} />
+              <Button
+                size="small"
+                icon={<LockOutlined />}
+                onClick={() => walletSession.lock()}
+              >
+                {!isMobile && '锁定'}
+              </Button>
               <Button 
                 danger
                 size="small"
@@ -229,6 +294,7 @@ function App() {
           {/* 内容区 */}
           <Layout style={{ padding: isMobile ? '12px' : '24px', paddingBottom: isMobile ? '68px' : '24px' }}>
             <Content
+              key={network.id}
               style={{
                 background: '#fff',
                 padding: isMobile ? 12 : 24,
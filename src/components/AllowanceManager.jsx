@@ -0,0 +1,223 @@
+import { useState, useEffect } from 'react'
+import { Card, Table, Tag, Button, Space, Select, Radio, InputNumber, Form, Popconfirm, Typography, Alert, message } from 'antd'
+import { SafetyCertificateOutlined, ReloadOutlined, StopOutlined, SaveOutlined } from '@ant-design/icons'
+import { createProvider } from '../services/wallet'
+import walletSession from '../services/session'
+import {
+  APPROVAL_MODES,
+  getApprovalPolicy,
+  saveApprovalPolicy,
+  getAllowances,
+  revokeAllowance
+} from '../services/allowances'
+import { getWallets, findWalletByAddress, getWalletDisplayName } from '../services/walletBook'
+import { getActiveNetwork } from '../services/networks'
+import { log } from '../utils/logger'
+
+const { Text } = Typography
+
+/**
+ * AllowanceManager - 授权管理页面
+ * 设置交易前的授权策略，列出各钱包在当前网络上的代币授权，可一键撤销
+ */
+export default function AllowanceManager() {
+  const network = getActiveNetwork()
+  const [policy, setPolicy] = useState(getApprovalPolicy())
+  const [walletFilter, setWalletFilter] = useState('all') // 'all' 或钱包ID
+  const [allowances, setAllowances] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [revoking, setRevoking] = useState(null) // 正在撤销的授权 key
+
+  useEffect(() => {
+    loadAllowances()
+  }, [walletFilter])
+
+  const loadAllowances = async () => {
+    setLoading(true)
+    try {
+      const provider = createProvider()
+      const wallets = walletFilter === 'all' ? getWallets() : getWallets().filter(w => w.id === walletFilter)
+      const results = await Promise.all(wallets.map(w => getAllowances(provider, w.address)))
+      setAllowances(results.flat())
+    } catch (error) {
+      log.error('读取授权失败', error)
+      message.error(error.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleSavePolicy = () => {
+    if (saveApprovalPolicy(policy)) {
+      log.info('授权策略已更新', policy)
+      message.success('授权策略已保存')
+    } else {
+      message.error('保存授权策略失败')
+    }
+  }
+
+  const rowKey = (record) => `${record.owner}:${record.token.address}:${record.spender}`
+
+  const handleRevoke = async (record) => {
+    setRevoking(rowKey(record))
+    try {
+      const provider = createProvider()
+      const wallet = findWalletByAddress(record.owner)
+      const signer = walletSession.getSigner(wallet.id, provider)
+      await revokeAllowance(signer, record.token, record.spender)
+      message.success(`已撤销 ${record.token.symbol} 对 ${record.spenderLabel} 的授权`)
+      await loadAllowances()
+    } catch (error) {
+      log.error('撤销授权失败', error)
+      message.error(error.message)
+    } finally {
+      setRevoking(null)
+    }
+  }
+
+  const columns = [
+    {
+      title: '钱包',
+      dataIndex: 'owner',
+      key: 'owner',
+      width: 180,
+      render: (owner) => getWalletDisplayName(findWalletByAddress(owner))
+    },
+    {
+      title: '代币',
+      key: 'token',
+      width: 100,
+      render: (_, record) => <Tag>{record.token.symbol}</Tag>
+    },
+    {
+      title: '授权对象',
+      dataIndex: 'spender',
+      key: 'spender',
+      width: 180,
+      render: (spender, record) => (
+        <Text copyable={{ text: spender }} style={{ fontFamily: 'monospace', fontSize: '12px' }}>
+          {record.spenderLabel}
+        </Text>
+      )
+    },
+    {
+      title: '额度',
+      key: 'amount',
+      width: 160,
+      align: 'right',
+      render: (_, record) => record.unlimited
+        ? <Tag color="red">无限</Tag>
+        : <span>{record.amount.toFixed(6)} {record.token.symbol}</span>
+    },
+    {
+      title: '操作',
+      key: 'actions',
+      width: 100,
+      render: (_, record) => (
+        <Popconfirm
+          title="撤销该授权？"
+          description="将发送一笔授权为 0 的交易，需要支付 Gas"
+          okText="撤销"
+          cancelText="返回"
+          okButtonProps={{ danger: true }}
+          onConfirm={() => handleRevoke(record)}
+        >
+          <Button
+            size="small"
+            danger
+            icon={<StopOutlined />}
+            loading={revoking === rowKey(record)}
+            disabled={revoking !== null}
+          >
+            撤销
+          </Button>
+        </Popconfirm>
+      )
+    }
+  ]
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '24px' }}>
+      {/* 授权策略 */}
+      <Card
+        title={
+          <Space>
+            <SafetyCertificateOutlined />
+            <span>授权策略</span>
+          </Space>
+        }
+        extra={
+          <Button type="primary" icon={<SaveOutlined />} size="small" onClick={handleSavePolicy}>
+            保存
+          </Button>
+        }
+      >
+        <Form layout="vertical">
+          <Form.Item label="交易前授权额度不足时" tooltip="手动交易与机器人交易统一生效">
+            <Radio.Group value={policy.mode} onChange={(e) => setPolicy({ ...policy, mode: e.target.value })}>
+              <Radio value={APPROVAL_MODES.EXACT}>按单笔精确授权</Radio>
+              <Radio value={APPROVAL_MODES.CAPPED}>授权固定额度</Radio>
+              <Radio value={APPROVAL_MODES.INFINITE}>无限授权</Radio>
+            </Radio.Group>
+          </Form.Item>
+          {policy.mode === APPROVAL_MODES.CAPPED && (
+            <Form.Item label="固定额度（代币数量）" tooltip="每种代币授权该数量；单笔所需超过该额度时按所需数量授权">
+              <InputNumber
+                value={policy.capAmount}
+                onChange={(v) => setPolicy({ ...policy, capAmount: v })}
+                min={0}
+                style={{ width: 200 }}
+              />
+            </Form.Item>
+          )}
+          {policy.mode === APPROVAL_MODES.INFINITE && (
+            <Alert
+              type="warning"
+              showIcon
+              message="无限授权后，Router 合约可随时转走该代币的全部余额；合约出现漏洞时资金有风险"
+            />
+          )}
+        </Form>
+      </Card>
+
+      {/* 授权列表 */}
+      <Card
+        title={
+          <Space>
+            <SafetyCertificateOutlined />
+            <span>代币授权</span>
+            <Tag>{network.name}</Tag>
+          </Space>
+        }
+        extra={
+          <Space>
+            <Select
+              value={walletFilter}
+              onChange={setWalletFilter}
+              style={{ minWidth: 160 }}
+            >
+              <Select.Option value="all">全部钱包</Select.Option>
+              {getWallets().map(w => (
+                <Select.Option key={w.id} value={w.id}>{w.label}</Select.Option>
+              ))}
+            </Select>
+            <Button icon={<ReloadOutlined />} onClick={loadAllowances} loading={loading}>
+              刷新
+            </Button>
+          </Space>
+        }
+      >
+        <Table
+          columns={columns}
+          dataSource={allowances}
+          rowKey={rowKey}
+          loading={loading}
+          size="small"
+          pagination={false}
+          scroll={{ x: 720 }}
+          locale={{ emptyText: '没有未撤销的授权' }}
+        />
+      </Card>
+    </div>
+  )
+}
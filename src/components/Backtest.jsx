@@ -0,0 +1,304 @@
+import { useState } from 'react'
+import { Card, Form, Select, Input, InputNumber, Button, Upload, Space, Row, Col, Statistic, Table, Tag, Alert, Empty, message } from 'antd'
+import { LineChartOutlined, UploadOutlined, PlayCircleOutlined } from '@ant-design/icons'
+import dayjs from 'dayjs'
+import StrategyConfigForm from './StrategyConfigForm'
+import { getBots } from '../utils/storage'
+import { getStrategies, getDefaultConfig, validateConfig } from '../services/strategies'
+import { parsePriceSeries } from '../services/backtest/priceSeries'
+import { SIMULATION_DEFAULTS } from '../services/backtest/simulatedSwap'
+import { BACKTEST_STRATEGIES, runBacktest } from '../services/backtest/backtester'
+
+const CHART_WIDTH = 800
+const CHART_HEIGHT = 200
+
+/**
+ * 权益曲线（SVG 折线）
+ */
+function EquityCurve({ points }) {
+  const values = points.map(p => p.equity)
+  const min = Math.min(...values)
+  const max = Math.max(...values)
+  const range = max - min || 1
+  const start = points[0].timestamp
+  const span = points[points.length - 1].timestamp - start || 1
+  const path = points
+    .map(p => `${((p.timestamp - start) / span) * CHART_WIDTH},${CHART_HEIGHT - ((p.equity - min) / range) * CHART_HEIGHT}`)
+    .join(' ')
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', color: '#999', fontSize: 12 }}>
+        <span>最高 {max.toFixed(4)}</span>
+        <span>最低 {min.toFixed(4)}</span>
+      </div>
+      <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} preserveAspectRatio="none" style={{ width: '100%', height: CHART_HEIGHT }}>
+        <polyline points={path} fill="none" stroke="#1890ff" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+      </svg>
+      <div style={{ display: 'flex', justifyContent: 'space-between', color: '#999', fontSize: 12 }}>
+        <span>{dayjs(start).format('YYYY-MM-DD HH:mm')}</span>
+        <span>{dayjs(points[points.length - 1].timestamp).format('YYYY-MM-DD HH:mm')}</span>
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Backtest - 策略回测
+ * 用历史行情（CSV / JSON，价格或池子储备）重放低买高卖、定投、网格策略，
+ * 成交按恒定乘积 AMM 模拟（含手续费和价格影响），结果只在本页显示，不写入交易记录和日志
+ */
+export default function Backtest() {
+  const strategies = getStrategies().filter(s => BACKTEST_STRATEGIES.includes(s.type))
+  const [type, setType] = useState(strategies[0].type)
+  const [config, setConfig] = useState({ baseToken: 'WXOC', quoteToken: 'USDT', ...getDefaultConfig(strategies[0].type) })
+  const [initialQuote, setInitialQuote] = useState(1000)
+  const [initialBase, setInitialBase] = useState(0)
+  const [feePercent, setFeePercent] = useState(SIMULATION_DEFAULTS.FEE_PERCENT)
+  const [liquidity, setLiquidity] = useState(SIMULATION_DEFAULTS.LIQUIDITY)
+  const [series, setSeries] = useState(null)
+  const [fileName, setFileName] = useState('')
+  const [running, setRunning] = useState(false)
+  const [result, setResult] = useState(null)
+
+  const strategy = strategies.find(s => s.type === type)
+  const errors = validateConfig(strategy.configSchema, config)
+  const hasReserves = Boolean(series?.[0].reserveBase)
+  const bots = (getBots() || []).filter(bot => BACKTEST_STRATEGIES.includes(bot.type))
+
+  const handleTypeChange = (value) => {
+    setType(value)
+    setConfig({ baseToken: config.baseToken, quoteToken: config.quoteToken, ...getDefaultConfig(value) })
+    setResult(null)
+  }
+
+  // 使用已有机器人的配置，回测当前参数
+  const handleLoadBot = (botId) => {
+    const bot = bots.find(b => b.id === botId)
+    setType(bot.type)
+    setConfig({ ...bot.config })
+    setResult(null)
+  }
+
+  // 读取行情文件（只在本地解析，不上传）
+  const handleSeriesFile = (file) => {
+    const reader = new FileReader()
+    reader.onload = () => {
+      try {
+        setSeries(parsePriceSeries(reader.result))
+        setFileName(file.name)
+        setResult(null)
+      } catch (error) {
+        message.error(`行情文件解析失败: ${error.message}`)
+      }
+    }
+    reader.readAsText(file)
+    return false
+  }
+
+  const handleRun = async () => {
+    const firstError = Object.values(errors)[0]
+    if (firstError) {
+      message.error(firstError)
+      return
+    }
+
+    setRunning(true)
+    try {
+      setResult(await runBacktest({ type, config, series, initialQuote, initialBase, feePercent, liquidity }))
+    } catch (error) {
+      message.error(`回测失败: ${error.message}`)
+    } finally {
+      setRunning(false)
+    }
+  }
+
+  const tradeColumns = [
+    {
+      title: '时间',
+      dataIndex: 'timestamp',
+      key: 'timestamp',
+      render: (time) => dayjs(time).format('YYYY-MM-DD HH:mm:ss')
+    },
+    {
+      title: '类型',
+      dataIndex: 'type',
+      key: 'type',
+      render: (tradeType) => <Tag color={tradeType === 'BUY' ? 'green' : 'red'}>{tradeType === 'BUY' ? '买入' : '卖出'}</Tag>
+    },
+    {
+      title: '支付',
+      key: 'amountIn',
+      render: (_, trade) => `${trade.amountIn.toFixed(6)} ${trade.tokenFrom}`
+    },
+    {
+      title: '获得',
+      key: 'amountOut',
+      render: (_, trade) => `${trade.amountOut.toFixed(6)} ${trade.tokenTo}`
+    },
+    {
+      title: '成交价',
+      dataIndex: 'price',
+      key: 'price',
+      render: (price) => price.toFixed(6)
+    }
+  ]
+
+  return (
+    <div>
+      <h2 style={{ marginBottom: 16 }}>
+        <LineChartOutlined /> 策略回测
+      </h2>
+
+      <Row gutter={16}>
+        <Col xs={24} lg={10}>
+          <Card title="回测设置" size="small" style={{ marginBottom: 16 }}>
+            <Form layout="vertical" size="small">
+              {bots.length > 0 && (
+                <Form.Item label="使用机器人配置">
+                  <Select placeholder="选择机器人" onChange={handleLoadBot} value={null}>
+                    {bots.map(bot => (
+                      <Select.Option key={bot.id} value={bot.id}>{bot.name}</Select.Option>
+                    ))}
+                  </Select>
+                </Form.Item>
+              )}
+              <Form.Item label="策略">
+                <Select value={type} onChange={handleTypeChange}>
+                  {strategies.map(s => (
+                    <Select.Option key={s.type} value={s.type}>{s.name}</Select.Option>
+                  ))}
+                </Select>
+              </Form.Item>
+              <Row gutter={8}>
+                <Col span={12}>
+                  <Form.Item label="交易代币">
+                    <Input value={config.baseToken} onChange={(e) => setConfig({ ...config, baseToken: e.target.value })} />
+                  </Form.Item>
+                </Col>
+                <Col span={12}>
+                  <Form.Item label="计价代币">
+                    <Input value={config.quoteToken} onChange={(e) => setConfig({ ...config, quoteToken: e.target.value })} />
+                  </Form.Item>
+                </Col>
+              </Row>
+              <StrategyConfigForm
+                schema={strategy.configSchema}
+                value={config}
+                onChange={setConfig}
+                baseToken={config.baseToken}
+                quoteToken={config.quoteToken}
+                errors={errors}
+              />
+            </Form>
+          </Card>
+
+          <Card title="模拟参数" size="small" style={{ marginBottom: 16 }}>
+            <Form layout="vertical" size="small">
+              <Form.Item label="历史行情" extra="CSV 表头 timestamp,price 或 timestamp,reserveBase,reserveQuote；也可以是 JSON 数组">
+                <Upload beforeUpload={handleSeriesFile} showUploadList={false} accept=".csv,.json,text/csv,application/json">
+                  <Button icon={<UploadOutlined />}>{fileName || '选择行情文件'}</Button>
+                </Upload>
+              </Form.Item>
+              {series && (
+                <Alert
+                  type="info"
+                  showIcon
+                  style={{ marginBottom: 16 }}
+                  message={`${series.length} 个行情点，${dayjs(series[0].timestamp).format('YYYY-MM-DD HH:mm')} 至 ${dayjs(series[series.length - 1].timestamp).format('YYYY-MM-DD HH:mm')}`}
+                />
+              )}
+              <Row gutter={8}>
+                <Col span={12}>
+                  <Form.Item label="初始计价代币">
+                    <InputNumber value={initialQuote} onChange={(v) => setInitialQuote(v || 0)} min={0} addonAfter={config.quoteToken} style={{ width: '100%' }} />
+                  </Form.Item>
+                </Col>
+                <Col span={12}>
+                  <Form.Item label="初始交易代币">
+                    <InputNumber value={initialBase} onChange={(v) => setInitialBase(v || 0)} min={0} addonAfter={config.baseToken} style={{ width: '100%' }} />
+                  </Form.Item>
+                </Col>
+              </Row>
+              <Row gutter={8}>
+                <Col span={12}>
+                  <Form.Item label="池子手续费">
+                    <InputNumber value={feePercent} onChange={(v) => setFeePercent(v ?? 0)} min={0} max={10} step={0.05} addonAfter="%" style={{ width: '100%' }} />
+                  </Form.Item>
+                </Col>
+                <Col span={12}>
+                  <Form.Item label="池子深度" tooltip="行情只有价格时，按该深度（计价代币一侧储备）模拟价格影响">
+                    <InputNumber value={liquidity} onChange={(v) => setLiquidity(v || SIMULATION_DEFAULTS.LIQUIDITY)} min={1} addonAfter={config.quoteToken} style={{ width: '100%' }} disabled={hasReserves} />
+                  </Form.Item>
+                </Col>
+              </Row>
+              <Button type="primary" icon={<PlayCircleOutlined />} onClick={handleRun} loading={running} disabled={!series} block>
+                开始回测
+              </Button>
+            </Form>
+          </Card>
+        </Col>
+
+        <Col xs={24} lg={14}>
+          {!result ? (
+            <Card size="small">
+              <Empty description="选择策略和历史行情后开始回测" />
+            </Card>
+          ) : (
+            <Space direction="vertical" style={{ width: '100%' }}>
+              <Card size="small">
+                <Row gutter={16}>
+                  <Col xs={12} md={6}>
+                    <Statistic
+                      title="最终盈亏"
+                      value={result.pnl}
+                      precision={4}
+                      suffix={result.quoteToken}
+                      valueStyle={{ color: result.pnl >= 0 ? '#3f8600' : '#cf1322' }}
+                    />
+                  </Col>
+                  <Col xs={12} md={6}>
+                    <Statistic
+                      title="收益率"
+                      value={result.pnlPercent}
+                      precision={2}
+                      suffix="%"
+                      valueStyle={{ color: result.pnl >= 0 ? '#3f8600' : '#cf1322' }}
+                    />
+                  </Col>
+                  <Col xs={12} md={6}>
+                    <Statistic title="最大回撤" value={result.maxDrawdownPercent} precision={2} suffix="%" />
+                  </Col>
+                  <Col xs={12} md={6}>
+                    <Statistic title="交易次数" value={result.trades.length} />
+                  </Col>
+                </Row>
+                <div style={{ marginTop: 12, color: '#999', fontSize: 12 }}>
+                  初始权益 {result.initialEquity.toFixed(4)} → 最终权益 {result.finalEquity.toFixed(4)} {result.quoteToken}
+                  {' | '}最大回撤 {result.maxDrawdown.toFixed(4)} {result.quoteToken}
+                  {' | '}手续费 {result.feesPaid.toFixed(4)} {result.quoteToken}
+                  {' | '}结束余额 {result.balances.base.toFixed(6)} {result.baseToken} + {result.balances.quote.toFixed(6)} {result.quoteToken}
+                </div>
+              </Card>
+
+              <Card title="权益曲线" size="small">
+                <EquityCurve points={result.equity} />
+              </Card>
+
+              <Card title="模拟成交" size="small">
+                <Table
+                  dataSource={result.trades}
+                  columns={tradeColumns}
+                  rowKey="id"
+                  size="small"
+                  pagination={{ pageSize: 10 }}
+                  scroll={{ x: 600 }}
+                />
+              </Card>
+            </Space>
+          )}
+        </Col>
+      </Row>
+    </div>
+  )
+}
@@ -1,5 +1,5 @@
 import { useState } from 'react'
-import { Card, Form, InputNumber, Select, Button, Space, Tag, Switch, Collapse, Alert } from 'antd'
+import { Card, Form, InputNumber, Select, Button, Space, Tag, Switch, Collapse, Alert, Tooltip, Modal, message } from 'antd'
 import { 
   PlayCircleOutlined, 
   PauseCircleOutlined, 
@@ -7,21 +7,52 @@ import {
   EditOutlined,
   SaveOutlined,
   CloseOutlined,
-  ThunderboltFilled
+  ThunderboltFilled,
+  BranchesOutlined,
+  ReloadOutlined
 } from '@ant-design/icons'
+import { SWAP_SETTINGS } from '../services/swap'
+import { TRACKER_CONFIG } from '../services/txTracker'
+import { getTokens } from '../services/tokenRegistry'
+import { getNetworks, getNetwork, DEFAULT_NETWORK_ID } from '../services/networks'
+import { getWallets, getWalletById, getActiveWallet, getWalletDisplayName } from '../services/walletBook'
+import { getStrategies, getStrategyName, validateConfig } from '../services/strategies'
+import { EXECUTION_MODES, PAPER_DEFAULTS, isPaperBot, getPaperAccount } from '../services/strategies/paperSwapService'
+import botWorker from '../services/botWorkerClient'
+import walletSession from '../services/session'
+import { log } from '../utils/logger'
+import StrategyConfigForm from './StrategyConfigForm'
 
 const { Panel } = Collapse
 
 /**
  * BotCard - 单个策略机器人卡片
- * 支持独立配置、启停、删除
+ * 支持独立配置、启停、删除；模拟盘机器人显示虚拟账户余额，可重置
  */
-export default function BotCard({ bot, onUpdate, onDelete, onToggle }) {
+export default function BotCard({ bot, onUpdate, onDelete, onToggle, readOnly = false }) {
   const [isEditing, setIsEditing] = useState(false)
   const [config, setConfig] = useState(bot.config)
+  const [deriving, setDeriving] = useState(false)
+  const [, setLedgerVersion] = useState(0) // 重置虚拟账户后重新读取
 
-  // 保存配置
+  const networkId = config.networkId || DEFAULT_NETWORK_ID
+  // 绑定的自定义网络被删除时按默认网络显示
+  const network = getNetworks().find(n => n.id === networkId) || getNetwork(DEFAULT_NETWORK_ID)
+  // 未绑定钱包的旧机器人使用当前钱包
+  const boundWallet = getWalletById(config.walletId) || getActiveWallet()
+  const baseToken = config.baseToken || 'WXOC'
+  const quoteToken = config.quoteToken || 'USDT'
+  const strategy = getStrategies().find(s => s.type === bot.type)
+  // 策略参数校验（含跨字段规则，与策略启动前的校验相同）
+  const errors = strategy ? validateConfig(strategy.configSchema, config) : {}
+
+  // 保存配置（参数无效时不保存）
   const handleSave = () => {
+    const firstError = Object.values(errors)[0]
+    if (firstError) {
+      message.error(firstError)
+      return
+    }
     onUpdate(bot.id, config)
     setIsEditing(false)
   }
@@ -32,204 +63,262 @@ export default function BotCard({ bot, onUpdate, onDelete, onToggle }) {
     setIsEditing(false)
   }
 
-  // 渲染策略配置表单
-  const renderConfig = () => {
-    switch (bot.type) {
-      case 'buysell':
-        return (
-          <Space direction="vertical" style={{ width: '100%' }}>
-            <Form.Item label="买入阈值 (USDT)">
-              <InputNumber
-                value={config.buyThreshold}
-                onChange={(v) => setConfig({ ...config, buyThreshold: v })}
-                min={0.01}
-                max={1}
-                step={0.001}
-                style={{ width: '100%' }}
-                disabled={!isEditing || bot.isRunning}
-                placeholder="低于此价格时买入"
-              />
-            </Form.Item>
-            
-            <Form.Item label="卖出阈值 (USDT)">
-              <InputNumber
-                value={config.sellThreshold}
-                onChange={(v) => setConfig({ ...config, sellThreshold: v })}
-                min={0.01}
-                max={1}
-                step={0.01}
-                style={{ width: '100%' }}
-                disabled={!isEditing || bot.isRunning}
-                placeholder="高于此价格时卖出"
-              />
-            </Form.Item>
+  // 重置模拟盘：清空虚拟账户和策略状态，下次运行按初始余额重新开始
+  const handleResetPaper = () => {
+    Modal.confirm({
+      title: '重置虚拟账户',
+      content: '将清空虚拟账户余额和策略状态（如网格持仓），下次运行时按初始余额重新开始。模拟成交记录保留在交易记录中。',
+      okText: '重置',
+      cancelText: '取消',
+      onOk: () => {
+        botWorker.clearState(bot.id)
+        setLedgerVersion(v => v + 1)
+        log.info('已重置模拟盘虚拟账户', { id: bot.id })
+      }
+    })
+  }
 
-            <Form.Item label="交易金额 (USDT)">
-              <InputNumber
-                value={config.tradeAmount}
-                onChange={(v) => setConfig({ ...config, tradeAmount: v })}
-                min={0.1}
-                max={1000}
-                step={0.1}
-                style={{ width: '100%' }}
-                disabled={!isEditing || bot.isRunning}
-              />
-            </Form.Item>
+  // 从所选钱包的助记词派生新子账户并绑定到该机器人
+  const handleDeriveWallet = async () => {
+    setDeriving(true)
+    try {
+      const wallet = await walletSession.deriveSubAccount(boundWallet.id, `${bot.name || getStrategyName(bot.type)} 子账户`)
+      setConfig({ ...config, walletId: wallet.id })
+      message.success(`已派生 ${wallet.label}，保存后生效`)
+    } catch (error) {
+      log.error('派生子账户失败', error)
+      message.error(error.message)
+    } finally {
+      setDeriving(false)
+    }
+  }
 
-            <Form.Item label="检查间隔">
-              <Select
-                value={config.checkInterval}
-                onChange={(v) => setConfig({ ...config, checkInterval: v })}
-                disabled={!isEditing || bot.isRunning}
-                style={{ width: '100%' }}
-              >
-                <Select.Option value={10}>10秒</Select.Option>
-                <Select.Option value={30}>30秒</Select.Option>
-                <Select.Option value={60}>1分钟</Select.Option>
-                <Select.Option value={300}>5分钟</Select.Option>
-              </Select>
-            </Form.Item>
-          </Space>
-        )
-      
-      case 'dca':
-        return (
-          <Space direction="vertical" style={{ width: '100%' }}>
-            <Form.Item label="单次定投金额 (USDT)">
-              <InputNumber
-                value={config.amount}
-                onChange={(v) => setConfig({ ...config, amount: v })}
-                min={0.1}
-                max={10000}
-                style={{ width: '100%' }}
-                disabled={!isEditing || bot.isRunning}
-                placeholder="每次买入金额"
-              />
-            </Form.Item>
-            
-            <Form.Item label="定投周期">
-              <Select
-                value={config.interval}
-                onChange={(v) => setConfig({ ...config, interval: v })}
-                disabled={!isEditing || bot.isRunning}
-                style={{ width: '100%' }}
-              >
-                <Select.Option value={60}>每1分钟</Select.Option>
-                <Select.Option value={300}>每5分钟</Select.Option>
-                <Select.Option value={3600}>每1小时</Select.Option>
-                <Select.Option value={14400}>每4小时</Select.Option>
-                <Select.Option value={86400}>每天</Select.Option>
-              </Select>
-            </Form.Item>
+  // 切换网络：新网络上不存在的代币回到默认交易对
+  const handleNetworkChange = (value) => {
+    const symbols = getTokens(getNetwork(value).chainId).map(t => t.symbol)
+    setConfig({
+      ...config,
+      networkId: value,
+      baseToken: symbols.includes(baseToken) ? baseToken : undefined,
+      quoteToken: symbols.includes(quoteToken) ? quoteToken : undefined
+    })
+  }
 
-            <Form.Item label="总预算上限 (USDT)">
-              <InputNumber
-                value={config.totalBudget}
-                onChange={(v) => setConfig({ ...config, totalBudget: v })}
-                min={1}
-                max={100000}
-                style={{ width: '100%' }}
-                disabled={!isEditing || bot.isRunning}
-                placeholder="计划总投入金额"
-              />
-            </Form.Item>
+  // 渲染钱包、网络与交易对选择（代币来自该网络的代币注册表）
+  const renderPair = () => {
+    const tokens = getTokens(network.chainId)
+    return (
+      <Space style={{ width: '100%' }} align="start" wrap>
+        <Form.Item label="钱包" style={{ minWidth: 240 }} tooltip="机器人使用该钱包签名交易，不同机器人可使用不同钱包隔离资金">
+          <Space.Compact style={{ width: '100%' }}>
+            <Select
+              value={boundWallet?.id}
+              onChange={(v) => setConfig({ ...config, walletId: v })}
+              disabled={!isEditing || bot.isRunning}
+              placeholder="请先导入钱包"
+              style={{ width: '100%' }}
+            >
+              {getWallets().map(w => (
+                <Select.Option key={w.id} value={w.id}>{getWalletDisplayName(w)}</Select.Option>
+              ))}
+            </Select>
+            {boundWallet?.hd && (
+              <Tooltip title="从该助记词派生新子账户给本机器人">
+                <Button
+                  icon={<BranchesOutlined />}
+                  loading={deriving}
+                  disabled={!isEditing || bot.isRunning}
+                  onClick={handleDeriveWallet}
+                />
+              </Tooltip>
+            )}
+          </Space.Compact>
+        </Form.Item>
+        <Form.Item label="网络" style={{ minWidth: 160 }}>
+          <Select
+            value={networkId}
+            onChange={handleNetworkChange}
+            disabled={!isEditing || bot.isRunning}
+          >
+            {getNetworks().map(n => (
+              <Select.Option key={n.id} value={n.id}>{n.name}</Select.Option>
+            ))}
+          </Select>
+        </Form.Item>
+        <Form.Item label="交易代币" style={{ minWidth: 140 }}>
+          <Select
+            value={baseToken}
+            onChange={(v) => setConfig({ ...config, baseToken: v })}
+            disabled={!isEditing || bot.isRunning}
+            showSearch
+          >
+            {tokens.filter(t => t.symbol !== quoteToken).map(t => (
+              <Select.Option key={t.address} value={t.symbol}>{t.symbol}</Select.Option>
+            ))}
+          </Select>
+        </Form.Item>
+        <Form.Item label="计价代币" style={{ minWidth: 140 }}>
+          <Select
+            value={quoteToken}
+            onChange={(v) => setConfig({ ...config, quoteToken: v })}
+            disabled={!isEditing || bot.isRunning}
+            showSearch
+          >
+            {tokens.filter(t => t.symbol !== baseToken).map(t => (
+              <Select.Option key={t.address} value={t.symbol}>{t.symbol}</Select.Option>
+            ))}
+          </Select>
+        </Form.Item>
+      </Space>
+    )
+  }
 
-            <Form.Item label="价格保护 (可选)">
-              <InputNumber
-                value={config.maxPrice}
-                onChange={(v) => setConfig({ ...config, maxPrice: v })}
-                min={0}
-                step={0.01}
-                style={{ width: '100%' }}
-                disabled={!isEditing || bot.isRunning}
-                placeholder="高于此价格暂停定投"
-              />
-            </Form.Item>
-          </Space>
-        )
-      
-      case 'grid':
-        return (
-          <Space direction="vertical" style={{ width: '100%' }}>
-            <Form.Item label="总投入资金 (USDT)">
-              <InputNumber
-                value={config.totalInvestment}
-                onChange={(v) => setConfig({ ...config, totalInvestment: v })}
-                min={1}
-                max={100000}
-                style={{ width: '100%' }}
-                disabled={!isEditing || bot.isRunning}
-                placeholder="网格策略总资金"
-              />
-            </Form.Item>
+  // 渲染策略配置表单（按注册表中策略的参数 Schema 生成）
+  const renderConfig = () => {
+    if (!strategy) return null
+    return (
+      <StrategyConfigForm
+        schema={strategy.configSchema}
+        value={config}
+        onChange={setConfig}
+        disabled={!isEditing || bot.isRunning}
+        baseToken={baseToken}
+        quoteToken={quoteToken}
+        errors={errors}
+      />
+    )
+  }
 
-            <Form.Item label="网格数量">
-              <InputNumber
-                value={config.gridCount}
-                onChange={(v) => setConfig({ ...config, gridCount: v })}
-                min={2}
-                max={50}
-                style={{ width: '100%' }}
-                disabled={!isEditing || bot.isRunning}
-              />
-            </Form.Item>
+  // 渲染运行模式（实盘 / 模拟盘）和模拟盘初始余额
+  const renderMode = () => (
+    <Space style={{ width: '100%' }} align="start" wrap>
+      <Form.Item label="运行模式" style={{ minWidth: 160 }} tooltip="模拟盘按链上实时价格计算成交，余额记在虚拟账户中，不发送交易">
+        <Select
+          value={config.executionMode || EXECUTION_MODES.LIVE}
+          onChange={(v) => setConfig({ ...config, executionMode: v })}
+          disabled={!isEditing || bot.isRunning}
+        >
+          <Select.Option value={EXECUTION_MODES.LIVE}>实盘</Select.Option>
+          <Select.Option value={EXECUTION_MODES.PAPER}>模拟盘</Select.Option>
+        </Select>
+      </Form.Item>
+      {config.executionMode === EXECUTION_MODES.PAPER && (
+        <>
+          <Form.Item label="初始计价代币" style={{ minWidth: 160 }} tooltip="虚拟账户创建时的余额，已有虚拟账户时重置后生效">
+            <InputNumber
+              value={config.paperQuoteBalance ?? PAPER_DEFAULTS.QUOTE_BALANCE}
+              onChange={(v) => setConfig({ ...config, paperQuoteBalance: v })}
+              min={0}
+              addonAfter={quoteToken}
+              disabled={!isEditing || bot.isRunning}
+            />
+          </Form.Item>
+          <Form.Item label="初始交易代币" style={{ minWidth: 160 }}>
+            <InputNumber
+              value={config.paperBaseBalance ?? PAPER_DEFAULTS.BASE_BALANCE}
+              onChange={(v) => setConfig({ ...config, paperBaseBalance: v })}
+              min={0}
+              addonAfter={baseToken}
+              disabled={!isEditing || bot.isRunning}
+            />
+          </Form.Item>
+        </>
+      )}
+    </Space>
+  )
 
-            <Form.Item label="价格下限 (USDT)">
-              <InputNumber
-                value={config.lowerPrice}
-                onChange={(v) => setConfig({ ...config, lowerPrice: v })}
-                min={0.01}
-                step={0.01}
-                style={{ width: '100%' }}
-                disabled={!isEditing || bot.isRunning}
-              />
-            </Form.Item>
+  // 渲染虚拟账户余额（模拟盘机器人）
+  const renderPaperAccount = () => {
+    const account = getPaperAccount(bot.id, bot.config)
+    return (
+      <Space direction="vertical" style={{ width: '100%' }}>
+        {Object.entries(account.balances).map(([symbol, amount]) => (
+          <div key={symbol}>{symbol}: {amount.toFixed(6)}</div>
+        ))}
+        <Button
+          icon={<ReloadOutlined />}
+          onClick={handleResetPaper}
+          disabled={bot.isRunning || readOnly}
+        >
+          重置虚拟账户
+        </Button>
+      </Space>
+    )
+  }
 
-            <Form.Item label="价格上限 (USDT)">
-              <InputNumber
-                value={config.upperPrice}
-                onChange={(v) => setConfig({ ...config, upperPrice: v })}
-                min={0.01}
-                step={0.01}
-                style={{ width: '100%' }}
-                disabled={!isEditing || bot.isRunning}
-              />
-            </Form.Item>
+  // 渲染交易保护配置（所有策略通用）
+  const renderProtection = () => (
+    <Space direction="vertical" style={{ width: '100%' }}>
+      <Form.Item label="最大价格影响 (%)" tooltip="单笔交易对池子价格的影响上限，测试网池子较浅时需注意">
+        <InputNumber
+          value={config.maxPriceImpact ?? SWAP_SETTINGS.MAX_PRICE_IMPACT}
+          onChange={(v) => setConfig({ ...config, maxPriceImpact: v })}
+          min={0.1}
+          max={50}
+          step={0.5}
+          style={{ width: '100%' }}
+          disabled={!isEditing || bot.isRunning}
+        />
+      </Form.Item>
 
-            <Form.Item label="网格类型">
-              <Select
-                value={config.gridType || 'arithmetic'}
-                onChange={(v) => setConfig({ ...config, gridType: v })}
-                disabled={!isEditing || bot.isRunning}
-                style={{ width: '100%' }}
-              >
-                <Select.Option value="arithmetic">等差网格</Select.Option>
-                <Select.Option value="geometric">等比网格</Select.Option>
-              </Select>
-            </Form.Item>
-          </Space>
-        )
-      
-      default:
-        return null
-    }
-  }
+      <Form.Item label="超出上限时">
+        <Select
+          value={config.priceImpactMode || SWAP_SETTINGS.PRICE_IMPACT_MODE}
+          onChange={(v) => setConfig({ ...config, priceImpactMode: v })}
+          disabled={!isEditing || bot.isRunning}
+          style={{ width: '100%' }}
+        >
+          <Select.Option value="reject">拒绝交易</Select.Option>
+          <Select.Option value="split">自动拆单（每{SWAP_SETTINGS.SPLIT_INTERVAL_SECONDS}秒一笔）</Select.Option>
+        </Select>
+      </Form.Item>
 
-  // 获取策略名称
-  const getStrategyName = (type) => {
-    const names = {
-      buysell: '低买高卖',
-      dca: '定投策略 (DCA)',
-      grid: '网格策略 (Grid)'
-    }
-    return names[type] || type
-  }
+      <Form.Item label={`Gas预算 (${network.nativeSymbol}，可选)`} tooltip="机器人本次运行累计可消耗的Gas费，用尽后不再发送交易">
+        <InputNumber
+          value={config.gasBudget}
+          onChange={(v) => setConfig({ ...config, gasBudget: v })}
+          min={0}
+          step={0.01}
+          style={{ width: '100%' }}
+          disabled={!isEditing || bot.isRunning}
+          placeholder="不限制"
+        />
+      </Form.Item>
+
+      <Form.Item label="交易卡住时" tooltip="交易超过设定区块数仍未打包时的自动处理方式">
+        <Select
+          value={config.stuckAction || 'none'}
+          onChange={(v) => setConfig({ ...config, stuckAction: v })}
+          disabled={!isEditing || bot.isRunning}
+          style={{ width: '100%' }}
+        >
+          <Select.Option value="none">仅提示（手动处理）</Select.Option>
+          <Select.Option value="speedup">自动加速（最多{TRACKER_CONFIG.MAX_SPEED_UPS}次后取消）</Select.Option>
+          <Select.Option value="cancel">自动取消</Select.Option>
+        </Select>
+      </Form.Item>
+
+      <Form.Item label="卡住判定 (区块数)">
+        <InputNumber
+          value={config.stuckBlocks ?? TRACKER_CONFIG.STUCK_BLOCKS}
+          onChange={(v) => setConfig({ ...config, stuckBlocks: v })}
+          min={1}
+          max={100}
+          style={{ width: '100%' }}
+          disabled={!isEditing || bot.isRunning}
+        />
+      </Form.Item>
+    </Space>
+  )
 
   return (
     <Card
       title={
         <Space>
           <span>{bot.name || getStrategyName(bot.type)}</span>
+          <Tag color={network.testnet ? 'orange' : 'blue'}>{network.name}</Tag>
+          {isPaperBot(bot) && <Tag color="purple">模拟盘</Tag>}
+          {boundWallet && <Tag>{boundWallet.label}</Tag>}
           <Tag color={bot.isRunning ? 'green' : 'default'}>
             {bot.isRunning ? '运行中' : '已停止'}
           </Tag>
@@ -241,6 +330,7 @@ export default function BotCard({ bot, onUpdate, onDelete, onToggle }) {
           <Switch
             checked={bot.isRunning}
             onChange={() => onToggle(bot.id)}
+            disabled={readOnly}
             checkedChildren="运行"
             unCheckedChildren="停止"
           />
@@ -264,7 +354,10 @@ export default function BotCard({ bot, onUpdate, onDelete, onToggle }) {
       <Collapse defaultActiveKey={['config']} ghost>
         <Panel header="策略配置" key="config">
           <Form layout="vertical">
+            {renderPair()}
+            {renderMode()}
             {renderConfig()}
+            {renderProtection()}
           </Form>
 
           <Space style={{ marginTop: 16 }}>
@@ -272,7 +365,7 @@ export default function BotCard({ bot, onUpdate, onDelete, onToggle }) {
               <Button
                 icon={<EditOutlined />}
                 onClick={() => setIsEditing(true)}
-                disabled={bot.isRunning}
+                disabled={bot.isRunning || readOnly}
               >
                 编辑配置
               </Button>
@@ -298,7 +391,7 @@ export default function BotCard({ bot, onUpdate, onDelete, onToggle }) {
               danger
               icon={<DeleteOutlined />}
               onClick={() => onDelete(bot.id)}
-              disabled={bot.isRunning}
+              disabled={bot.isRunning || readOnly}
             >
               删除
             </Button>
@@ -310,10 +403,16 @@ export default function BotCard({ bot, onUpdate, onDelete, onToggle }) {
             <div>总交易次数: {bot.stats?.totalTrades || 0}</div>
             <div>成功次数: {bot.stats?.successTrades || 0}</div>
             <div>失败次数: {bot.stats?.failedTrades || 0}</div>
-            <div>总交易额: {(bot.stats?.totalVolume || 0).toFixed(2)} USDT</div>
+            <div>总交易额: {(bot.stats?.totalVolume || 0).toFixed(2)} {quoteToken}</div>
             <div>运行时长: {formatRuntime(bot.stats?.runningTime || 0)}</div>
           </Space>
         </Panel>
+
+        {isPaperBot(bot) && (
+          <Panel header="虚拟账户" key="paper">
+            {renderPaperAccount()}
+          </Panel>
+        )}
       </Collapse>
     </Card>
   )
@@ -1,14 +1,19 @@
 import { useState, useEffect, useRef } from 'react'
-import { Button, Modal, Select, Input, Space, Alert, Empty } from 'antd'
-import { PlusOutlined, RobotOutlined } from '@ant-design/icons'
+import { Button, Modal, Select, Input, Radio, Space, Alert, Empty, Upload, Tooltip, message } from 'antd'
+import { PlusOutlined, RobotOutlined, DownloadOutlined, UploadOutlined } from '@ant-design/icons'
 import BotCard from './BotCard'
-import { saveBots, getBots } from '../utils/storage'
+import { saveBots, getBots, exportSnapshot, importSnapshot } from '../utils/storage'
 import { log } from '../utils/logger'
-import { BuySellStrategy } from '../services/strategies/BuySellStrategy'
-import { DCAStrategy } from '../services/strategies/DCAStrategy'
-import { GridStrategy } from '../services/strategies/GridStrategy'
-import { ethers } from 'ethers'
-import botRunner from '../services/BotRunner'
+import { getActiveNetwork } from '../services/networks'
+import botWorker from '../services/botWorkerClient'
+import { EXECUTION_MODES } from '../services/strategies/paperSwapService'
+import { getActiveWallet, getWatchWallets } from '../services/walletBook'
+import {
+  getStrategies,
+  getStrategyName,
+  getConfigSchema,
+  getDefaultConfig as getStrategyDefaultConfig
+} from '../services/strategies'
 
 /**
  * BotManager - 策略机器人管理页面
@@ -19,23 +24,46 @@ export default function BotManager({ wallet }) {
   const [isModalOpen, setIsModalOpen] = useState(false)
   const [newBotType, setNewBotType] = useState('buysell')
   const [newBotName, setNewBotName] = useState('')
+  const [newBotMode, setNewBotMode] = useState(EXECUTION_MODES.LIVE)
+  // 机器人由其他标签页运行时只读显示（不保存、不启停）
+  const [readOnly, setReadOnly] = useState(!botWorker.isLeader())
   
   // 使用ref保存最新的bots状态
   const botsRef = useRef(bots)
   const healthCheckTimerRef = useRef(null)
 
-  // 加载机器人列表
+  // 加载机器人列表；Worker 推送状态变化时更新对应的机器人卡片（包括解锁后自动续跑的机器人）
   useEffect(() => {
     loadBots()
+    return botWorker.subscribe((update) => {
+      if (!update) {
+        setReadOnly(!botWorker.isLeader())
+        return
+      }
+      setBots(prevBots => prevBots.map(b => 
+        b.id === update.botId ? applyStatus(b, update.status) : b
+      ))
+    })
   }, [])
 
-  // 保存机器人到localStorage
+  // 保存机器人到localStorage（只读标签页不保存，避免覆盖主标签页的修改）
   useEffect(() => {
-    if (bots.length > 0) {
+    if (bots.length > 0 && botWorker.isLeader()) {
       saveBots(bots)
     }
   }, [bots])
 
+  // 只读标签页跟随主标签页保存的机器人列表
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key === 'swapx_bots' && !botWorker.isLeader()) {
+        loadBots()
+      }
+    }
+    window.addEventListener('storage', handleStorage)
+    return () => window.removeEventListener('storage', handleStorage)
+  }, [])
+
   // 同步bots到ref
   useEffect(() => {
     botsRef.current = bots
@@ -48,8 +76,8 @@ export default function BotManager({ wallet }) {
       const currentBots = botsRef.current
       currentBots.forEach(bot => {
         if (bot.isRunning) {
-          // 检查策略是否真的在运行
-          if (!botRunner.isStrategyRunning(bot.id)) {
+          // 检查策略是否真的在运行（Worker 解锁并续跑完成前不判断）
+          if (botWorker.isReady() && !botWorker.isRunning(bot.id)) {
             log.warning('检测到机器人异常', { 
               id: bot.id, 
               name: bot.name,
@@ -84,7 +112,7 @@ export default function BotManager({ wallet }) {
       name: newBotName || `${getStrategyName(newBotType)} ${bots.length + 1}`,
       type: newBotType,
       isRunning: false,
-      config: getDefaultConfig(newBotType),
+      config: { ...getDefaultConfig(newBotType), executionMode: newBotMode },
       stats: {
         totalTrades: 0,
         successTrades: 0,
@@ -99,6 +127,7 @@ export default function BotManager({ wallet }) {
     setIsModalOpen(false)
     setNewBotName('')
     setNewBotType('buysell')
+    setNewBotMode(EXECUTION_MODES.LIVE)
     
     log.success('机器人创建成功', newBot)
   }
@@ -108,6 +137,12 @@ export default function BotManager({ wallet }) {
     setBots(bots.map(bot => 
       bot.id === id ? { ...bot, config } : bot
     ))
+    // 运行中的机器人按新配置重启
+    const bot = bots.find(b => b.id === id)
+    if (bot?.isRunning) {
+      botWorker.updateConfig({ ...bot, config })
+        .catch(error => log.error('更新运行中机器人的配置失败', error.message))
+    }
     log.info('机器人配置已更新', { id, config })
   }
 
@@ -127,6 +162,7 @@ export default function BotManager({ wallet }) {
         }
         
         setBots(bots.filter(bot => bot.id !== id))
+        botWorker.clearState(id)
         log.warning('机器人已删除', { id })
       }
     })
@@ -136,6 +172,10 @@ export default function BotManager({ wallet }) {
   const handleToggleBot = (id) => {
     const bot = bots.find(b => b.id === id)
     if (!bot) return
+    if (readOnly) {
+      message.warning('机器人由其他标签页运行，请在该标签页中操作')
+      return
+    }
 
     const newStatus = !bot.isRunning
     
@@ -156,139 +196,106 @@ export default function BotManager({ wallet }) {
     }
   }
 
-  // 启动机器人
+  // 启动机器人（在 Worker 中创建策略实例并启动，配置未修改时恢复之前保存的策略状态）
   const startBot = (bot) => {
-    try {
-      log.info('启动机器人', bot)
-      
-      if (!wallet) {
-        log.error('钱包未连接', bot)
-        // 恢复停止状态
+    log.info('启动机器人', bot)
+
+    if (!wallet) {
+      log.error('钱包未连接', bot)
+      // 恢复停止状态
+      setBots(prevBots => prevBots.map(b => 
+        b.id === bot.id ? { ...b, isRunning: false } : b
+      ))
+      return
+    }
+
+    botWorker.startBot(bot)
+      .then(() => {
+        log.success('机器人启动成功', { id: bot.id, type: bot.type })
+      })
+      .catch(error => {
+        log.error('启动机器人失败', error.message)
+        message.error(`启动机器人失败: ${error.message}`)
+        // 出错时更新状态为停止
         setBots(prevBots => prevBots.map(b => 
           b.id === bot.id ? { ...b, isRunning: false } : b
         ))
-        return
-      }
-
-      // 从保存的钱包数据创建完整的 Wallet 实例（包含 provider）
-      const provider = new ethers.JsonRpcProvider('https://rpc.xone.org/')
-      const walletInstance = new ethers.Wallet(wallet.privateKey, provider)
+      })
+  }
 
-      // 创建策略实例
-      let strategy
-      switch (bot.type) {
-        case 'buysell':
-          strategy = new BuySellStrategy(bot.config, walletInstance, null)
-          break
-        case 'dca':
-          strategy = new DCAStrategy(bot.config, walletInstance, null)
-          break
-        case 'grid':
-          strategy = new GridStrategy(bot.config, walletInstance, null)
-          break
-        default:
-          log.error('未知策略类型', bot.type)
-          return
+  // Worker 推送的状态同步到机器人卡片（运行时长按最近一次检查的时间计算）
+  const applyStatus = (bot, status) => {
+    if (!status.tradeStats) {
+      return { ...bot, isRunning: status.isRunning }
+    }
+    const { totalTrades, totalVolume } = status.tradeStats
+    return {
+      ...bot,
+      isRunning: status.isRunning,
+      stats: {
+        ...bot.stats,
+        runningTime: status.startedAt
+          ? Math.floor(((status.updatedAt || Date.now()) - status.startedAt) / 1000)
+          : bot.stats?.runningTime,
+        totalTrades,
+        successTrades: totalTrades,
+        totalVolume
       }
-
-      // 注册策略到全局BotRunner
-      botRunner.registerStrategy(bot.id, strategy)
-
-      // 记录启动时间
-      const startTime = Date.now()
-
-      // 启动策略（同步返回，不阻塞）
-      botRunner.startStrategy(bot.id)
-      
-      // 启动运行时长统计定时器
-      const timer = setInterval(() => {
-        const runningTime = Math.floor((Date.now() - startTime) / 1000)
-        
-        setBots(prevBots => prevBots.map(b => {
-          if (b.id === bot.id) {
-            // 获取策略的统计数据
-            const strategyStats = strategy.stats || {}
-            
-            return {
-              ...b,
-              stats: {
-                ...b.stats,
-                runningTime,
-                // 如果策略有统计数据，同步更新
-                totalTrades: (strategyStats.totalBuyCount || 0) + (strategyStats.totalSellCount || 0),
-                successTrades: (strategyStats.totalBuyCount || 0) + (strategyStats.totalSellCount || 0),
-                totalVolume: (strategyStats.totalBuyAmount || 0) + (strategyStats.totalSellAmount || 0)
-              }
-            }
-          }
-          return b
-        }))
-      }, 1000)
-
-      botRunner.registerTimer(bot.id, timer)
-
-      log.success('机器人启动成功', { id: bot.id, type: bot.type })
-    } catch (error) {
-      log.error('启动机器人失败', error.message)
-      
-      // 清理可能已经创建的策略实例
-      botRunner.stopStrategy(bot.id, '启动失败')
-      
-      // 出错时更新状态为停止，但不调用 stop()（因为可能根本没启动成功）
-      setBots(prevBots => prevBots.map(b => 
-        b.id === bot.id ? { ...b, isRunning: false } : b
-      ))
     }
   }
 
   // 停止机器人
   const stopBot = (bot, reason = '用户手动停止') => {
-    try {
-      log.info('停止机器人', { bot, reason })
-      
-      // 使用BotRunner停止策略
-      botRunner.stopStrategy(bot.id, reason)
+    log.info('停止机器人', { bot, reason })
+    botWorker.stopBot(bot.id, reason)
+      .then(() => {
+        log.success('机器人已停止', { id: bot.id })
+      })
+      .catch(error => {
+        log.error('停止机器人失败', error.message)
+      })
+  }
 
-      log.success('机器人已停止', { id: bot.id })
-    } catch (error) {
-      log.error('停止机器人失败', error.message)
-    }
+  // 导出全部数据，供守护进程（npm run daemon）在浏览器关闭后继续运行机器人
+  const handleExportForDaemon = () => {
+    exportSnapshot()
+    log.info('已导出数据文件（守护进程）')
   }
 
-  // 获取策略默认配置
-  const getDefaultConfig = (type) => {
-    const configs = {
-      buysell: {
-        buyThreshold: 0.082,
-        sellThreshold: 0.15,
-        tradeAmount: 1,
-        checkInterval: 30
-      },
-      dca: {
-        amount: 0.1,          // 单次定投金额
-        interval: 3600,      // 定投周期（秒），默认1小时
-        totalBudget: 100,    // 总预算上限
-        maxPrice: null       // 价格保护（可选）
-      },
-      grid: {
-        totalInvestment: 100, // 总投入资金
-        gridCount: 5,         // 网格数量
-        lowerPrice: 0.08,     // 价格下限
-        upperPrice: 0.12,     // 价格上限
-        gridType: 'arithmetic' // 网格类型：等差
+  // 导入守护进程的数据文件：合并交易记录、日志和机器人统计（读取文件内容，不上传）
+  const handleImportDaemonData = (file) => {
+    const reader = new FileReader()
+    reader.onload = () => {
+      try {
+        const result = importSnapshot(JSON.parse(reader.result))
+        loadBots()
+        log.success('已导入守护进程数据', result)
+        message.success(`已导入 ${result.trades} 笔交易、${result.logs} 条日志、${result.bots} 个机器人`)
+      } catch (error) {
+        log.error('导入守护进程数据失败', error.message)
+        message.error(`导入失败: ${error.message}`)
       }
     }
-    return configs[type] || {}
+    reader.readAsText(file)
+    return false
   }
 
-  // 获取策略名称
-  const getStrategyName = (type) => {
-    const names = {
-      buysell: '低买高卖',
-      dca: '定投策略',
-      grid: '网格策略'
+  // 新机器人的默认配置：绑定到当前网络和当前钱包，策略参数取注册表中 Schema 的默认值
+  const getDefaultConfig = (type) => {
+    const config = {
+      networkId: getActiveNetwork().id,
+      walletId: getActiveWallet()?.id,
+      baseToken: 'WXOC',
+      quoteToken: 'USDT',
+      ...getStrategyDefaultConfig(type)
     }
-    return names[type] || type
+    // 观察地址参数默认使用第一个观察地址
+    Object.entries(getConfigSchema(type).properties).forEach(([key, field]) => {
+      if (field.format === 'watch-address' && !config[key]) {
+        config[key] = getWatchWallets()[0]?.address
+      }
+    })
+    return config
   }
 
   if (!wallet) {
@@ -309,16 +316,36 @@ export default function BotManager({ wallet }) {
           <RobotOutlined /> 策略机器人管理
         </h2>
         <Space>
+          <Tooltip title="导出机器人、加密钱包和配置，供守护进程在浏览器关闭后继续运行">
+            <Button icon={<DownloadOutlined />} onClick={handleExportForDaemon}>
+              导出数据
+            </Button>
+          </Tooltip>
+          <Upload beforeUpload={handleImportDaemonData} showUploadList={false} accept=".json,application/json" disabled={readOnly}>
+            <Tooltip title="合并守护进程数据文件中的交易记录、日志和机器人统计">
+              <Button icon={<UploadOutlined />} disabled={readOnly}>导入守护进程数据</Button>
+            </Tooltip>
+          </Upload>
           <Button
             type="primary"
             icon={<PlusOutlined />}
             onClick={() => setIsModalOpen(true)}
+            disabled={readOnly}
           >
             添加机器人
           </Button>
         </Space>
       </div>
 
+      {readOnly && (
+        <Alert
+          message="机器人由其他标签页运行，本页只读显示状态"
+          description="同一时间只有一个标签页运行机器人，关闭该标签页后本页自动接管"
+          type="warning"
+          showIcon
+        />
+      )}
+
       <Alert
         message={`当前共有 ${bots.length} 个机器人，其中 ${bots.filter(b => b.isRunning).length} 个正在运行`}
         type="info"
@@ -339,6 +366,7 @@ export default function BotManager({ wallet }) {
               onUpdate={handleUpdateBot}
               onDelete={handleDeleteBot}
               onToggle={handleToggleBot}
+              readOnly={readOnly}
             />
           ))}
         </div>
@@ -370,10 +398,28 @@ export default function BotManager({ wallet }) {
               onChange={setNewBotType}
               style={{ width: '100%' }}
             >
-              <Select.Option value="buysell">低买高卖</Select.Option>
-              <Select.Option value="dca">定投策略 (DCA)</Select.Option>
-              <Select.Option value="grid">网格策略 (Grid)</Select.Option>
+              {getStrategies().map(strategy => (
+                <Select.Option key={strategy.type} value={strategy.type}>{strategy.name}</Select.Option>
+              ))}
             </Select>
+            <div style={{ color: '#999', marginTop: 4 }}>
+              {getStrategies().find(s => s.type === newBotType)?.description}
+            </div>
+          </div>
+
+          <div>
+            <label>运行模式</label>
+            <div>
+              <Radio.Group value={newBotMode} onChange={(e) => setNewBotMode(e.target.value)}>
+                <Radio.Button value={EXECUTION_MODES.LIVE}>实盘</Radio.Button>
+                <Radio.Button value={EXECUTION_MODES.PAPER}>模拟盘</Radio.Button>
+              </Radio.Group>
+            </div>
+            <div style={{ color: '#999', marginTop: 4 }}>
+              {newBotMode === EXECUTION_MODES.PAPER
+                ? '按链上实时价格模拟成交，余额记在虚拟账户中，不发送交易'
+                : '签名并发送链上交易'}
+            </div>
           </div>
         </Space>
       </Modal>
@@ -1,4 +1,4 @@
-import { Card, Row, Col, Statistic, Alert, Button, Space } from 'antd'
+import { Card, Row, Col, Statistic, Alert, Button, Space, Select, Segmented } from 'antd'
 import { 
   WalletOutlined, 
   DollarOutlined, 
@@ -8,9 +8,21 @@ import {
 import { useState, useEffect } from 'react'
 import WalletImport from './WalletImport'
 import WalletBalance from './WalletBalance'
+import WalletManager from './WalletManager'
+import FundingPanel from './FundingPanel'
+import WatchWallets from './WatchWallets'
 import TradeHistory from './TradeHistory'
+import GasSettings from './GasSettings'
+import TokenManager from './TokenManager'
+import RpcStatus from './RpcStatus'
+import PendingTransactions from './PendingTransactions'
 import { createProvider } from '../services/wallet'
 import { getWXOCPrice } from '../services/swap'
+import walletSession from '../services/session'
+import { getWallets, getWalletDisplayName } from '../services/walletBook'
+
+// 自动锁定时间选项（分钟，0 为不自动锁定）
+const AUTO_LOCK_OPTIONS = [5, 15, 30, 60, 0]
 
 /**
  * Dashboard - 钱包概览页面
@@ -20,6 +32,9 @@ export default function Dashboard({ wallet, onWalletImported }) {
   const [activeBots, setActiveBots] = useState(0)
   const [currentPrice, setCurrentPrice] = useState(0)
   const [priceLoading, setPriceLoading] = useState(false)
+  const [autoLockMinutes, setAutoLockMinutes] = useState(walletSession.getAutoLockMinutes())
+  // 余额范围：当前钱包 / 钱包簿全部钱包合计
+  const [balanceScope, setBalanceScope] = useState('active')
 
   // 从 localStorage 加载统计数据
   useEffect(() => {
@@ -42,7 +57,7 @@ export default function Dashboard({ wallet, onWalletImported }) {
     if (!wallet) return
     try {
       setPriceLoading(true)
-      const provider = createProvider('xoc')
+      const provider = createProvider()
       const price = await getWXOCPrice(provider)
       setCurrentPrice(price)
     } catch (error) {
@@ -52,6 +67,11 @@ export default function Dashboard({ wallet, onWalletImported }) {
     }
   }
 
+  const handleAutoLockChange = (minutes) => {
+    walletSession.setAutoLockMinutes(minutes)
+    setAutoLockMinutes(minutes)
+  }
+
   const loadActiveBots = () => {
     try {
       const bots = JSON.parse(localStorage.getItem('swapx_bots') || '[]')
@@ -79,23 +99,48 @@ export default function Dashboard({ wallet, onWalletImported }) {
                   type="link" 
                   danger 
                   size="small"
-                  onClick={() => onWalletImported(null)}
+                  onClick={() => walletSession.lock()}
                 >
-                  断开
+                  锁定
                 </Button>
               </Space>
             }
             extra={
               <Space>
-                <span style={{ color: '#888', fontSize: '14px' }}>
-                  {wallet.address.slice(0, 6)}...{wallet.address.slice(-4)}
-                </span>
+                <Segmented
+                  size="small"
+                  value={balanceScope}
+                  onChange={setBalanceScope}
+                  options={[
+                    { value: 'active', label: getWalletDisplayName(wallet) },
+                    { value: 'all', label: '全部钱包' }
+                  ]}
+                />
+                <Select
+                  size="small"
+                  value={autoLockMinutes}
+                  onChange={handleAutoLockChange}
+                  style={{ width: 130 }}
+                  options={AUTO_LOCK_OPTIONS.map(minutes => ({
+                    value: minutes,
+                    label: minutes > 0 ? `${minutes}分钟自动锁定` : '不自动锁定'
+                  }))}
+                />
               </Space>
             }
           >
-            <WalletBalance wallet={wallet} />
+            <WalletBalance wallets={balanceScope === 'all' ? getWallets() : [wallet]} />
           </Card>
 
+          {/* 钱包簿 */}
+          <WalletManager />
+
+          {/* 资金分配（主账户 ⇄ 子账户） */}
+          <FundingPanel />
+
+          {/* 观察地址（只读） */}
+          <WatchWallets />
+
           {/* 实时价格 */}
           <Card 
             title={
@@ -148,6 +193,18 @@ export default function Dashboard({ wallet, onWalletImported }) {
             />
           </Card>
 
+          {/* Gas 策略 */}
+          <GasSettings />
+
+          {/* RPC 节点池 */}
+          <RpcStatus />
+
+          {/* 代币管理 */}
+          <TokenManager />
+
+          {/* 待确认交易 */}
+          <PendingTransactions />
+
           {/* 交易记录 */}
           <TradeHistory />
         </>
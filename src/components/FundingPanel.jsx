@@ -0,0 +1,187 @@
+import { useState } from 'react'
+import { Card, Form, Select, InputNumber, Button, Space, Table, Tag, Popconfirm, message } from 'antd'
+import { ClusterOutlined, SendOutlined, ImportOutlined } from '@ant-design/icons'
+import { createProvider } from '../services/wallet'
+import { distributeFunds, sweepFunds } from '../services/funding'
+import { getWallets, getWalletById, getActiveWallet, getWalletDisplayName } from '../services/walletBook'
+import { getTokens } from '../services/tokenRegistry'
+import { getActiveNetwork, getExplorerTxUrl } from '../services/networks'
+import { log } from '../utils/logger'
+
+const STATUS_TAGS = {
+  success: <Tag color="success">成功</Tag>,
+  failed: <Tag color="error">失败</Tag>,
+  skipped: <Tag>无余额</Tag>
+}
+
+/**
+ * FundingPanel - 资金分配
+ * 主账户向子账户分发资金（每个机器人使用独立地址），或把子账户资金归集回主账户
+ * 转账在当前网络上执行
+ */
+export default function FundingPanel() {
+  const network = getActiveNetwork()
+  const wallets = getWallets()
+  const [mainId, setMainId] = useState(getActiveWallet()?.id)
+  const [targetIds, setTargetIds] = useState([])
+  const [symbol, setSymbol] = useState('USDT')
+  const [amountEach, setAmountEach] = useState(10)
+  const [running, setRunning] = useState(null) // 'distribute' | 'sweep'
+  const [results, setResults] = useState([])
+
+  const assets = [network.nativeSymbol, ...getTokens().map(t => t.symbol)]
+
+  const run = async (action) => {
+    setRunning(action)
+    setResults([])
+    try {
+      const provider = createProvider()
+      const next = action === 'distribute'
+        ? await distributeFunds(provider, mainId, targetIds, symbol, amountEach)
+        : await sweepFunds(provider, targetIds, mainId, symbol)
+      setResults(next)
+      const failed = next.filter(r => r.status === 'failed').length
+      if (failed > 0) {
+        message.warning(`${failed} 个子账户转账失败，详见结果`)
+      } else {
+        message.success(action === 'distribute' ? '分发完成' : '归集完成')
+      }
+    } catch (error) {
+      log.error(action === 'distribute' ? '分发资金失败' : '归集资金失败', error)
+      message.error(error.message)
+    } finally {
+      setRunning(null)
+    }
+  }
+
+  const columns = [
+    {
+      title: '子账户',
+      dataIndex: 'walletId',
+      key: 'walletId',
+      render: (walletId) => getWalletDisplayName(getWalletById(walletId))
+    },
+    {
+      title: '数量',
+      dataIndex: 'amount',
+      key: 'amount',
+      align: 'right',
+      render: (amount) => `${amount} ${symbol}`
+    },
+    {
+      title: '状态',
+      dataIndex: 'status',
+      key: 'status',
+      render: (status, record) => (
+        <span title={record.error}>{STATUS_TAGS[status]}</span>
+      )
+    },
+    {
+      title: '交易哈希',
+      dataIndex: 'hash',
+      key: 'hash',
+      render: (hash) => {
+        if (!hash) return '-'
+        const url = getExplorerTxUrl(network, hash)
+        const text = `${hash.slice(0, 10)}...${hash.slice(-8)}`
+        return url
+          ? <a href={url} target="_blank" rel="noopener noreferrer" style={{ fontFamily: 'monospace', fontSize: '12px' }}>{text}</a>
+          : <span style={{ fontFamily: 'monospace', fontSize: '12px' }}>{text}</span>
+      }
+    }
+  ]
+
+  const mainWallet = getWalletById(mainId)
+
+  return (
+    <Card
+      title={
+        <Space>
+          <ClusterOutlined />
+          <span>资金分配</span>
+          <Tag>{network.name}</Tag>
+        </Space>
+      }
+    >
+      <Form layout="vertical">
+        <Space style={{ width: '100%' }} align="start" wrap>
+          <Form.Item label="主账户" style={{ minWidth: 220 }}>
+            <Select
+              value={mainId}
+              onChange={(value) => {
+                setMainId(value)
+                setTargetIds(targetIds.filter(id => id !== value))
+              }}
+              options={wallets.map(w => ({ value: w.id, label: getWalletDisplayName(w) }))}
+            />
+          </Form.Item>
+          <Form.Item label="资产" style={{ minWidth: 120 }}>
+            <Select
+              value={symbol}
+              onChange={setSymbol}
+              options={assets.map(a => ({ value: a, label: a }))}
+            />
+          </Form.Item>
+          <Form.Item label="每个子账户分发数量" tooltip="仅用于分发；归集会转出子账户全部余额">
+            <InputNumber min={0} value={amountEach} onChange={setAmountEach} style={{ width: 160 }} />
+          </Form.Item>
+        </Space>
+        <Form.Item label="子账户">
+          <Select
+            mode="multiple"
+            value={targetIds}
+            onChange={setTargetIds}
+            placeholder="选择要分发或归集的子账户"
+            options={wallets.filter(w => w.id !== mainId).map(w => ({ value: w.id, label: getWalletDisplayName(w) }))}
+          />
+        </Form.Item>
+        <Space>
+          <Popconfirm
+            title="确认分发？"
+            description={`从 ${mainWallet?.label} 向 ${targetIds.length} 个子账户各转 ${amountEach} ${symbol}`}
+            okText="分发"
+            cancelText="返回"
+            onConfirm={() => run('distribute')}
+            disabled={!mainId || targetIds.length === 0}
+          >
+            <Button
+              type="primary"
+              icon={<SendOutlined />}
+              loading={running === 'distribute'}
+              disabled={!mainId || targetIds.length === 0 || running !== null}
+            >
+              分发
+            </Button>
+          </Popconfirm>
+          <Popconfirm
+            title="确认归集？"
+            description={`把 ${targetIds.length} 个子账户的全部 ${symbol} 转回 ${mainWallet?.label}`}
+            okText="归集"
+            cancelText="返回"
+            onConfirm={() => run('sweep')}
+            disabled={!mainId || targetIds.length === 0}
+          >
+            <Button
+              icon={<ImportOutlined />}
+              loading={running === 'sweep'}
+              disabled={!mainId || targetIds.length === 0 || running !== null}
+            >
+              归集
+            </Button>
+          </Popconfirm>
+        </Space>
+      </Form>
+
+      {results.length > 0 && (
+        <Table
+          style={{ marginTop: 16 }}
+          columns={columns}
+          dataSource={results}
+          rowKey="walletId"
+          size="small"
+          pagination={false}
+        />
+      )}
+    </Card>
+  )
+}
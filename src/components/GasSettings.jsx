@@ -0,0 +1,127 @@
+import { useState } from 'react'
+import { Card, Form, InputNumber, Select, Button, Space, Alert, message } from 'antd'
+import { FireOutlined, SaveOutlined, UndoOutlined } from '@ant-design/icons'
+import { getGasPolicy, saveGasPolicy, GAS_POLICY_DEFAULTS } from '../services/gasPolicy'
+import { log } from '../utils/logger'
+
+/**
+ * GasSettings - Gas 策略设置
+ * 对手动交易、机器人交易与代币授权统一生效
+ */
+export default function GasSettings() {
+  const [policy, setPolicy] = useState(getGasPolicy())
+
+  const update = (field, value) => setPolicy({ ...policy, [field]: value })
+
+  const handleSave = () => {
+    if (saveGasPolicy(policy)) {
+      log.info('Gas策略已更新', policy)
+      message.success('Gas策略已保存')
+    } else {
+      message.error('保存Gas策略失败')
+    }
+  }
+
+  const handleReset = () => {
+    setPolicy({ ...GAS_POLICY_DEFAULTS })
+  }
+
+  const isLegacy = policy.mode === 'legacy'
+
+  return (
+    <Card
+      title={
+        <Space>
+          <FireOutlined />
+          <span>Gas 策略</span>
+        </Space>
+      }
+      extra={
+        <Space>
+          <Button icon={<UndoOutlined />} size="small" onClick={handleReset}>
+            默认值
+          </Button>
+          <Button type="primary" icon={<SaveOutlined />} size="small" onClick={handleSave}>
+            保存
+          </Button>
+        </Space>
+      }
+    >
+      <Form layout="vertical">
+        <Form.Item label="费用模式">
+          <Select value={policy.mode} onChange={(v) => update('mode', v)} style={{ width: '100%' }}>
+            <Select.Option value="auto">自动（支持时使用 EIP-1559）</Select.Option>
+            <Select.Option value="eip1559">EIP-1559</Select.Option>
+            <Select.Option value="legacy">Legacy gasPrice</Select.Option>
+          </Select>
+        </Form.Item>
+
+        <Form.Item label="Gas 上限倍数" tooltip="在估算的 Gas 基础上放大，防止执行时 Gas 不足">
+          <InputNumber
+            value={policy.gasLimitMultiplier}
+            onChange={(v) => update('gasLimitMultiplier', v)}
+            min={1}
+            max={3}
+            step={0.1}
+            style={{ width: '100%' }}
+          />
+        </Form.Item>
+
+        {isLegacy ? (
+          <Form.Item label="gasPrice 倍数">
+            <InputNumber
+              value={policy.gasPriceMultiplier}
+              onChange={(v) => update('gasPriceMultiplier', v)}
+              min={1}
+              max={5}
+              step={0.1}
+              style={{ width: '100%' }}
+            />
+          </Form.Item>
+        ) : (
+          <>
+            <Form.Item label="小费百分位" tooltip="取最近区块小费的该百分位，越高越快被打包">
+              <Select
+                value={policy.priorityFeePercentile}
+                onChange={(v) => update('priorityFeePercentile', v)}
+                style={{ width: '100%' }}
+              >
+                <Select.Option value={10}>10（节省）</Select.Option>
+                <Select.Option value={50}>50（标准）</Select.Option>
+                <Select.Option value={90}>90（快速）</Select.Option>
+              </Select>
+            </Form.Item>
+
+            <Form.Item label="基础费用倍数" tooltip="maxFeePerGas = 基础费用 × 倍数 + 小费">
+              <InputNumber
+                value={policy.baseFeeMultiplier}
+                onChange={(v) => update('baseFeeMultiplier', v)}
+                min={1}
+                max={5}
+                step={0.5}
+                style={{ width: '100%' }}
+              />
+            </Form.Item>
+          </>
+        )}
+
+        <Form.Item label="单价上限 (gwei，可选)" tooltip="超过上限时交易不会发送">
+          <InputNumber
+            value={policy.maxFeeGwei}
+            onChange={(v) => update('maxFeeGwei', v)}
+            min={0}
+            step={1}
+            style={{ width: '100%' }}
+            placeholder="不限制"
+          />
+        </Form.Item>
+      </Form>
+
+      <Alert
+        type="info"
+        showIcon
+        message="每个机器人的 Gas 预算在机器人配置的「交易保护」中设置"
+      />
+    </Card>
+  )
+}
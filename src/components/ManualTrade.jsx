@@ -1,22 +1,42 @@
 import { useState, useEffect } from 'react'
-import { Card, InputNumber, Button, Select, Space, Alert, Statistic, Row, Col, Radio, Spin } from 'antd'
-import { SwapOutlined, ArrowRightOutlined, ReloadOutlined } from '@ant-design/icons'
-import { createProvider, createWallet } from '../services/wallet'
-import { getWXOCPrice, executeSwap, waitForTransaction } from '../services/swap'
+import { Card, InputNumber, Button, Select, Space, Alert, Statistic, Row, Col, Radio, Spin, Modal, Descriptions, message } from 'antd'
+import { SwapOutlined, ArrowRightOutlined, ReloadOutlined, RetweetOutlined } from '@ant-design/icons'
+import { createProvider } from '../services/wallet'
+import {
+  getWXOCPrice,
+  executeSwap,
+  simulateSwap,
+  waitForTransaction,
+  wrapXOC,
+  unwrapXOC,
+  SwapSimulationError,
+  PriceImpactError,
+  SWAP_SETTINGS
+} from '../services/swap'
 import { log, tradeLog } from '../utils/logger'
+import { saveTrade } from '../utils/storage'
+import { getActiveNetwork } from '../services/networks'
+import walletSession from '../services/session'
+import botWorker from '../services/botWorkerClient'
 
 /**
  * ManualTrade - 手动交易页面
- * 支持手动买卖WXOC/USDT
+ * 支持手动买卖WXOC/USDT、原生XOC直接交易，以及XOC与WXOC互相转换
  */
 export default function ManualTrade({ wallet }) {
   const [tradeType, setTradeType] = useState('buy') // 'buy' or 'sell'
+  const [asset, setAsset] = useState('WXOC') // 'WXOC' 或原生 'XOC'
   const [amount, setAmount] = useState(1)
   const [price, setPrice] = useState(0)
   const [loadingPrice, setLoadingPrice] = useState(false)
   const [trading, setTrading] = useState(false)
   const [slippage, setSlippage] = useState(0.5)
+  const [maxDeviation, setMaxDeviation] = useState(SWAP_SETTINGS.SIMULATION_MAX_DEVIATION)
+  const [simulating, setSimulating] = useState(false)
   const [estimatedOutput, setEstimatedOutput] = useState(0)
+  const [wrapAmount, setWrapAmount] = useState(1)
+  const [wrapping, setWrapping] = useState(false)
+  const [busyBots, setBusyBots] = useState([])
 
   // 自动获取价格
   useEffect(() => {
@@ -27,6 +47,14 @@ export default function ManualTrade({ wallet }) {
     }
   }, [wallet])
 
+  // 钱包被运行中的机器人使用时不能手动交易（机器人在 Worker 中单独分配 nonce）
+  useEffect(() => {
+    if (!wallet) return
+    const update = () => setBusyBots(botWorker.getWalletBots(wallet.address))
+    update()
+    return botWorker.subscribe(update)
+  }, [wallet])
+
   // 计算预估输出
   useEffect(() => {
     if (amount && price) {
@@ -44,7 +72,7 @@ export default function ManualTrade({ wallet }) {
     
     setLoadingPrice(true)
     try {
-      const provider = createProvider('xoc')
+      const provider = createProvider()
       const currentPrice = await getWXOCPrice(provider)
       setPrice(currentPrice)
       // 价格更新静默，不输出日志
@@ -55,6 +83,76 @@ export default function ManualTrade({ wallet }) {
     }
   }
 
+  // 渲染模拟结果
+  const renderSimulation = (simulation) => {
+    const sideLabel = simulation.side === 'input' ? '输入' : '输出'
+    return (
+      <Space direction="vertical" style={{ width: '100%' }}>
+        <Descriptions column={1} size="small" bordered>
+          {simulation.route && <Descriptions.Item label="交易路径">{simulation.route}</Descriptions.Item>}
+          <Descriptions.Item label={`报价${sideLabel}`}>
+            {simulation.quoted} {simulation.symbol}
+          </Descriptions.Item>
+          <Descriptions.Item label={`模拟${sideLabel}`}>
+            {simulation.simulated !== null ? `${simulation.simulated} ${simulation.symbol}` : '-'}
+          </Descriptions.Item>
+          <Descriptions.Item label="不利偏差">
+            {simulation.deviation !== null ? `${simulation.deviation.toFixed(2)}%` : '-'}（上限 {simulation.maxDeviation}%）
+          </Descriptions.Item>
+          {simulation.priceImpact !== undefined && (
+            <Descriptions.Item label="价格影响">
+              {simulation.priceImpact.toFixed(2)}%（上限 {simulation.maxPriceImpact ?? SWAP_SETTINGS.MAX_PRICE_IMPACT}%）
+            </Descriptions.Item>
+          )}
+        </Descriptions>
+        {simulation.reason === 'PRICE_IMPACT' && (
+          <Alert type="error" showIcon message="价格影响超过上限，交易不会发送，请减少交易金额" />
+        )}
+        {simulation.reason === 'ALLOWANCE_REQUIRED' && (
+          <Alert type="info" showIcon message="需要先授权，授权完成后将在发送前自动再次模拟" />
+        )}
+        {simulation.reason === 'DEVIATION' && (
+          <Alert type="error" showIcon message="模拟结果偏离报价超过上限，交易不会发送" />
+        )}
+        {simulation.reason === 'REVERTED' && (
+          <Alert type="error" showIcon message={`模拟执行失败: ${simulation.message}`} />
+        )}
+      </Space>
+    )
+  }
+
+  // 预模拟并弹出确认框
+  const handleConfirm = async () => {
+    if (!wallet || !amount || amount <= 0) {
+      log.error('参数无效', { wallet, amount })
+      return
+    }
+
+    setSimulating(true)
+
+    try {
+      const provider = createProvider()
+      const walletInstance = walletSession.getSigner(wallet.id, provider)
+      const [tokenIn, tokenOut] = tradeType === 'buy' ? ['USDT', asset] : [asset, 'USDT']
+      const simulation = await simulateSwap(walletInstance, tokenIn, tokenOut, amount, slippage, { maxDeviation })
+
+      Modal.confirm({
+        title: `确认${tradeType === 'buy' ? '买入' : '卖出'} ${amount} ${tradeType === 'buy' ? 'USDT' : asset}`,
+        content: renderSimulation(simulation),
+        width: 520,
+        okText: '确认发送',
+        cancelText: '取消',
+        okButtonProps: { disabled: !simulation.ok },
+        onOk: handleTrade
+      })
+    } catch (error) {
+      log.error('交易模拟失败', error)
+      message.error(`交易模拟失败: ${error.message}`)
+    } finally {
+      setSimulating(false)
+    }
+  }
+
   // 执行交易
   const handleTrade = async () => {
     if (!wallet || !amount || amount <= 0) {
@@ -65,33 +163,43 @@ export default function ManualTrade({ wallet }) {
     setTrading(true)
     
     try {
-      const provider = createProvider('xoc')
-      const walletInstance = createWallet(wallet.privateKey, provider)
+      const provider = createProvider()
+      const walletInstance = walletSession.getSigner(wallet.id, provider)
       
       tradeLog.info(`开始${tradeType === 'buy' ? '买入' : '卖出'}交易`, { amount, price })
       
       let result
       if (tradeType === 'buy') {
-        // 买入：用USDT买WXOC
-        result = await executeSwap(walletInstance, 'USDT', 'WXOC', amount, slippage)
+        // 买入：用USDT买WXOC（或原生XOC）
+        result = await executeSwap(walletInstance, 'USDT', asset, amount, slippage, { maxDeviation })
       } else {
-        // 卖出：用WXOC换USDT
-        result = await executeSwap(walletInstance, 'WXOC', 'USDT', amount, slippage)
+        // 卖出：用WXOC（或原生XOC）换USDT
+        result = await executeSwap(walletInstance, asset, 'USDT', amount, slippage, { maxDeviation })
       }
       
-      // 等待交易确认
-      const receipt = await waitForTransaction(result.hash, provider)
+      // 等待交易确认并解析实际成交量
+      const receipt = await waitForTransaction(result.hash, provider, 1, result.swapContext)
       
-      tradeLog.success(`${tradeType === 'buy' ? '买入' : '卖出'}成功！`, receipt)
+      tradeLog.success(`${tradeType === 'buy' ? '买入' : '卖出'}成功！`, receipt.fill)
       
-      // 保存交易记录
-      saveTradeRecord({
+      // 保存交易记录（收据解析失败时回退到预估值）
+      const fill = receipt.fill
+      const amountIn = fill ? fill.amountIn : amount
+      const amountOut = fill ? fill.amountOut : estimatedOutput
+      saveTrade({
         type: tradeType === 'buy' ? 'BUY' : 'SELL',
-        amountUSDT: tradeType === 'buy' ? amount : estimatedOutput,
-        amountWXOC: tradeType === 'buy' ? estimatedOutput : amount,
-        price,
+        source: 'manual',
+        networkId: getActiveNetwork().id,
+        wallet: walletInstance.address,
+        tokenFrom: tradeType === 'buy' ? 'USDT' : asset,
+        tokenTo: tradeType === 'buy' ? asset : 'USDT',
+        amountIn,
+        amountOut,
+        price: tradeType === 'buy' ? amountIn / amountOut : amountOut / amountIn,
+        quotePrice: price,
+        gasCost: fill?.gasCost,
+        gasFees: result.gasFees,
         txHash: receipt.hash,
-        timestamp: new Date().toISOString(),
         status: 'success'
       })
       
@@ -100,20 +208,50 @@ export default function ManualTrade({ wallet }) {
       
     } catch (error) {
       tradeLog.error('交易失败', error)
-      alert(`交易失败: ${error.message}`)
+      if (error instanceof SwapSimulationError) {
+        // 发送前的再次模拟未通过（例如授权后价格已变化）
+        Modal.error({
+          title: '交易已取消',
+          content: renderSimulation(error.details),
+          width: 520
+        })
+      } else if (error instanceof PriceImpactError) {
+        Modal.error({
+          title: '交易已取消',
+          content: error.message
+        })
+      } else {
+        alert(`交易失败: ${error.message}`)
+      }
     } finally {
       setTrading(false)
     }
   }
 
-  // 保存交易记录
-  const saveTradeRecord = (trade) => {
+  // XOC ⇄ WXOC 转换
+  const handleWrap = async (direction) => {
+    if (!wallet || !wrapAmount || wrapAmount <= 0) {
+      log.error('参数无效', { wallet, wrapAmount })
+      return
+    }
+
+    setWrapping(true)
+
     try {
-      const trades = JSON.parse(localStorage.getItem('swapx_trades') || '[]')
-      trades.push(trade)
-      localStorage.setItem('swapx_trades', JSON.stringify(trades))
+      const provider = createProvider()
+      const walletInstance = walletSession.getSigner(wallet.id, provider)
+
+      const result = direction === 'wrap'
+        ? await wrapXOC(walletInstance, wrapAmount)
+        : await unwrapXOC(walletInstance, wrapAmount)
+
+      await waitForTransaction(result.hash, provider, 1, result.swapContext)
+      message.success(`${direction === 'wrap' ? '包装' : '解包'}成功: ${wrapAmount} ${result.route}`)
     } catch (error) {
-      console.error('保存交易记录失败', error)
+      tradeLog.error(`${direction === 'wrap' ? '包装' : '解包'}失败`, error)
+      message.error(error.message)
+    } finally {
+      setWrapping(false)
     }
   }
 
@@ -130,6 +268,14 @@ export default function ManualTrade({ wallet }) {
 
   return (
     <div style={{ display: 'flex', flexDirection: 'column', gap: '24px' }}>
+      {busyBots.length > 0 && (
+        <Alert
+          type="warning"
+          showIcon
+          message="该钱包正在运行机器人"
+          description={`${busyBots.map(bot => bot.name).join('、')} 正在使用该钱包交易，停止这些机器人后才能手动交易或转换`}
+        />
+      )}
       <Card title={<><SwapOutlined /> 手动交易</>}>
         {/* 当前价格 */}
         <Card 
@@ -185,18 +331,33 @@ export default function ManualTrade({ wallet }) {
               style={{ width: '100%' }}
             >
               <Radio.Button value="buy" style={{ width: '50%', textAlign: 'center' }}>
-                买入 WXOC
+                买入 {asset}
               </Radio.Button>
               <Radio.Button value="sell" style={{ width: '50%', textAlign: 'center' }}>
-                卖出 WXOC
+                卖出 {asset}
               </Radio.Button>
             </Radio.Group>
           </div>
 
+          {/* 交易资产：WXOC 或原生 XOC */}
+          <div>
+            <label style={{ marginBottom: 8, display: 'block', fontWeight: 'bold' }}>
+              交易资产
+            </label>
+            <Radio.Group
+              value={asset}
+              onChange={(e) => setAsset(e.target.value)}
+              disabled={trading}
+            >
+              <Radio value="WXOC">WXOC (ERC20)</Radio>
+              <Radio value="XOC">XOC (原生代币)</Radio>
+            </Radio.Group>
+          </div>
+
           {/* 交易金额 */}
           <div>
             <label style={{ marginBottom: 8, display: 'block', fontWeight: 'bold' }}>
-              {tradeType === 'buy' ? '支付金额 (USDT)' : '卖出数量 (WXOC)'}
+              {tradeType === 'buy' ? '支付金额 (USDT)' : `卖出数量 (${asset})`}
             </label>
             <InputNumber
               value={amount}
@@ -230,6 +391,25 @@ export default function ManualTrade({ wallet }) {
             </Select>
           </div>
 
+          {/* 模拟偏差上限 */}
+          <div>
+            <label style={{ marginBottom: 8, display: 'block', fontWeight: 'bold' }}>
+              模拟偏差上限
+            </label>
+            <Select
+              value={maxDeviation}
+              onChange={setMaxDeviation}
+              style={{ width: '100%' }}
+              size="large"
+              disabled={trading}
+            >
+              <Select.Option value={0.5}>0.5%</Select.Option>
+              <Select.Option value={1}>1%</Select.Option>
+              <Select.Option value={2}>2%</Select.Option>
+              <Select.Option value={5}>5%</Select.Option>
+            </Select>
+          </div>
+
           {/* 交易预览 */}
           <Card type="inner" title="交易预览">
             <Space direction="vertical" style={{ width: '100%' }}>
@@ -240,12 +420,12 @@ export default function ManualTrade({ wallet }) {
                 fontSize: '18px'
               }}>
                 <span>
-                  {tradeType === 'buy' ? `${amount} USDT` : `${amount} WXOC`}
+                  {tradeType === 'buy' ? `${amount} USDT` : `${amount} ${asset}`}
                 </span>
                 <ArrowRightOutlined style={{ color: '#1890ff' }} />
                 <span style={{ color: '#52c41a', fontWeight: 'bold' }}>
                   {tradeType === 'buy' 
-                    ? `≈ ${estimatedOutput.toFixed(4)} WXOC`
+                    ? `≈ ${estimatedOutput.toFixed(4)} ${asset}`
                     : `≈ ${estimatedOutput.toFixed(2)} USDT`
                   }
                 </span>
@@ -261,11 +441,11 @@ export default function ManualTrade({ wallet }) {
             type="primary"
             size="large"
             block
-            onClick={handleTrade}
-            loading={trading}
-            disabled={!amount || amount <= 0 || price === 0}
+            onClick={handleConfirm}
+            loading={trading || simulating}
+            disabled={!amount || amount <= 0 || price === 0 || busyBots.length > 0}
           >
-            {trading ? '交易执行中...' : `确认${tradeType === 'buy' ? '买入' : '卖出'}`}
+            {trading ? '交易执行中...' : simulating ? '模拟交易中...' : `确认${tradeType === 'buy' ? '买入' : '卖出'}`}
           </Button>
 
           <Alert
@@ -276,6 +456,57 @@ export default function ManualTrade({ wallet }) {
           />
         </Space>
       </Card>
+
+      {/* XOC ⇄ WXOC 转换 */}
+      <Card title={<><RetweetOutlined /> XOC / WXOC 转换</>}>
+        <Space direction="vertical" style={{ width: '100%' }} size="large">
+          <div>
+            <label style={{ marginBottom: 8, display: 'block', fontWeight: 'bold' }}>
+              转换数量
+            </label>
+            <InputNumber
+              value={wrapAmount}
+              onChange={setWrapAmount}
+              min={0.0001}
+              step={0.1}
+              style={{ width: '100%' }}
+              size="large"
+              disabled={wrapping}
+            />
+          </div>
+
+          <Row gutter={16}>
+            <Col span={12}>
+              <Button
+                block
+                size="large"
+                onClick={() => handleWrap('wrap')}
+                loading={wrapping}
+                disabled={!wrapAmount || wrapAmount <= 0 || busyBots.length > 0}
+              >
+                包装 XOC → WXOC
+              </Button>
+            </Col>
+            <Col span={12}>
+              <Button
+                block
+                size="large"
+                onClick={() => handleWrap('unwrap')}
+                loading={wrapping}
+                disabled={!wrapAmount || wrapAmount <= 0 || busyBots.length > 0}
+              >
+                解包 WXOC → XOC
+              </Button>
+            </Col>
+          </Row>
+
+          <Alert
+            message="XOC 与 WXOC 按 1:1 兑换，包装后的 WXOC 可用于策略交易；请保留足够 XOC 支付Gas费。"
+            type="info"
+            showIcon
+          />
+        </Space>
+      </Card>
     </div>
   )
 }
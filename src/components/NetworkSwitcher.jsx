@@ -0,0 +1,164 @@
+import { useState, useEffect } from 'react'
+import { Select, Button, Modal, Form, Input, InputNumber, Switch, List, Tag, Space, Popconfirm, message } from 'antd'
+import { GlobalOutlined, SettingOutlined, DeleteOutlined } from '@ant-design/icons'
+import {
+  getNetworks,
+  getActiveNetwork,
+  setActiveNetwork,
+  subscribeNetwork,
+  saveCustomNetwork,
+  removeCustomNetwork
+} from '../services/networks'
+import { log } from '../utils/logger'
+
+/**
+ * NetworkSwitcher - 顶部网络切换
+ * 切换当前网络（手动交易、余额、新建机器人），并可添加自定义网络（如主网）
+ */
+export default function NetworkSwitcher({ compact = false }) {
+  const [networks, setNetworks] = useState(getNetworks())
+  const [active, setActive] = useState(getActiveNetwork())
+  const [isModalOpen, setIsModalOpen] = useState(false)
+  const [form] = Form.useForm()
+
+  useEffect(() => {
+    return subscribeNetwork(setActive)
+  }, [])
+
+  const handleChange = (networkId) => {
+    try {
+      setActiveNetwork(networkId)
+    } catch (error) {
+      message.error(error.message)
+    }
+  }
+
+  const handleSave = async () => {
+    try {
+      const values = await form.validateFields()
+      const network = saveCustomNetwork({
+        id: values.id.trim(),
+        name: values.name.trim(),
+        chainId: values.chainId,
+        rpcUrls: values.rpcUrls.split(/[\s,]+/).filter(Boolean),
+        contracts: { router: values.router.trim(), factory: values.factory.trim() },
+        nativeSymbol: values.nativeSymbol.trim(),
+        explorerUrl: values.explorerUrl?.trim() || null,
+        wrappedNative: values.wrappedNative?.trim() || null,
+        testnet: values.testnet
+      })
+      message.success(`已保存网络 ${network.name}`)
+      form.resetFields()
+      setNetworks(getNetworks())
+    } catch (error) {
+      if (error.errorFields) return
+      log.error('保存网络失败', error)
+      message.error(error.message)
+    }
+  }
+
+  const handleRemove = (networkId) => {
+    removeCustomNetwork(networkId)
+    setNetworks(getNetworks())
+  }
+
+  return (
+    <Space size={4}>
+      <Select
+        value={active.id}
+        onChange={handleChange}
+        style={{ minWidth: compact ? 110 : 160 }}
+        size="small"
+        suffixIcon={<GlobalOutlined />}
+      >
+        {networks.map(n => (
+          <Select.Option key={n.id} value={n.id}>
+            {n.name}{n.testnet && !compact ? '（测试）' : ''}
+          </Select.Option>
+        ))}
+      </Select>
+      <Button
+        type="text"
+        size="small"
+        icon={<SettingOutlined />}
+        style={{ color: '#fff' }}
+        onClick={() => setIsModalOpen(true)}
+      />
+
+      <Modal
+        title="网络管理"
+        open={isModalOpen}
+        onCancel={() => setIsModalOpen(false)}
+        onOk={handleSave}
+        okText="保存网络"
+        cancelText="关闭"
+        width={560}
+      >
+        <List
+          size="small"
+          dataSource={networks}
+          style={{ marginBottom: 16 }}
+          renderItem={(n) => (
+            <List.Item
+              actions={n.custom ? [
+                <Popconfirm
+                  key="remove"
+                  title="删除该网络？"
+                  description="绑定该网络的机器人需要重新选择网络"
+                  okText="确定"
+                  cancelText="返回"
+                  onConfirm={() => handleRemove(n.id)}
+                >
+                  <Button size="small" danger icon={<DeleteOutlined />} />
+                </Popconfirm>
+              ] : []}
+            >
+              <Space>
+                <span>{n.name}</span>
+                <Tag>链ID {n.chainId}</Tag>
+                {n.custom ? <Tag color="green">自定义</Tag> : <Tag color="blue">内置</Tag>}
+              </Space>
+            </List.Item>
+          )}
+        />
+
+        <Form form={form} layout="vertical" initialValues={{ nativeSymbol: 'XOC', testnet: false }}>
+          <Space style={{ width: '100%' }} align="start">
+            <Form.Item label="网络ID" name="id" rules={[{ required: true, message: '请输入网络ID' }]}>
+              <Input placeholder="xone-mainnet" />
+            </Form.Item>
+            <Form.Item label="名称" name="name" rules={[{ required: true, message: '请输入名称' }]}>
+              <Input placeholder="Xone 主网" />
+            </Form.Item>
+            <Form.Item label="链ID" name="chainId" rules={[{ required: true, message: '请输入链ID' }]}>
+              <InputNumber min={1} style={{ width: '100%' }} />
+            </Form.Item>
+          </Space>
+          <Form.Item label="RPC 地址（多个用逗号分隔）" name="rpcUrls" rules={[{ required: true, message: '请输入 RPC 地址' }]}>
+            <Input placeholder="https://..." />
+          </Form.Item>
+          <Form.Item label="Router 地址" name="router" rules={[{ required: true, message: '请输入 Router 地址' }]}>
+            <Input placeholder="0x..." />
+          </Form.Item>
+          <Form.Item label="Factory 地址" name="factory" rules={[{ required: true, message: '请输入 Factory 地址' }]}>
+            <Input placeholder="0x..." />
+          </Form.Item>
+          <Form.Item label="包装原生代币地址" name="wrappedNative" tooltip="如 WXOC，用于原生代币交易和路由；其他代币保存后在「代币管理」中添加">
+            <Input placeholder="0x..." />
+          </Form.Item>
+          <Space style={{ width: '100%' }} align="start">
+            <Form.Item label="原生代币" name="nativeSymbol" rules={[{ required: true, message: '请输入原生代币符号' }]}>
+              <Input />
+            </Form.Item>
+            <Form.Item label="区块浏览器（可选）" name="explorerUrl">
+              <Input placeholder="https://..." />
+            </Form.Item>
+            <Form.Item label="测试网" name="testnet" valuePropName="checked">
+              <Switch />
+            </Form.Item>
+          </Space>
+        </Form>
+      </Modal>
+    </Space>
+  )
+}
@@ -0,0 +1,233 @@
+import { Table, Card, Tag, Button, Space, Tooltip, Popconfirm, message } from 'antd'
+import { ClockCircleOutlined, ThunderboltOutlined, StopOutlined, ClearOutlined } from '@ant-design/icons'
+import { useState, useEffect } from 'react'
+import txTracker, { formatAttemptFees } from '../services/txTracker'
+import botWorker from '../services/botWorkerClient'
+import { getNetworkByChainId, getExplorerTxUrl } from '../services/networks'
+import { log } from '../utils/logger'
+
+/**
+ * PendingTransactions - 待确认交易面板
+ * 显示已提交未打包的交易，卡住时可手动加速或取消
+ * 手动交易由主线程的 txTracker 跟踪；机器人交易由 Bot Worker 的 txTracker 跟踪，加速/取消转发给 Worker
+ */
+export default function PendingTransactions() {
+  const [manualTransactions, setManualTransactions] = useState(txTracker.getTransactions())
+  const [botTransactions, setBotTransactions] = useState(botWorker.getTransactions())
+  const [acting, setActing] = useState(null)
+
+  useEffect(() => {
+    const unsubscribeManual = txTracker.subscribe(setManualTransactions)
+    const unsubscribeBot = botWorker.subscribeTransactions(setBotTransactions)
+    return () => {
+      unsubscribeManual()
+      unsubscribeBot()
+    }
+  }, [])
+
+  // 两个跟踪器的 key 可能相同（同一钱包先手动、后由机器人发送），机器人交易加前缀区分；按首次发送时间倒序
+  const transactions = [
+    ...manualTransactions,
+    ...botTransactions.map(t => ({ ...t, key: `bot:${t.key}`, bot: true }))
+  ].sort((a, b) => b.attempts[0].sentAt - a.attempts[0].sentAt)
+
+  const handleAction = async (record, action) => {
+    setActing(`${record.key}:${action}`)
+    try {
+      let hash
+      if (record.bot) {
+        hash = action === 'speedup'
+          ? await botWorker.speedUpTransaction(record.hash)
+          : await botWorker.cancelTransaction(record.hash)
+      } else {
+        hash = action === 'speedup'
+          ? await txTracker.speedUp(record.hash)
+          : await txTracker.cancel(record.hash)
+      }
+      message.success(`${action === 'speedup' ? '加速' : '取消'}交易已发送: ${hash.slice(0, 10)}...`)
+    } catch (error) {
+      log.error(`${action === 'speedup' ? '加速' : '取消'}交易失败`, error)
+      message.error(error.message)
+    } finally {
+      setActing(null)
+    }
+  }
+
+  // 机器人交易的记录在 Worker 中清除（只读标签页没有 Worker，只清除本页的手动交易）
+  const handleClear = () => {
+    txTracker.clearFinished()
+    if (botWorker.isLeader()) {
+      botWorker.clearFinishedTransactions().catch(error => log.error('清除机器人交易记录失败', error))
+    }
+  }
+
+  const statusMap = {
+    pending: { color: 'processing', text: '待打包' },
+    stuck: { color: 'warning', text: '卡住' },
+    mined: { color: 'success', text: '已打包' },
+    cancelled: { color: 'default', text: '已取消' },
+    dropped: { color: 'error', text: '已被替换' }
+  }
+
+  const policyMap = {
+    none: '手动',
+    speedup: '自动加速',
+    cancel: '自动取消'
+  }
+
+  const columns = [
+    {
+      title: '交易',
+      dataIndex: 'label',
+      key: 'label',
+      width: 160,
+      render: (label, record) => (
+        <Space size={4}>
+          {record.bot && <Tag color="blue">机器人</Tag>}
+          <span>{label}</span>
+        </Space>
+      )
+    },
+    {
+      title: 'Nonce',
+      dataIndex: 'nonce',
+      key: 'nonce',
+      width: 80
+    },
+    {
+      title: '状态',
+      dataIndex: 'status',
+      key: 'status',
+      width: 100,
+      render: (status) => {
+        const item = statusMap[status] || { color: 'default', text: status }
+        return <Tag color={item.color}>{item.text}</Tag>
+      }
+    },
+    {
+      title: '已等待',
+      dataIndex: 'blocksPending',
+      key: 'blocksPending',
+      width: 90,
+      render: (blocks) => `${blocks} 区块`
+    },
+    {
+      title: '处理策略',
+      dataIndex: 'policy',
+      key: 'policy',
+      width: 100,
+      render: (policy, record) => (
+        <span>
+          {policyMap[policy] || policy}
+          {record.speedUps > 0 && ` (已加速${record.speedUps}次)`}
+        </span>
+      )
+    },
+    {
+      title: '费用',
+      key: 'fees',
+      width: 200,
+      render: (_, record) => {
+        const attempt = record.attempts[record.attempts.length - 1]
+        return (
+          <Tooltip title={record.attempts.map(a => `${a.kind}: ${a.hash.slice(0, 10)}... ${formatAttemptFees(a.fees)}`).join('\n')}>
+            <span style={{ fontSize: '12px' }}>{formatAttemptFees(attempt.fees)}</span>
+          </Tooltip>
+        )
+      }
+    },
+    {
+      title: '交易哈希',
+      key: 'hash',
+      width: 180,
+      ellipsis: true,
+      render: (_, record) => {
+        const hash = record.minedHash || record.hash
+        const url = getExplorerTxUrl(getNetworkByChainId(record.chainId), hash)
+        if (!url) {
+          return <span style={{ fontFamily: 'monospace', fontSize: '12px' }}>{hash.slice(0, 10)}...{hash.slice(-8)}</span>
+        }
+        return (
+          <a
+            href={url}
+            target="_blank"
+            rel="noopener noreferrer"
+            style={{ fontFamily: 'monospace', fontSize: '12px' }}
+          >
+            {hash.slice(0, 10)}...{hash.slice(-8)}
+          </a>
+        )
+      }
+    },
+    {
+      title: '操作',
+      key: 'actions',
+      width: 160,
+      render: (_, record) => {
+        const active = record.status === 'pending' || record.status === 'stuck'
+        if (!active) return null
+        return (
+          <Space>
+            <Button
+              size="small"
+              icon={<ThunderboltOutlined />}
+              loading={acting === `${record.key}:speedup`}
+              onClick={() => handleAction(record, 'speedup')}
+            >
+              加速
+            </Button>
+            <Popconfirm
+              title="发送取消交易？"
+              description={`将以相同 nonce 向自己转账 0 ${getNetworkByChainId(record.chainId)?.nativeSymbol || ''} 覆盖原交易`}
+              okText="确定"
+              cancelText="返回"
+              onConfirm={() => handleAction(record, 'cancel')}
+            >
+              <Button
+                size="small"
+                danger
+                icon={<StopOutlined />}
+                loading={acting === `${record.key}:cancel`}
+              >
+                取消
+              </Button>
+            </Popconfirm>
+          </Space>
+        )
+      }
+    }
+  ]
+
+  const activeCount = transactions.filter(t => t.status === 'pending' || t.status === 'stuck').length
+
+  return (
+    <Card
+      title={
+        <Space>
+          <ClockCircleOutlined />
+          <span>待确认交易</span>
+          {activeCount > 0 && <Tag color="processing">{activeCount}</Tag>}
+        </Space>
+      }
+      extra={
+        <Button
+          icon={<ClearOutlined />}
+          size="small"
+          onClick={handleClear}
+        >
+          清除已结束
+        </Button>
+      }
+    >
+      <Table
+        columns={columns}
+        dataSource={transactions}
+        rowKey="key"
+        size="small"
+        pagination={false}
+        scroll={{ x: 1070 }}
+        locale={{ emptyText: '暂无待确认交易' }}
+      />
+    </Card>
+  )
+}
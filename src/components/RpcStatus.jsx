@@ -0,0 +1,209 @@
+import { useState, useEffect } from 'react'
+import { Card, Table, Tag, Button, Space, Input, Tooltip, Popconfirm, Typography, message } from 'antd'
+import { CloudServerOutlined, ReloadOutlined, PlusOutlined, DeleteOutlined, CheckCircleFilled } from '@ant-design/icons'
+import { getActiveNetwork, addRpcUrl, removeRpcUrl, isExtraRpcUrl } from '../services/networks'
+import { getPoolStatus, checkPoolHealth, subscribePoolStatus, POOL_CONFIG } from '../services/providerPool'
+import botWorker from '../services/botWorkerClient'
+import { log } from '../utils/logger'
+
+const { Text } = Typography
+
+/**
+ * RpcStatus - RPC 节点池状态
+ * 显示当前网络各 RPC 节点的延迟、区块高度、错误率，可追加备用 RPC
+ * 机器人在 Bot Worker 中使用独立的节点池，有机器人使用当前网络时同时显示 Worker 推送的节点池状态
+ */
+export default function RpcStatus() {
+  const network = getActiveNetwork()
+  const [status, setStatus] = useState(getPoolStatus(network.id))
+  const [botStatus, setBotStatus] = useState(botWorker.getPoolStatus(network.id))
+  const [checking, setChecking] = useState(false)
+  const [newUrl, setNewUrl] = useState('')
+
+  useEffect(() => {
+    const unsubscribePage = subscribePoolStatus((next) => {
+      if (next.networkId === network.id) {
+        setStatus(next)
+      }
+    })
+    const unsubscribeBot = botWorker.subscribePoolStatus((next) => {
+      if (next.networkId === network.id) {
+        setBotStatus(next)
+      }
+    })
+    setBotStatus(botWorker.getPoolStatus(network.id))
+    return () => {
+      unsubscribePage()
+      unsubscribeBot()
+    }
+  }, [network.id])
+
+  const handleCheck = async () => {
+    setChecking(true)
+    try {
+      // Worker 中的节点池只在本标签页运行机器人时可检测（只读标签页等待主标签页推送）
+      const checkBot = botStatus && botWorker.isLeader()
+      const [next, nextBot] = await Promise.all([
+        checkPoolHealth(network.id),
+        checkBot ? botWorker.checkPoolHealth(network.id) : null
+      ])
+      setStatus(next)
+      if (nextBot) {
+        setBotStatus(nextBot)
+      }
+    } catch (error) {
+      log.error('RPC检测失败', error)
+      message.error(error.message)
+    } finally {
+      setChecking(false)
+    }
+  }
+
+  const handleAdd = () => {
+    try {
+      addRpcUrl(network.id, newUrl.trim())
+      setNewUrl('')
+      // RPC 地址变化后重建节点池
+      setStatus(getPoolStatus(network.id))
+    } catch (error) {
+      log.error('添加RPC失败', error)
+      message.error(error.message)
+    }
+  }
+
+  const handleRemove = (url) => {
+    removeRpcUrl(network.id, url)
+    setStatus(getPoolStatus(network.id))
+  }
+
+  const getColumns = (current) => [
+    {
+      title: 'RPC 地址',
+      dataIndex: 'url',
+      key: 'url',
+      width: 240,
+      ellipsis: true,
+      render: (url) => (
+        <Space>
+          {url === current.activeUrl && (
+            <Tooltip title="当前使用">
+              <CheckCircleFilled style={{ color: '#52c41a' }} />
+            </Tooltip>
+          )}
+          <span style={{ fontFamily: 'monospace', fontSize: '12px' }}>{url}</span>
+        </Space>
+      )
+    },
+    {
+      title: '状态',
+      dataIndex: 'healthy',
+      key: 'healthy',
+      width: 90,
+      render: (healthy, record) => (
+        <Tooltip title={record.lastError}>
+          <Tag color={healthy ? 'success' : 'error'}>{healthy ? '健康' : '异常'}</Tag>
+        </Tooltip>
+      )
+    },
+    {
+      title: '延迟',
+      dataIndex: 'latency',
+      key: 'latency',
+      width: 90,
+      render: (latency) => latency === null ? '-' : `${latency} ms`
+    },
+    {
+      title: '区块高度',
+      dataIndex: 'blockNumber',
+      key: 'blockNumber',
+      width: 140,
+      render: (blockNumber, record) => blockNumber === null ? '-' : (
+        <span>
+          {blockNumber}
+          {record.lag > 0 && <Tag color={record.lag > POOL_CONFIG.MAX_BLOCK_LAG ? 'error' : 'warning'} style={{ marginLeft: 4 }}>落后{record.lag}</Tag>}
+        </span>
+      )
+    },
+    {
+      title: '错误率',
+      dataIndex: 'errorRate',
+      key: 'errorRate',
+      width: 80,
+      render: (rate) => `${(rate * 100).toFixed(0)}%`
+    },
+    {
+      title: '得分',
+      dataIndex: 'score',
+      key: 'score',
+      width: 80,
+      render: (score) => <Tooltip title="延迟 + 区块落后惩罚 + 错误率惩罚，越低越好">{score}</Tooltip>
+    },
+    {
+      title: '操作',
+      key: 'actions',
+      width: 70,
+      render: (_, record) => isExtraRpcUrl(network.id, record.url) && (
+        <Popconfirm
+          title="删除该RPC？"
+          okText="确定"
+          cancelText="返回"
+          onConfirm={() => handleRemove(record.url)}
+        >
+          <Button size="small" danger icon={<DeleteOutlined />} />
+        </Popconfirm>
+      )
+    }
+  ]
+
+  return (
+    <Card
+      title={
+        <Space>
+          <CloudServerOutlined />
+          <span>RPC 节点</span>
+          <Tag>{network.name}</Tag>
+        </Space>
+      }
+      extra={
+        <Button icon={<ReloadOutlined />} size="small" loading={checking} onClick={handleCheck}>
+          立即检测
+        </Button>
+      }
+    >
+      <Space direction="vertical" style={{ width: '100%' }}>
+        {botStatus && <Text type="secondary">本页（手动交易）</Text>}
+        <Table
+          columns={getColumns(status)}
+          dataSource={status.endpoints}
+          rowKey="url"
+          size="small"
+          pagination={false}
+          scroll={{ x: 800 }}
+        />
+        {botStatus && (
+          <>
+            <Text type="secondary">机器人（Bot Worker）</Text>
+            <Table
+              columns={getColumns(botStatus)}
+              dataSource={botStatus.endpoints}
+              rowKey="url"
+              size="small"
+              pagination={false}
+              scroll={{ x: 800 }}
+            />
+          </>
+        )}
+        <Space.Compact style={{ width: '100%' }}>
+          <Input
+            value={newUrl}
+            onChange={(e) => setNewUrl(e.target.value)}
+            placeholder="添加备用 RPC 地址 https://..."
+          />
+          <Button icon={<PlusOutlined />} disabled={!newUrl.trim()} onClick={handleAdd}>
+            添加
+          </Button>
+        </Space.Compact>
+      </Space>
+    </Card>
+  )
+}
@@ -0,0 +1,111 @@
+import { Form, InputNumber, Input, Select, Switch, Space } from 'antd'
+import { getWatchWallets, getWalletDisplayName } from '../services/walletBook'
+
+/**
+ * StrategyConfigForm - 按策略参数的 JSON Schema 生成配置表单
+ * number / integer 为数字输入，带 enum 的为下拉选择（enumNames 为选项文字），boolean 为开关，
+ * format: 'watch-address' 为观察地址选择；单位、说明和选项中的 {base} / {quote} 替换为交易对代币
+ * errors 为 validateConfig 的结果，显示在对应字段下
+ */
+export default function StrategyConfigForm({ schema, value, onChange, disabled, baseToken, quoteToken, errors = {} }) {
+  const format = (text) => text && text.replaceAll('{base}', baseToken).replaceAll('{quote}', quoteToken)
+
+  // 单位可以随另一个字段变化，如 { field: 'action', values: { BUY: '{quote}', SELL: '{base}' } }
+  const getUnit = (field) => {
+    const unit = typeof field.unit === 'object' ? field.unit.values[value[field.unit.field]] : field.unit
+    return format(unit)
+  }
+
+  const setField = (key, fieldValue) => onChange({ ...value, [key]: fieldValue })
+
+  const renderField = (key, field) => {
+    const current = value[key] ?? field.default
+    const types = [].concat(field.type)
+
+    if (field.format === 'watch-address') {
+      return (
+        <Select
+          value={current}
+          onChange={(v) => setField(key, v)}
+          disabled={disabled}
+          placeholder={field.placeholder}
+          style={{ width: '100%' }}
+        >
+          {getWatchWallets().map(w => (
+            <Select.Option key={w.id} value={w.address}>{getWalletDisplayName(w)}</Select.Option>
+          ))}
+        </Select>
+      )
+    }
+
+    if (field.enum) {
+      return (
+        <Select
+          value={current}
+          onChange={(v) => setField(key, v)}
+          disabled={disabled}
+          style={{ width: '100%' }}
+        >
+          {field.enum.map((option, index) => (
+            <Select.Option key={option} value={option}>
+              {format(field.enumNames?.[index]) ?? option}
+            </Select.Option>
+          ))}
+        </Select>
+      )
+    }
+
+    if (types.includes('number') || types.includes('integer')) {
+      return (
+        <InputNumber
+          value={current}
+          onChange={(v) => setField(key, v)}
+          min={field.minimum ?? field.exclusiveMinimum}
+          max={field.maximum ?? field.exclusiveMaximum}
+          step={field.step}
+          precision={types.includes('integer') ? 0 : undefined}
+          addonAfter={getUnit(field)}
+          style={{ width: '100%' }}
+          disabled={disabled}
+          placeholder={field.placeholder}
+        />
+      )
+    }
+
+    if (types.includes('boolean')) {
+      return (
+        <Switch
+          checked={Boolean(current)}
+          onChange={(v) => setField(key, v)}
+          disabled={disabled}
+        />
+      )
+    }
+
+    return (
+      <Input
+        value={current}
+        onChange={(e) => setField(key, e.target.value)}
+        disabled={disabled}
+        placeholder={field.placeholder}
+      />
+    )
+  }
+
+  return (
+    <Space direction="vertical" style={{ width: '100%' }}>
+      {Object.entries(schema.properties || {}).map(([key, field]) => (
+        <Form.Item
+          key={key}
+          label={format(field.title) || key}
+          tooltip={format(field.description)}
+          required={schema.required?.includes(key)}
+          validateStatus={errors[key] ? 'error' : undefined}
+          help={errors[key]}
+        >
+          {renderField(key, field)}
+        </Form.Item>
+      ))}
+    </Space>
+  )
+}
@@ -0,0 +1,206 @@
+import { useState } from 'react'
+import { Card, Table, Tag, Input, Button, Space, Popconfirm, message } from 'antd'
+import { AppstoreOutlined, PlusOutlined, ImportOutlined, DeleteOutlined } from '@ant-design/icons'
+import { createProvider } from '../services/wallet'
+import {
+  getTokens,
+  addCustomToken,
+  removeCustomToken,
+  importTokenList,
+  removeTokenList
+} from '../services/tokenRegistry'
+import { getActiveNetwork, getExplorerTokenUrl } from '../services/networks'
+import { getTokenLists } from '../utils/storage'
+import { log } from '../utils/logger'
+
+/**
+ * TokenManager - 代币管理
+ * 按地址添加自定义代币、导入 Uniswap 格式代币列表，添加后即可在机器人中交易
+ * 显示和添加的都是当前网络上的代币
+ */
+export default function TokenManager() {
+  const [tokens, setTokens] = useState(getTokens())
+  const [lists, setLists] = useState(getTokenLists())
+  const [address, setAddress] = useState('')
+  const [listUrl, setListUrl] = useState('')
+  const [adding, setAdding] = useState(false)
+  const [importing, setImporting] = useState(false)
+
+  const refresh = () => {
+    setTokens(getTokens())
+    setLists(getTokenLists())
+  }
+
+  const handleAddToken = async () => {
+    setAdding(true)
+    try {
+      const token = await addCustomToken(createProvider(), address.trim())
+      message.success(`已添加 ${token.symbol}`)
+      setAddress('')
+      refresh()
+    } catch (error) {
+      log.error('添加代币失败', error)
+      message.error(error.message)
+    } finally {
+      setAdding(false)
+    }
+  }
+
+  const handleImportList = async () => {
+    setImporting(true)
+    try {
+      const result = await importTokenList(listUrl.trim())
+      message.success(`已导入 ${result.name}（${result.count} 个代币）`)
+      setListUrl('')
+      refresh()
+    } catch (error) {
+      log.error('导入代币列表失败', error)
+      message.error(error.message)
+    } finally {
+      setImporting(false)
+    }
+  }
+
+  const handleRemove = (record) => {
+    if (record.source === 'custom') {
+      removeCustomToken(record.address)
+    } else {
+      removeTokenList(record.source)
+    }
+    refresh()
+  }
+
+  const sourceTag = (source) => {
+    if (source === 'default') return <Tag color="blue">内置</Tag>
+    if (source === 'custom') return <Tag color="green">自定义</Tag>
+    const list = lists.find(l => l.url === source)
+    return <Tag color="purple">{list?.name || '代币列表'}</Tag>
+  }
+
+  const columns = [
+    {
+      title: '符号',
+      dataIndex: 'symbol',
+      key: 'symbol',
+      width: 100,
+      render: (symbol) => <strong>{symbol}</strong>
+    },
+    {
+      title: '名称',
+      dataIndex: 'name',
+      key: 'name',
+      width: 140
+    },
+    {
+      title: '精度',
+      dataIndex: 'decimals',
+      key: 'decimals',
+      width: 70
+    },
+    {
+      title: '地址',
+      dataIndex: 'address',
+      key: 'address',
+      width: 180,
+      render: (addr) => {
+        const url = getExplorerTokenUrl(getActiveNetwork(), addr)
+        if (!url) {
+          return <span style={{ fontFamily: 'monospace', fontSize: '12px' }}>{addr.slice(0, 10)}...{addr.slice(-8)}</span>
+        }
+        return (
+          <a
+            href={url}
+            target="_blank"
+            rel="noopener noreferrer"
+            style={{ fontFamily: 'monospace', fontSize: '12px' }}
+          >
+            {addr.slice(0, 10)}...{addr.slice(-8)}
+          </a>
+        )
+      }
+    },
+    {
+      title: '来源',
+      dataIndex: 'source',
+      key: 'source',
+      width: 120,
+      render: sourceTag
+    },
+    {
+      title: '操作',
+      key: 'actions',
+      width: 80,
+      render: (_, record) => {
+        if (record.source === 'default') return null
+        return (
+          <Popconfirm
+            title={record.source === 'custom' ? '删除该代币？' : '删除整个代币列表？'}
+            description="使用该代币的机器人将无法继续交易"
+            okText="确定"
+            cancelText="返回"
+            onConfirm={() => handleRemove(record)}
+          >
+            <Button size="small" danger icon={<DeleteOutlined />} />
+          </Popconfirm>
+        )
+      }
+    }
+  ]
+
+  return (
+    <Card
+      title={
+        <Space>
+          <AppstoreOutlined />
+          <span>代币管理</span>
+          <Tag>{getActiveNetwork().name}</Tag>
+          <Tag>{tokens.length}</Tag>
+        </Space>
+      }
+    >
+      <Space direction="vertical" style={{ width: '100%' }}>
+        <Space.Compact style={{ width: '100%' }}>
+          <Input
+            value={address}
+            onChange={(e) => setAddress(e.target.value)}
+            placeholder="代币合约地址 0x..."
+          />
+          <Button
+            type="primary"
+            icon={<PlusOutlined />}
+            loading={adding}
+            disabled={!address.trim()}
+            onClick={handleAddToken}
+          >
+            添加代币
+          </Button>
+        </Space.Compact>
+
+        <Space.Compact style={{ width: '100%' }}>
+          <Input
+            value={listUrl}
+            onChange={(e) => setListUrl(e.target.value)}
+            placeholder="代币列表 URL（Uniswap token list 格式）"
+          />
+          <Button
+            icon={<ImportOutlined />}
+            loading={importing}
+            disabled={!listUrl.trim()}
+            onClick={handleImportList}
+          >
+            导入列表
+          </Button>
+        </Space.Compact>
+
+        <Table
+          columns={columns}
+          dataSource={tokens}
+          rowKey="address"
+          size="small"
+          pagination={false}
+          scroll={{ x: 690 }}
+        />
+      </Space>
+    </Card>
+  )
+}
@@ -1,22 +1,31 @@
-import { Table, Card, Tag, Button, Space, Statistic, Row, Col, Modal, message } from 'antd'
+import { Table, Card, Tag, Button, Space, Statistic, Row, Col, Modal, Tooltip, Select, message } from 'antd'
 import { 
   SwapOutlined, 
   ArrowUpOutlined, 
   ArrowDownOutlined,
   DeleteOutlined,
   ExportOutlined,
-  ReloadOutlined 
+  ReloadOutlined,
+  SafetyCertificateOutlined
 } from '@ant-design/icons'
 import { useState, useEffect } from 'react'
 import { getTrades, clearTrades, exportTrades } from '../utils/storage'
+import { getNetworks, getActiveNetwork, getExplorerTxUrl } from '../services/networks'
+import { getWallets, findWalletByAddress, getWatchWallets, findWatchWallet } from '../services/walletBook'
+import addressWatcher from '../services/watcher'
 import dayjs from 'dayjs'
 
 /**
  * TradeHistory - 交易记录表格组件
- * 显示所有交易记录，包括手动交易和机器人交易
+ * 显示所有交易记录，包括手动交易和机器人交易，可按钱包筛选
+ * 选择观察地址时显示该地址已索引的链上成交（不混入自己的交易记录）
+ * 代币授权（APPROVE）也作为单独类型记录，不计入交易统计
+ * 模拟盘机器人的成交（simulated）带"模拟"标记，可按实盘/模拟盘筛选，不计入交易统计
  */
 export default function TradeHistory() {
-  const [trades, setTrades] = useState([])
+  const [allTrades, setAllTrades] = useState([])
+  const [walletFilter, setWalletFilter] = useState('all') // 'all'、钱包地址或观察地址
+  const [modeFilter, setModeFilter] = useState('all') // 'all'、'live'（实盘）或 'paper'（模拟盘）
   const [loading, setLoading] = useState(false)
   const [stats, setStats] = useState({
     totalTrades: 0,
@@ -27,18 +36,27 @@ export default function TradeHistory() {
 
   useEffect(() => {
     loadTrades()
-  }, [])
+  }, [walletFilter])
+
+  // 按钱包筛选（旧记录没有钱包地址，仅在"全部钱包"中显示）；观察地址的成交已在加载时按地址读取
+  const trades = (walletFilter === 'all' || findWatchWallet(walletFilter)
+    ? allTrades
+    : allTrades.filter(t => t.wallet?.toLowerCase() === walletFilter.toLowerCase())
+  ).filter(t => modeFilter === 'all' || Boolean(t.simulated) === (modeFilter === 'paper'))
+
+  useEffect(() => {
+    calculateStats(trades.filter(t => !t.simulated))
+  }, [allTrades, walletFilter, modeFilter])
 
   const loadTrades = () => {
     setLoading(true)
     try {
-      const allTrades = getTrades()
       // 按时间倒序排列（最新的在前）
-      const sortedTrades = allTrades.sort((a, b) => 
+      const source = findWatchWallet(walletFilter) ? addressWatcher.getTrades(walletFilter) : getTrades()
+      const sortedTrades = source.sort((a, b) => 
         new Date(b.timestamp) - new Date(a.timestamp)
       )
-      setTrades(sortedTrades)
-      calculateStats(allTrades)
+      setAllTrades(sortedTrades)
     } catch (error) {
       message.error('加载交易记录失败')
       console.error(error)
@@ -47,9 +65,9 @@ export default function TradeHistory() {
     }
   }
 
-  const calculateStats = (allTrades) => {
-    const buyTrades = allTrades.filter(t => t.type === 'BUY')
-    const sellTrades = allTrades.filter(t => t.type === 'SELL')
+  const calculateStats = (filteredTrades) => {
+    const buyTrades = filteredTrades.filter(t => t.type === 'BUY')
+    const sellTrades = filteredTrades.filter(t => t.type === 'SELL')
     
     const totalBuy = buyTrades.reduce((sum, t) => sum + (t.amountOut || 0), 0)
     const totalSell = sellTrades.reduce((sum, t) => sum + (t.amountOut || 0), 0)
@@ -60,7 +78,7 @@ export default function TradeHistory() {
     const totalProfit = sellUSDT - buyUSDT
 
     setStats({
-      totalTrades: allTrades.length,
+      totalTrades: buyTrades.length + sellTrades.length,
       totalBuy,
       totalSell,
       totalProfit
@@ -68,21 +86,22 @@ export default function TradeHistory() {
   }
 
   const handleClearTrades = () => {
+    const watched = findWatchWallet(walletFilter)
     Modal.confirm({
       title: '确认清除',
-      content: '确定要清除所有交易记录吗？此操作不可恢复！',
+      content: watched
+        ? `确定要清除观察地址 ${watched.label} 已索引的成交吗？下次同步会重新回溯索引。`
+        : '确定要清除所有交易记录吗？此操作不可恢复！',
       okText: '确定',
       cancelText: '取消',
       okType: 'danger',
       onOk: () => {
-        clearTrades()
-        setTrades([])
-        setStats({
-          totalTrades: 0,
-          totalBuy: 0,
-          totalSell: 0,
-          totalProfit: 0
-        })
+        if (watched) {
+          addressWatcher.clearTrades(watched.address)
+        } else {
+          clearTrades()
+        }
+        setAllTrades([])
         message.success('交易记录已清除')
       }
     })
@@ -110,14 +129,28 @@ export default function TradeHistory() {
       title: '类型',
       dataIndex: 'type',
       key: 'type',
-      width: 80,
-      render: (type) => (
-        <Tag 
-          icon={type === 'BUY' ? <ArrowDownOutlined /> : <ArrowUpOutlined />}
-          color={type === 'BUY' ? 'green' : 'red'}
-        >
-          {type === 'BUY' ? '买入' : '卖出'}
-        </Tag>
+      width: 100,
+      render: (type, record) => (
+        <Space direction="vertical" size={2}>
+          {type === 'APPROVE' ? (
+            <Tag icon={<SafetyCertificateOutlined />} color="gold">
+              {record.amountIn === 0 ? '撤销授权' : '授权'}
+            </Tag>
+          ) : (
+            <Tag 
+              icon={type === 'BUY' ? <ArrowDownOutlined /> : <ArrowUpOutlined />}
+              color={type === 'BUY' ? 'green' : 'red'}
+            >
+              {type === 'BUY' ? '买入' : '卖出'}
+            </Tag>
+          )}
+          {record.simulated && <Tag color="cyan">模拟</Tag>}
+          {record.parentOrderId && (
+            <Tooltip title={`拆单订单: ${record.parentOrderId}`}>
+              <Tag color="purple">拆单 {record.childIndex + 1}/{record.childCount}</Tag>
+            </Tooltip>
+          )}
+        </Space>
       )
     },
     {
@@ -130,7 +163,8 @@ export default function TradeHistory() {
           const botTypeMap = {
             buysell: '低买高卖',
             dca: '定投策略',
-            grid: '网格策略'
+            grid: '网格策略',
+            signal: '信号跟随'
           }
           return (
             <Tag color="blue">
@@ -138,9 +172,30 @@ export default function TradeHistory() {
             </Tag>
           )
         }
+        if (source === 'auto') {
+          return <Tag>⚙️ 交易前授权</Tag>
+        }
+        if (source === 'watch') {
+          return <Tag color="purple">👁 观察</Tag>
+        }
         return <Tag color="orange">👤 手动</Tag>
       }
     },
+    {
+      title: '钱包',
+      dataIndex: 'wallet',
+      key: 'wallet',
+      width: 110,
+      render: (address) => {
+        if (!address) return <span style={{ color: '#bbb' }}>-</span>
+        const wallet = findWalletByAddress(address) || findWatchWallet(address)
+        return (
+          <Tooltip title={address}>
+            <span>{wallet?.label || `${address.slice(0, 6)}...${address.slice(-4)}`}</span>
+          </Tooltip>
+        )
+      }
+    },
     {
       title: '交易对',
       key: 'pair',
@@ -155,9 +210,12 @@ export default function TradeHistory() {
       key: 'amountIn',
       width: 120,
       align: 'right',
-      render: (amount, record) => (
-        <span>{amount?.toFixed(6)} {record.tokenFrom}</span>
-      )
+      render: (amount, record) => {
+        if (record.type === 'APPROVE' && record.unlimited) {
+          return <span>无限 {record.tokenFrom}</span>
+        }
+        return <span>{amount?.toFixed(6)} {record.tokenFrom}</span>
+      }
     },
     {
       title: '输出数量',
@@ -165,11 +223,16 @@ export default function TradeHistory() {
       key: 'amountOut',
       width: 120,
       align: 'right',
-      render: (amount, record) => (
-        <span style={{ fontWeight: 'bold' }}>
-          {amount?.toFixed(6)} {record.tokenTo}
-        </span>
-      )
+      render: (amount, record) => {
+        if (record.type === 'APPROVE') {
+          return <span style={{ color: '#bbb' }}>-</span>
+        }
+        return (
+          <span style={{ fontWeight: 'bold' }}>
+            {amount?.toFixed(6)} {record.tokenTo}
+          </span>
+        )
+      }
     },
     {
       title: '价格',
@@ -177,9 +240,33 @@ export default function TradeHistory() {
       key: 'price',
       width: 120,
       align: 'right',
-      render: (price) => (
-        <span>{price?.toFixed(6)} USDT</span>
-      )
+      render: (price) => {
+        if (price === undefined || price === null) {
+          return <span style={{ color: '#bbb' }}>-</span>
+        }
+        return <span>{price.toFixed(6)} USDT</span>
+      }
+    },
+    {
+      title: 'Gas费',
+      dataIndex: 'gasCost',
+      key: 'gasCost',
+      width: 120,
+      align: 'right',
+      render: (gasCost, record) => {
+        if (gasCost === undefined || gasCost === null) {
+          return <span style={{ color: '#bbb' }}>-</span>
+        }
+        const fees = record.gasFees
+        const feeText = fees && (fees.type === 'legacy'
+          ? `legacy gasPrice ${fees.gasPrice} gwei`
+          : `EIP-1559 maxFee ${fees.maxFeePerGas} gwei / 小费 ${fees.maxPriorityFeePerGas} gwei`)
+        return (
+          <Tooltip title={feeText}>
+            <span>{gasCost.toFixed(6)} XOC</span>
+          </Tooltip>
+        )
+      }
     },
     {
       title: '状态',
@@ -198,16 +285,25 @@ export default function TradeHistory() {
       key: 'txHash',
       width: 180,
       ellipsis: true,
-      render: (hash) => (
-        <a 
-          href={`https://www.xonescan.com/tx/${hash}`}
-          target="_blank"
-          rel="noopener noreferrer"
-          style={{ fontFamily: 'monospace', fontSize: '12px' }}
-        >
-          {hash?.slice(0, 10)}...{hash?.slice(-8)}
-        </a>
-      )
+      render: (hash, record) => {
+        // 旧记录没有 networkId，按当前网络处理
+        const network = getNetworks().find(n => n.id === record.networkId) || getActiveNetwork()
+        const url = getExplorerTxUrl(network, hash)
+        // 模拟成交没有链上交易
+        if (!url || record.simulated) {
+          return <span style={{ fontFamily: 'monospace', fontSize: '12px' }}>{hash?.slice(0, 10)}...{hash?.slice(-8)}</span>
+        }
+        return (
+          <a 
+            href={url}
+            target="_blank"
+            rel="noopener noreferrer"
+            style={{ fontFamily: 'monospace', fontSize: '12px' }}
+          >
+            {hash?.slice(0, 10)}...{hash?.slice(-8)}
+          </a>
+        )
+      }
     }
   ]
 
@@ -269,6 +365,32 @@ export default function TradeHistory() {
         }
         extra={
           <Space>
+            <Select
+              value={walletFilter}
+              onChange={setWalletFilter}
+              style={{ minWidth: 140 }}
+            >
+              <Select.Option value="all">全部钱包</Select.Option>
+              {getWallets({ includeArchived: true }).map(w => (
+                <Select.Option key={w.id} value={w.address}>{w.label}</Select.Option>
+              ))}
+              {getWatchWallets().length > 0 && (
+                <Select.OptGroup label="观察地址">
+                  {getWatchWallets().map(w => (
+                    <Select.Option key={w.id} value={w.address}>👁 {w.label}</Select.Option>
+                  ))}
+                </Select.OptGroup>
+              )}
+            </Select>
+            <Select
+              value={modeFilter}
+              onChange={setModeFilter}
+              style={{ minWidth: 100 }}
+            >
+              <Select.Option value="all">全部成交</Select.Option>
+              <Select.Option value="live">实盘</Select.Option>
+              <Select.Option value="paper">模拟盘</Select.Option>
+            </Select>
             <Button 
               icon={<ReloadOutlined />} 
               onClick={loadTrades}
@@ -302,7 +424,7 @@ export default function TradeHistory() {
             showSizeChanger: true,
             showQuickJumper: true
           }}
-          scroll={{ x: 1400 }}
+          scroll={{ x: 1510 }}
         />
       </Card>
     </div>
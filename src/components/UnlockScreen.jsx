@@ -0,0 +1,116 @@
+import { useState } from 'react'
+import { Card, Input, Button, Alert, Space, Typography, Progress, Popconfirm } from 'antd'
+import { LockOutlined, UnlockOutlined } from '@ant-design/icons'
+import walletSession from '../services/session'
+
+const { Title, Text } = Typography
+
+/**
+ * UnlockScreen - 钱包解锁页
+ * 应用加载或自动锁定后输入密码解锁；旧版明文私钥在此设置密码并迁移为加密 keystore
+ */
+export default function UnlockScreen({ address, legacy = false }) {
+  const [password, setPassword] = useState('')
+  const [confirmPassword, setConfirmPassword] = useState('')
+  const [loading, setLoading] = useState(false)
+  const [progress, setProgress] = useState(0)
+  const [error, setError] = useState('')
+
+  const handleProgress = (value) => setProgress(Math.round(value * 100))
+
+  const handleSubmit = async () => {
+    setError('')
+    if (legacy && password !== confirmPassword) {
+      setError('两次输入的密码不一致')
+      return
+    }
+
+    setLoading(true)
+    setProgress(0)
+    try {
+      if (legacy) {
+        await walletSession.migrateLegacy(password, handleProgress)
+      } else {
+        await walletSession.unlock(password, handleProgress)
+      }
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div style={{ minHeight: '100vh', display: 'flex', alignItems: 'center', justifyContent: 'center', background: '#f0f2f5', padding: 16 }}>
+      <Card style={{ width: '100%', maxWidth: 420 }}>
+        <Space direction="vertical" style={{ width: '100%' }} size="middle">
+          <div style={{ textAlign: 'center' }}>
+            <LockOutlined style={{ fontSize: 40, color: '#1890ff' }} />
+            <Title level={4} style={{ marginTop: 12 }}>
+              {legacy ? '设置钱包密码' : '解锁钱包'}
+            </Title>
+            {address && (
+              <Text type="secondary" style={{ fontFamily: 'monospace' }}>
+                {address.slice(0, 10)}...{address.slice(-8)}
+              </Text>
+            )}
+          </div>
+
+          {legacy && (
+            <Alert
+              type="warning"
+              showIcon
+              message="检测到明文保存的私钥"
+              description="设置密码后私钥将加密保存，明文私钥会从浏览器中删除"
+            />
+          )}
+
+          <Input.Password
+            autoFocus
+            placeholder={legacy ? '设置密码（至少8位）' : '输入密码'}
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            onPressEnter={legacy ? undefined : handleSubmit}
+          />
+          {legacy && (
+            <Input.Password
+              placeholder="再次输入密码"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              onPressEnter={handleSubmit}
+            />
+          )}
+
+          {error && <Alert message={error} type="error" showIcon />}
+          {loading && <Progress percent={progress} size="small" status="active" />}
+
+          <Button
+            type="primary"
+            icon={<UnlockOutlined />}
+            loading={loading}
+            disabled={!password}
+            onClick={handleSubmit}
+            block
+          >
+            {legacy ? '加密并解锁' : '解锁'}
+          </Button>
+
+          {!legacy && (
+            <Popconfirm
+              title="删除本地钱包？"
+              description="忘记密码时只能删除钱包后重新导入私钥"
+              okText="删除"
+              cancelText="返回"
+              okButtonProps={{ danger: true }}
+              onConfirm={() => walletSession.forget()}
+            >
+              <Button type="link" danger block>
+                忘记密码
+              </Button>
+            </Popconfirm>
+          )}
+        </Space>
+      </Card>
+    </div>
+  )
+}
@@ -1,35 +1,52 @@
 import { useState, useEffect, useRef } from 'react'
 import { Card, Statistic, Row, Col, Button, Alert, Spin } from 'antd'
 import { WalletOutlined, ReloadOutlined } from '@ant-design/icons'
-import { createProvider, createWallet, getTokenBalance } from '../services/wallet'
+import { ethers } from 'ethers'
+import { createProvider, getTokenBalance } from '../services/wallet'
+import { getTokens } from '../services/tokenRegistry'
 import { log, BalanceMonitor } from '../utils/logger'
 
 /**
  * 钱包余额组件
- * 显示XOC（GAS费）、WXOC（交易代币）和USDT余额
+ * 显示XOC（GAS费）以及代币注册表中所有代币的余额；传入多个钱包时显示合计
+ * 余额只读，按地址查询，不需要解锁钱包（观察地址同样适用）
+ * @param {string} title - 卡片标题（可选）
  */
-export default function WalletBalance({ wallet }) {
-  const [balances, setBalances] = useState({
-    xoc: '0',
-    wxoc: '0',
-    usdt: '0'
-  })
+export default function WalletBalance({ wallets, title }) {
+  const [balances, setBalances] = useState({})
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
   
   // 使用ref存储余额监控器实例
   const balanceMonitor = useRef(new BalanceMonitor())
 
-  // 代币地址配置
-  const TOKENS = {
-    USDT: '0xb575796D293f37F112f3694b8ff48D711FE67EC7',
-    WXOC: '0x4eabbaBeBbb358660cA080e8F2bb09E4a911AB4E'  // 实际交易使用WXOC
+  // 查询单个地址的余额
+  const fetchWalletBalances = async (provider, tokens, address) => {
+    const reader = new ethers.VoidSigner(address, provider)
+
+    // 获取XOC余额（原生代币，用于GAS费）
+    const xocBalance = await provider.getBalance(address)
+    const walletBalances = {
+      XOC: (parseFloat(xocBalance.toString()) / 1e18).toFixed(4)
+    }
+
+    // 获取注册表中各代币余额（ERC20）
+    const tokenBalances = await Promise.all(
+      tokens.map(token => getTokenBalance(reader, token.address))
+    )
+    tokens.forEach((token, index) => {
+      walletBalances[token.symbol] = parseFloat(tokenBalances[index]).toFixed(4)
+    })
+
+    // 使用余额监控器记录变化（只在有变化时输出日志）
+    balanceMonitor.current.checkAndLog(address, walletBalances)
+    return walletBalances
   }
 
   // 获取余额
   const fetchBalances = async () => {
-    if (!wallet) {
-      setBalances({ xoc: '0', wxoc: '0', usdt: '0' })
+    if (!wallets?.length) {
+      setBalances({})
       return
     }
 
@@ -37,32 +54,20 @@ export default function WalletBalance({ wallet }) {
     setError(null)
 
     try {
-      // 创建Provider和Wallet实例
-      const provider = createProvider('xoc')
-      const walletInstance = createWallet(wallet.privateKey, provider)
-
-      // 获取XOC余额（原生代币，用于GAS费）
-      const xocBalance = await provider.getBalance(walletInstance.address)
-      const xocFormatted = (parseFloat(xocBalance.toString()) / 1e18).toFixed(4)
+      const provider = createProvider()
+      const tokens = getTokens()
+      const results = await Promise.all(
+        wallets.map(wallet => fetchWalletBalances(provider, tokens, wallet.address))
+      )
 
-      // 获取WXOC余额（ERC20代币，用于交易）
-      const wxocBalance = await getTokenBalance(walletInstance, TOKENS.WXOC)
-      const wxocFormatted = parseFloat(wxocBalance).toFixed(4)
-
-      // 获取USDT余额
-      const usdtBalance = await getTokenBalance(walletInstance, TOKENS.USDT)
-      const usdtFormatted = parseFloat(usdtBalance).toFixed(2)
-
-      const newBalances = {
-        xoc: xocFormatted,
-        wxoc: wxocFormatted,
-        usdt: usdtFormatted
-      }
-      
+      // 多个钱包时按代币合计
+      const newBalances = {}
+      results.forEach(walletBalances => {
+        Object.entries(walletBalances).forEach(([symbol, value]) => {
+          newBalances[symbol] = (parseFloat(newBalances[symbol] || 0) + parseFloat(value)).toFixed(4)
+        })
+      })
       setBalances(newBalances)
-
-      // 使用余额监控器记录变化（只在有变化时输出日志）
-      balanceMonitor.current.checkAndLog(walletInstance.address, newBalances)
     } catch (err) {
       log.error('获取余额失败', err)
       setError(err.message || '获取余额失败')
@@ -71,14 +76,16 @@ export default function WalletBalance({ wallet }) {
     }
   }
 
+  const walletKey = (wallets || []).map(w => w.address).join(',')
+
   // 钱包变化时自动获取余额
   useEffect(() => {
-    if (wallet) {
+    if (walletKey) {
       fetchBalances()
     }
-  }, [wallet])
+  }, [walletKey])
 
-  if (!wallet) {
+  if (!wallets?.length) {
     return null
   }
 
@@ -88,7 +95,7 @@ export default function WalletBalance({ wallet }) {
         <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
           <span>
             <WalletOutlined style={{ marginRight: 8 }} />
-            钱包余额
+            {title || (wallets.length > 1 ? `钱包余额（${wallets.length} 个钱包合计）` : '钱包余额')}
           </span>
           <Button 
             icon={<ReloadOutlined />} 
@@ -112,34 +119,27 @@ export default function WalletBalance({ wallet }) {
       )}
 
       <Spin spinning={loading}>
-        <Row gutter={16}>
+        <Row gutter={[16, 16]}>
           <Col span={8}>
             <Statistic
               title="XOC (GAS费)"
-              value={balances.xoc}
+              value={balances.XOC || '0'}
               precision={4}
               valueStyle={{ color: '#3f8600' }}
               suffix="XOC"
             />
           </Col>
-          <Col span={8}>
-            <Statistic
-              title="WXOC (交易)"
-              value={balances.wxoc}
-              precision={4}
-              valueStyle={{ color: '#ff6b00' }}
-              suffix="WXOC"
-            />
-          </Col>
-          <Col span={8}>
-            <Statistic
-              title="USDT"
-              value={balances.usdt}
-              precision={2}
-              valueStyle={{ color: '#1890ff' }}
-              suffix="USDT"
-            />
-          </Col>
+          {getTokens().map(token => (
+            <Col span={8} key={token.address}>
+              <Statistic
+                title={token.tags.includes('wrapped-native') ? `${token.symbol} (交易)` : token.symbol}
+                value={balances[token.symbol] || '0'}
+                precision={4}
+                valueStyle={{ color: token.tags.includes('wrapped-native') ? '#ff6b00' : '#1890ff' }}
+                suffix={token.symbol}
+              />
+            </Col>
+          ))}
         </Row>
       </Spin>
     </Card>
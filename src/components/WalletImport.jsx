@@ -1,81 +1,214 @@
 import { useState } from 'react'
-import { Card, Input, Button, Alert, Space, Typography } from 'antd'
-import { WalletOutlined, EyeInvisibleOutlined, EyeOutlined } from '@ant-design/icons'
-import { ethers } from 'ethers'
-import { saveWallet, getWallet, removeWallet } from '../utils/storage'
+import { Card, Input, InputNumber, Button, Alert, Space, Typography, Progress, Tabs, Upload } from 'antd'
+import { WalletOutlined, EyeInvisibleOutlined, EyeOutlined, UploadOutlined } from '@ant-design/icons'
+import walletSession, { SESSION_CONFIG } from '../services/session'
+import { WALLET_SOURCES } from '../services/walletBook'
 
-const { Title, Text } = Typography
+const { Title } = Typography
 
 /**
  * 钱包导入组件
- * 功能：导入私钥、显示钱包地址、保存到localStorage
+ * 功能：按私钥、助记词（按路径派生多个账户）或 keystore 文件导入钱包，加密为 keystore 后加入钱包簿
+ * 首个钱包导入时设置解锁密码，之后导入的钱包使用同一密码加密
+ * @param {boolean} bordered - 是否带卡片外框（在弹窗中使用时为 false）
  */
-export default function WalletImport({ onWalletImported }) {
+export default function WalletImport({ onWalletImported, bordered = true }) {
+  const [sourceType, setSourceType] = useState(WALLET_SOURCES.PRIVATE_KEY)
   const [privateKey, setPrivateKey] = useState('')
+  const [mnemonic, setMnemonic] = useState('')
+  const [basePath, setBasePath] = useState(SESSION_CONFIG.DEFAULT_HD_BASE_PATH)
+  const [count, setCount] = useState(1)
+  const [keystore, setKeystore] = useState('')
+  const [keystoreName, setKeystoreName] = useState('')
+  const [keystorePassword, setKeystorePassword] = useState('')
+  const [label, setLabel] = useState('')
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState('')
   const [showKey, setShowKey] = useState(false)
-  const [wallet, setWallet] = useState(getWallet())
+  const [password, setPassword] = useState('')
+  const [confirmPassword, setConfirmPassword] = useState('')
+  const [progress, setProgress] = useState(0)
+
+  // 钱包簿为空时需要设置密码
+  const needsPassword = walletSession.getStoredState() !== 'encrypted'
+
+  const sourceFilled = {
+    [WALLET_SOURCES.PRIVATE_KEY]: Boolean(privateKey),
+    [WALLET_SOURCES.MNEMONIC]: Boolean(mnemonic.trim()),
+    [WALLET_SOURCES.KEYSTORE]: Boolean(keystore)
+  }[sourceType]
+
+  // 读取 keystore 文件内容（不上传）
+  const handleKeystoreFile = (file) => {
+    const reader = new FileReader()
+    reader.onload = () => {
+      setKeystore(reader.result)
+      setKeystoreName(file.name)
+    }
+    reader.readAsText(file)
+    return false
+  }
 
   // 导入钱包
   const handleImport = async () => {
     setLoading(true)
     setError('')
-    
+
     try {
-      // 验证私钥格式（支持带或不带0x前缀）
-      let formattedKey = privateKey.trim()
-      if (!formattedKey.startsWith('0x')) {
-        formattedKey = '0x' + formattedKey
-      }
-      
-      // 验证私钥长度（应为66字符：0x + 64位十六进制）
-      if (formattedKey.length !== 66) {
-        throw new Error('私钥格式错误，应为64位十六进制字符')
+      if (needsPassword && password !== confirmPassword) {
+        throw new Error('两次输入的密码不一致')
       }
-      
-      // 创建钱包实例
-      const walletInstance = new ethers.Wallet(formattedKey)
-      const address = walletInstance.address
-      
-      // 保存到localStorage
-      const walletData = {
-        address,
-        privateKey: formattedKey,
-        importedAt: new Date().toISOString()
-      }
-      saveWallet(walletData)
-      setWallet(walletData)
-      
+
+      // 用密码加密后保存，会话随之解锁
+      setProgress(0)
+      const [walletData] = await walletSession.importWallet(
+        { type: sourceType, privateKey, mnemonic, basePath, count, keystore, keystorePassword, label },
+        needsPassword ? password : null,
+        (value) => setProgress(Math.round(value * 100))
+      )
+
       // 通知父组件
       if (onWalletImported) {
         onWalletImported(walletData)
       }
-      
-      setPrivateKey('') // 清空输入框
+
+      // 清空输入框
+      setPrivateKey('')
+      setMnemonic('')
+      setKeystore('')
+      setKeystoreName('')
+      setKeystorePassword('')
+      setLabel('')
+      setPassword('')
+      setConfirmPassword('')
     } catch (err) {
-      setError(err.message || '导入失败，请检查私钥格式')
+      setError(err.message || '导入失败，请检查输入')
     } finally {
       setLoading(false)
     }
   }
 
-  // 清除钱包
-  const handleClear = () => {
-    // 清除localStorage（使用统一的storage工具）
-    removeWallet()
-    // 重置本地状态
-    setWallet(null)
-    setPrivateKey('')
-    setError('')
-    // 通知父组件钱包已断开
-    if (onWalletImported) {
-      onWalletImported(null)
+  const sourceTabs = [
+    {
+      key: WALLET_SOURCES.PRIVATE_KEY,
+      label: '私钥',
+      children: (
+        <Input.Password
+          placeholder="请输入私钥（64位十六进制，可选0x前缀）"
+          value={privateKey}
+          onChange={(e) => setPrivateKey(e.target.value)}
+          iconRender={(visible) => (visible ? <EyeOutlined /> : <EyeInvisibleOutlined />)}
+          visibilityToggle={{ visible: showKey, onVisibleChange: setShowKey }}
+        />
+      )
+    },
+    {
+      key: WALLET_SOURCES.MNEMONIC,
+      label: '助记词',
+      children: (
+        <Space direction="vertical" style={{ width: '100%' }}>
+          <Input.TextArea
+            rows={3}
+            placeholder="12 或 24 个单词，以空格分隔"
+            value={mnemonic}
+            onChange={(e) => setMnemonic(e.target.value)}
+          />
+          <Space.Compact style={{ width: '100%' }}>
+            <Input
+              addonBefore="基础路径"
+              value={basePath}
+              onChange={(e) => setBasePath(e.target.value)}
+            />
+            <InputNumber
+              addonBefore="账户数"
+              min={1}
+              max={SESSION_CONFIG.MAX_HD_IMPORT_COUNT}
+              value={count}
+              onChange={(value) => setCount(value || 1)}
+              style={{ width: 160 }}
+            />
+          </Space.Compact>
+          <span style={{ fontSize: '12px', color: '#888' }}>
+            账户路径为 基础路径/0、/1、/2…；之后可在钱包簿中继续派生子账户
+          </span>
+        </Space>
+      )
+    },
+    {
+      key: WALLET_SOURCES.KEYSTORE,
+      label: 'Keystore',
+      children: (
+        <Space direction="vertical" style={{ width: '100%' }}>
+          <Upload beforeUpload={handleKeystoreFile} showUploadList={false} accept=".json,application/json">
+            <Button icon={<UploadOutlined />}>{keystoreName || '选择 keystore 文件'}</Button>
+          </Upload>
+          <Input.Password
+            placeholder="keystore 文件密码"
+            value={keystorePassword}
+            onChange={(e) => setKeystorePassword(e.target.value)}
+          />
+        </Space>
+      )
     }
+  ]
+
+  const form = (
+    <Space direction="vertical" style={{ width: '100%' }}>
+      <Title level={5}>导入钱包</Title>
+      <Tabs
+        size="small"
+        activeKey={sourceType}
+        onChange={(key) => {
+          setSourceType(key)
+          setError('')
+        }}
+        items={sourceTabs}
+      />
+      <Input
+        placeholder="钱包标签（可选，如：网格资金）"
+        value={label}
+        onChange={(e) => setLabel(e.target.value)}
+      />
+      {needsPassword && (
+        <>
+          <Input.Password
+            placeholder={`设置解锁密码（至少${SESSION_CONFIG.MIN_PASSWORD_LENGTH}位）`}
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+          />
+          <Input.Password
+            placeholder="再次输入密码"
+            value={confirmPassword}
+            onChange={(e) => setConfirmPassword(e.target.value)}
+          />
+        </>
+      )}
+      {error && <Alert message={error} type="error" showIcon />}
+      {loading && <Progress percent={progress} size="small" status="active" />}
+      <Button
+        type="primary"
+        onClick={handleImport}
+        loading={loading}
+        disabled={!sourceFilled || (needsPassword && !password)}
+        block
+      >
+        导入钱包
+      </Button>
+      <Alert
+        message="安全提示"
+        description="私钥经密码加密后保存在本地浏览器，每次打开需输入密码解锁，密码遗忘无法找回。建议仅使用测试钱包。"
+        type="warning"
+        showIcon
+      />
+    </Space>
+  )
+
+  if (!bordered) {
+    return form
   }
 
   return (
-    <Card 
+    <Card
       title={
         <Space>
           <WalletOutlined />
@@ -83,51 +216,7 @@ export default function WalletImport({ onWalletImported }) {
         </Space>
       }
     >
-      {wallet ? (
-        <Space direction="vertical" style={{ width: '100%' }}>
-          <Alert
-            message="钱包已连接"
-            description={
-              <div>
-                <Text strong>地址：</Text>
-                <Text copyable>{wallet.address}</Text>
-              </div>
-            }
-            type="success"
-            showIcon
-          />
-          <Button danger onClick={handleClear}>
-            断开钱包
-          </Button>
-        </Space>
-      ) : (
-        <Space direction="vertical" style={{ width: '100%' }}>
-          <Title level={5}>导入私钥</Title>
-          <Input.Password
-            placeholder="请输入私钥（64位十六进制，可选0x前缀）"
-            value={privateKey}
-            onChange={(e) => setPrivateKey(e.target.value)}
-            iconRender={(visible) => (visible ? <EyeOutlined /> : <EyeInvisibleOutlined />)}
-            visibilityToggle={{ visible: showKey, onVisibleChange: setShowKey }}
-          />
-          {error && <Alert message={error} type="error" showIcon />}
-          <Button 
-            type="primary" 
-            onClick={handleImport}
-            loading={loading}
-            disabled={!privateKey}
-            block
-          >
-            导入钱包
-          </Button>
-          <Alert
-            message="安全提示"
-            description="私钥仅保存在本地浏览器，请妥善保管。建议仅使用测试钱包。"
-            type="warning"
-            showIcon
-          />
-        </Space>
-      )}
+      {form}
     </Card>
   )
 }
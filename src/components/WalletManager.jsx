@@ -0,0 +1,218 @@
+import { useState, useEffect } from 'react'
+import { Card, Table, Tag, Button, Space, Switch, Modal, Popconfirm, Typography, Tooltip, message } from 'antd'
+import { WalletOutlined, PlusOutlined, InboxOutlined, RollbackOutlined, DeleteOutlined, BranchesOutlined } from '@ant-design/icons'
+import WalletImport from './WalletImport'
+import walletSession from '../services/session'
+import {
+  WALLET_SOURCES,
+  getWallets,
+  getActiveWallet,
+  renameWallet,
+  deleteWallet,
+  subscribeWallets
+} from '../services/walletBook'
+import { getBots } from '../utils/storage'
+import { log } from '../utils/logger'
+
+const { Text } = Typography
+
+const SOURCE_LABELS = {
+  [WALLET_SOURCES.PRIVATE_KEY]: '私钥',
+  [WALLET_SOURCES.MNEMONIC]: '助记词',
+  [WALLET_SOURCES.KEYSTORE]: 'Keystore'
+}
+
+/**
+ * WalletManager - 钱包簿
+ * 列出所有钱包，可导入新钱包、修改标签、归档或删除，助记词钱包可派生子账户；不同机器人可绑定不同钱包以隔离资金
+ */
+export default function WalletManager() {
+  const [showArchived, setShowArchived] = useState(false)
+  const [wallets, setWallets] = useState(getWallets({ includeArchived: true }))
+  const [isImportOpen, setIsImportOpen] = useState(false)
+  const [deriving, setDeriving] = useState(null) // 正在派生子账户的钱包ID
+
+  useEffect(() => {
+    return subscribeWallets(() => setWallets(getWallets({ includeArchived: true })))
+  }, [])
+
+  const activeId = getActiveWallet()?.id
+
+  // 绑定该钱包的机器人数量
+  const boundBots = (walletId) => getBots().filter(bot => bot.config?.walletId === walletId)
+
+  const handleRestore = async (walletId) => {
+    try {
+      if (!walletSession.restoreArchived(walletId) && walletSession.isUnlocked()) {
+        message.info('已取消归档，重新解锁后即可使用该钱包')
+      }
+    } catch (error) {
+      log.error('取消归档失败', error)
+      message.error(error.message)
+    }
+  }
+
+  // 从同一助记词派生下一个子账户
+  const handleDerive = async (walletId) => {
+    setDeriving(walletId)
+    try {
+      const wallet = await walletSession.deriveSubAccount(walletId)
+      message.success(`已派生 ${wallet.label}`)
+    } catch (error) {
+      log.error('派生子账户失败', error)
+      message.error(error.message)
+    } finally {
+      setDeriving(null)
+    }
+  }
+
+  const handleRename = (walletId, label) => {
+    try {
+      renameWallet(walletId, label)
+    } catch (error) {
+      message.error(error.message)
+    }
+  }
+
+  const columns = [
+    {
+      title: '标签',
+      dataIndex: 'label',
+      key: 'label',
+      width: 160,
+      render: (label, record) => (
+        <Space>
+          <Text editable={{ onChange: (value) => handleRename(record.id, value) }} strong={record.id === activeId}>
+            {label}
+          </Text>
+          {record.id === activeId && <Tag color="blue">当前</Tag>}
+          {record.archived && <Tag>已归档</Tag>}
+        </Space>
+      )
+    },
+    {
+      title: '地址',
+      dataIndex: 'address',
+      key: 'address',
+      width: 200,
+      render: (address) => (
+        <Text copyable={{ text: address }} style={{ fontFamily: 'monospace', fontSize: '12px' }}>
+          {address.slice(0, 10)}...{address.slice(-8)}
+        </Text>
+      )
+    },
+    {
+      title: '来源',
+      dataIndex: 'source',
+      key: 'source',
+      width: 110,
+      render: (source, record) => record.hd ? (
+        <Tooltip title={`${record.hd.basePath}/${record.hd.index}`}>
+          <Tag color="cyan">HD #{record.hd.index}</Tag>
+        </Tooltip>
+      ) : <Tag>{SOURCE_LABELS[source] || source}</Tag>
+    },
+    {
+      title: '机器人',
+      key: 'bots',
+      width: 80,
+      render: (_, record) => boundBots(record.id).length
+    },
+    {
+      title: '操作',
+      key: 'actions',
+      width: 130,
+      render: (_, record) => (
+        <Space size={4}>
+          {record.hd && !record.archived && (
+            <Tooltip title="派生子账户">
+              <Button
+                size="small"
+                icon={<BranchesOutlined />}
+                loading={deriving === record.id}
+                onClick={() => handleDerive(record.id)}
+              />
+            </Tooltip>
+          )}
+          {record.archived ? (
+            <Tooltip title="取消归档">
+              <Button size="small" icon={<RollbackOutlined />} onClick={() => handleRestore(record.id)} />
+            </Tooltip>
+          ) : (
+            <Popconfirm
+              title="归档该钱包？"
+              description="归档后不再出现在钱包选择中，交易记录保留"
+              okText="归档"
+              cancelText="返回"
+              disabled={boundBots(record.id).length > 0}
+              onConfirm={() => walletSession.archive(record.id)}
+            >
+              <Tooltip title={boundBots(record.id).length > 0 ? '有机器人绑定该钱包，不能归档' : '归档'}>
+                <Button size="small" icon={<InboxOutlined />} disabled={boundBots(record.id).length > 0} />
+              </Tooltip>
+            </Popconfirm>
+          )}
+          <Popconfirm
+            title="删除该钱包？"
+            description="keystore 将从本地删除，请确认已备份私钥"
+            okText="删除"
+            cancelText="返回"
+            okButtonProps={{ danger: true }}
+            disabled={boundBots(record.id).length > 0}
+            onConfirm={() => deleteWallet(record.id)}
+          >
+            <Button size="small" danger icon={<DeleteOutlined />} disabled={boundBots(record.id).length > 0} />
+          </Popconfirm>
+        </Space>
+      )
+    }
+  ]
+
+  const visible = showArchived ? wallets : wallets.filter(w => !w.archived)
+
+  return (
+    <Card
+      title={
+        <Space>
+          <WalletOutlined />
+          <span>钱包簿</span>
+          <Tag>{wallets.filter(w => !w.archived).length}</Tag>
+        </Space>
+      }
+      extra={
+        <Space>
+          <Switch size="small" checked={showArchived} onChange={setShowArchived} />
+          <span style={{ fontSize: '12px', color: '#888' }}>显示已归档</span>
+          <Button type="primary" size="small" icon={<PlusOutlined />} onClick={() => setIsImportOpen(true)}>
+            导入钱包
+          </Button>
+        </Space>
+      }
+    >
+      <Table
+        columns={columns}
+        dataSource={visible}
+        rowKey="id"
+        size="small"
+        pagination={false}
+        scroll={{ x: 680 }}
+      />
+
+      <Modal
+        title="导入钱包"
+        open={isImportOpen}
+        onCancel={() => setIsImportOpen(false)}
+        footer={null}
+        destroyOnClose
+      >
+        <WalletImport
+          bordered={false}
+          onWalletImported={(wallet) => {
+            message.success(`已导入 ${wallet.label}`)
+            setIsImportOpen(false)
+          }}
+        />
+      </Modal>
+    </Card>
+  )
+}
@@ -0,0 +1,54 @@
+import { useState, useEffect } from 'react'
+import { Select, message } from 'antd'
+import { WalletOutlined } from '@ant-design/icons'
+import { getWallets, getActiveWallet, setActiveWallet, subscribeWallets } from '../services/walletBook'
+
+/**
+ * WalletSwitcher - 顶部钱包切换
+ * 切换当前钱包（手动交易、余额、新建机器人默认使用的钱包）
+ */
+export default function WalletSwitcher({ compact = false }) {
+  const [wallets, setWallets] = useState(getWallets())
+  const [active, setActive] = useState(getActiveWallet())
+
+  useEffect(() => {
+    return subscribeWallets((next) => {
+      setWallets(next)
+      setActive(getActiveWallet())
+    })
+  }, [])
+
+  const handleChange = (walletId) => {
+    try {
+      setActiveWallet(walletId)
+    } catch (error) {
+      message.error(error.message)
+    }
+  }
+
+  if (!active) {
+    return null
+  }
+
+  return (
+    <Select
+      value={active.id}
+      onChange={handleChange}
+      style={{ minWidth: compact ? 110 : 200 }}
+      size="small"
+      suffixIcon={<WalletOutlined />}
+      popupMatchSelectWidth={false}
+    >
+      {wallets.map(w => (
+        <Select.Option key={w.id} value={w.id}>
+          {w.label}
+          {!compact && (
+            <span style={{ color: '#888', marginLeft: 6, fontFamily: 'monospace', fontSize: '12px' }}>
+              {w.address.slice(0, 6)}...{w.address.slice(-4)}
+            </span>
+          )}
+        </Select.Option>
+      ))}
+    </Select>
+  )
+}
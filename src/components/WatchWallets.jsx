@@ -0,0 +1,187 @@
+import { useState, useEffect } from 'react'
+import { Card, Table, Tag, Button, Space, Input, Popconfirm, Typography, Tooltip, message } from 'antd'
+import { EyeOutlined, PlusOutlined, SyncOutlined, DeleteOutlined, WalletOutlined } from '@ant-design/icons'
+import WalletBalance from './WalletBalance'
+import { createProvider } from '../services/wallet'
+import addressWatcher from '../services/watcher'
+import { getActiveNetwork } from '../services/networks'
+import {
+  getWatchWallets,
+  addWatchWallet,
+  renameWatchWallet,
+  removeWatchWallet,
+  subscribeWallets
+} from '../services/walletBook'
+import { log } from '../utils/logger'
+
+const { Text } = Typography
+
+/**
+ * WatchWallets - 观察地址
+ * 只读地址（无私钥）：查看余额、索引链上成交（在交易记录中按地址筛选查看），可作为信号跟随机器人的信号源
+ */
+export default function WatchWallets() {
+  const network = getActiveNetwork()
+  const [watchWallets, setWatchWallets] = useState(getWatchWallets())
+  const [address, setAddress] = useState('')
+  const [label, setLabel] = useState('')
+  const [selectedId, setSelectedId] = useState(null) // 显示余额的观察地址
+  const [syncing, setSyncing] = useState(null) // 正在同步的观察地址ID
+
+  useEffect(() => {
+    return subscribeWallets(() => setWatchWallets(getWatchWallets()))
+  }, [])
+
+  const handleAdd = () => {
+    try {
+      const wallet = addWatchWallet(address, label)
+      setAddress('')
+      setLabel('')
+      setSelectedId(wallet.id)
+    } catch (error) {
+      message.error(error.message)
+    }
+  }
+
+  const handleRename = (watchId, value) => {
+    try {
+      renameWatchWallet(watchId, value)
+    } catch (error) {
+      message.error(error.message)
+    }
+  }
+
+  // 索引该地址在当前网络上的新成交
+  const handleSync = async (wallet) => {
+    setSyncing(wallet.id)
+    try {
+      const trades = await addressWatcher.indexAddress(createProvider(), wallet.address)
+      message.success(trades.length > 0 ? `新增 ${trades.length} 笔成交，可在交易记录中查看` : '没有新成交')
+      setWatchWallets(getWatchWallets())
+    } catch (error) {
+      log.error('同步观察地址成交失败', error)
+      message.error(error.message)
+    } finally {
+      setSyncing(null)
+    }
+  }
+
+  const handleRemove = (watchId) => {
+    removeWatchWallet(watchId)
+    if (selectedId === watchId) {
+      setSelectedId(null)
+    }
+  }
+
+  const columns = [
+    {
+      title: '标签',
+      dataIndex: 'label',
+      key: 'label',
+      width: 150,
+      render: (text, record) => (
+        <Text editable={{ onChange: (value) => handleRename(record.id, value) }}>{text}</Text>
+      )
+    },
+    {
+      title: '地址',
+      dataIndex: 'address',
+      key: 'address',
+      width: 200,
+      render: (value) => (
+        <Text copyable={{ text: value }} style={{ fontFamily: 'monospace', fontSize: '12px' }}>
+          {value.slice(0, 10)}...{value.slice(-8)}
+        </Text>
+      )
+    },
+    {
+      title: '已索引成交',
+      key: 'trades',
+      width: 100,
+      render: (_, record) => addressWatcher.getTrades(record.address, network.id).length
+    },
+    {
+      title: '操作',
+      key: 'actions',
+      width: 130,
+      render: (_, record) => (
+        <Space size={4}>
+          <Tooltip title="查看余额">
+            <Button
+              size="small"
+              type={selectedId === record.id ? 'primary' : 'default'}
+              icon={<WalletOutlined />}
+              onClick={() => setSelectedId(selectedId === record.id ? null : record.id)}
+            />
+          </Tooltip>
+          <Tooltip title="同步链上成交">
+            <Button
+              size="small"
+              icon={<SyncOutlined />}
+              loading={syncing === record.id}
+              onClick={() => handleSync(record)}
+            />
+          </Tooltip>
+          <Popconfirm
+            title="删除该观察地址？"
+            description="已索引的成交记录保留"
+            okText="删除"
+            cancelText="返回"
+            okButtonProps={{ danger: true }}
+            onConfirm={() => handleRemove(record.id)}
+          >
+            <Button size="small" danger icon={<DeleteOutlined />} />
+          </Popconfirm>
+        </Space>
+      )
+    }
+  ]
+
+  const selected = watchWallets.find(w => w.id === selectedId)
+
+  return (
+    <Card
+      title={
+        <Space>
+          <EyeOutlined />
+          <span>观察地址</span>
+          <Tag>{watchWallets.length}</Tag>
+        </Space>
+      }
+    >
+      <Space.Compact style={{ width: '100%', marginBottom: 16 }}>
+        <Input
+          placeholder="要观察的地址 0x..."
+          value={address}
+          onChange={(e) => setAddress(e.target.value)}
+          style={{ fontFamily: 'monospace' }}
+        />
+        <Input
+          placeholder="标签（可选）"
+          value={label}
+          onChange={(e) => setLabel(e.target.value)}
+          style={{ width: 180 }}
+        />
+        <Button type="primary" icon={<PlusOutlined />} onClick={handleAdd} disabled={!address.trim()}>
+          添加
+        </Button>
+      </Space.Compact>
+
+      <Table
+        columns={columns}
+        dataSource={watchWallets}
+        rowKey="id"
+        size="small"
+        pagination={false}
+        scroll={{ x: 580 }}
+        locale={{ emptyText: '暂无观察地址' }}
+      />
+
+      {selected && (
+        <div style={{ marginTop: 16 }}>
+          <WalletBalance wallets={[selected]} title={`${selected.label} 余额`} />
+        </div>
+      )}
+    </Card>
+  )
+}
@@ -0,0 +1,64 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { SNAPSHOT_APP, SNAPSHOT_VERSION, validateSnapshot } from '../utils/storage'
+
+/**
+ * 文件存储后端（守护进程使用）
+ * 实现 localStorage 的 getItem / setItem / removeItem，数据以数据快照格式（与浏览器导出文件相同）保存在一个 JSON 文件中，
+ * 浏览器可直接导入该文件查看守护进程的交易记录和日志
+ */
+
+export const FILE_STORAGE_CONFIG = {
+  FLUSH_DELAY_MS: 1000 // 写入合并间隔（日志频繁写入时避免每次都重写文件）
+}
+
+export class FileStorage {
+  /**
+   * @param {string} filePath - 数据文件路径，不存在时新建
+   */
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath)
+    this.data = {}
+    this.flushTimer = null
+
+    if (fs.existsSync(this.filePath)) {
+      const snapshot = JSON.parse(fs.readFileSync(this.filePath, 'utf8'))
+      this.data = validateSnapshot(snapshot).data
+    }
+  }
+
+  getItem(key) {
+    return key in this.data ? JSON.stringify(this.data[key]) : null
+  }
+
+  setItem(key, value) {
+    this.data[key] = JSON.parse(value)
+    this.scheduleFlush()
+  }
+
+  removeItem(key) {
+    delete this.data[key]
+    this.scheduleFlush()
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return
+    this.flushTimer = setTimeout(() => this.flush(), FILE_STORAGE_CONFIG.FLUSH_DELAY_MS)
+  }
+
+  /**
+   * 立即写入文件（先写临时文件再改名，进程中断时不会留下写了一半的文件）
+   */
+  flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer)
+      this.flushTimer = null
+    }
+    const snapshot = { app: SNAPSHOT_APP, version: SNAPSHOT_VERSION, exportedAt: new Date().toISOString(), data: this.data }
+    const tempPath = `${this.filePath}.tmp`
+    fs.writeFileSync(tempPath, JSON.stringify(snapshot, null, 2))
+    fs.renameSync(tempPath, this.filePath)
+  }
+}
+
+export default FileStorage
@@ -0,0 +1,191 @@
+/**
+ * SwapX 守护进程 - 无界面运行机器人（关闭浏览器后继续交易）
+ * 用浏览器导出的数据文件（或配置文件中的机器人定义、钱包 keystore）运行机器人，
+ * 策略、交易、日志与浏览器共用同一套服务代码；交易记录和日志以相同格式写入数据文件，浏览器可在「策略机器人」页面导入查看
+ *
+ * 构建：npm run daemon:build
+ * 运行：SWAPX_PASSWORD=钱包密码 npm run daemon -- --data ./swapx-data.json [--import ./导出文件.json] [--bots 机器人ID,...] [--config ./daemon.json]
+ *
+ * 配置文件（可选，命令行参数优先）：
+ * {
+ *   "data": "./swapx-data.json",        // 数据文件（读写）
+ *   "import": "./swapx-data-xxx.json",  // 数据文件不存在时用浏览器导出文件初始化
+ *   "passwordFile": "./password.txt",   // 未设置 SWAPX_PASSWORD 时从文件读取密码
+ *   "wallets": [{ "label": "...", "keystore": "加密 JSON keystore" }],  // 与钱包簿使用同一密码
+ *   "bots": ["机器人ID", { "id": "...", "name": "...", "type": "grid", "config": { "walletId": "钱包ID或地址", ... } }]
+ * }
+ * 未指定机器人时运行数据文件中处于运行状态的机器人（即浏览器导出时正在运行的机器人）
+ */
+
+import fs from 'node:fs'
+import path from 'node:path'
+import { parseArgs } from 'node:util'
+import { FileStorage } from './fileStorage'
+import { setStorageBackend, validateSnapshot } from '../utils/storage'
+
+export const DAEMON_CONFIG = {
+  DEFAULT_DATA_FILE: './swapx-data.json',
+  PASSWORD_ENV: 'SWAPX_PASSWORD',
+  SYNC_INTERVAL_SECONDS: 30 // 同步机器人统计、检查机器人是否已自行停止的间隔
+}
+
+/**
+ * 读取命令行参数和配置文件
+ */
+const loadOptions = () => {
+  const { values } = parseArgs({
+    options: {
+      config: { type: 'string' },
+      data: { type: 'string' },
+      import: { type: 'string' },
+      bots: { type: 'string' }
+    }
+  })
+
+  let config = {}
+  let baseDir = process.cwd()
+  if (values.config) {
+    config = JSON.parse(fs.readFileSync(values.config, 'utf8'))
+    baseDir = path.dirname(path.resolve(values.config))
+  }
+  // 配置文件中的相对路径相对于配置文件所在目录
+  const fromConfig = (file) => file && path.resolve(baseDir, file)
+
+  return {
+    dataFile: values.data || fromConfig(config.data) || DAEMON_CONFIG.DEFAULT_DATA_FILE,
+    importFile: values.import || fromConfig(config.import),
+    passwordFile: fromConfig(config.passwordFile),
+    wallets: config.wallets || [],
+    bots: values.bots ? values.bots.split(',').map(id => id.trim()).filter(Boolean) : config.bots || []
+  }
+}
+
+// 数据文件存储（启动失败退出前也要写入）
+let storage = null
+
+const readPassword = (passwordFile) => {
+  const password = process.env[DAEMON_CONFIG.PASSWORD_ENV] ||
+    (passwordFile ? fs.readFileSync(passwordFile, 'utf8').trim() : '')
+  if (!password) {
+    throw new Error(`请通过环境变量 ${DAEMON_CONFIG.PASSWORD_ENV} 或配置文件的 passwordFile 提供钱包密码`)
+  }
+  return password
+}
+
+const main = async () => {
+  const options = loadOptions()
+  const password = readPassword(options.passwordFile)
+
+  // 先切换存储后端，再加载读写存储的服务
+  storage = new FileStorage(options.dataFile)
+  if (Object.keys(storage.data).length === 0 && options.importFile) {
+    storage.data = validateSnapshot(JSON.parse(fs.readFileSync(options.importFile, 'utf8'))).data
+    storage.flush()
+  }
+  setStorageBackend(storage)
+
+  const { log } = await import('../utils/logger')
+  const { getBots, saveBots } = await import('../utils/storage')
+  const { WALLET_SOURCES, addWallet, findWalletByAddress } = await import('../services/walletBook')
+  const { default: walletSession } = await import('../services/session')
+
+  log.info('守护进程启动', { dataFile: storage.filePath })
+
+  // 配置文件中的钱包 keystore 加入钱包簿（已存在的地址跳过）
+  options.wallets.forEach(({ label, keystore }) => {
+    const json = typeof keystore === 'string' ? keystore : JSON.stringify(keystore)
+    const address = `0x${JSON.parse(json).address.replace(/^0x/, '')}`
+    if (!findWalletByAddress(address)) {
+      addWallet({ address, keystore: json, label, source: WALLET_SOURCES.KEYSTORE })
+    }
+  })
+
+  // 配置文件中的机器人定义写入机器人列表；指定了机器人时只运行指定的机器人
+  let bots = getBots()
+  if (options.bots.length > 0) {
+    const definitions = options.bots.filter(bot => typeof bot === 'object')
+    definitions.forEach(bot => {
+      const walletId = bot.config?.walletId
+      const wallet = walletId?.startsWith('0x') ? findWalletByAddress(walletId) : null
+      const defined = {
+        stats: { totalTrades: 0, successTrades: 0, failedTrades: 0, totalVolume: 0, runningTime: 0 },
+        createdAt: new Date().toISOString(),
+        ...bot,
+        config: wallet ? { ...bot.config, walletId: wallet.id } : bot.config
+      }
+      bots = [...bots.filter(b => b.id !== bot.id), defined]
+    })
+    const selected = new Set(options.bots.map(bot => (typeof bot === 'object' ? bot.id : bot)))
+    const missing = [...selected].filter(id => !bots.some(b => b.id === id))
+    if (missing.length > 0) {
+      throw new Error(`数据文件中没有这些机器人: ${missing.join(', ')}`)
+    }
+    bots = bots.map(bot => ({ ...bot, isRunning: selected.has(bot.id) }))
+    saveBots(bots)
+  }
+  if (!bots.some(bot => bot.isRunning)) {
+    throw new Error('没有要运行的机器人：请用 --bots 指定，或导出浏览器中正在运行的机器人')
+  }
+
+  // 机器人列表确定后再加载 BotRunner（加载时即续跑模拟盘机器人）
+  const { default: botRunner } = await import('../services/BotRunner')
+
+  // 守护进程不自动锁定；解锁后 BotRunner 自动启动所有处于运行状态的实盘机器人
+  walletSession.setAutoLockMinutes(0)
+  await walletSession.unlock(password)
+
+  // 同步策略的交易统计（见 BaseStrategy.getTradeStats，与策略类型无关）到机器人列表（与浏览器中机器人卡片的统计字段相同），已自行停止的机器人标记为停止
+  const syncBots = () => {
+    saveBots(getBots().map(bot => {
+      if (!bot.isRunning) return bot
+      const strategy = botRunner.getStrategy(bot.id)
+      if (!strategy || !strategy.isRunning) {
+        log.warning('机器人已停止', { id: bot.id, name: bot.name })
+        return { ...bot, isRunning: false }
+      }
+      const { totalTrades, totalVolume } = strategy.getTradeStats()
+      return {
+        ...bot,
+        stats: {
+          ...bot.stats,
+          runningTime: Math.floor((Date.now() - botRunner.getStartTime(bot.id)) / 1000),
+          totalTrades,
+          successTrades: totalTrades,
+          totalVolume
+        }
+      }
+    }))
+  }
+
+  const shutdown = (reason, code = 0) => {
+    syncBots()
+    // 保留机器人的运行状态，下次启动守护进程时继续运行
+    botRunner.cleanupAll(reason)
+    storage.flush()
+    process.exit(code)
+  }
+
+  const running = botRunner.getRunningStrategies()
+  if (running.length === 0) {
+    log.error('没有机器人成功启动')
+    shutdown('没有机器人成功启动', 1)
+  }
+  log.success(`守护进程运行中: ${running.length} 个机器人`, running.map(({ botId }) => botId))
+
+  setInterval(() => {
+    syncBots()
+    if (botRunner.getRunningStrategies().length === 0) {
+      log.warning('所有机器人都已停止，守护进程退出')
+      shutdown('所有机器人已停止')
+    }
+  }, DAEMON_CONFIG.SYNC_INTERVAL_SECONDS * 1000)
+
+  process.on('SIGINT', () => shutdown('守护进程收到 SIGINT'))
+  process.on('SIGTERM', () => shutdown('守护进程收到 SIGTERM'))
+}
+
+main().catch((error) => {
+  console.error(`[守护进程] 启动失败: ${error.message}`)
+  storage?.flush()
+  process.exit(1)
+})
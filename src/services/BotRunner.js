@@ -1,14 +1,126 @@
 /**
  * BotRunner - 全局机器人运行管理器
  * 独立于React组件生命周期，确保机器人持续运行
+ * 策略状态变化时保存快照（swapx_bot_states），页面重新加载并解锁钱包后恢复状态并自动续跑之前运行中的机器人
+ * 模拟盘机器人（config.executionMode: 'paper'）的策略使用 PaperSwapService，按实时价格记账，不发送交易
  */
 
 import { log } from '../utils/logger'
+import { getBots, saveBots, getBotState, saveBotState, removeBotState } from '../utils/storage'
+import { createProvider } from './wallet'
+import { subscribePoolReplaced } from './providerPool'
+import { DEFAULT_NETWORK_ID } from './networks'
+import walletSession from './session'
+import { getStrategyClass } from './strategies'
+import { PaperSwapService, isPaperBot, createPaperSigner } from './strategies/paperSwapService'
 
 class BotRunner {
   constructor() {
     this.strategies = new Map() // 策略实例
     this.timers = new Map() // 统计定时器
+    this.startTimes = new Map() // 启动时间（续跑时沿用原启动时间）
+    this.listeners = new Set()
+    subscribePoolReplaced((pool, previous) => this.rebindProvider(pool, previous))
+  }
+
+  /**
+   * RPC 地址变化重建节点池后，运行中的机器人改连新实例（旧实例随即被销毁）
+   */
+  rebindProvider(pool, previous) {
+    this.strategies.forEach((strategy, botId) => {
+      if (strategy.wallet?.provider === previous) {
+        strategy.wallet = strategy.wallet.connect(pool)
+        log.info('RPC 节点已变更，机器人已切换到新的节点池', { botId })
+      }
+    })
+  }
+
+  /**
+   * 创建并启动机器人的策略
+   * 配置未变化时从快照恢复策略状态（网格持仓、定投进度、统计等）
+   * @param {Object} bot - 机器人 { id, type, config }
+   * @param {Object} options - { resume: 页面重新加载后的自动续跑 }
+   * @returns {Object} 策略实例
+   */
+  startBot(bot, { resume = false } = {}) {
+    const StrategyClass = getStrategyClass(bot.type)
+
+    // 实盘从已解锁的会话获取机器人绑定钱包的签名者（provider 连接到机器人绑定的网络）；
+    // 模拟盘不发送交易，使用绑定钱包地址的只读签名者，不要求钱包已解锁
+    const provider = createProvider(bot.config.networkId || DEFAULT_NETWORK_ID)
+    const paper = isPaperBot(bot)
+    const wallet = paper ? createPaperSigner(bot.config.walletId, provider) : walletSession.getSigner(bot.config.walletId, provider)
+    const swapService = paper ? new PaperSwapService(bot.id, bot.config) : null
+    const strategy = new StrategyClass(bot.config, wallet, swapService)
+    if (swapService) {
+      log.info('机器人以模拟盘运行，不发送链上交易', { botId: bot.id })
+    }
+
+    const snapshot = getBotState(bot.id)
+    if (snapshot && JSON.stringify(snapshot.config) === JSON.stringify(bot.config)) {
+      strategy.restore(snapshot.state)
+      log.info('已恢复机器人状态', { botId: bot.id, updatedAt: snapshot.updatedAt })
+    } else if (snapshot) {
+      log.info('机器人配置已修改，不恢复之前的状态', { botId: bot.id })
+    }
+
+    const startedAt = resume && snapshot?.startedAt ? snapshot.startedAt : Date.now()
+    strategy.onStateChange = (state) => {
+      saveBotState(bot.id, { config: bot.config, state, startedAt, updatedAt: new Date().toISOString() })
+      this.notify(bot.id)
+    }
+
+    this.registerStrategy(bot.id, strategy)
+    try {
+      this.startStrategy(bot.id)
+    } catch (error) {
+      this.strategies.delete(bot.id)
+      throw error
+    }
+    this.startTimes.set(bot.id, startedAt)
+    strategy.persistState()
+    this.notify()
+    return strategy
+  }
+
+  /**
+   * 续跑页面关闭前运行中的机器人（swapx_bots 中 isRunning 为 true 但没有策略实例）
+   * 模拟盘不需要签名，加载时立即续跑；实盘等钱包解锁后续跑；启动失败的机器人标记为已停止
+   */
+  resumeBots() {
+    const unlocked = walletSession.isUnlocked()
+    const pending = getBots().filter(bot => bot.isRunning && !this.strategies.has(bot.id) && (unlocked || isPaperBot(bot)))
+    if (pending.length === 0) return
+
+    const failed = []
+    pending.forEach(bot => {
+      try {
+        this.startBot(bot, { resume: true })
+        log.success('机器人已自动恢复运行', { id: bot.id, name: bot.name })
+      } catch (error) {
+        failed.push(bot.id)
+        log.error('恢复机器人失败', { id: bot.id, name: bot.name, message: error.message })
+      }
+    })
+
+    if (failed.length > 0) {
+      saveBots(getBots().map(bot => (failed.includes(bot.id) ? { ...bot, isRunning: false } : bot)))
+      this.notify()
+    }
+  }
+
+  /**
+   * 获取机器人的启动时间（毫秒时间戳）
+   */
+  getStartTime(botId) {
+    return this.startTimes.get(botId)
+  }
+
+  /**
+   * 删除机器人的状态快照（机器人被删除时）
+   */
+  clearState(botId) {
+    removeBotState(botId)
   }
 
   /**
@@ -49,6 +161,7 @@ class BotRunner {
       log.info('策略已停止', { botId, reason })
     }
     this.strategies.delete(botId)
+    this.startTimes.delete(botId)
     
     // 清理定时器
     const timer = this.timers.get(botId)
@@ -56,6 +169,7 @@ class BotRunner {
       clearInterval(timer)
       this.timers.delete(botId)
     }
+    this.notify()
   }
 
   /**
@@ -65,6 +179,33 @@ class BotRunner {
     this.timers.set(botId, timer)
   }
 
+  /**
+   * 是否已注册统计定时器
+   */
+  hasTimer(botId) {
+    return this.timers.has(botId)
+  }
+
+  /**
+   * 订阅机器人启停（包括自动续跑）和策略状态变化
+   * @param {Function} listener - (botId) => void，启停时 botId 为 undefined
+   * @returns {Function} 取消订阅
+   */
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  notify(botId) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(botId)
+      } catch (error) {
+        log.error('机器人监听器出错', error)
+      }
+    })
+  }
+
   /**
    * 获取所有运行中的策略
    */
@@ -88,6 +229,7 @@ class BotRunner {
 
   /**
    * 清理所有策略（仅在应用完全退出时调用）
+   * 不修改 swapx_bots 中的运行状态，下次打开并解锁后自动续跑
    */
   cleanupAll(reason = '应用退出') {
     log.warning('清理所有策略', { reason, count: this.strategies.size })
@@ -97,6 +239,7 @@ class BotRunner {
       }
     })
     this.strategies.clear()
+    this.startTimes.clear()
     
     this.timers.forEach(timer => clearInterval(timer))
     this.timers.clear()
@@ -113,4 +256,12 @@ if (typeof window !== 'undefined') {
   })
 }
 
+// 加载时续跑模拟盘机器人（已解锁时连同实盘），实盘机器人在钱包解锁后续跑（签名需要已解锁的会话）
+walletSession.subscribe((unlocked) => {
+  if (unlocked) {
+    botRunner.resumeBots()
+  }
+})
+botRunner.resumeBots()
+
 export default botRunner
@@ -0,0 +1,231 @@
+import { ethers } from 'ethers'
+import { approveToken } from './wallet'
+import { resolveNetwork } from './networks'
+import { getTokens } from './tokenRegistry'
+import { getConfig, saveConfig, saveTrade, getTrades } from '../utils/storage'
+import { log, tradeLog } from '../utils/logger'
+
+/**
+ * 代币授权管理
+ * 按授权策略（无限 / 按单笔精确 / 固定额度）为 Router 授权，列出钱包的全部授权并支持一键撤销；
+ * 每笔授权交易作为 APPROVE 类型记入交易记录
+ * 策略保存在应用配置（swapx_config）的 approvalPolicy 字段中
+ */
+
+// 授权模式
+export const APPROVAL_MODES = {
+  INFINITE: 'infinite', // 授权最大值，之后不再需要授权
+  EXACT: 'exact',       // 每笔交易只授权本笔所需数量
+  CAPPED: 'capped'      // 授权固定额度（本笔所需更多时按所需数量）
+}
+
+export const APPROVAL_POLICY_DEFAULTS = {
+  mode: APPROVAL_MODES.EXACT,
+  capAmount: 1000 // 固定额度模式下的授权数量（代币单位）
+}
+
+export const ALLOWANCE_CONFIG = {
+  LOG_LOOKBACK_BLOCKS: 20000, // 扫描 Approval 事件发现授权对象时回溯的区块数
+  LOG_CHUNK_BLOCKS: 5000      // 单次 getLogs 查询的区块范围
+}
+
+const ERC20_ALLOWANCE_ABI = [
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'event Approval(address indexed owner, address indexed spender, uint256 value)'
+]
+const allowanceInterface = new ethers.Interface(ERC20_ALLOWANCE_ABI)
+const APPROVAL_TOPIC = allowanceInterface.getEvent('Approval').topicHash
+
+// 视为无限授权的下限（部分代币会在每次使用时扣减最大值授权）
+const UNLIMITED_THRESHOLD = ethers.MaxUint256 / 2n
+
+/**
+ * 获取当前授权策略（合并默认值）
+ */
+export const getApprovalPolicy = () => {
+  return { ...APPROVAL_POLICY_DEFAULTS, ...(getConfig().approvalPolicy || {}) }
+}
+
+/**
+ * 保存授权策略
+ * @param {Object} policy - 部分或完整的授权策略
+ */
+export const saveApprovalPolicy = (policy) => {
+  const config = getConfig()
+  return saveConfig({ ...config, approvalPolicy: { ...getApprovalPolicy(), ...policy } })
+}
+
+/**
+ * 按策略计算授权数量
+ * @param {bigint} required - 本笔交易所需数量（最小单位）
+ * @param {number} decimals - 代币精度
+ * @param {Object} policy - 授权策略
+ * @returns {bigint} 授权数量
+ */
+export const resolveApprovalAmount = (required, decimals, policy = getApprovalPolicy()) => {
+  if (policy.mode === APPROVAL_MODES.INFINITE) {
+    return ethers.MaxUint256
+  }
+  if (policy.mode === APPROVAL_MODES.CAPPED) {
+    const cap = ethers.parseUnits(String(policy.capAmount || 0), decimals)
+    return cap > required ? cap : required
+  }
+  return required
+}
+
+/**
+ * 授权对象的显示名称：当前网络的 Router 显示为 SwapX Router，其余显示缩写地址
+ */
+export const getSpenderLabel = (network, spender) => {
+  if (network.contracts.router && spender.toLowerCase() === network.contracts.router.toLowerCase()) {
+    return 'SwapX Router'
+  }
+  return `${spender.slice(0, 6)}...${spender.slice(-4)}`
+}
+
+/**
+ * 发送授权交易并记入交易记录（撤销即授权为 0）
+ * @param {Wallet} wallet - 钱包实例（已连接 provider）
+ * @param {Object} token - 代币配置 { address, symbol, decimals }
+ * @param {string} spender - 授权对象地址
+ * @param {bigint} amount - 授权数量（最小单位）
+ * @param {string} source - 来源：'auto'（交易前自动授权）| 'manual'（授权管理页面）
+ * @param {Object} options - 交易选项 { gasBudget, stuckPolicy }
+ * @returns {Promise<string>} 授权交易哈希
+ */
+export const approve = async (wallet, token, spender, amount, source = 'manual', options = {}) => {
+  const network = await resolveNetwork(wallet.provider)
+  const unlimited = amount >= UNLIMITED_THRESHOLD
+  const spenderLabel = getSpenderLabel(network, spender)
+  const amountText = unlimited ? '无限' : ethers.formatUnits(amount, token.decimals)
+  tradeLog.info(`${amount === 0n ? '撤销授权' : '授权'} ${token.symbol} -> ${spenderLabel}: ${amountText}`)
+
+  const hash = await approveToken(wallet, token.address, spender, amount, options)
+  const receipt = await wallet.provider.getTransactionReceipt(hash).catch(() => null)
+
+  saveTrade({
+    type: 'APPROVE',
+    source,
+    networkId: network.id,
+    wallet: wallet.address,
+    tokenFrom: token.symbol,
+    tokenTo: spenderLabel,
+    spender,
+    amountIn: unlimited ? null : parseFloat(ethers.formatUnits(amount, token.decimals)),
+    unlimited,
+    gasCost: receipt?.fee ? parseFloat(ethers.formatEther(receipt.fee)) : undefined,
+    txHash: hash,
+    status: 'success'
+  })
+
+  tradeLog.success(`${amount === 0n ? '撤销授权' : '授权'}成功: ${hash}`)
+  return hash
+}
+
+/**
+ * 交易前确保授权额度足够，不足时按授权策略授权
+ * @param {Wallet} wallet - 钱包实例
+ * @param {Object} token - 代币配置
+ * @param {string} spender - 授权对象（Router）
+ * @param {bigint} required - 本笔交易所需数量（最小单位）
+ * @param {Object} options - 交易选项 { gasBudget, stuckPolicy }（与本笔交易相同）
+ * @returns {Promise<string|null>} 授权交易哈希，额度足够时为 null
+ */
+export const ensureAllowance = async (wallet, token, spender, required, options = {}) => {
+  const contract = new ethers.Contract(token.address, ERC20_ALLOWANCE_ABI, wallet.provider)
+  const allowance = await contract.allowance(wallet.address, spender)
+  if (allowance >= required) {
+    return null
+  }
+
+  const policy = getApprovalPolicy()
+  tradeLog.warning(`授权额度不足，按${policy.mode === APPROVAL_MODES.INFINITE ? '无限' : policy.mode === APPROVAL_MODES.CAPPED ? '固定额度' : '精确'}授权策略授权...`)
+  return approve(wallet, token, spender, resolveApprovalAmount(required, token.decimals, policy), 'auto', options)
+}
+
+/**
+ * 查找地址授权过的对象：当前网络的 Router、交易记录中的授权对象，以及近期 Approval 事件中的授权对象
+ */
+const findSpenders = async (provider, network, owner, tokens) => {
+  const spenders = new Set()
+  if (network.contracts.router) {
+    spenders.add(ethers.getAddress(network.contracts.router))
+  }
+  getTrades()
+    .filter(t => t.type === 'APPROVE' && t.networkId === network.id && t.wallet?.toLowerCase() === owner.toLowerCase())
+    .forEach(t => spenders.add(ethers.getAddress(t.spender)))
+
+  try {
+    const latest = await provider.getBlockNumber()
+    let fromBlock = Math.max(0, latest - ALLOWANCE_CONFIG.LOG_LOOKBACK_BLOCKS)
+    while (fromBlock <= latest) {
+      const toBlock = Math.min(fromBlock + ALLOWANCE_CONFIG.LOG_CHUNK_BLOCKS - 1, latest)
+      const logs = await provider.getLogs({
+        address: tokens.map(t => t.address),
+        topics: [APPROVAL_TOPIC, ethers.zeroPadValue(owner, 32)],
+        fromBlock,
+        toBlock
+      })
+      logs.forEach(entry => spenders.add(ethers.getAddress(allowanceInterface.parseLog(entry).args.spender)))
+      fromBlock = toBlock + 1
+    }
+  } catch (error) {
+    log.warning('扫描授权事件失败，仅列出已知授权对象', { message: error.message }, true)
+  }
+
+  return [...spenders]
+}
+
+/**
+ * 列出地址在当前网络上全部非零授权（代币注册表中的代币 × 已知授权对象）
+ * @param {Provider} provider - 目标网络的 Provider
+ * @param {string} owner - 钱包地址
+ * @returns {Promise<Array<Object>>} [{ owner, token, spender, spenderLabel, amount, allowance, unlimited }]
+ */
+export const getAllowances = async (provider, owner) => {
+  const network = await resolveNetwork(provider)
+  const tokens = getTokens(network.chainId)
+  const spenders = await findSpenders(provider, network, owner, tokens)
+
+  const rows = await Promise.all(tokens.flatMap(token => spenders.map(async (spender) => {
+    const contract = new ethers.Contract(token.address, ERC20_ALLOWANCE_ABI, provider)
+    const allowance = await contract.allowance(owner, spender)
+    if (allowance === 0n) return null
+    return {
+      owner,
+      token,
+      spender,
+      spenderLabel: getSpenderLabel(network, spender),
+      allowance,
+      amount: parseFloat(ethers.formatUnits(allowance, token.decimals)),
+      unlimited: allowance >= UNLIMITED_THRESHOLD
+    }
+  })))
+
+  return rows.filter(Boolean)
+}
+
+/**
+ * 撤销授权（授权额度设为 0）
+ * @param {Wallet} wallet - 钱包实例
+ * @param {Object} token - 代币配置
+ * @param {string} spender - 授权对象地址
+ * @returns {Promise<string>} 交易哈希
+ */
+export const revokeAllowance = async (wallet, token, spender) => {
+  return approve(wallet, token, spender, 0n, 'manual')
+}
+
+export default {
+  APPROVAL_MODES,
+  APPROVAL_POLICY_DEFAULTS,
+  ALLOWANCE_CONFIG,
+  getApprovalPolicy,
+  saveApprovalPolicy,
+  resolveApprovalAmount,
+  getSpenderLabel,
+  approve,
+  ensureAllowance,
+  getAllowances,
+  revokeAllowance
+}
@@ -0,0 +1,124 @@
+/**
+ * 策略回测 - 用历史行情重放策略
+ * 策略代码与实盘相同，交易服务换成 SimulatedSwapService：每个行情点更新池子储备和模拟时间，
+ * 到达策略的检查间隔时执行一轮 tick()，按行情价格记录权益（计价代币余额 + 交易代币余额 × 价格）
+ */
+
+import { getStrategyClass, getStrategyName } from '../strategies'
+import { SimulatedSwapService } from './simulatedSwap'
+
+// 支持回测的策略（信号跟随依赖观察地址的链上成交，无法用价格序列重放）
+export const BACKTEST_STRATEGIES = ['buysell', 'dca', 'grid']
+
+export const BACKTEST_CONFIG = {
+  MAX_CURVE_POINTS: 500, // 权益曲线最多保留的点数（均匀抽样）
+  YIELD_EVERY: 200       // 每处理多少个行情点让出一次主线程，避免界面卡住
+}
+
+/**
+ * 均匀抽样，保留首尾
+ */
+const downsample = (points, maxPoints) => {
+  if (points.length <= maxPoints) return points
+  const step = (points.length - 1) / (maxPoints - 1)
+  return Array.from({ length: maxPoints }, (_, i) => points[Math.round(i * step)])
+}
+
+/**
+ * 运行回测
+ * @param {Object} options
+ * @param {string} options.type - 策略类型
+ * @param {Object} options.config - 机器人配置（含 baseToken、quoteToken 和策略参数）
+ * @param {Array<Object>} options.series - 行情点（parsePriceSeries 的结果）
+ * @param {number} options.initialQuote - 初始计价代币余额
+ * @param {number} options.initialBase - 初始交易代币余额
+ * @param {number} options.feePercent - 池子手续费（%）
+ * @param {number} options.liquidity - 行情只有价格时的池子深度（计价代币一侧储备）
+ * @returns {Promise<Object>} 回测结果 { trades, logs, equity, initialEquity, finalEquity, pnl, pnlPercent, maxDrawdown, maxDrawdownPercent, feesPaid, balances, ... }
+ */
+export const runBacktest = async ({ type, config, series, initialQuote = 0, initialBase = 0, feePercent, liquidity }) => {
+  if (!BACKTEST_STRATEGIES.includes(type)) {
+    throw new Error(`${getStrategyName(type)}不支持回测`)
+  }
+  if (!series || series.length < 2) {
+    throw new Error('行情数据至少需要 2 个点')
+  }
+
+  const baseToken = config.baseToken || 'WXOC'
+  const quoteToken = config.quoteToken || 'USDT'
+  const service = new SimulatedSwapService({
+    baseToken,
+    quoteToken,
+    balances: { base: initialBase, quote: initialQuote },
+    feePercent,
+    liquidity
+  })
+  service.setPoint(series[0])
+
+  // 配置无效时抛出 StrategyConfigError
+  const StrategyClass = getStrategyClass(type)
+  const strategy = new StrategyClass(config, { address: 'backtest', provider: null }, service)
+  strategy.start({ manual: true })
+
+  const interval = strategy.getInterval() * 1000
+  const initialEquity = service.getEquity(series[0].price)
+  const equity = []
+  let nextTickAt = series[0].timestamp
+  let peak = initialEquity
+  let maxDrawdown = 0
+  let maxDrawdownPercent = 0
+
+  for (let i = 0; i < series.length; i++) {
+    const point = series[i]
+    service.setPoint(point)
+
+    if (strategy.isRunning && point.timestamp >= nextTickAt) {
+      await strategy.runTick()
+      nextTickAt = point.timestamp + interval
+    }
+
+    const value = service.getEquity(point.price)
+    peak = Math.max(peak, value)
+    maxDrawdown = Math.max(maxDrawdown, peak - value)
+    if (peak > 0) {
+      maxDrawdownPercent = Math.max(maxDrawdownPercent, ((peak - value) / peak) * 100)
+    }
+    equity.push({ timestamp: point.timestamp, price: point.price, equity: value })
+
+    if ((i + 1) % BACKTEST_CONFIG.YIELD_EVERY === 0) {
+      await new Promise(resolve => setTimeout(resolve, 0))
+    }
+  }
+
+  if (strategy.isRunning) {
+    strategy.stop('回测结束')
+  }
+
+  const finalEquity = equity[equity.length - 1].equity
+  const pnl = finalEquity - initialEquity
+  return {
+    type,
+    baseToken,
+    quoteToken,
+    startTime: series[0].timestamp,
+    endTime: series[series.length - 1].timestamp,
+    points: series.length,
+    trades: service.trades,
+    logs: service.logs,
+    equity: downsample(equity, BACKTEST_CONFIG.MAX_CURVE_POINTS),
+    initialEquity,
+    finalEquity,
+    pnl,
+    pnlPercent: initialEquity > 0 ? (pnl / initialEquity) * 100 : 0,
+    maxDrawdown,
+    maxDrawdownPercent,
+    feesPaid: service.feesPaid,
+    balances: service.getBalances()
+  }
+}
+
+export default {
+  BACKTEST_STRATEGIES,
+  BACKTEST_CONFIG,
+  runBacktest
+}
@@ -0,0 +1,104 @@
+/**
+ * 历史行情解析 - 回测输入
+ * 支持 CSV（首行为表头）和 JSON 数组，每个行情点为时间 + 价格，或时间 + 池子储备：
+ *   timestamp,price
+ *   timestamp,reserveBase,reserveQuote
+ * JSON 可以是 [{ timestamp, price }] / [{ timestamp, reserveBase, reserveQuote }] 或 [[timestamp, price]]
+ * 时间为秒或毫秒时间戳、ISO 日期字符串；价格为每个交易代币值多少计价代币
+ */
+
+// 列名（不区分大小写）-> 行情点字段
+const COLUMN_ALIASES = {
+  timestamp: 'timestamp',
+  time: 'timestamp',
+  date: 'timestamp',
+  price: 'price',
+  close: 'price',
+  reservebase: 'reserveBase',
+  reservequote: 'reserveQuote'
+}
+
+/**
+ * 解析时间：小于 1e12 的数字按秒处理
+ */
+const parseTimestamp = (value) => {
+  const number = typeof value === 'number' ? value : Number(value)
+  if (Number.isFinite(number)) {
+    return number < 1e12 ? number * 1000 : number
+  }
+  return Date.parse(value)
+}
+
+/**
+ * 规范化行情点，价格由储备计算（有储备时）
+ */
+const normalizePoint = (raw, index) => {
+  const timestamp = parseTimestamp(raw.timestamp)
+  if (!Number.isFinite(timestamp)) {
+    throw new Error(`第 ${index + 1} 个行情点的时间无效: ${raw.timestamp}`)
+  }
+
+  const reserveBase = Number(raw.reserveBase)
+  const reserveQuote = Number(raw.reserveQuote)
+  if (raw.reserveBase !== undefined && raw.reserveQuote !== undefined) {
+    if (!(reserveBase > 0) || !(reserveQuote > 0)) {
+      throw new Error(`第 ${index + 1} 个行情点的储备无效`)
+    }
+    return { timestamp, price: reserveQuote / reserveBase, reserveBase, reserveQuote }
+  }
+
+  const price = Number(raw.price)
+  if (!(price > 0)) {
+    throw new Error(`第 ${index + 1} 个行情点的价格无效: ${raw.price}`)
+  }
+  return { timestamp, price }
+}
+
+const parseCsv = (text) => {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean)
+  const header = lines[0].split(',').map(name => COLUMN_ALIASES[name.trim().toLowerCase()])
+  if (!header.includes('timestamp') || !(header.includes('price') || header.includes('reserveBase'))) {
+    throw new Error('CSV 表头需要包含 timestamp 和 price（或 reserveBase、reserveQuote）列')
+  }
+  return lines.slice(1).map(line => {
+    const cells = line.split(',')
+    const raw = {}
+    header.forEach((field, i) => {
+      if (field) {
+        raw[field] = cells[i]?.trim()
+      }
+    })
+    return raw
+  })
+}
+
+const parseJson = (text) => {
+  const data = JSON.parse(text)
+  if (!Array.isArray(data)) {
+    throw new Error('JSON 行情需要是数组')
+  }
+  return data.map(item => (Array.isArray(item) ? { timestamp: item[0], price: item[1] } : item))
+}
+
+/**
+ * 解析历史行情文件内容
+ * @param {string} text - CSV 或 JSON 文本
+ * @returns {Array<Object>} 按时间排序的行情点 [{ timestamp(毫秒), price, reserveBase?, reserveQuote? }]
+ */
+export const parsePriceSeries = (text) => {
+  const trimmed = text.trim()
+  if (!trimmed) {
+    throw new Error('行情文件为空')
+  }
+
+  const rows = trimmed.startsWith('[') ? parseJson(trimmed) : parseCsv(trimmed)
+  const series = rows.map(normalizePoint).sort((a, b) => a.timestamp - b.timestamp)
+  if (series.length < 2) {
+    throw new Error('行情数据至少需要 2 个点')
+  }
+  return series
+}
+
+export default {
+  parsePriceSeries
+}
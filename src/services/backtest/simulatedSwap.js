@@ -0,0 +1,184 @@
+/**
+ * 模拟交易服务 - 回测用
+ * 实现与 liveSwapService 相同的接口（now / getTokenPrice / buyToken / sellToken / saveOrderTrades / log），
+ * 按恒定乘积（x·y=k）AMM 计算成交：扣除池子手续费、计算价格影响（超过上限时与链上交易一样拒绝），
+ * 成交后更新池子储备和模拟余额；成交记录和交易日志只保存在内存中，不写入 localStorage
+ * 每个行情点重置池子储备：行情带储备时直接使用，只有价格时按设定的流动性深度构造储备
+ * 拆单模式按一笔成交（不模拟子单间隔），不计 Gas
+ */
+
+import { PriceImpactError, SWAP_SETTINGS } from '../swap'
+
+export const SIMULATION_DEFAULTS = {
+  FEE_PERCENT: 0.3,  // 池子手续费（Uniswap V2 为 0.3%）
+  LIQUIDITY: 100000, // 行情只有价格时，池子计价代币一侧的储备
+  MAX_LOGS: 2000     // 保留的模拟交易日志条数
+}
+
+export class SimulatedSwapService {
+  /**
+   * @param {Object} options - { baseToken, quoteToken, balances: { base, quote }, feePercent, liquidity }
+   */
+  constructor({ baseToken, quoteToken, balances = {}, feePercent = SIMULATION_DEFAULTS.FEE_PERCENT, liquidity = SIMULATION_DEFAULTS.LIQUIDITY }) {
+    if (!baseToken || !quoteToken || baseToken === quoteToken) {
+      throw new Error('回测需要两个不同的代币')
+    }
+    this.baseToken = baseToken
+    this.quoteToken = quoteToken
+    this.feePercent = feePercent
+    this.liquidity = liquidity
+    this.balances = { [baseToken]: balances.base || 0, [quoteToken]: balances.quote || 0 }
+    this.reserves = { [baseToken]: 0, [quoteToken]: 0 }
+    this.time = 0
+    this.trades = []
+    this.logs = []
+    this.feesPaid = 0 // 累计手续费（折算为计价代币）
+    this.swapCount = 0
+
+    // 与 tradeLog 相同的方法，日志写入内存
+    this.log = Object.fromEntries(
+      ['info', 'success', 'warning', 'error', 'debug'].map(level => [level, (message, data) => this.addLog(level, message, data)])
+    )
+  }
+
+  /**
+   * 切换到下一个行情点：更新模拟时间和池子储备
+   */
+  setPoint(point) {
+    this.time = point.timestamp
+    if (point.reserveBase) {
+      this.reserves = { [this.baseToken]: point.reserveBase, [this.quoteToken]: point.reserveQuote }
+    } else {
+      this.reserves = { [this.baseToken]: this.liquidity / point.price, [this.quoteToken]: this.liquidity }
+    }
+  }
+
+  now() {
+    return this.time
+  }
+
+  /**
+   * 池子当前价格（每个交易代币值多少计价代币）
+   */
+  getPrice() {
+    return this.reserves[this.quoteToken] / this.reserves[this.baseToken]
+  }
+
+  async getTokenPrice(tokenIn, tokenOut) {
+    this.assertPair(tokenIn, tokenOut)
+    return tokenIn === this.baseToken ? this.getPrice() : 1 / this.getPrice()
+  }
+
+  async buyToken(wallet, baseToken, quoteToken, amount, slippage, options = {}) {
+    return this.swap(quoteToken, baseToken, amount, options)
+  }
+
+  async sellToken(wallet, baseToken, quoteToken, amount, slippage, options = {}) {
+    return this.swap(baseToken, quoteToken, amount, options)
+  }
+
+  /**
+   * 按恒定乘积公式成交（同步计算，模拟成交价即报价，不会触发滑点保护）
+   * @param {string} tokenIn - 输入代币
+   * @param {string} tokenOut - 输出代币
+   * @param {number} amount - 输入数量（精确输出时为输出数量）
+   * @param {Object} options - { exactOutput, maxPriceImpact, priceImpactMode }
+   * @returns {Object} 与链上交易结果相同的字段 { hash, fill, expectedAmountIn, expectedAmountOut, priceImpact, simulated }
+   */
+  swap(tokenIn, tokenOut, amount, options = {}) {
+    this.assertPair(tokenIn, tokenOut)
+    if (!(amount > 0)) {
+      throw new Error('无效的交易参数')
+    }
+
+    const reserveIn = this.reserves[tokenIn]
+    const reserveOut = this.reserves[tokenOut]
+    const feeFactor = 1 - this.feePercent / 100
+    let amountIn
+    let amountOut
+    if (options.exactOutput) {
+      amountOut = amount
+      if (amountOut >= reserveOut) {
+        throw new Error('池子流动性不足')
+      }
+      amountIn = (reserveIn * amountOut) / ((reserveOut - amountOut) * feeFactor)
+    } else {
+      amountIn = amount
+      amountOut = (reserveOut * amountIn * feeFactor) / (reserveIn + amountIn * feeFactor)
+    }
+
+    // 价格影响：成交价相对池子中间价的不利偏离（含手续费）
+    const priceImpact = (1 - (amountOut / amountIn) / (reserveOut / reserveIn)) * 100
+    const maxPriceImpact = options.maxPriceImpact ?? SWAP_SETTINGS.MAX_PRICE_IMPACT
+    const priceImpactMode = options.priceImpactMode || SWAP_SETTINGS.PRICE_IMPACT_MODE
+    if (priceImpact > maxPriceImpact && priceImpactMode !== 'split') {
+      throw new PriceImpactError({ priceImpact, maxPriceImpact, amount })
+    }
+
+    if (this.balances[tokenIn] < amountIn) {
+      throw new Error(`余额不足: 需要 ${amountIn.toFixed(6)} ${tokenIn}，可用 ${this.balances[tokenIn].toFixed(6)} ${tokenIn}`)
+    }
+
+    const fee = amountIn * this.feePercent / 100
+    this.feesPaid += tokenIn === this.quoteToken ? fee : fee * this.getPrice()
+    this.balances[tokenIn] -= amountIn
+    this.balances[tokenOut] += amountOut
+    this.reserves[tokenIn] += amountIn
+    this.reserves[tokenOut] -= amountOut
+
+    const price = tokenIn === this.quoteToken ? amountIn / amountOut : amountOut / amountIn
+    return {
+      hash: `sim_${++this.swapCount}`,
+      tradeType: options.exactOutput ? 'exactOutput' : 'exactInput',
+      expectedAmountIn: amountIn,
+      expectedAmountOut: amountOut,
+      priceImpact,
+      fill: { amountIn, amountOut, price, gasCost: 0 },
+      simulated: true
+    }
+  }
+
+  /**
+   * 保存模拟成交记录（时间为模拟时间）
+   */
+  saveOrderTrades(tradeData) {
+    this.trades.push({
+      ...tradeData,
+      timestamp: new Date(this.time).toISOString(),
+      id: `sim_${this.trades.length + 1}`,
+      simulated: true
+    })
+    return true
+  }
+
+  addLog(level, message, data = null) {
+    this.logs.push({ id: this.logs.length + 1, timestamp: new Date(this.time).toISOString(), level, message, data })
+    if (this.logs.length > SIMULATION_DEFAULTS.MAX_LOGS) {
+      this.logs.shift()
+    }
+  }
+
+  getBalances() {
+    return { base: this.balances[this.baseToken], quote: this.balances[this.quoteToken] }
+  }
+
+  /**
+   * 权益：计价代币余额 + 交易代币余额 × 价格
+   * @param {number} price - 估值价格（默认池子当前价格）
+   */
+  getEquity(price = this.getPrice()) {
+    return this.balances[this.quoteToken] + this.balances[this.baseToken] * price
+  }
+
+  assertPair(tokenA, tokenB) {
+    const pair = [this.baseToken, this.quoteToken]
+    if (!pair.includes(tokenA) || !pair.includes(tokenB) || tokenA === tokenB) {
+      throw new Error(`回测只模拟 ${this.baseToken}/${this.quoteToken} 交易对`)
+    }
+  }
+}
+
+export default {
+  SIMULATION_DEFAULTS,
+  SimulatedSwapService
+}
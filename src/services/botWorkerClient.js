@@ -0,0 +1,457 @@
+/**
+ * Bot Worker 客户端（主线程）
+ * 机器人和策略在专用 Worker（src/workers/botWorker.js）中运行，后台标签页中也按设定间隔检查；
+ * 主线程的存储写入同步给 Worker，Worker 的交易记录、日志、状态快照写回 localStorage，
+ * 机器人状态由 Worker 在变化时推送，界面只接收状态差异；机器人交易由 Worker 的 txTracker 跟踪，列表同样推送给主线程（待确认交易面板），
+ * Worker 中节点池的健康状态也推送给主线程（RPC 节点面板）
+ * 多个标签页时只有主标签页（见 tabLeader）创建 Worker，其他标签页通过 BroadcastChannel 接收主标签页的机器人状态，只读显示
+ * Worker 有独立的交易队列和本地 nonce，主线程（任一标签页）不能用运行中实盘机器人的钱包发送交易，
+ * 手动交易、授权、资金分配在提交前检查（txQueue 的提交检查），需先停止该钱包的机器人
+ */
+
+import { log } from '../utils/logger'
+import { setStorageBackend, createSnapshot, getBots, removeBotState, removePaperLedger } from '../utils/storage'
+import { MirrorStorage } from '../workers/mirrorStorage'
+import { WORKER_COMMANDS, WORKER_EVENTS } from '../workers/protocol'
+import walletSession from './session'
+import tabLeader from './tabLeader'
+import { getWalletById } from './walletBook'
+import { setSubmissionGuard } from './txQueue'
+import { isPaperBot } from './strategies/paperSwapService'
+
+/**
+ * 钱包正被运行中的机器人使用
+ */
+export class WalletInUseError extends Error {
+  constructor(address, bots) {
+    super(`钱包正被运行中的机器人使用（${bots.map(bot => bot.name).join('、')}），请先停止机器人再手动发送交易`)
+    this.name = 'WalletInUseError'
+    this.code = 'WALLET_IN_USE'
+    this.details = { address, botIds: bots.map(bot => bot.id) }
+  }
+}
+
+class BotWorkerClient {
+  constructor() {
+    this.worker = null
+    this.storage = null
+    this.requestId = 0
+    this.requests = new Map() // requestId -> { resolve, reject }
+    this.statuses = new Map() // botId -> Worker 推送的最新状态
+    this.ready = false        // 机器人已解锁并完成自动续跑（之前不判断机器人是否在运行）
+    this.transactions = []    // Worker 中跟踪的机器人交易
+    this.poolStatuses = new Map() // networkId -> Worker 中节点池的最新状态
+    this.listeners = new Set()
+    this.transactionListeners = new Set()
+    this.poolListeners = new Set()
+    this.handleStorageEvent = this.handleStorageEvent.bind(this)
+  }
+
+  /**
+   * 参与标签页选举：成为主标签页时创建 Worker，否则只读显示主标签页广播的状态
+   */
+  init() {
+    setSubmissionGuard((address) => this.assertWalletIdle(address))
+
+    // Worker 的钱包会话跟随主线程解锁/锁定（导入新钱包后重新解锁以加载其签名者）
+    walletSession.subscribe((unlocked) => {
+      if (!this.worker) return
+      if (unlocked) {
+        this.unlock()
+      } else {
+        this.post(WORKER_COMMANDS.LOCK, { reason: '主线程已锁定' })
+      }
+    })
+
+    tabLeader.onMessage((message) => this.handleTabMessage(message))
+    tabLeader.subscribe((leader) => (leader ? this.start() : this.stop()))
+    tabLeader.start()
+    if (!tabLeader.isLeader()) {
+      tabLeader.broadcast({ type: 'sync-request' })
+    }
+  }
+
+  /**
+   * 创建 Worker，同步存储和钱包会话
+   */
+  start() {
+    if (this.worker) return
+
+    this.worker = new Worker(new URL('../workers/botWorker.js', import.meta.url), { type: 'module' })
+    this.worker.onmessage = ({ data }) => this.handleMessage(data)
+    this.worker.onerror = (event) => {
+      log.error('Bot Worker 出错', { message: event.message })
+    }
+
+    // 之后主线程的存储写入同步给 Worker
+    this.storage = new MirrorStorage(
+      globalThis.localStorage,
+      (key, value) => this.post(WORKER_COMMANDS.STORAGE, { key, value }),
+      { mergeRemote: true }
+    )
+    this.request(WORKER_COMMANDS.INIT, { data: createSnapshot().data })
+      .catch(error => log.error('Bot Worker 初始化失败', error.message))
+    setStorageBackend(this.storage)
+    // 其他标签页直接写入 localStorage（如修改配置、手动交易记录），同样同步给 Worker
+    window.addEventListener('storage', this.handleStorageEvent)
+
+    // 之前作为只读标签页收到的状态作废，以本标签页 Worker 推送的为准
+    this.statuses = new Map()
+    this.poolStatuses = new Map()
+    this.applyTransactions([])
+    this.setReady(false)
+    if (walletSession.isUnlocked()) {
+      this.unlock()
+    }
+  }
+
+  /**
+   * 失去主标签页身份（租约被接管）时结束 Worker，机器人由新的主标签页续跑
+   */
+  stop() {
+    if (!this.worker) return
+
+    this.worker.terminate()
+    this.worker = null
+    window.removeEventListener('storage', this.handleStorageEvent)
+    setStorageBackend(null)
+    this.storage = null
+    this.requests.forEach(({ reject }) => reject(new Error('机器人已转由其他标签页运行')))
+    this.requests.clear()
+    this.poolStatuses = new Map()
+    this.applyTransactions([])
+    this.setReady(false)
+    tabLeader.broadcast({ type: 'sync-request' })
+  }
+
+  handleStorageEvent(event) {
+    if (event.key && event.storageArea === globalThis.localStorage) {
+      this.post(WORKER_COMMANDS.STORAGE, { key: event.key, value: event.newValue })
+    }
+  }
+
+  /**
+   * 处理其他标签页的消息：主标签页回复状态同步，只读标签页应用主标签页的状态
+   */
+  handleTabMessage(message) {
+    if (this.worker) {
+      if (message.type === 'sync-request') {
+        tabLeader.broadcast({ type: 'sync', statuses: Object.fromEntries(this.statuses), transactions: this.transactions, poolStatuses: [...this.poolStatuses.values()], ready: this.ready })
+      }
+      return
+    }
+
+    switch (message.type) {
+      case 'leader':
+        tabLeader.broadcast({ type: 'sync-request' })
+        break
+      case 'sync':
+        this.statuses = new Map(Object.entries(message.statuses))
+        this.statuses.forEach((status, botId) => this.notify({ botId, changes: status, status }))
+        this.applyTransactions(message.transactions || [])
+        this.poolStatuses = new Map((message.poolStatuses || []).map(status => [status.networkId, status]))
+        this.poolStatuses.forEach(status => this.applyPoolStatus(status))
+        this.setReady(message.ready)
+        break
+      case 'status':
+        this.applyStatus(message.botId, message.changes)
+        break
+      case 'transactions':
+        this.applyTransactions(message.transactions)
+        break
+      case 'pool-status':
+        this.applyPoolStatus(message.status)
+        break
+      case 'ready':
+        this.setReady(message.ready)
+        break
+      default:
+        break
+    }
+  }
+
+  setReady(ready) {
+    this.ready = ready
+    if (this.worker) {
+      tabLeader.broadcast({ type: 'ready', ready })
+    }
+    this.notify()
+  }
+
+  applyStatus(botId, changes) {
+    const status = { ...this.statuses.get(botId), ...changes }
+    this.statuses.set(botId, status)
+    this.notify({ botId, changes, status })
+  }
+
+  applyTransactions(transactions) {
+    this.transactions = transactions
+    this.transactionListeners.forEach(listener => {
+      try {
+        listener(transactions)
+      } catch (error) {
+        log.error('机器人交易监听器出错', error)
+      }
+    })
+  }
+
+  applyPoolStatus(status) {
+    this.poolStatuses.set(status.networkId, status)
+    this.poolListeners.forEach(listener => {
+      try {
+        listener(status)
+      } catch (error) {
+        log.error('节点池状态监听器出错', error)
+      }
+    })
+  }
+
+  /**
+   * 把主线程解密好的私钥发给 Worker 解锁（不发送密码；解锁后 Worker 自动续跑之前运行中的实盘机器人）
+   */
+  async unlock() {
+    try {
+      await this.request(WORKER_COMMANDS.UNLOCK, { keys: walletSession.exportSigners() })
+      this.setReady(true)
+    } catch (error) {
+      log.error('Bot Worker 解锁失败', error.message)
+    }
+  }
+
+  post(type, payload = {}) {
+    this.worker.postMessage({ type, ...payload })
+  }
+
+  /**
+   * 发送命令并等待 Worker 回复
+   */
+  request(type, payload = {}) {
+    if (!this.worker) {
+      return Promise.reject(new Error('机器人由其他标签页运行，本标签页只读'))
+    }
+    const requestId = ++this.requestId
+    return new Promise((resolve, reject) => {
+      this.requests.set(requestId, { resolve, reject })
+      this.post(type, { ...payload, requestId })
+    })
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case WORKER_EVENTS.REPLY: {
+        const request = this.requests.get(message.requestId)
+        if (!request) return
+        this.requests.delete(message.requestId)
+        if (message.error) {
+          const error = new Error(message.error.message)
+          error.code = message.error.code
+          request.reject(error)
+        } else {
+          request.resolve(message.result)
+        }
+        break
+      }
+      case WORKER_EVENTS.STORAGE:
+        this.storage.applyRemote(message.key, message.value)
+        break
+      case WORKER_EVENTS.STATUS:
+        this.applyStatus(message.botId, message.changes)
+        tabLeader.broadcast({ type: 'status', botId: message.botId, changes: message.changes })
+        break
+      case WORKER_EVENTS.TRANSACTIONS:
+        this.applyTransactions(message.transactions)
+        tabLeader.broadcast({ type: 'transactions', transactions: message.transactions })
+        break
+      case WORKER_EVENTS.POOL_STATUS:
+        this.applyPoolStatus(message.status)
+        tabLeader.broadcast({ type: 'pool-status', status: message.status })
+        break
+      case WORKER_EVENTS.READY:
+        log.info('Bot Worker 已就绪')
+        break
+      default:
+        break
+    }
+  }
+
+  /**
+   * 启动机器人
+   * @param {Object} bot - 机器人 { id, type, config }
+   * @returns {Promise<Object>} 机器人状态
+   */
+  startBot(bot) {
+    return this.request(WORKER_COMMANDS.START, { bot })
+  }
+
+  /**
+   * 停止机器人
+   */
+  stopBot(botId, reason = '用户手动停止') {
+    return this.request(WORKER_COMMANDS.STOP, { botId, reason })
+  }
+
+  /**
+   * 更新机器人配置（运行中的机器人按新配置重启）
+   */
+  updateConfig(bot) {
+    return this.request(WORKER_COMMANDS.UPDATE_CONFIG, { bot })
+  }
+
+  /**
+   * Worker 中跟踪的机器人交易（格式同 txTracker.getTransactions()）
+   */
+  getTransactions() {
+    return this.transactions
+  }
+
+  /**
+   * 加速机器人的待确认交易（由 Worker 的 txTracker 发送替换交易）
+   * @returns {Promise<string>} 替换交易哈希
+   */
+  speedUpTransaction(hash) {
+    return this.request(WORKER_COMMANDS.SPEED_UP_TX, { hash })
+  }
+
+  /**
+   * 取消机器人的待确认交易
+   * @returns {Promise<string>} 取消交易哈希
+   */
+  cancelTransaction(hash) {
+    return this.request(WORKER_COMMANDS.CANCEL_TX, { hash })
+  }
+
+  /**
+   * 清除 Worker 中已结束的交易记录
+   */
+  clearFinishedTransactions() {
+    return this.request(WORKER_COMMANDS.CLEAR_FINISHED_TXS)
+  }
+
+  /**
+   * Worker 中该网络节点池的最新状态（没有机器人使用该网络时为 null）
+   * @param {string} networkId - 网络ID
+   */
+  getPoolStatus(networkId) {
+    return this.poolStatuses.get(networkId) || null
+  }
+
+  /**
+   * 立即检测 Worker 中该网络的节点池（结果同时通过状态推送更新）
+   * @returns {Promise<Object>} 节点池状态
+   */
+  checkPoolHealth(networkId) {
+    return this.request(WORKER_COMMANDS.CHECK_POOL, { networkId })
+  }
+
+  /**
+   * 查询 Worker 中所有运行中机器人的状态
+   */
+  getAllStatus() {
+    return this.request(WORKER_COMMANDS.STATUS)
+  }
+
+  /**
+   * 机器人的最新状态 { isRunning, startedAt, updatedAt, stats }
+   */
+  getStatus(botId) {
+    return this.statuses.get(botId) || null
+  }
+
+  isRunning(botId) {
+    return Boolean(this.statuses.get(botId)?.isRunning)
+  }
+
+  isReady() {
+    return this.ready
+  }
+
+  /**
+   * 使用该钱包的运行中实盘机器人（模拟盘不发送交易）
+   * Worker 尚未推送状态时（解锁前、自动续跑前）以保存的运行标记为准
+   * @param {string} address - 钱包地址
+   * @returns {Array<Object>} 机器人列表
+   */
+  getWalletBots(address) {
+    const target = address.toLowerCase()
+    return (getBots() || []).filter(bot =>
+      (bot.isRunning || this.isRunning(bot.id)) &&
+      !isPaperBot(bot) &&
+      getWalletById(bot.config?.walletId)?.address.toLowerCase() === target
+    )
+  }
+
+  /**
+   * 主线程提交交易前检查钱包没有被运行中的机器人使用
+   * @throws {WalletInUseError}
+   */
+  assertWalletIdle(address) {
+    const bots = this.getWalletBots(address)
+    if (bots.length > 0) {
+      throw new WalletInUseError(address, bots)
+    }
+  }
+
+  /**
+   * 本标签页是否运行机器人（否则只读）
+   */
+  isLeader() {
+    return Boolean(this.worker)
+  }
+
+  /**
+   * 删除机器人的状态快照和模拟盘虚拟账户（机器人被删除时）
+   */
+  clearState(botId) {
+    removeBotState(botId)
+    removePaperLedger(botId)
+    this.statuses.delete(botId)
+  }
+
+  /**
+   * 订阅机器人状态变化
+   * @param {Function} listener - ({ botId, changes, status }) => void；Worker 就绪时不带参数
+   * @returns {Function} 取消订阅
+   */
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  /**
+   * 订阅 Worker 中机器人交易列表的变化
+   * @param {Function} listener - (transactions) => void
+   * @returns {Function} 取消订阅
+   */
+  subscribeTransactions(listener) {
+    this.transactionListeners.add(listener)
+    return () => this.transactionListeners.delete(listener)
+  }
+
+  /**
+   * 订阅 Worker 中节点池状态变化
+   * @param {Function} listener - (status) => void
+   * @returns {Function} 取消订阅
+   */
+  subscribePoolStatus(listener) {
+    this.poolListeners.add(listener)
+    return () => this.poolListeners.delete(listener)
+  }
+
+  notify(update) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(update)
+      } catch (error) {
+        log.error('机器人状态监听器出错', error)
+      }
+    })
+  }
+}
+
+const botWorker = new BotWorkerClient()
+
+if (typeof window !== 'undefined' && typeof Worker !== 'undefined') {
+  botWorker.init()
+}
+
+export default botWorker
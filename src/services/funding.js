@@ -0,0 +1,180 @@
+import { ethers } from 'ethers'
+import { resolveFees, applyGasLimit, toTxOverrides, getMaxGasCost, formatFees } from './gasPolicy'
+import { enqueueTransaction } from './txQueue'
+import txTracker from './txTracker'
+import { resolveNetwork } from './networks'
+import { getToken } from './tokenRegistry'
+import { getWalletById } from './walletBook'
+import walletSession from './session'
+import { tradeLog } from '../utils/logger'
+
+/**
+ * 资金分配服务
+ * 主账户向子账户分发 USDT / 原生币（机器人各用独立地址），以及把子账户资金归集回主账户
+ * 所有转账经交易队列分配 nonce，Gas 按 Gas 策略计算
+ */
+
+export const FUNDING_CONFIG = {
+  NATIVE_TRANSFER_GAS: 21000n // 原生币转账的固定 Gas
+}
+
+const ERC20_ABI = [
+  'function balanceOf(address) view returns (uint256)',
+  'function transfer(address to, uint256 amount) returns (bool)'
+]
+
+/**
+ * 解析资产：原生币（网络 nativeSymbol）或注册表中的 ERC20 代币
+ */
+const resolveAsset = (network, symbol) => {
+  if (symbol === network.nativeSymbol) {
+    return { symbol, native: true, decimals: 18 }
+  }
+  const token = getToken(symbol, network.chainId)
+  return { symbol: token.symbol, native: false, decimals: token.decimals, address: token.address }
+}
+
+/**
+ * 发送一笔转账并等待确认
+ * @param {Wallet} signer - 付款钱包（已连接 provider）
+ * @param {string} to - 收款地址
+ * @param {Object} asset - resolveAsset 返回的资产
+ * @param {bigint} amount - 数量（最小单位）
+ * @param {Object} fees - 已计算的 Gas 费用（归集原生币时需与扣除的 Gas 一致）
+ * @returns {Promise<string>} 最终打包的交易哈希
+ */
+const transfer = async (signer, to, asset, amount, fees) => {
+  let send
+  let gasLimit
+  if (asset.native) {
+    gasLimit = FUNDING_CONFIG.NATIVE_TRANSFER_GAS
+    send = (nonce) => signer.sendTransaction({ to, value: amount, gasLimit, nonce, ...toTxOverrides(fees) })
+  } else {
+    const contract = new ethers.Contract(asset.address, ERC20_ABI, signer)
+    gasLimit = applyGasLimit(await contract.transfer.estimateGas(to, amount))
+    send = (nonce) => contract.transfer(to, amount, { gasLimit, nonce, ...toTxOverrides(fees) })
+  }
+
+  const label = `转账${asset.symbol}`
+  tradeLog.info(`${label}: ${ethers.formatUnits(amount, asset.decimals)} ${asset.symbol} -> ${to}`, { gas: formatFees(fees), gasLimit: gasLimit.toString() })
+  const tx = await enqueueTransaction(signer, send, label)
+  // 交易被加速时以最终打包的交易为准
+  const { receipt, hash } = await txTracker.wait(tx.hash, signer.provider)
+  if (receipt.status === 0) {
+    throw new Error('转账交易被回滚')
+  }
+  return hash
+}
+
+/**
+ * 从主账户向多个子账户分发资金（每个子账户相同数量）
+ * @param {Provider} provider - 目标网络的 Provider
+ * @param {string} fromWalletId - 主账户钱包ID
+ * @param {Array<string>} targetWalletIds - 子账户钱包ID
+ * @param {string} symbol - 资产符号（原生币或代币）
+ * @param {number} amountEach - 每个子账户的数量
+ * @returns {Promise<Array<Object>>} 每个子账户的结果 { walletId, address, amount, hash, status, error }
+ */
+export const distributeFunds = async (provider, fromWalletId, targetWalletIds, symbol, amountEach) => {
+  if (!amountEach || amountEach <= 0) {
+    throw new Error('分发数量必须大于0')
+  }
+  const targets = targetWalletIds.filter(id => id !== fromWalletId).map(getWalletById).filter(Boolean)
+  if (targets.length === 0) {
+    throw new Error('请选择至少一个子账户')
+  }
+
+  const network = await resolveNetwork(provider)
+  const asset = resolveAsset(network, symbol)
+  const signer = walletSession.getSigner(fromWalletId, provider)
+  const amount = ethers.parseUnits(amountEach.toString(), asset.decimals)
+
+  // 余额需覆盖全部分发数量（原生币另需每笔转账的最大 Gas 费用）
+  const fees = await resolveFees(provider)
+  const gasTotal = asset.native ? getMaxGasCost(FUNDING_CONFIG.NATIVE_TRANSFER_GAS, fees) * BigInt(targets.length) : 0n
+  const total = amount * BigInt(targets.length) + gasTotal
+  const balance = asset.native
+    ? await provider.getBalance(signer.address)
+    : await new ethers.Contract(asset.address, ERC20_ABI, provider).balanceOf(signer.address)
+  if (balance < total) {
+    const gasNote = asset.native ? `（含 Gas ${ethers.formatUnits(gasTotal, asset.decimals)}）` : ''
+    throw new Error(`${asset.symbol}余额不足：需要 ${ethers.formatUnits(total, asset.decimals)}${gasNote}，当前 ${ethers.formatUnits(balance, asset.decimals)}`)
+  }
+
+  tradeLog.info(`开始分发 ${amountEach} ${asset.symbol} 到 ${targets.length} 个子账户`)
+
+  // 同一付款地址的转账由交易队列串行提交，这里并行等待确认
+  const results = await Promise.all(targets.map(async (target) => {
+    try {
+      const hash = await transfer(signer, target.address, asset, amount, fees)
+      return { walletId: target.id, address: target.address, amount: amountEach, hash, status: 'success' }
+    } catch (error) {
+      tradeLog.error(`分发到 ${target.label} 失败`, error.message)
+      return { walletId: target.id, address: target.address, amount: amountEach, hash: null, status: 'failed', error: error.message }
+    }
+  }))
+
+  const succeeded = results.filter(r => r.status === 'success').length
+  tradeLog.success(`分发完成: ${succeeded}/${targets.length} 成功`)
+  return results
+}
+
+/**
+ * 把子账户的全部资金归集回主账户
+ * 原生币扣除本次转账的最大 Gas 费用后全部转出（EIP-1559 下实际 Gas 低于上限，会留下少量余额）；
+ * 代币转出全部余额，子账户需持有原生币支付 Gas
+ * @param {Provider} provider - 目标网络的 Provider
+ * @param {Array<string>} sourceWalletIds - 子账户钱包ID
+ * @param {string} toWalletId - 主账户钱包ID
+ * @param {string} symbol - 资产符号（原生币或代币）
+ * @returns {Promise<Array<Object>>} 每个子账户的结果 { walletId, address, amount, hash, status, error }
+ */
+export const sweepFunds = async (provider, sourceWalletIds, toWalletId, symbol) => {
+  const destination = getWalletById(toWalletId)
+  if (!destination) {
+    throw new Error('主账户不存在')
+  }
+  const sources = sourceWalletIds.filter(id => id !== toWalletId).map(getWalletById).filter(Boolean)
+  if (sources.length === 0) {
+    throw new Error('请选择至少一个子账户')
+  }
+
+  const network = await resolveNetwork(provider)
+  const asset = resolveAsset(network, symbol)
+  const fees = await resolveFees(provider)
+  tradeLog.info(`开始从 ${sources.length} 个子账户归集 ${asset.symbol} 到 ${destination.label}`)
+
+  // 不同子账户互不影响，并行执行
+  const results = await Promise.all(sources.map(async (source) => {
+    const base = { walletId: source.id, address: source.address }
+    try {
+      const signer = walletSession.getSigner(source.id, provider)
+      let amount
+      if (asset.native) {
+        const balance = await provider.getBalance(signer.address)
+        amount = balance - getMaxGasCost(FUNDING_CONFIG.NATIVE_TRANSFER_GAS, fees)
+      } else {
+        amount = await new ethers.Contract(asset.address, ERC20_ABI, provider).balanceOf(signer.address)
+      }
+      if (amount <= 0n) {
+        return { ...base, amount: 0, hash: null, status: 'skipped' }
+      }
+
+      const hash = await transfer(signer, destination.address, asset, amount, fees)
+      return { ...base, amount: parseFloat(ethers.formatUnits(amount, asset.decimals)), hash, status: 'success' }
+    } catch (error) {
+      tradeLog.error(`从 ${source.label} 归集失败`, error.message)
+      return { ...base, amount: 0, hash: null, status: 'failed', error: error.message }
+    }
+  }))
+
+  const succeeded = results.filter(r => r.status === 'success').length
+  tradeLog.success(`归集完成: ${succeeded}/${sources.length} 成功`)
+  return results
+}
+
+export default {
+  FUNDING_CONFIG,
+  distributeFunds,
+  sweepFunds
+}
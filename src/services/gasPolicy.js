@@ -0,0 +1,204 @@
+import { ethers } from 'ethers'
+import { log } from '../utils/logger'
+import { getConfig, saveConfig } from '../utils/storage'
+
+/**
+ * Gas 策略服务
+ * 功能：按配置选择 legacy / EIP-1559 费用，计算 Gas 上限、费用上限与机器人 Gas 预算
+ * 配置保存在应用配置（swapx_config）的 gasPolicy 字段中
+ */
+
+// 默认 Gas 策略
+export const GAS_POLICY_DEFAULTS = {
+  mode: 'auto',               // 'auto' 自动检测 | 'legacy' 传统 gasPrice | 'eip1559'
+  gasLimitMultiplier: 1.2,    // Gas 上限倍数 1.2x
+  gasPriceMultiplier: 1,      // legacy 模式下 gasPrice 倍数
+  priorityFeePercentile: 50,  // EIP-1559 小费取近期区块的百分位
+  feeHistoryBlocks: 10,       // 参与统计的区块数
+  baseFeeMultiplier: 2,       // maxFeePerGas = 基础费用 × 倍数 + 小费
+  maxFeeGwei: null            // 单价上限（gwei），为空表示不限制
+}
+
+/**
+ * Gas 费用超出上限或机器人 Gas 预算
+ */
+export class GasPolicyError extends Error {
+  constructor(message, details) {
+    super(message)
+    this.name = 'GasPolicyError'
+    this.code = details.reason === 'BUDGET' ? 'GAS_BUDGET_EXCEEDED' : 'GAS_FEE_TOO_HIGH'
+    this.details = details
+  }
+}
+
+/**
+ * 获取当前 Gas 策略（合并默认值）
+ */
+export const getGasPolicy = () => {
+  return { ...GAS_POLICY_DEFAULTS, ...(getConfig().gasPolicy || {}) }
+}
+
+/**
+ * 保存 Gas 策略
+ * @param {Object} policy - 部分或完整的 Gas 策略
+ */
+export const saveGasPolicy = (policy) => {
+  const config = getConfig()
+  return saveConfig({ ...config, gasPolicy: { ...getGasPolicy(), ...policy } })
+}
+
+const toGwei = (value) => (value === null || value === undefined ? null : ethers.formatUnits(value, 'gwei'))
+
+const scale = (value, multiplier) => value * BigInt(Math.round(multiplier * 1000)) / 1000n
+
+/**
+ * 取 eth_feeHistory 中指定百分位的小费中位数
+ */
+const getPriorityFee = async (provider, policy) => {
+  try {
+    const history = await provider.send('eth_feeHistory', [
+      ethers.toQuantity(policy.feeHistoryBlocks),
+      'latest',
+      [policy.priorityFeePercentile]
+    ])
+    const rewards = (history.reward || [])
+      .map(reward => BigInt(reward[0]))
+      .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0))
+    if (rewards.length > 0) {
+      return rewards[Math.floor(rewards.length / 2)]
+    }
+  } catch (error) {
+    log.debug('eth_feeHistory 不可用，使用节点建议的小费', error.message)
+  }
+
+  const feeData = await provider.getFeeData()
+  return feeData.maxPriorityFeePerGas ?? 0n
+}
+
+/**
+ * 按策略计算交易费用
+ * @param {Provider} provider - Provider实例
+ * @param {Object} policy - Gas 策略，默认读取已保存的配置
+ * @returns {Promise<Object>} legacy: { type, gasPrice }；eip1559: { type, baseFee, maxFeePerGas, maxPriorityFeePerGas }
+ */
+export const resolveFees = async (provider, policy = getGasPolicy()) => {
+  const cap = policy.maxFeeGwei ? ethers.parseUnits(policy.maxFeeGwei.toString(), 'gwei') : null
+
+  let type = policy.mode
+  let baseFee = null
+  if (type !== 'legacy') {
+    const block = await provider.getBlock('latest')
+    baseFee = block?.baseFeePerGas ?? null
+    if (type === 'auto') {
+      type = baseFee !== null ? 'eip1559' : 'legacy'
+    } else if (baseFee === null) {
+      throw new Error('当前网络不支持 EIP-1559，请切换为 legacy 模式')
+    }
+  }
+
+  if (type === 'legacy') {
+    const feeData = await provider.getFeeData()
+    const gasPrice = scale(feeData.gasPrice, policy.gasPriceMultiplier)
+    if (cap !== null && gasPrice > cap) {
+      throw new GasPolicyError(`Gas价格 ${toGwei(gasPrice)} gwei 超过上限 ${policy.maxFeeGwei} gwei`, {
+        reason: 'CAP', gasPrice: toGwei(gasPrice), maxFeeGwei: policy.maxFeeGwei
+      })
+    }
+    return { type, gasPrice }
+  }
+
+  const maxPriorityFeePerGas = await getPriorityFee(provider, policy)
+  let maxFeePerGas = scale(baseFee, policy.baseFeeMultiplier) + maxPriorityFeePerGas
+
+  if (cap !== null && maxFeePerGas > cap) {
+    // 上限仍能覆盖当前基础费用与小费时按上限发送，否则拒绝
+    if (cap < baseFee + maxPriorityFeePerGas) {
+      throw new GasPolicyError(`基础费用 ${toGwei(baseFee)} gwei + 小费 ${toGwei(maxPriorityFeePerGas)} gwei 超过上限 ${policy.maxFeeGwei} gwei`, {
+        reason: 'CAP', baseFee: toGwei(baseFee), maxPriorityFeePerGas: toGwei(maxPriorityFeePerGas), maxFeeGwei: policy.maxFeeGwei
+      })
+    }
+    maxFeePerGas = cap
+  }
+
+  return { type, baseFee, maxFeePerGas, maxPriorityFeePerGas }
+}
+
+/**
+ * 按策略放大 Gas 估算值
+ * @param {bigint} estimatedGas - 估算的 Gas
+ * @param {Object} policy - Gas 策略
+ */
+export const applyGasLimit = (estimatedGas, policy = getGasPolicy()) => {
+  return scale(estimatedGas, policy.gasLimitMultiplier)
+}
+
+/**
+ * 转换为交易 overrides
+ */
+export const toTxOverrides = (fees) => {
+  return fees.type === 'legacy'
+    ? { gasPrice: fees.gasPrice }
+    : { maxFeePerGas: fees.maxFeePerGas, maxPriorityFeePerGas: fees.maxPriorityFeePerGas }
+}
+
+/**
+ * 计算最坏情况下的 Gas 费用（wei）
+ */
+export const getMaxGasCost = (gasLimit, fees) => {
+  return gasLimit * (fees.type === 'legacy' ? fees.gasPrice : fees.maxFeePerGas)
+}
+
+/**
+ * 检查机器人剩余 Gas 预算
+ * @param {bigint} maxGasCost - 最坏情况下的 Gas 费用（wei）
+ * @param {number} gasBudget - 剩余预算（原生币），为空表示不限制
+ */
+export const assertGasBudget = (maxGasCost, gasBudget) => {
+  if (gasBudget === null || gasBudget === undefined) {
+    return
+  }
+  const cost = parseFloat(ethers.formatEther(maxGasCost))
+  if (cost > gasBudget) {
+    throw new GasPolicyError(`Gas预算不足：本笔最多需要 ${cost.toFixed(6)}，剩余预算 ${Math.max(gasBudget, 0).toFixed(6)}`, {
+      reason: 'BUDGET', maxGasCost: cost, gasBudget
+    })
+  }
+}
+
+/**
+ * 转为可记录的费用摘要（gwei 字符串）
+ */
+export const describeFees = (fees, gasLimit = null) => {
+  return {
+    type: fees.type,
+    gasPrice: toGwei(fees.gasPrice),
+    baseFee: toGwei(fees.baseFee),
+    maxFeePerGas: toGwei(fees.maxFeePerGas),
+    maxPriorityFeePerGas: toGwei(fees.maxPriorityFeePerGas),
+    gasLimit: gasLimit !== null ? gasLimit.toString() : null
+  }
+}
+
+/**
+ * 费用的单行文本
+ */
+export const formatFees = (fees) => {
+  const summary = describeFees(fees)
+  return summary.type === 'legacy'
+    ? `legacy gasPrice ${summary.gasPrice} gwei`
+    : `EIP-1559 maxFee ${summary.maxFeePerGas} gwei / 小费 ${summary.maxPriorityFeePerGas} gwei (基础费用 ${summary.baseFee} gwei)`
+}
+
+export default {
+  GAS_POLICY_DEFAULTS,
+  GasPolicyError,
+  getGasPolicy,
+  saveGasPolicy,
+  resolveFees,
+  applyGasLimit,
+  toTxOverrides,
+  getMaxGasCost,
+  assertGasBudget,
+  describeFees,
+  formatFees
+}
@@ -0,0 +1,73 @@
+import { ethers } from 'ethers'
+
+/**
+ * 会话密钥
+ * 解锁时由密码派生一次（scrypt），会话只保存派生出的密钥，不保存密码；
+ * 之后导入/派生的钱包用该密钥加密，生成标准 Web3 Secret Storage（v3）keystore，kdfparams 记录会话盐值，仍可用同一密码解密
+ */
+
+export const KEYSTORE_SCRYPT = { N: 1 << 17, r: 8, p: 1 } // 与 ethers 默认参数相同
+
+/**
+ * 由密码派生会话密钥
+ * @param {string} password - 钱包密码
+ * @param {Function} onProgress - scrypt 进度回调 (0~1)
+ * @returns {Promise<Object>} { salt, N, r, p, key }，key 为 64 字节（前 16 加密私钥、中间 16 计算 MAC、后 32 加密助记词）
+ */
+export const deriveSessionKey = async (password, onProgress) => {
+  const salt = ethers.randomBytes(32)
+  const { N, r, p } = KEYSTORE_SCRYPT
+  const key = await ethers.scrypt(ethers.toUtf8Bytes(password, 'NFKC'), salt, N, r, p, 64, onProgress)
+  return { salt, N, r, p, key: ethers.getBytes(key) }
+}
+
+const hex = (bytes) => ethers.hexlify(bytes).substring(2)
+
+/**
+ * AES-128-CTR（WebCrypto，浏览器、Worker 和 Node 中均可用），与 keystore 的 aes-128-ctr 相同
+ */
+const aesCtr = async (key, iv, data) => {
+  const cryptoKey = await globalThis.crypto.subtle.importKey('raw', key, 'AES-CTR', false, ['encrypt'])
+  return new Uint8Array(await globalThis.crypto.subtle.encrypt({ name: 'AES-CTR', counter: iv, length: 128 }, cryptoKey, data))
+}
+
+/**
+ * 用会话密钥加密钱包为 keystore JSON（不需要密码，也不再计算 scrypt）
+ * @param {Wallet|HDNodeWallet} wallet - 钱包（助记词钱包同时加密助记词和派生路径）
+ * @param {Object} sessionKey - deriveSessionKey 的结果
+ * @returns {Promise<string>} keystore JSON
+ */
+export const encryptWithSessionKey = async (wallet, { salt, N, r, p, key }) => {
+  const iv = ethers.randomBytes(16)
+  const ciphertext = await aesCtr(key.slice(0, 16), iv, ethers.getBytes(wallet.privateKey))
+
+  const data = {
+    address: wallet.address.substring(2).toLowerCase(),
+    id: ethers.uuidV4(ethers.randomBytes(16)),
+    version: 3,
+    Crypto: {
+      cipher: 'aes-128-ctr',
+      cipherparams: { iv: hex(iv) },
+      ciphertext: hex(ciphertext),
+      kdf: 'scrypt',
+      kdfparams: { salt: hex(salt), n: N, dklen: 32, p, r },
+      mac: hex(ethers.keccak256(ethers.concat([key.slice(16, 32), ciphertext])))
+    }
+  }
+
+  // 助记词以熵的形式加密（与 ethers 的 x-ethers 扩展相同，解密后恢复为 HDNodeWallet）
+  if (wallet.mnemonic) {
+    const mnemonicIv = ethers.randomBytes(16)
+    const entropy = ethers.getBytes(wallet.mnemonic.entropy)
+    data['x-ethers'] = {
+      client: `ethers/${ethers.version}`,
+      path: wallet.path,
+      locale: wallet.mnemonic.wordlist.locale,
+      mnemonicCounter: hex(mnemonicIv),
+      mnemonicCiphertext: hex(await aesCtr(key.slice(32, 64), mnemonicIv, entropy)),
+      version: '0.1'
+    }
+  }
+
+  return JSON.stringify(data)
+}
@@ -0,0 +1,321 @@
+import { ethers } from 'ethers'
+import { log } from '../utils/logger'
+import {
+  getActiveNetworkId,
+  saveActiveNetworkId,
+  getCustomNetworks,
+  saveCustomNetworks,
+  getExtraRpcUrls,
+  saveExtraRpcUrls
+} from '../utils/storage'
+
+/**
+ * 网络注册表
+ * 每个网络包含：链ID、RPC、Router/Factory 地址、原生代币符号、区块浏览器和内置代币列表
+ * 界面顶部切换的是"当前网络"（手动交易、余额、新建机器人）；每个机器人绑定自己的网络
+ */
+
+export const DEFAULT_NETWORK_ID = 'xone-testnet'
+
+// SwapX V2 合约地址（测试网）
+const SWAPX_CONTRACTS = {
+  router: '0x89eA27957bb86FBFFC2e0ABfc5a5a64BB0343367',  // SwapX V2 Router
+  factory: '0x76bDc5a6190Ea31A6D5C7e93a8a2ff4dD15080A6' // SwapX V2 Factory
+}
+
+// 内置代币（Uniswap token list 格式，不含 chainId，按网络补全）
+// tags 含 'base' 的代币参与路由寻路的基础交易对组合
+const SWAPX_TOKENS = [
+  {
+    address: '0xb575796D293f37F112f3694b8ff48D711FE67EC7',
+    symbol: 'USDT',
+    name: 'Tether USD',
+    decimals: 6,
+    tags: ['base', 'stable']
+  },
+  {
+    address: '0x4eabbaBeBbb358660cA080e8F2bb09E4a911AB4E',
+    symbol: 'WXOC', // 实际交易使用WXOC，XOC用于GAS费
+    name: 'Wrapped XOC',
+    decimals: 18,
+    tags: ['base', 'wrapped-native']
+  }
+]
+
+const createTokenList = (name, chainId, tokens) => ({
+  name,
+  timestamp: '2024-01-01T00:00:00.000Z',
+  version: { major: 1, minor: 0, patch: 0 },
+  tokens: tokens.map(token => ({ ...token, chainId }))
+})
+
+// 内置网络
+export const BUILTIN_NETWORKS = [
+  {
+    id: DEFAULT_NETWORK_ID,
+    name: 'SwapX 测试网',
+    chainId: 3721,
+    rpcUrls: ['https://rpc.xone.org/'],
+    contracts: SWAPX_CONTRACTS,
+    nativeSymbol: 'XOC',
+    explorerUrl: 'https://www.xonescan.com',
+    tokenList: createTokenList('SwapX Testnet', 3721, SWAPX_TOKENS),
+    testnet: true
+  },
+  {
+    // anvil --fork-url https://rpc.xone.org/ --chain-id 31337
+    id: 'local-fork',
+    name: '本地分叉',
+    chainId: 31337,
+    rpcUrls: ['http://127.0.0.1:8545'],
+    contracts: SWAPX_CONTRACTS,
+    nativeSymbol: 'XOC',
+    explorerUrl: null,
+    tokenList: createTokenList('SwapX Local Fork', 31337, SWAPX_TOKENS),
+    testnet: true
+  }
+]
+
+// 网络切换监听器
+const listeners = new Set()
+
+// provider -> 网络配置（同一 provider 的链ID不会变化）
+const providerNetworks = new WeakMap()
+
+/**
+ * 校验并规范化网络配置
+ */
+const normalizeNetwork = (network) => {
+  if (!network.id || !network.name) {
+    throw new Error('网络缺少 id 或名称')
+  }
+  const chainId = Number(network.chainId)
+  if (!Number.isInteger(chainId) || chainId <= 0) {
+    throw new Error(`无效的链ID: ${network.chainId}`)
+  }
+  const rpcUrls = (network.rpcUrls || []).filter(Boolean)
+  if (rpcUrls.length === 0) {
+    throw new Error('至少需要一个 RPC 地址')
+  }
+  const { router, factory } = network.contracts || {}
+  if (!ethers.isAddress(router) || !ethers.isAddress(factory)) {
+    throw new Error('Router / Factory 地址无效')
+  }
+
+  return {
+    id: network.id,
+    name: network.name,
+    chainId,
+    rpcUrls,
+    contracts: { router: ethers.getAddress(router), factory: ethers.getAddress(factory) },
+    nativeSymbol: (network.nativeSymbol || 'ETH').toUpperCase(),
+    explorerUrl: network.explorerUrl ? network.explorerUrl.replace(/\/$/, '') : null,
+    tokenList: network.tokenList || createTokenList(network.name, chainId, []),
+    testnet: Boolean(network.testnet),
+    custom: Boolean(network.custom)
+  }
+}
+
+/**
+ * 获取所有网络（内置 + 自定义），rpcUrls 含用户追加的备用 RPC
+ * @returns {Array<Object>} 网络配置列表
+ */
+export const getNetworks = () => {
+  const custom = getCustomNetworks().flatMap(network => {
+    try {
+      return [normalizeNetwork({ ...network, custom: true })]
+    } catch (error) {
+      log.warning(`忽略无效的自定义网络: ${network.name}`, error.message)
+      return []
+    }
+  })
+  const extraRpcUrls = getExtraRpcUrls()
+  return [...BUILTIN_NETWORKS, ...custom].map(network => {
+    const extra = (extraRpcUrls[network.id] || []).filter(url => !network.rpcUrls.includes(url))
+    return extra.length > 0 ? { ...network, rpcUrls: [...network.rpcUrls, ...extra] } : network
+  })
+}
+
+/**
+ * 按ID获取网络
+ * @param {string} networkId - 网络ID
+ * @returns {Object} 网络配置
+ */
+export const getNetwork = (networkId) => {
+  const network = getNetworks().find(n => n.id === networkId)
+  if (!network) {
+    throw new Error(`未知的网络: ${networkId}`)
+  }
+  return network
+}
+
+/**
+ * 按链ID查找网络，未配置时返回 null
+ */
+export const getNetworkByChainId = (chainId) => {
+  return getNetworks().find(n => n.chainId === Number(chainId)) || null
+}
+
+/**
+ * 获取当前网络（界面顶部选择）
+ * @returns {Object} 网络配置
+ */
+export const getActiveNetwork = () => {
+  const networkId = getActiveNetworkId() || DEFAULT_NETWORK_ID
+  return getNetworks().find(n => n.id === networkId) || getNetwork(DEFAULT_NETWORK_ID)
+}
+
+/**
+ * 切换当前网络
+ * @param {string} networkId - 网络ID
+ * @returns {Object} 新的当前网络
+ */
+export const setActiveNetwork = (networkId) => {
+  const network = getNetwork(networkId)
+  saveActiveNetworkId(network.id)
+  log.info(`已切换到网络 ${network.name}`, { chainId: network.chainId })
+  listeners.forEach(listener => listener(network))
+  return network
+}
+
+/**
+ * 订阅网络切换
+ * @param {Function} listener - (network) => void
+ * @returns {Function} 取消订阅
+ */
+export const subscribeNetwork = (listener) => {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+/**
+ * 添加或更新自定义网络
+ * 传入 wrappedNative 地址时生成内置代币列表（包装原生代币作为路由基础代币），其余代币在代币管理中添加
+ * @param {Object} network - { id, name, chainId, rpcUrls, contracts: { router, factory }, nativeSymbol, explorerUrl, wrappedNative }
+ * @returns {Object} 规范化后的网络配置
+ */
+export const saveCustomNetwork = (network) => {
+  if (BUILTIN_NETWORKS.some(n => n.id === network.id)) {
+    throw new Error('不能覆盖内置网络')
+  }
+  const { wrappedNative, ...rest } = network
+  if (wrappedNative && !ethers.isAddress(wrappedNative)) {
+    throw new Error('包装原生代币地址无效')
+  }
+  const nativeSymbol = (rest.nativeSymbol || 'ETH').toUpperCase()
+  const tokenList = wrappedNative
+    ? createTokenList(rest.name, Number(rest.chainId), [{
+      address: wrappedNative,
+      symbol: `W${nativeSymbol}`,
+      name: `Wrapped ${nativeSymbol}`,
+      decimals: 18,
+      tags: ['base', 'wrapped-native']
+    }])
+    : rest.tokenList
+  const normalized = normalizeNetwork({ ...rest, tokenList, custom: true })
+  const conflict = getNetworks().find(n => n.chainId === normalized.chainId && n.id !== normalized.id)
+  if (conflict) {
+    throw new Error(`链ID ${normalized.chainId} 已被网络 ${conflict.name} 使用`)
+  }
+
+  const networks = getCustomNetworks().filter(n => n.id !== normalized.id)
+  saveCustomNetworks([...networks, normalized])
+  log.success(`已保存网络 ${normalized.name}`, { chainId: normalized.chainId })
+  return normalized
+}
+
+/**
+ * 删除自定义网络（当前网络被删除时回到默认网络）
+ */
+export const removeCustomNetwork = (networkId) => {
+  saveCustomNetworks(getCustomNetworks().filter(n => n.id !== networkId))
+  if (getActiveNetworkId() === networkId) {
+    setActiveNetwork(DEFAULT_NETWORK_ID)
+  }
+}
+
+/**
+ * 为网络追加备用 RPC 地址（节点池自动在多个 RPC 间切换）
+ * @param {string} networkId - 网络ID
+ * @param {string} url - RPC 地址
+ */
+export const addRpcUrl = (networkId, url) => {
+  const network = getNetwork(networkId)
+  if (!/^https?:\/\//.test(url)) {
+    throw new Error('RPC 地址需以 http(s):// 开头')
+  }
+  if (network.rpcUrls.includes(url)) {
+    throw new Error('该 RPC 地址已存在')
+  }
+  const extraRpcUrls = getExtraRpcUrls()
+  saveExtraRpcUrls({ ...extraRpcUrls, [networkId]: [...(extraRpcUrls[networkId] || []), url] })
+  log.success(`已为 ${network.name} 添加 RPC`, { url })
+}
+
+/**
+ * 删除用户追加的 RPC 地址（网络自带的 RPC 不可删除）
+ */
+export const removeRpcUrl = (networkId, url) => {
+  const extraRpcUrls = getExtraRpcUrls()
+  saveExtraRpcUrls({ ...extraRpcUrls, [networkId]: (extraRpcUrls[networkId] || []).filter(u => u !== url) })
+}
+
+/**
+ * 是否为用户追加的 RPC 地址
+ */
+export const isExtraRpcUrl = (networkId, url) => {
+  return (getExtraRpcUrls()[networkId] || []).includes(url)
+}
+
+/**
+ * 根据 provider 的链ID解析网络配置
+ * @param {Provider} provider - Provider实例
+ * @returns {Promise<Object>} 网络配置
+ */
+export const resolveNetwork = async (provider) => {
+  if (providerNetworks.has(provider)) {
+    return providerNetworks.get(provider)
+  }
+
+  const { chainId } = await provider.getNetwork()
+  const network = getNetworkByChainId(chainId)
+  if (!network) {
+    throw new Error(`链ID ${chainId} 未在网络配置中注册`)
+  }
+
+  providerNetworks.set(provider, network)
+  return network
+}
+
+/**
+ * 区块浏览器交易链接（网络未配置浏览器时返回 null）
+ */
+export const getExplorerTxUrl = (network, hash) => {
+  return network?.explorerUrl ? `${network.explorerUrl}/tx/${hash}` : null
+}
+
+/**
+ * 区块浏览器代币链接
+ */
+export const getExplorerTokenUrl = (network, address) => {
+  return network?.explorerUrl ? `${network.explorerUrl}/token/${address}` : null
+}
+
+export default {
+  DEFAULT_NETWORK_ID,
+  BUILTIN_NETWORKS,
+  getNetworks,
+  getNetwork,
+  getNetworkByChainId,
+  getActiveNetwork,
+  setActiveNetwork,
+  subscribeNetwork,
+  saveCustomNetwork,
+  removeCustomNetwork,
+  addRpcUrl,
+  removeRpcUrl,
+  isExtraRpcUrl,
+  resolveNetwork,
+  getExplorerTxUrl,
+  getExplorerTokenUrl
+}
@@ -0,0 +1,307 @@
+import { ethers } from 'ethers'
+import { log } from '../utils/logger'
+import { getNetwork } from './networks'
+
+/**
+ * RPC 节点池
+ * 每个网络一个 Provider，内部持有该网络的所有 RPC 地址：
+ * 定时健康检查（延迟、区块高度落后、错误率）并打分，请求发往得分最好的节点，失败时自动切换到下一个
+ */
+
+export const POOL_CONFIG = {
+  HEALTH_CHECK_INTERVAL_SECONDS: 30, // 健康检查间隔
+  REQUEST_TIMEOUT_MS: 10000,         // 单次请求超时
+  MAX_BLOCK_LAG: 5,                  // 落后最高区块超过此值视为不健康
+  MAX_CONSECUTIVE_FAILURES: 3,       // 连续失败次数达到此值视为不健康
+  ERROR_WINDOW: 20,                  // 错误率统计窗口（最近N次请求）
+  LAG_PENALTY_MS: 500,               // 每落后1个区块折算的延迟惩罚
+  ERROR_PENALTY_MS: 5000             // 错误率100%折算的延迟惩罚
+}
+
+// networkId -> RpcProviderPool
+const pools = new Map()
+
+// 状态监听器（任一节点池状态变化时通知）
+const listeners = new Set()
+
+const notify = (status) => {
+  listeners.forEach(listener => {
+    try {
+      listener(status)
+    } catch (error) {
+      log.error('节点池状态监听器出错', error)
+    }
+  })
+}
+
+// 替换监听器（RPC 地址变化重建节点池时通知持有旧实例的模块改用新实例）
+const replaceListeners = new Set()
+
+/**
+ * 节点池 Provider
+ * 继承 JsonRpcProvider（保留轮询、批量请求等行为），只替换底层 _send 的节点选择
+ */
+export class RpcProviderPool extends ethers.JsonRpcProvider {
+  constructor(network) {
+    super(network.rpcUrls[0], network.chainId, { staticNetwork: true })
+    this.networkId = network.id
+    this.networkName = network.name
+    this.endpoints = network.rpcUrls.map(url => ({
+      url,
+      latency: null,      // 平滑后的响应时间（ms）
+      blockNumber: null,  // 最近一次健康检查的区块高度
+      lag: 0,             // 落后最高区块数
+      results: [],        // 最近请求结果（true 成功 / false 失败）
+      consecutiveFailures: 0,
+      lastError: null,
+      lastCheckedAt: null
+    }))
+    this.activeUrl = network.rpcUrls[0]
+    this.healthTimer = null
+    this.startHealthChecks()
+  }
+
+  /**
+   * 向单个节点发送 JSON-RPC 请求（与 JsonRpcProvider._send 相同，附带超时）
+   */
+  async sendToEndpoint(endpoint, payload) {
+    const request = new ethers.FetchRequest(endpoint.url)
+    request.timeout = POOL_CONFIG.REQUEST_TIMEOUT_MS
+    request.body = JSON.stringify(payload)
+    request.setHeader('content-type', 'application/json')
+
+    const startedAt = Date.now()
+    const response = await request.send()
+    response.assertOk()
+    const elapsed = Date.now() - startedAt
+
+    endpoint.latency = endpoint.latency === null ? elapsed : Math.round(endpoint.latency * 0.7 + elapsed * 0.3)
+    const resp = response.bodyJson
+    return Array.isArray(resp) ? resp : [resp]
+  }
+
+  /**
+   * 记录请求结果
+   */
+  record(endpoint, ok, error = null) {
+    endpoint.results.push(ok)
+    if (endpoint.results.length > POOL_CONFIG.ERROR_WINDOW) {
+      endpoint.results.shift()
+    }
+    endpoint.consecutiveFailures = ok ? 0 : endpoint.consecutiveFailures + 1
+    if (!ok) {
+      endpoint.lastError = error?.shortMessage || error?.message || String(error)
+    }
+  }
+
+  errorRate(endpoint) {
+    if (endpoint.results.length === 0) return 0
+    return endpoint.results.filter(ok => !ok).length / endpoint.results.length
+  }
+
+  isHealthy(endpoint) {
+    return endpoint.consecutiveFailures < POOL_CONFIG.MAX_CONSECUTIVE_FAILURES &&
+      endpoint.lag <= POOL_CONFIG.MAX_BLOCK_LAG
+  }
+
+  /**
+   * 节点得分（越低越好）= 延迟 + 区块落后惩罚 + 错误率惩罚
+   */
+  score(endpoint) {
+    return (endpoint.latency ?? POOL_CONFIG.REQUEST_TIMEOUT_MS / 2) +
+      endpoint.lag * POOL_CONFIG.LAG_PENALTY_MS +
+      this.errorRate(endpoint) * POOL_CONFIG.ERROR_PENALTY_MS
+  }
+
+  /**
+   * 按优先级排序的节点：健康节点按得分排序，不健康节点作为最后的备选
+   */
+  rankedEndpoints() {
+    return [...this.endpoints].sort((a, b) => {
+      const healthDiff = Number(this.isHealthy(b)) - Number(this.isHealthy(a))
+      return healthDiff !== 0 ? healthDiff : this.score(a) - this.score(b)
+    })
+  }
+
+  /**
+   * 发送请求：依次尝试排序后的节点，网络错误/超时/HTTP错误时切换到下一个
+   * JSON-RPC 层面的错误（如 revert）由节点正常返回，不触发切换
+   */
+  async _send(payload) {
+    let lastError = null
+
+    for (const endpoint of this.rankedEndpoints()) {
+      try {
+        const result = await this.sendToEndpoint(endpoint, payload)
+        this.record(endpoint, true)
+        if (this.activeUrl !== endpoint.url) {
+          log.warning(`${this.networkName} RPC 已切换: ${endpoint.url}`, { previous: this.activeUrl })
+          this.activeUrl = endpoint.url
+          notify(this.getStatus())
+        }
+        return result
+      } catch (error) {
+        this.record(endpoint, false, error)
+        lastError = error
+        log.debug(`RPC 请求失败 ${endpoint.url}: ${error.shortMessage || error.message}`)
+      }
+    }
+
+    throw lastError
+  }
+
+  /**
+   * 健康检查：并行查询所有节点的区块高度，计算落后区块数
+   */
+  async checkHealth() {
+    const payload = { jsonrpc: '2.0', id: 1, method: 'eth_blockNumber', params: [] }
+
+    await Promise.all(this.endpoints.map(async endpoint => {
+      try {
+        const [resp] = await this.sendToEndpoint(endpoint, payload)
+        if (resp.error) {
+          throw new Error(resp.error.message)
+        }
+        endpoint.blockNumber = Number(resp.result)
+        this.record(endpoint, true)
+      } catch (error) {
+        this.record(endpoint, false, error)
+      } finally {
+        endpoint.lastCheckedAt = Date.now()
+      }
+    }))
+
+    const highest = Math.max(0, ...this.endpoints.map(e => e.blockNumber ?? 0))
+    this.endpoints.forEach(endpoint => {
+      endpoint.lag = endpoint.blockNumber === null ? 0 : highest - endpoint.blockNumber
+    })
+
+    if (!this.endpoints.some(endpoint => this.isHealthy(endpoint))) {
+      log.warning(`${this.networkName} 所有 RPC 节点均不健康`)
+    }
+
+    const status = this.getStatus()
+    notify(status)
+    return status
+  }
+
+  startHealthChecks() {
+    if (this.healthTimer) return
+    this.checkHealth().catch(error => log.debug(`RPC 健康检查失败: ${error.message}`))
+    this.healthTimer = setInterval(() => {
+      this.checkHealth().catch(error => log.debug(`RPC 健康检查失败: ${error.message}`))
+    }, POOL_CONFIG.HEALTH_CHECK_INTERVAL_SECONDS * 1000)
+  }
+
+  stopHealthChecks() {
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer)
+      this.healthTimer = null
+    }
+  }
+
+  destroy() {
+    this.stopHealthChecks()
+    super.destroy()
+  }
+
+  /**
+   * 节点池状态（供界面展示）
+   */
+  getStatus() {
+    const best = this.rankedEndpoints()[0]
+    return {
+      networkId: this.networkId,
+      networkName: this.networkName,
+      activeUrl: this.activeUrl,
+      bestUrl: best?.url,
+      endpoints: this.endpoints.map(endpoint => ({
+        url: endpoint.url,
+        healthy: this.isHealthy(endpoint),
+        latency: endpoint.latency,
+        blockNumber: endpoint.blockNumber,
+        lag: endpoint.lag,
+        errorRate: this.errorRate(endpoint),
+        score: Math.round(this.score(endpoint)),
+        lastError: endpoint.lastError,
+        lastCheckedAt: endpoint.lastCheckedAt
+      }))
+    }
+  }
+}
+
+/**
+ * 获取网络的节点池 Provider（同一网络共享一个实例；RPC 地址变化时重建）
+ * @param {string} networkId - 网络ID
+ * @returns {RpcProviderPool} Provider实例
+ */
+export const getProviderPool = (networkId) => {
+  const network = getNetwork(networkId)
+  const existing = pools.get(network.id)
+  if (existing && existing.endpoints.map(e => e.url).join(',') === network.rpcUrls.join(',')) {
+    return existing
+  }
+
+  const pool = new RpcProviderPool(network)
+  pools.set(network.id, pool)
+  if (existing) {
+    // 先让运行中的机器人、待确认交易改用新实例，再销毁旧实例（停止健康检查和轮询）
+    replaceListeners.forEach(listener => {
+      try {
+        listener(pool, existing)
+      } catch (error) {
+        log.error('节点池替换监听器出错', error)
+      }
+    })
+    existing.destroy()
+  }
+  return pool
+}
+
+/**
+ * 获取网络的节点池状态
+ * @param {string} networkId - 网络ID
+ * @returns {Object} { networkId, activeUrl, bestUrl, endpoints: [...] }
+ */
+export const getPoolStatus = (networkId) => {
+  return getProviderPool(networkId).getStatus()
+}
+
+/**
+ * 立即对网络的所有节点做一次健康检查
+ * @param {string} networkId - 网络ID
+ * @returns {Promise<Object>} 节点池状态
+ */
+export const checkPoolHealth = (networkId) => {
+  return getProviderPool(networkId).checkHealth()
+}
+
+/**
+ * 订阅节点池状态变化
+ * @param {Function} listener - (status) => void
+ * @returns {Function} 取消订阅
+ */
+export const subscribePoolStatus = (listener) => {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+/**
+ * 订阅节点池替换（RPC 地址变化后旧实例会被销毁）
+ * @param {Function} listener - (pool, previous) => void
+ * @returns {Function} 取消订阅
+ */
+export const subscribePoolReplaced = (listener) => {
+  replaceListeners.add(listener)
+  return () => replaceListeners.delete(listener)
+}
+
+export default {
+  POOL_CONFIG,
+  RpcProviderPool,
+  getProviderPool,
+  getPoolStatus,
+  checkPoolHealth,
+  subscribePoolStatus,
+  subscribePoolReplaced
+}
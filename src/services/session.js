@@ -0,0 +1,409 @@
+import { ethers } from 'ethers'
+import { log } from '../utils/logger'
+import { getWallet, removeWallet, getConfig, saveConfig } from '../utils/storage'
+import {
+  WALLET_SOURCES,
+  getWallets,
+  getWalletById,
+  findWalletByAddress,
+  getActiveWallet,
+  getHdGroupWallets,
+  addWallet,
+  setWalletArchived,
+  deleteWallet
+} from './walletBook'
+import { deriveSessionKey, encryptWithSessionKey } from './keystore'
+
+/**
+ * 钱包会话服务
+ * 钱包簿中的私钥以加密 JSON keystore 保存（所有钱包共用一个密码），解锁后的签名钱包只保存在内存中；
+ * 会话不保存密码，只保存由密码派生的会话密钥（见 keystore.js）用于加密新钱包，锁定时一并清除；
+ * 组件和机器人通过 getSigner(walletId, provider) 获取签名者，不再读取明文私钥
+ */
+
+export const SESSION_CONFIG = {
+  DEFAULT_AUTO_LOCK_MINUTES: 15, // 默认无操作自动锁定时间（0 表示不自动锁定）
+  MIN_PASSWORD_LENGTH: 8,
+  DEFAULT_HD_BASE_PATH: "m/44'/60'/0'/0", // 助记词派生的默认基础路径（账户路径为 基础路径/序号）
+  MAX_HD_IMPORT_COUNT: 20                 // 助记词一次最多导入的账户数
+}
+
+/**
+ * 钱包已锁定（需要先输入密码解锁）
+ */
+export class WalletLockedError extends Error {
+  constructor(message = '钱包已锁定，请先解锁', details = {}) {
+    super(message)
+    this.name = 'WalletLockedError'
+    this.code = 'WALLET_LOCKED'
+    this.details = details
+  }
+}
+
+const assertPassword = (password) => {
+  if (!password || password.length < SESSION_CONFIG.MIN_PASSWORD_LENGTH) {
+    throw new Error(`密码至少需要 ${SESSION_CONFIG.MIN_PASSWORD_LENGTH} 位`)
+  }
+}
+
+class WalletSession {
+  constructor() {
+    this.signers = new Map() // walletId -> 解锁后的 ethers.Wallet / HDNodeWallet（未连接 provider）
+    this.sessionKey = null   // 解锁时由密码派生的会话密钥，用于加密新导入/派生的钱包（Bot Worker 中没有）
+    this.unlocked = false
+    this.lockTimer = null
+    this.autoLock = true     // 无操作自动锁定（Bot Worker 中关闭，锁定跟随主线程）
+    this.listeners = new Set()
+  }
+
+  /**
+   * 本地保存的钱包状态
+   * @returns {'none'|'legacy'|'encrypted'} 无钱包 / 旧版明文私钥（需设置密码迁移）/ 已加密
+   */
+  getStoredState() {
+    if (getWallets({ includeArchived: true }).length > 0) return 'encrypted'
+    return getWallet()?.privateKey ? 'legacy' : 'none'
+  }
+
+  isUnlocked() {
+    return this.unlocked
+  }
+
+  /**
+   * 导入钱包（私钥 / 助记词 / keystore 文件），用会话密钥加密后加入钱包簿
+   * 钱包簿为空时由传入的 password 设置密码并解锁；已有钱包时需先解锁
+   * @param {Object} source - { type, privateKey, mnemonic, basePath, count, keystore, keystorePassword, label }
+   * @param {string} password - 首次导入时设置的密码
+   * @param {Function} onProgress - 设置密码时派生会话密钥的进度回调 (0~1)，scrypt 计算需要数秒
+   * @returns {Promise<Array<Object>>} 导入的钱包元数据（助记词可一次导入多个账户）
+   */
+  async importWallet(source, password = null, onProgress) {
+    const firstWallet = getWallets({ includeArchived: true }).length === 0
+    if (!firstWallet && !this.isUnlocked()) {
+      throw new WalletLockedError()
+    }
+    const settingPassword = firstWallet && !this.isUnlocked()
+    if (settingPassword) {
+      assertPassword(password)
+    }
+
+    const accounts = await this.restoreFromSource(source)
+    const sessionKey = settingPassword ? await deriveSessionKey(password, onProgress) : this.sessionKey
+    const entries = []
+    for (const { wallet, hd } of accounts) {
+      // 助记词批量导入时跳过已在钱包簿中的账户
+      if (accounts.length > 1 && findWalletByAddress(wallet.address)) {
+        continue
+      }
+      const label = accounts.length > 1 && source.label ? `${source.label} #${hd.index}` : source.label
+      entries.push(await this.saveAccount(wallet, sessionKey, { label, source: source.type, hd }))
+    }
+
+    if (entries.length === 0) {
+      throw new Error('这些账户都已在钱包簿中')
+    }
+
+    this.sessionKey = sessionKey
+    this.unlocked = true
+    this.touch()
+    this.notify()
+    return entries
+  }
+
+  /**
+   * 用会话密钥加密并保存单个账户，签名者放入会话
+   */
+  async saveAccount(wallet, sessionKey, { label, source, hd = null }) {
+    if (!sessionKey) {
+      throw new WalletLockedError()
+    }
+    const keystore = await encryptWithSessionKey(wallet, sessionKey)
+    const entry = addWallet({ address: wallet.address, keystore, label, source, hd })
+    this.signers.set(entry.id, wallet)
+    return entry
+  }
+
+  /**
+   * 从同一助记词派生下一个子账户（如给新机器人分配独立地址）
+   * @param {string} walletId - 该助记词下任一已解锁的钱包
+   * @param {string} label - 子账户标签
+   * @returns {Promise<Object>} 子账户钱包元数据
+   */
+  async deriveSubAccount(walletId, label = null) {
+    const parent = getWalletById(walletId)
+    const signer = this.getSigner(walletId)
+    if (!parent?.hd || !signer.mnemonic) {
+      throw new Error('该钱包不是由助记词导入，无法派生子账户')
+    }
+
+    // 序号接在同组已有账户（含已归档）之后，避免重复派生
+    const siblings = getHdGroupWallets(parent.hd.group)
+    const index = Math.max(...siblings.map(w => w.hd.index)) + 1
+    const path = `${parent.hd.basePath}/${index}`
+    const wallet = ethers.HDNodeWallet.fromPhrase(signer.mnemonic.phrase, undefined, path)
+
+    const entry = await this.saveAccount(
+      wallet,
+      this.sessionKey,
+      {
+        label: label || `子账户 #${index}`,
+        source: WALLET_SOURCES.MNEMONIC,
+        hd: { ...parent.hd, index }
+      }
+    )
+    log.success(`已派生子账户 ${entry.label}`, { address: entry.address, path })
+    this.notify()
+    return entry
+  }
+
+  /**
+   * 按导入方式恢复账户
+   * @returns {Promise<Array<Object>>} [{ wallet, hd }]，助记词按基础路径派生 count 个账户
+   */
+  async restoreFromSource(source) {
+    switch (source.type) {
+      case WALLET_SOURCES.PRIVATE_KEY: {
+        let privateKey = source.privateKey.trim()
+        if (!privateKey.startsWith('0x')) {
+          privateKey = '0x' + privateKey
+        }
+        // 私钥长度应为66字符：0x + 64位十六进制
+        if (privateKey.length !== 66) {
+          throw new Error('私钥格式错误，应为64位十六进制字符')
+        }
+        return [{ wallet: new ethers.Wallet(privateKey), hd: null }]
+      }
+      case WALLET_SOURCES.MNEMONIC: {
+        const phrase = source.mnemonic.trim().toLowerCase().split(/\s+/).join(' ')
+        if (!ethers.Mnemonic.isValidMnemonic(phrase)) {
+          throw new Error('助记词无效')
+        }
+        const basePath = (source.basePath || SESSION_CONFIG.DEFAULT_HD_BASE_PATH).replace(/\/$/, '')
+        const count = Math.min(Math.max(Number(source.count) || 1, 1), SESSION_CONFIG.MAX_HD_IMPORT_COUNT)
+        let group
+        try {
+          // 同一助记词、同一基础路径的账户归为一组（以序号 0 的地址标识）
+          group = ethers.HDNodeWallet.fromPhrase(phrase, undefined, `${basePath}/0`).address
+        } catch (error) {
+          throw new Error(`派生路径无效: ${basePath}`)
+        }
+        return Array.from({ length: count }, (_, index) => ({
+          wallet: ethers.HDNodeWallet.fromPhrase(phrase, undefined, `${basePath}/${index}`),
+          hd: { group, basePath, index }
+        }))
+      }
+      case WALLET_SOURCES.KEYSTORE: {
+        try {
+          const wallet = await ethers.Wallet.fromEncryptedJson(source.keystore, source.keystorePassword || '')
+          return [{ wallet, hd: null }]
+        } catch (error) {
+          throw new Error(`keystore 解密失败: ${error.message}`)
+        }
+      }
+      default:
+        throw new Error(`未知的导入方式: ${source.type}`)
+    }
+  }
+
+  /**
+   * 旧版明文私钥迁移到钱包簿（设置密码，明文随之从 localStorage 删除）
+   */
+  async migrateLegacy(password, onProgress) {
+    const stored = getWallet()
+    if (!stored?.privateKey) {
+      throw new Error('没有需要迁移的明文钱包')
+    }
+    const [entry] = await this.importWallet(
+      { type: WALLET_SOURCES.PRIVATE_KEY, privateKey: stored.privateKey, label: '钱包 1' },
+      password,
+      onProgress
+    )
+    removeWallet()
+    return entry
+  }
+
+  /**
+   * 输入密码解锁钱包簿中所有未归档的钱包，并派生会话密钥（密码不保留）
+   * @param {string} password - 解锁密码
+   * @param {Function} onProgress - 解密进度回调 (0~1)
+   */
+  async unlock(password, onProgress) {
+    const all = getWallets({ includeArchived: true })
+    if (all.length === 0) {
+      throw new Error('未找到加密钱包')
+    }
+    // 全部归档时用第一个钱包校验密码
+    const unarchived = all.filter(w => !w.archived)
+    const wallets = unarchived.length > 0 ? unarchived : [all[0]]
+
+    // 最后一步派生会话密钥，同样需要一次 scrypt 计算
+    const steps = wallets.length + 1
+    const signers = new Map()
+    for (const [index, wallet] of wallets.entries()) {
+      const progress = onProgress && ((value) => onProgress((index + value) / steps))
+      try {
+        const signer = await ethers.Wallet.fromEncryptedJson(wallet.keystore, password, progress)
+        if (!wallet.archived) {
+          signers.set(wallet.id, signer)
+        }
+      } catch (error) {
+        // 第一个钱包解不开说明密码错误；其余钱包解不开（密码不同）时跳过
+        if (index === 0) {
+          log.warning('钱包解锁失败', error.message)
+          throw new Error('密码错误')
+        }
+        log.warning(`钱包 ${wallet.label} 解锁失败，已跳过`, error.message)
+      }
+    }
+
+    this.sessionKey = await deriveSessionKey(password, onProgress && ((value) => onProgress((wallets.length + value) / steps)))
+    this.signers = signers
+    this.unlocked = true
+    this.touch()
+    log.info('钱包已解锁', { count: signers.size })
+    this.notify()
+    return signers.size
+  }
+
+  /**
+   * 用主线程解密好的私钥解锁（Bot Worker 使用，Worker 不接触密码）
+   * @param {Object} keys - { walletId: privateKey }，见 exportSigners()
+   */
+  unlockWithKeys(keys) {
+    this.signers = new Map(Object.entries(keys).map(([walletId, privateKey]) => [walletId, new ethers.Wallet(privateKey)]))
+    this.unlocked = true
+    this.touch()
+    log.info('钱包已解锁', { count: this.signers.size })
+    this.notify()
+    return this.signers.size
+  }
+
+  /**
+   * 已解锁钱包的私钥（只发送给本页面的 Bot Worker）
+   * @returns {Object} { walletId: privateKey }
+   */
+  exportSigners() {
+    if (!this.isUnlocked()) {
+      throw new WalletLockedError()
+    }
+    return Object.fromEntries([...this.signers].map(([walletId, signer]) => [walletId, signer.privateKey]))
+  }
+
+  /**
+   * 取消归档（会话不保存密码，归档时已清除签名者，重新解锁后该钱包可用）
+   * @returns {boolean} 该钱包当前是否已解锁
+   */
+  restoreArchived(walletId) {
+    if (!getWalletById(walletId)) return false
+    setWalletArchived(walletId, false)
+    return this.signers.has(walletId)
+  }
+
+  /**
+   * 归档钱包并清除其签名者
+   */
+  archive(walletId) {
+    this.signers.delete(walletId)
+    setWalletArchived(walletId, true)
+  }
+
+  /**
+   * 锁定：清除内存中的签名钱包和会话密钥（已运行的机器人持有各自的签名者，不受影响）
+   * @param {string} reason - 锁定原因
+   */
+  lock(reason = '手动锁定') {
+    if (!this.isUnlocked()) return
+    this.signers = new Map()
+    this.sessionKey = null
+    this.unlocked = false
+    this.clearLockTimer()
+    log.info(`钱包已锁定: ${reason}`)
+    this.notify()
+  }
+
+  /**
+   * 删除所有钱包（忘记密码时，只能删除后重新导入）
+   */
+  forget() {
+    this.lock('删除钱包')
+    getWallets({ includeArchived: true }).forEach(wallet => deleteWallet(wallet.id))
+    removeWallet()
+    log.info('已删除本地所有钱包')
+    this.notify()
+  }
+
+  /**
+   * 获取签名者
+   * @param {string} walletId - 钱包ID，默认当前钱包
+   * @param {Provider} provider - 连接的 Provider（机器人传入所绑定网络的 provider）
+   * @returns {Wallet} 已连接 provider 的钱包实例
+   */
+  getSigner(walletId = getActiveWallet()?.id, provider = null) {
+    if (!this.isUnlocked()) {
+      throw new WalletLockedError()
+    }
+    const signer = this.signers.get(walletId)
+    if (!signer) {
+      throw new WalletLockedError('钱包不存在、已归档或未能解锁', { walletId })
+    }
+    this.touch()
+    return provider ? signer.connect(provider) : signer
+  }
+
+  /**
+   * 用户有操作时重置自动锁定计时
+   */
+  touch() {
+    if (!this.isUnlocked() || !this.autoLock) return
+    this.clearLockTimer()
+    const minutes = this.getAutoLockMinutes()
+    if (minutes > 0) {
+      this.lockTimer = setTimeout(() => this.lock(`${minutes} 分钟无操作自动锁定`), minutes * 60 * 1000)
+    }
+  }
+
+  getAutoLockMinutes() {
+    return getConfig().autoLockMinutes ?? SESSION_CONFIG.DEFAULT_AUTO_LOCK_MINUTES
+  }
+
+  /**
+   * 设置自动锁定时间
+   * @param {number} minutes - 无操作多少分钟后锁定，0 表示不自动锁定
+   */
+  setAutoLockMinutes(minutes) {
+    saveConfig({ ...getConfig(), autoLockMinutes: minutes })
+    this.touch()
+  }
+
+  /**
+   * 订阅会话状态变化（解锁/锁定/导入钱包）
+   * @param {Function} listener - (unlocked) => void
+   * @returns {Function} 取消订阅
+   */
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  clearLockTimer() {
+    if (this.lockTimer) {
+      clearTimeout(this.lockTimer)
+      this.lockTimer = null
+    }
+  }
+
+  notify() {
+    const unlocked = this.isUnlocked()
+    this.listeners.forEach(listener => {
+      try {
+        listener(unlocked)
+      } catch (error) {
+        log.error('会话监听器出错', error)
+      }
+    })
+  }
+}
+
+const walletSession = new WalletSession()
+
+export default walletSession
@@ -0,0 +1,194 @@
+import { DEFAULT_NETWORK_ID } from '../networks'
+import { applyDefaults, assertValidConfig } from './configSchema'
+import { liveSwapService } from './liveSwapService'
+
+/**
+ * 策略基类 - 所有策略的统一接口
+ *
+ * 子类通过静态字段描述自己（由策略注册表读取，创建弹窗、配置表单和 BotRunner 据此工作）：
+ * - static type          机器人类型（bot.type）
+ * - static meta          { name, description, icon }
+ * - static configSchema  策略参数的 JSON Schema（交易对、钱包、网络、交易保护等通用参数不在其中），
+ *                        含跨字段规则 rules，构造时校验（见 configSchema.js），配置无效时抛出 StrategyConfigError
+ *
+ * 价格、兑换、成交记录、交易日志和时间都通过交易服务 swapService（默认 liveSwapService 链上交易），
+ * 回测时传入模拟交易服务，策略代码不直接调用 swap.js / saveOrderTrades / tradeLog / Date.now()
+ *
+ * 子类实现：
+ * - tick()                    一轮检查（异步，自行捕获交易错误）
+ * - getState() / restoreState(state)  可序列化的状态快照
+ * - 可选 onStart()（校验配置、初始化，抛出错误则不启动）、onStop(reason)、getInterval()
+ *
+ * 成交通过 saveTrade() 保存，基类按订单累计交易次数和交易额（getTradeStats()，与策略类型无关）
+ */
+export class BaseStrategy {
+  static type = null
+  static meta = { name: '', description: '', icon: 'robot' }
+  static configSchema = { type: 'object', properties: {} }
+
+  constructor(config, wallet, swapService) {
+    const { configSchema } = this.constructor
+    assertValidConfig(configSchema, config)
+    this.config = applyDefaults(configSchema, config)
+    this.wallet = wallet
+    this.swapService = swapService || liveSwapService
+    this.log = this.swapService.log // 交易日志
+    this.networkId = config.networkId || DEFAULT_NETWORK_ID // 绑定的网络（wallet.provider 已连接到该网络）
+    this.baseToken = config.baseToken || 'WXOC'   // 交易的代币
+    this.quoteToken = config.quoteToken || 'USDT' // 计价代币
+    this.isRunning = false
+    this.isExecuting = false // 交易执行中（拆单可能跨越多个检查周期）
+    this.gasSpent = 0 // 已消耗的Gas费（原生币），用于Gas预算
+    this.tradeStats = { totalTrades: 0, totalVolume: 0 } // 成交订单数与交易额（计价代币）
+    this.timer = null
+    this.onStateChange = null // 状态变化回调（由 BotRunner 设置，用于持久化）
+  }
+
+  /**
+   * 启动策略（同步返回，不阻塞）：立即执行一轮检查，之后按检查间隔定时执行
+   * @param {Object} options - { manual: 不设定时器，由调用方按模拟时间调用 tick()（回测） }
+   */
+  start({ manual = false } = {}) {
+    if (this.isRunning) {
+      this.log.warning('策略已在运行中')
+      return
+    }
+
+    this.onStart()
+    this.isRunning = true
+    if (manual) return
+
+    this.runTick()
+    this.timer = setInterval(() => this.runTick(), this.getInterval() * 1000)
+  }
+
+  /**
+   * 停止策略
+   * @param {string} reason - 停止原因
+   */
+  stop(reason = '用户手动停止') {
+    if (this.timer) {
+      clearInterval(this.timer)
+      this.timer = null
+    }
+    this.isRunning = false
+    this.onStop(reason)
+  }
+
+  /**
+   * 执行一轮检查，捕获未处理的错误，防止定时器停止
+   */
+  runTick() {
+    return this.tick().catch(error => {
+      this.log.error(`定时检查出错: ${error.message}`)
+    })
+  }
+
+  /**
+   * 一轮检查（子类实现）
+   */
+  async tick() {
+    throw new Error(`${this.constructor.name} 未实现 tick()`)
+  }
+
+  /**
+   * 启动前调用：校验配置、初始化、输出启动日志
+   */
+  onStart() {}
+
+  /**
+   * 停止后调用：输出停止日志
+   */
+  onStop() {}
+
+  /**
+   * 当前时间（毫秒时间戳，回测时为模拟时间）
+   */
+  now() {
+    return this.swapService.now()
+  }
+
+  /**
+   * 检查间隔（秒）
+   */
+  getInterval() {
+    return this.config.checkInterval || 30
+  }
+
+  /**
+   * 交易保护选项（价格影响上限、超限处理方式、剩余Gas预算与卡住交易处理）
+   */
+  getSwapOptions() {
+    return {
+      maxPriceImpact: this.config.maxPriceImpact,
+      priceImpactMode: this.config.priceImpactMode,
+      gasBudget: this.config.gasBudget ? this.config.gasBudget - this.gasSpent : undefined,
+      stuckPolicy: { action: this.config.stuckAction, stuckBlocks: this.config.stuckBlocks }
+    }
+  }
+
+  /**
+   * 订单成交数量：优先使用回执解码的实际成交（拆单为已成交子单的汇总）；
+   * 只有单笔订单缺少成交数据时按报价估算，拆单（可能部分成交）不按整单金额估算
+   * @param {Object} result - 交易结果
+   * @param {number} quotedIn - 单笔订单按报价估算的支付数量
+   * @param {number} quotedOut - 单笔订单按报价估算的获得数量
+   * @returns {Object} { amountIn, amountOut, gasCost }
+   */
+  getFill(result, quotedIn, quotedOut) {
+    if (result.fill) {
+      return result.fill
+    }
+    return result.split
+      ? { amountIn: result.expectedAmountIn, amountOut: result.expectedAmountOut }
+      : { amountIn: quotedIn, amountOut: quotedOut }
+  }
+
+  /**
+   * 保存成交记录（拆单按子单保存）并累计交易统计
+   * @param {Object} trade - 订单成交记录 { type: 'BUY' | 'SELL', amountIn, amountOut, ... }
+   * @param {Object} result - 交易结果
+   */
+  saveTrade(trade, result) {
+    this.tradeStats = {
+      totalTrades: this.tradeStats.totalTrades + 1,
+      totalVolume: this.tradeStats.totalVolume + (trade.type === 'BUY' ? trade.amountIn : trade.amountOut)
+    }
+    return this.swapService.saveOrderTrades(trade, result)
+  }
+
+  /**
+   * 交易统计（机器人卡片和守护进程同步到机器人列表）
+   * @returns {Object} { totalTrades, totalVolume }
+   */
+  getTradeStats() {
+    return { ...this.tradeStats }
+  }
+
+  /**
+   * 可序列化的状态快照（页面重新加载后由 BotRunner 恢复）
+   */
+  getState() {
+    return {}
+  }
+
+  /**
+   * 从状态快照恢复（启动前调用）
+   */
+  restoreState() {}
+
+  /**
+   * 从 persistState 保存的快照恢复：交易统计由基类恢复，其余交给子类 restoreState
+   */
+  restore(snapshot) {
+    this.tradeStats = { ...this.tradeStats, ...snapshot.tradeStats }
+    this.restoreState(snapshot)
+  }
+
+  /**
+   * 通知状态变化
+   */
+  persistState() {
+    this.onStateChange?.({ ...this.getState(), tradeStats: this.tradeStats })
+  }
+}
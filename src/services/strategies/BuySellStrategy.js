@@ -1,19 +1,33 @@
-import { addLog, tradeLog } from '../../utils/logger'
-import { getXOCPrice, buyXOC, sellXOC } from '../swap'
-import { saveTrade } from '../../utils/storage'
+import { BaseStrategy } from './BaseStrategy'
 
 /**
  * 低买高卖策略
  * 当价格低于买入阈值时买入，高于卖出阈值时卖出
  * 持续交易直到价格不满足条件
  */
-export class BuySellStrategy {
+export class BuySellStrategy extends BaseStrategy {
+  static type = 'buysell'
+  static meta = {
+    name: '低买高卖',
+    description: '价格低于阈值买入，高于阈值卖出',
+    icon: 'swap'
+  }
+  static configSchema = {
+    type: 'object',
+    required: ['buyThreshold', 'sellThreshold', 'tradeAmount', 'checkInterval'],
+    properties: {
+      buyThreshold: { type: 'number', title: '买入阈值', unit: '{quote}', exclusiveMinimum: 0, step: 0.001, default: 0.082, placeholder: '低于此价格时买入' },
+      sellThreshold: { type: 'number', title: '卖出阈值', unit: '{quote}', exclusiveMinimum: 0, step: 0.01, default: 0.15, placeholder: '高于此价格时卖出' },
+      tradeAmount: { type: 'number', title: '交易金额', unit: '{quote}', minimum: 0.1, maximum: 1000, step: 0.1, default: 1 },
+      checkInterval: { type: 'integer', title: '检查间隔', enum: [10, 30, 60, 300], enumNames: ['10秒', '30秒', '1分钟', '5分钟'], default: 30 }
+    },
+    rules: [
+      { field: 'buyThreshold', exclusiveMaximum: 'sellThreshold', message: '买入阈值必须低于卖出阈值' }
+    ]
+  }
+
   constructor(config, wallet, swapService) {
-    this.config = config // { buyThreshold, sellThreshold, tradeAmount, checkInterval }
-    this.wallet = wallet
-    this.swapService = swapService
-    this.isRunning = false
-    this.timer = null
+    super(config, wallet, swapService) // config: { networkId, baseToken, quoteToken, buyThreshold, sellThreshold, tradeAmount, checkInterval, maxPriceImpact, priceImpactMode, gasBudget, stuckAction, stuckBlocks }
     this.startTime = null // 记录启动时间
     this.lastTradeTime = null // 记录最后交易时间
     this.lastPrice = null // 记录最后检查的价格
@@ -29,97 +43,72 @@ export class BuySellStrategy {
   }
 
   /**
-   * 启动策略（同步返回，不阻塞）
+   * 启动时记录开始时间并输出配置
    */
-  start() {
-    if (this.isRunning) {
-      tradeLog.warning('策略已在运行中')
-      return
-    }
-
-    this.isRunning = true
-    this.startTime = Date.now() // 记录启动时间
+  onStart() {
+    this.startTime = this.now() // 记录启动时间
     
-    tradeLog.success(
+    this.log.success(
       '🤖 低买高卖策略启动\n' +
-      `📊 买入阈值: ${this.config.buyThreshold} USDT\n` +
-      `📊 卖出阈值: ${this.config.sellThreshold} USDT\n` +
-      `💰 交易金额: ${this.config.tradeAmount} USDT\n` +
+      `📊 买入阈值: ${this.config.buyThreshold} ${this.quoteToken}\n` +
+      `📊 卖出阈值: ${this.config.sellThreshold} ${this.quoteToken}\n` +
+      `💰 交易金额: ${this.config.tradeAmount} ${this.quoteToken}\n` +
       `⏱️  检查间隔: ${this.config.checkInterval}秒\n` +
-      `🚀 开始时间: ${new Date().toLocaleString('zh-CN')}`
+      `🚀 开始时间: ${new Date(this.now()).toLocaleString('zh-CN')}`
     )
-
-    // 设置定时器 - 持续监控价格并交易
-    this.timer = setInterval(async () => {
-      try {
-        await this.checkAndTrade()
-      } catch (error) {
-        // 捕获任何未处理的错误，防止定时器停止
-        tradeLog.error(`定时检查出错: ${error.message}`)
-        this.stats.failedTrades++
-      }
-    }, this.config.checkInterval * 1000)
-
-    // 立即执行第一次检查（完全异步，不阻塞启动）
-    this.checkAndTrade().catch(error => {
-      tradeLog.error(`首次检查失败: ${error.message}`)
-      this.stats.failedTrades++
-    })
-    
-    tradeLog.info('✅ 策略定时器已启动，开始持续监控...')
   }
 
   /**
-   * 停止策略
+   * 停止时输出运行汇总
    * @param {string} reason - 停止原因
    */
-  stop(reason = '用户手动停止') {
-    if (this.timer) {
-      clearInterval(this.timer)
-      this.timer = null
-    }
-    this.isRunning = false
-    
+  onStop(reason) {
     const runningTime = this.getRunningTime()
     const netProfit = this.stats.totalSellAmount - this.stats.totalBuyAmount
     
-    tradeLog.info(
+    this.log.info(
       '⛔ 低买高卖策略停止\n' +
       `📝 停止原因: ${reason}\n` +
       `⏱️  运行时长: ${this.formatTime(runningTime)}\n` +
-      `📈 买入次数: ${this.stats.totalBuyCount} (${this.stats.totalBuyAmount.toFixed(2)} USDT)\n` +
-      `📉 卖出次数: ${this.stats.totalSellCount} (${this.stats.totalSellAmount.toFixed(2)} USDT)\n` +
+      `📈 买入次数: ${this.stats.totalBuyCount} (${this.stats.totalBuyAmount.toFixed(2)} ${this.quoteToken})\n` +
+      `📉 卖出次数: ${this.stats.totalSellCount} (${this.stats.totalSellAmount.toFixed(2)} ${this.quoteToken})\n` +
       `❌ 失败次数: ${this.stats.failedTrades}\n` +
-      `💵 净盈亏: ${netProfit >= 0 ? '+' : ''}${netProfit.toFixed(2)} USDT\n` +
-      `🏁 结束时间: ${new Date().toLocaleString('zh-CN')}`
+      `💵 净盈亏: ${netProfit >= 0 ? '+' : ''}${netProfit.toFixed(2)} ${this.quoteToken}\n` +
+      `🏁 结束时间: ${new Date(this.now()).toLocaleString('zh-CN')}`
     )
   }
 
   /**
    * 检查价格并执行交易 - 持续交易直到价格不满足条件
    */
-  async checkAndTrade() {
+  async tick() {
     if (!this.isRunning) {
-      tradeLog.warning('⚠️ 策略未运行，跳过检查')
+      this.log.warning('⚠️ 策略未运行，跳过检查')
+      return
+    }
+
+    // 上一笔交易（或拆单子单）仍在执行，跳过本次检查
+    if (this.isExecuting) {
       return
     }
 
+    this.isExecuting = true
     try {
       // 获取当前价格
       const provider = this.wallet.provider
       
-      // 获取 XOC/USDT 价格
-      const price = await getXOCPrice(provider)
+      // 获取交易对价格（每个基础代币值多少计价代币）
+      const price = await this.swapService.getTokenPrice(this.baseToken, this.quoteToken, provider)
       this.lastPrice = price
 
       // 判断交易信号并持续执行
       if (price <= this.config.buyThreshold) {
         // 价格低于或等于买入阈值，执行买入
         const discount = ((1 - price / this.config.buyThreshold) * 100).toFixed(2)
-        tradeLog.warning(
+        this.log.warning(
           '🔔 触发买入信号!\n' +
-          `💹 当前价格: ${price.toFixed(6)} USDT\n` +
-          `🎯 买入阈值: ${this.config.buyThreshold} USDT\n` +
+          `💹 当前价格: ${price.toFixed(6)} ${this.quoteToken}\n` +
+          `🎯 买入阈值: ${this.config.buyThreshold} ${this.quoteToken}\n` +
           `💰 折扣率: ${discount}%\n` +
           `⏱️  运行时长: ${this.formatTime(this.getRunningTime())}`
         )
@@ -128,10 +117,10 @@ export class BuySellStrategy {
       } else if (price >= this.config.sellThreshold) {
         // 价格高于或等于卖出阈值，执行卖出
         const premium = ((price / this.config.sellThreshold - 1) * 100).toFixed(2)
-        tradeLog.warning(
+        this.log.warning(
           '🔔 触发卖出信号!\n' +
-          `💹 当前价格: ${price.toFixed(6)} USDT\n` +
-          `🎯 卖出阈值: ${this.config.sellThreshold} USDT\n` +
+          `💹 当前价格: ${price.toFixed(6)} ${this.quoteToken}\n` +
+          `🎯 卖出阈值: ${this.config.sellThreshold} ${this.quoteToken}\n` +
           `📈 溢价率: ${premium}%\n` +
           `⏱️  运行时长: ${this.formatTime(this.getRunningTime())}`
         )
@@ -142,8 +131,8 @@ export class BuySellStrategy {
         // 每10次检查输出一次状态，避免日志过多
         const totalChecks = this.stats.totalBuyCount + this.stats.totalSellCount
         if (totalChecks % 10 === 0) {
-          tradeLog.info(
-            `⏳ 监控中... 价格: ${price.toFixed(6)} USDT | ` +
+          this.log.info(
+            `⏳ 监控中... 价格: ${price.toFixed(6)} ${this.quoteToken} | ` +
             `买入阈值: ${this.config.buyThreshold} | ` +
             `卖出阈值: ${this.config.sellThreshold} | ` +
             `运行: ${this.formatTime(this.getRunningTime())}`
@@ -152,8 +141,11 @@ export class BuySellStrategy {
       }
     } catch (error) {
       this.stats.failedTrades++
-      tradeLog.error(`❌ 检查价格失败: ${error.message}`)
+      this.log.error(`❌ 检查价格失败: ${error.message}`)
       // 不停止策略，继续运行
+    } finally {
+      this.isExecuting = false
+      this.persistState()
     }
   }
 
@@ -162,47 +154,58 @@ export class BuySellStrategy {
    */
   async executeBuy(price) {
     try {
-      tradeLog.info(`🔄 开始执行买入操作: ${this.config.tradeAmount} USDT`)
-
-      const expectedXOC = this.config.tradeAmount / price
+      this.log.info(`🔄 开始执行买入操作: ${this.config.tradeAmount} ${this.quoteToken}`)
 
-      const result = await buyXOC(
+      const result = await this.swapService.buyToken(
         this.wallet,
+        this.baseToken,
+        this.quoteToken,
         this.config.tradeAmount,
-        0.5 // 0.5% 滑点
+        0.5, // 0.5% 滑点
+        this.getSwapOptions()
       )
 
-      // 交易成功后的处理
+      // 交易成功后的处理：优先使用收据中的实际成交量（见 getFill）
+      const fill = this.getFill(result, this.config.tradeAmount, this.config.tradeAmount / price)
+      this.gasSpent += fill.gasCost || 0
+      const usdtSpent = fill.amountIn
+      const xocBought = fill.amountOut
+      const fillPrice = usdtSpent / xocBought
 
       this.stats.totalBuyCount++
-      this.stats.totalBuyAmount += this.config.tradeAmount
-      this.stats.totalXOCBought += expectedXOC
-      this.lastTradeTime = Date.now()
+      this.stats.totalBuyAmount += usdtSpent
+      this.stats.totalXOCBought += xocBought
+      this.lastTradeTime = this.now()
 
       const avgBuyPrice = this.stats.totalBuyAmount / this.stats.totalXOCBought
 
-      // 保存交易记录
-      saveTrade({
+      // 保存交易记录（拆单按子单保存）
+      this.saveTrade({
         type: 'BUY',
-        tokenFrom: 'USDT',
-        tokenTo: 'XOC',
-        amountIn: this.config.tradeAmount,
-        amountOut: expectedXOC,
-        price: price,
+        networkId: this.networkId,
+        wallet: this.wallet.address,
+        tokenFrom: this.quoteToken,
+        tokenTo: this.baseToken,
+        amountIn: usdtSpent,
+        amountOut: xocBought,
+        price: fillPrice,
+        quotePrice: price,
+        gasCost: fill.gasCost,
         txHash: result.hash,
         status: 'success',
         source: 'bot',
         botType: 'buysell'
-      })
+      }, result)
 
-      tradeLog.success(
+      this.log.success(
         '✅ 买入成功!\n' +
-        `💰 花费: ${this.config.tradeAmount} USDT\n` +
-        `🪙 获得: ${expectedXOC.toFixed(6)} XOC\n` +
-        `📊 交易价格: ${price.toFixed(6)} USDT\n` +
-        `📈 平均买入价: ${avgBuyPrice.toFixed(6)} USDT\n` +
+        `💰 花费: ${usdtSpent.toFixed(6)} ${this.quoteToken}\n` +
+        `🪙 获得: ${xocBought.toFixed(6)} ${this.baseToken}\n` +
+        `📊 成交价格: ${fillPrice.toFixed(6)} ${this.quoteToken} (报价 ${price.toFixed(6)})\n` +
+        `📈 平均买入价: ${avgBuyPrice.toFixed(6)} ${this.quoteToken}\n` +
         `🔗 交易哈希: ${result.hash}\n` +
-        `📊 累计买入: ${this.stats.totalBuyCount}次 | ${this.stats.totalBuyAmount.toFixed(2)} USDT\n` +
+        (result.split ? `✂️  拆单: ${result.children.length}/${result.childCount} 笔${result.partial ? '（部分成交）' : ''}\n` : '') +
+        `📊 累计买入: ${this.stats.totalBuyCount}次 | ${this.stats.totalBuyAmount.toFixed(2)} ${this.quoteToken}\n` +
         `⏱️  运行时长: ${this.formatTime(this.getRunningTime())}`
       )
 
@@ -210,19 +213,47 @@ export class BuySellStrategy {
     } catch (error) {
       this.stats.failedTrades++
       
-      // 检测是否是资金不足
-      if (error.message && (error.message.includes('insufficient funds') || 
+      // 预模拟未通过：报价与链上模拟结果偏离过大或模拟回滚
+      if (error.code === 'SIMULATION_FAILED') {
+        this.log.warning(
+          `⚠️ 买入已取消：${error.message}\n` +
+          `📝 机器人将在下次检查时重新评估\n` +
+          `⏱️  运行时长: ${this.formatTime(this.getRunningTime())}`,
+          error.details
+        )
+      } else if (error.code === 'PRICE_IMPACT_TOO_HIGH') {
+        this.log.warning(
+          `⚠️ 买入已取消：${error.message}\n` +
+          `📝 可降低交易金额或将超限处理方式设为拆单\n` +
+          `⏱️  运行时长: ${this.formatTime(this.getRunningTime())}`,
+          error.details
+        )
+      } else if (error.code === 'GAS_FEE_TOO_HIGH' || error.code === 'GAS_BUDGET_EXCEEDED') {
+        this.log.warning(
+          `⚠️ 买入已取消：${error.message}\n` +
+          `📝 可调整Gas策略或机器人Gas预算\n` +
+          `⏱️  运行时长: ${this.formatTime(this.getRunningTime())}`,
+          error.details
+        )
+      } else if (error.code === 'TX_CANCELLED') {
+        this.log.warning(
+          `⚠️ 买入已取消：交易长时间未打包，已按策略取消\n` +
+          `📝 机器人将在下次检查时重新评估\n` +
+          `⏱️  运行时长: ${this.formatTime(this.getRunningTime())}`,
+          error.details
+        )
+      } else if (error.message && (error.message.includes('insufficient funds') || 
           error.message.includes('余额不足') ||
           error.message.includes('balance') ||
           error.message.includes('INSUFFICIENT'))) {
-        tradeLog.warning(
+        this.log.warning(
           '⚠️ 买入失败：资金不足\n' +
-          `💰 需要: ${this.config.tradeAmount} USDT\n` +
+          `💰 需要: ${this.config.tradeAmount} ${this.quoteToken}\n` +
           `📝 请及时充值，机器人将继续监控价格\n` +
           `⏱️  运行时长: ${this.formatTime(this.getRunningTime())}`
         )
       } else {
-        tradeLog.error(
+        this.log.error(
           `❌ 买入失败: ${error.message}\n` +
           `📊 失败次数: ${this.stats.failedTrades}\n` +
           `⏱️  运行时长: ${this.formatTime(this.getRunningTime())}`
@@ -239,48 +270,61 @@ export class BuySellStrategy {
    */
   async executeSell(price) {
     try {
-      const xocToSell = this.config.tradeAmount / price
-      tradeLog.info(`🔄 开始执行卖出操作: ${xocToSell.toFixed(6)} XOC`)
-
-      const expectedUSDT = xocToSell * price
+      // 精确输出：固定获得 tradeAmount 计价代币，实际卖出的基础代币数量由路由计算
+      this.log.info(`🔄 开始执行卖出操作: 获得 ${this.config.tradeAmount} ${this.quoteToken} (约 ${(this.config.tradeAmount / price).toFixed(6)} ${this.baseToken})`)
 
-      const result = await sellXOC(
+      const result = await this.swapService.sellToken(
         this.wallet,
-        xocToSell,
-        0.5 // 0.5% 滑点
+        this.baseToken,
+        this.quoteToken,
+        this.config.tradeAmount,
+        0.5, // 0.5% 滑点
+        { ...this.getSwapOptions(), exactOutput: true }
       )
 
+      // 优先使用收据中的实际成交量（见 getFill）
+      const fill = this.getFill(result, result.expectedAmountIn, this.config.tradeAmount)
+      this.gasSpent += fill.gasCost || 0
+      const xocToSell = fill.amountIn
+      const usdtReceived = fill.amountOut
+      const fillPrice = usdtReceived / xocToSell
+
       this.stats.totalSellCount++
-      this.stats.totalSellAmount += expectedUSDT
+      this.stats.totalSellAmount += usdtReceived
       this.stats.totalXOCSold += xocToSell
-      this.lastTradeTime = Date.now()
+      this.lastTradeTime = this.now()
 
       const avgSellPrice = this.stats.totalSellAmount / this.stats.totalXOCSold
       const netProfit = this.stats.totalSellAmount - this.stats.totalBuyAmount
 
-      // 保存交易记录
-      saveTrade({
+      // 保存交易记录（拆单按子单保存）
+      this.saveTrade({
         type: 'SELL',
-        tokenFrom: 'XOC',
-        tokenTo: 'USDT',
+        networkId: this.networkId,
+        wallet: this.wallet.address,
+        tokenFrom: this.baseToken,
+        tokenTo: this.quoteToken,
         amountIn: xocToSell,
-        amountOut: expectedUSDT,
-        price: price,
+        amountOut: usdtReceived,
+        price: fillPrice,
+        quotePrice: price,
+        gasCost: fill.gasCost,
         txHash: result.hash,
         status: 'success',
         source: 'bot',
         botType: 'buysell'
-      })
+      }, result)
 
-      tradeLog.success(
+      this.log.success(
         '✅ 卖出成功!\n' +
-        `🪙 卖出: ${xocToSell.toFixed(6)} XOC\n` +
-        `💰 获得: ${expectedUSDT.toFixed(2)} USDT\n` +
-        `📊 交易价格: ${price.toFixed(6)} USDT\n` +
-        `📉 平均卖出价: ${avgSellPrice.toFixed(6)} USDT\n` +
+        `🪙 卖出: ${xocToSell.toFixed(6)} ${this.baseToken}\n` +
+        `💰 获得: ${usdtReceived.toFixed(6)} ${this.quoteToken}\n` +
+        `📊 成交价格: ${fillPrice.toFixed(6)} ${this.quoteToken} (报价 ${price.toFixed(6)})\n` +
+        `📉 平均卖出价: ${avgSellPrice.toFixed(6)} ${this.quoteToken}\n` +
         `🔗 交易哈希: ${result.hash}\n` +
-        `📊 累计卖出: ${this.stats.totalSellCount}次 | ${this.stats.totalSellAmount.toFixed(2)} USDT\n` +
-        `💵 净盈亏: ${netProfit >= 0 ? '+' : ''}${netProfit.toFixed(2)} USDT\n` +
+        (result.split ? `✂️  拆单: ${result.children.length}/${result.childCount} 笔${result.partial ? '（部分成交）' : ''}\n` : '') +
+        `📊 累计卖出: ${this.stats.totalSellCount}次 | ${this.stats.totalSellAmount.toFixed(2)} ${this.quoteToken}\n` +
+        `💵 净盈亏: ${netProfit >= 0 ? '+' : ''}${netProfit.toFixed(2)} ${this.quoteToken}\n` +
         `⏱️  运行时长: ${this.formatTime(this.getRunningTime())}`
       )
 
@@ -288,19 +332,47 @@ export class BuySellStrategy {
     } catch (error) {
       this.stats.failedTrades++
       
-      // 检测是否是余额不足
-      if (error.message && (error.message.includes('insufficient funds') || 
+      // 预模拟未通过：报价与链上模拟结果偏离过大或模拟回滚
+      if (error.code === 'SIMULATION_FAILED') {
+        this.log.warning(
+          `⚠️ 卖出已取消：${error.message}\n` +
+          `📝 机器人将在下次检查时重新评估\n` +
+          `⏱️  运行时长: ${this.formatTime(this.getRunningTime())}`,
+          error.details
+        )
+      } else if (error.code === 'PRICE_IMPACT_TOO_HIGH') {
+        this.log.warning(
+          `⚠️ 卖出已取消：${error.message}\n` +
+          `📝 可降低交易金额或将超限处理方式设为拆单\n` +
+          `⏱️  运行时长: ${this.formatTime(this.getRunningTime())}`,
+          error.details
+        )
+      } else if (error.code === 'GAS_FEE_TOO_HIGH' || error.code === 'GAS_BUDGET_EXCEEDED') {
+        this.log.warning(
+          `⚠️ 卖出已取消：${error.message}\n` +
+          `📝 可调整Gas策略或机器人Gas预算\n` +
+          `⏱️  运行时长: ${this.formatTime(this.getRunningTime())}`,
+          error.details
+        )
+      } else if (error.code === 'TX_CANCELLED') {
+        this.log.warning(
+          `⚠️ 卖出已取消：交易长时间未打包，已按策略取消\n` +
+          `📝 机器人将在下次检查时重新评估\n` +
+          `⏱️  运行时长: ${this.formatTime(this.getRunningTime())}`,
+          error.details
+        )
+      } else if (error.message && (error.message.includes('insufficient funds') || 
           error.message.includes('余额不足') ||
           error.message.includes('balance') ||
           error.message.includes('INSUFFICIENT'))) {
-        tradeLog.warning(
-          '⚠️ 卖出失败：XOC余额不足\n' +
-          `🪙 需要: ${(this.config.tradeAmount / this.lastPrice).toFixed(6)} XOC\n` +
+        this.log.warning(
+          `⚠️ 卖出失败：${this.baseToken}余额不足\n` +
+          `🪙 需要: ${(this.config.tradeAmount / this.lastPrice).toFixed(6)} ${this.baseToken}\n` +
           `📝 请检查余额，机器人将继续监控价格\n` +
           `⏱️  运行时长: ${this.formatTime(this.getRunningTime())}`
         )
       } else {
-        tradeLog.error(
+        this.log.error(
           `❌ 卖出失败: ${error.message}\n` +
           `📊 失败次数: ${this.stats.failedTrades}\n` +
           `⏱️  运行时长: ${this.formatTime(this.getRunningTime())}`
@@ -317,7 +389,7 @@ export class BuySellStrategy {
    */
   getRunningTime() {
     if (!this.startTime) return 0
-    return Math.floor((Date.now() - this.startTime) / 1000)
+    return Math.floor((this.now() - this.startTime) / 1000)
   }
 
   /**
@@ -330,6 +402,28 @@ export class BuySellStrategy {
     return `${h}小时 ${m}分钟 ${s}秒`
   }
 
+  /**
+   * 可序列化的状态快照（页面重新加载后由 BotRunner 恢复）
+   */
+  getState() {
+    return {
+      stats: { ...this.stats },
+      gasSpent: this.gasSpent,
+      lastPrice: this.lastPrice,
+      lastTradeTime: this.lastTradeTime
+    }
+  }
+
+  /**
+   * 从状态快照恢复（启动前调用）
+   */
+  restoreState(state) {
+    this.stats = { ...this.stats, ...state.stats }
+    this.gasSpent = state.gasSpent || 0
+    this.lastPrice = state.lastPrice ?? null
+    this.lastTradeTime = state.lastTradeTime ?? null
+  }
+
   /**
    * 获取统计信息
    */
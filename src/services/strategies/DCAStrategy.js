@@ -1,5 +1,4 @@
-import { tradeLog } from '../../utils/logger'
-import { saveTrade } from '../../utils/storage'
+import { BaseStrategy } from './BaseStrategy'
 
 /**
  * DCA (Dollar Cost Averaging) 定投策略 - 进阶版
@@ -8,84 +7,96 @@ import { saveTrade } from '../../utils/storage'
  * 2. 价格阈值保护（最高买入价）
  * 3. 灵活的时间周期
  */
-export class DCAStrategy {
+export class DCAStrategy extends BaseStrategy {
+  static type = 'dca'
+  static meta = {
+    name: '定投策略 (DCA)',
+    description: '定时定额买入，适合长期持有',
+    icon: 'rise'
+  }
+  static configSchema = {
+    type: 'object',
+    required: ['amount', 'interval', 'totalBudget'],
+    properties: {
+      amount: { type: 'number', title: '单次定投金额', unit: '{quote}', minimum: 0.1, maximum: 10000, default: 0.1, placeholder: '每次买入金额' },
+      interval: {
+        type: 'integer',
+        title: '定投周期',
+        enum: [60, 300, 3600, 14400, 86400],
+        enumNames: ['每1分钟', '每5分钟', '每1小时', '每4小时', '每天'],
+        default: 3600
+      },
+      totalBudget: { type: 'number', title: '总预算上限', unit: '{quote}', minimum: 1, maximum: 100000, default: 100, placeholder: '计划总投入金额' },
+      maxPrice: { type: ['number', 'null'], title: '价格保护', unit: '{quote}', exclusiveMinimum: 0, step: 0.01, default: null, placeholder: '可选，高于此价格暂停定投' }
+    },
+    rules: [
+      { field: 'amount', maximum: 'totalBudget', message: '单次定投金额不能超过总预算' }
+    ]
+  }
+
   constructor(config, wallet, swapService) {
-    // config: { amount, interval, totalBudget, maxPrice }
-    this.config = config 
-    this.wallet = wallet
-    this.swapService = swapService
-    
-    this.isRunning = false
+    // config: { networkId, baseToken, quoteToken, amount, interval, totalBudget, maxPrice, maxPriceImpact, priceImpactMode, gasBudget, stuckAction, stuckBlocks }
+    super(config, wallet, swapService)
     this.totalSpent = 0     // 已投入总金额
     this.executedTimes = 0  // 已执行次数
-    this.timer = null
   }
 
   /**
-   * 启动策略
+   * 启动前检查预算
    */
-  start() {
-    if (this.isRunning) {
-      throw new Error('策略已在运行中')
-    }
-
-    // 基础检查
+  onStart() {
     if (this.totalSpent >= this.config.totalBudget) {
       throw new Error('预算已用尽，无法启动')
     }
 
-    this.isRunning = true
-    
-    let logMsg = `DCA策略启动: 每${this.formatInterval(this.config.interval)}买入 ${this.config.amount} USDT`
+    let logMsg = `DCA策略启动: 每${this.formatInterval(this.config.interval)}买入 ${this.config.amount} ${this.quoteToken}`
     if (this.config.maxPrice) {
-      logMsg += `, 价格上限 ${this.config.maxPrice} USDT`
+      logMsg += `, 价格上限 ${this.config.maxPrice} ${this.quoteToken}`
     }
-    logMsg += `, 总预算 ${this.config.totalBudget} USDT`
+    logMsg += `, 总预算 ${this.config.totalBudget} ${this.quoteToken}`
     
-    tradeLog.info(logMsg)
-
-    // 立即尝试执行第一次（异步，不阻塞）
-    this.checkAndExecute().catch(err => {
-      tradeLog.error(`首次执行失败: ${err.message}`)
-    })
+    this.log.info(logMsg)
+  }
 
-    // 设置定时器
-    this.timer = setInterval(async () => {
-      await this.checkAndExecute()
-    }, this.config.interval * 1000)
+  /**
+   * 按定投周期执行
+   */
+  getInterval() {
+    return this.config.interval
   }
 
   /**
-   * 停止策略
+   * 停止时输出定投进度
    */
-  stop() {
-    if (this.timer) {
-      clearInterval(this.timer)
-      this.timer = null
-    }
-    this.isRunning = false
-    tradeLog.info(`DCA策略停止: 已执行${this.executedTimes}次, 总投入${this.totalSpent.toFixed(2)}/${this.config.totalBudget} USDT`)
+  onStop() {
+    this.log.info(`DCA策略停止: 已执行${this.executedTimes}次, 总投入${this.totalSpent.toFixed(2)}/${this.config.totalBudget} ${this.quoteToken}`)
   }
 
   /**
    * 检查条件并执行交易
    */
-  async checkAndExecute() {
+  async tick() {
+    // 上一期定投（或拆单子单）仍在执行，跳过本期
+    if (this.isExecuting) {
+      this.log.warning('上一期定投仍在执行，本期跳过')
+      return
+    }
+
+    this.isExecuting = true
     try {
       // 1. 检查预算
       if (this.totalSpent + this.config.amount > this.config.totalBudget) {
         this.stop()
-        tradeLog.success(`DCA策略完成: 预算已用尽 (已投 ${this.totalSpent} USDT)`)
+        this.log.success(`DCA策略完成: 预算已用尽 (已投 ${this.totalSpent} ${this.quoteToken})`)
         return
       }
 
       // 2. 检查价格条件（如果有设置）
       if (this.config.maxPrice) {
-        const { getXOCPrice } = await import('../swap')
-        const currentPrice = await getXOCPrice(this.wallet.provider)
+        const currentPrice = await this.swapService.getTokenPrice(this.baseToken, this.quoteToken, this.wallet.provider)
         
         if (currentPrice > this.config.maxPrice) {
-          tradeLog.warning(`当前价格 ${currentPrice.toFixed(4)} 高于设定上限 ${this.config.maxPrice}，本次跳过`)
+          this.log.warning(`当前价格 ${currentPrice.toFixed(4)} 高于设定上限 ${this.config.maxPrice}，本次跳过`)
           return
         }
       }
@@ -94,7 +105,10 @@ export class DCAStrategy {
       await this.executeTrade()
 
     } catch (error) {
-      tradeLog.error(`DCA检查失败: ${error.message}`)
+      this.log.error(`DCA检查失败: ${error.message}`)
+    } finally {
+      this.isExecuting = false
+      this.persistState()
     }
   }
 
@@ -103,49 +117,75 @@ export class DCAStrategy {
    */
   async executeTrade() {
     try {
-      tradeLog.info(`执行第${this.executedTimes + 1}次定投: ${this.config.amount} USDT`)
+      this.log.info(`执行第${this.executedTimes + 1}次定投: ${this.config.amount} ${this.quoteToken}`)
 
-      const { buyXOC, getWXOCPrice } = await import('../swap')
-      const { createProvider } = await import('../wallet')
-      
       // 获取当前价格
-      const provider = createProvider('xoc')
-      const currentPrice = await getWXOCPrice(provider)
+      const provider = this.wallet.provider
+      const currentPrice = await this.swapService.getTokenPrice(this.baseToken, this.quoteToken, provider)
       
-      const result = await buyXOC(
+      const result = await this.swapService.buyToken(
         this.wallet,
+        this.baseToken,
+        this.quoteToken,
         this.config.amount,
-        0.5 // 0.5% 滑点
+        0.5, // 0.5% 滑点
+        this.getSwapOptions()
       )
 
+      // 优先使用收据中的实际成交量（见 getFill）
+      const fill = this.getFill(result, this.config.amount, this.config.amount / currentPrice)
+      this.gasSpent += fill.gasCost || 0
+      const usdtSpent = fill.amountIn
+      const wxocBought = fill.amountOut
+      const fillPrice = usdtSpent / wxocBought
+
       this.executedTimes++
-      this.totalSpent += this.config.amount
+      this.totalSpent += usdtSpent
 
-      // 保存交易记录
-      saveTrade({
+      // 保存交易记录（拆单按子单保存）
+      this.saveTrade({
         type: 'BUY',
         source: 'bot',
         botType: 'dca',
-        tokenFrom: 'USDT',
-        tokenTo: 'WXOC',
-        amountIn: this.config.amount,
-        amountOut: this.config.amount / currentPrice, // 估算输出
-        price: currentPrice,
+        networkId: this.networkId,
+        wallet: this.wallet.address,
+        tokenFrom: this.quoteToken,
+        tokenTo: this.baseToken,
+        amountIn: usdtSpent,
+        amountOut: wxocBought,
+        price: fillPrice,
+        quotePrice: currentPrice,
+        gasCost: fill.gasCost,
         txHash: result.hash,
         status: 'success',
-        timestamp: new Date().toISOString()
-      })
+        timestamp: new Date(this.now()).toISOString()
+      }, result)
 
-      tradeLog.success(
-        `定投买入成功: 花费 ${this.config.amount} USDT\n` +
-        `价格: ${currentPrice.toFixed(6)} USDT\n` +
+      this.log.success(
+        `定投买入成功: 花费 ${usdtSpent.toFixed(6)} ${this.quoteToken}, 获得 ${wxocBought.toFixed(6)} ${this.baseToken}\n` +
+        `成交价格: ${fillPrice.toFixed(6)} ${this.quoteToken} (报价 ${currentPrice.toFixed(6)})\n` +
         `进度: ${(this.totalSpent / this.config.totalBudget * 100).toFixed(1)}%\n` +
+        (result.split ? `拆单: ${result.children.length}/${result.childCount} 笔${result.partial ? '（部分成交）' : ''}\n` : '') +
         `交易哈希: ${result.hash}`
       )
 
       return result
     } catch (error) {
-      tradeLog.error(`买入失败: ${error.message}`)
+      if (error.code === 'SIMULATION_FAILED') {
+        // 预模拟未通过，本期跳过（不计入已执行次数）
+        this.log.warning(`定投已取消: ${error.message}`, error.details)
+      } else if (error.code === 'PRICE_IMPACT_TOO_HIGH') {
+        // 价格影响超过上限，本期跳过
+        this.log.warning(`定投已取消: ${error.message}`, error.details)
+      } else if (error.code === 'GAS_FEE_TOO_HIGH' || error.code === 'GAS_BUDGET_EXCEEDED') {
+        // Gas费超过上限或预算，本期跳过
+        this.log.warning(`定投已取消: ${error.message}`, error.details)
+      } else if (error.code === 'TX_CANCELLED') {
+        // 交易卡住后被取消，本期跳过
+        this.log.warning(`定投已取消: ${error.message}`, error.details)
+      } else {
+        this.log.error(`买入失败: ${error.message}`)
+      }
       throw error // 抛出错误以便上层处理或仅仅记录
     }
   }
@@ -163,6 +203,26 @@ export class DCAStrategy {
     }
   }
 
+  /**
+   * 可序列化的状态快照（页面重新加载后由 BotRunner 恢复）
+   */
+  getState() {
+    return {
+      totalSpent: this.totalSpent,
+      executedTimes: this.executedTimes,
+      gasSpent: this.gasSpent
+    }
+  }
+
+  /**
+   * 从状态快照恢复（启动前调用）
+   */
+  restoreState(state) {
+    this.totalSpent = state.totalSpent || 0
+    this.executedTimes = state.executedTimes || 0
+    this.gasSpent = state.gasSpent || 0
+  }
+
   /**
    * 辅助函数：格式化时间间隔
    */
@@ -180,6 +240,7 @@ export class DCAStrategy {
     this.stop()
     this.executedTimes = 0
     this.totalSpent = 0
-    tradeLog.info('DCA策略已重置')
+    this.persistState()
+    this.log.info('DCA策略已重置')
   }
 }
\ No newline at end of file
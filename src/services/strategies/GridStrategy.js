@@ -1,5 +1,7 @@
-import { tradeLog } from '../../utils/logger'
-import { saveTrade } from '../../utils/storage'
+import { BaseStrategy } from './BaseStrategy'
+
+// 卖出后网格重置为 pending 前的等待时间（防止网络延迟导致的状态跳变）
+const GRID_RESET_DELAY_MS = 2000
 
 /**
  * Grid 网格策略 - 进阶版
@@ -8,17 +10,33 @@ import { saveTrade } from '../../utils/storage'
  * 2. 自动根据总资金计算单格金额
  * 3. 动态状态追踪
  */
-export class GridStrategy {
+export class GridStrategy extends BaseStrategy {
+  static type = 'grid'
+  static meta = {
+    name: '网格策略 (Grid)',
+    description: '设置价格区间，高抛低吸赚差价',
+    icon: 'appstore'
+  }
+  static configSchema = {
+    type: 'object',
+    required: ['totalInvestment', 'gridCount', 'lowerPrice', 'upperPrice'],
+    properties: {
+      totalInvestment: { type: 'number', title: '总投入资金', unit: '{quote}', minimum: 1, maximum: 100000, default: 100, placeholder: '网格策略总资金' },
+      gridCount: { type: 'integer', title: '网格数量', minimum: 2, maximum: 50, default: 5 },
+      lowerPrice: { type: 'number', title: '价格下限', unit: '{quote}', exclusiveMinimum: 0, step: 0.01, default: 0.08 },
+      upperPrice: { type: 'number', title: '价格上限', unit: '{quote}', exclusiveMinimum: 0, step: 0.01, default: 0.12 },
+      gridType: { type: 'string', title: '网格类型', enum: ['arithmetic', 'geometric'], enumNames: ['等差网格', '等比网格'], default: 'arithmetic' }
+    },
+    rules: [
+      { field: 'lowerPrice', exclusiveMaximum: 'upperPrice', message: '价格下限必须低于价格上限' }
+    ]
+  }
+
   constructor(config, wallet, swapService) {
-    // config: { gridType, totalInvestment, gridCount, lowerPrice, upperPrice }
-    this.config = config
-    this.wallet = wallet
-    this.swapService = swapService
-    
-    this.isRunning = false
+    // config: { networkId, baseToken, quoteToken, gridType, totalInvestment, gridCount, lowerPrice, upperPrice, maxPriceImpact, priceImpactMode, gasBudget, stuckAction, stuckBlocks }
+    super(config, wallet, swapService)
     this.grids = []
     this.currentPrice = 0
-    this.timer = null
     
     // 计算单格资金 (预留少量作为手续费缓冲，实际交易金额略小于计算值)
     this.amountPerGrid = 0
@@ -35,7 +53,7 @@ export class GridStrategy {
     this.amountPerGrid = parseFloat((totalInvestment / gridCount).toFixed(2))
 
     if (this.amountPerGrid < 1) {
-        throw new Error(`单格金额过小 (${this.amountPerGrid} USDT)，请增加总投入或减少网格数`)
+        throw new Error(`单格金额过小 (${this.amountPerGrid} ${this.quoteToken})，请增加总投入或减少网格数`)
     }
 
     this.grids = []
@@ -56,10 +74,10 @@ export class GridStrategy {
       }
     }
 
-    tradeLog.info(
+    this.log.info(
       `网格初始化完成 (${gridType === 'geometric' ? '等比' : '等差'}): \n` +
       `${gridCount + 1}个价格点, 区间 ${lowerPrice}-${upperPrice}\n` +
-      `单格计划金额: ${this.amountPerGrid} USDT`
+      `单格计划金额: ${this.amountPerGrid} ${this.quoteToken}`
     )
   }
 
@@ -68,61 +86,75 @@ export class GridStrategy {
       price: price,
       status: 'pending', // pending, bought, sold
       amount: this.amountPerGrid,
+      filledAmount: null, // 买入时实际获得的基础代币数量
       buyTxHash: null,
-      sellTxHash: null
+      sellTxHash: null,
+      soldAt: null // 卖出时间（之后重置为 pending）
     })
   }
 
   /**
-   * 启动策略
+   * 启动前初始化网格
    */
-  start() {
-    if (this.isRunning) {
-      throw new Error('策略已在运行中')
-    }
-
+  onStart() {
     try {
-        this.initializeGrids()
-        this.isRunning = true
-        tradeLog.info('网格策略已启动，开始监控价格...')
-
-        // 立即执行一次（异步，不阻塞）
-        this.checkAndTrade().catch(err => {
-          tradeLog.error(`首次检查失败: ${err.message}`)
-        })
-
-        // 定时检查
-        this.timer = setInterval(async () => {
-          await this.checkAndTrade()
-        }, 10000) // 10秒轮询
+        // 从快照恢复的网格保留持仓状态，不重新初始化
+        if (this.grids.length === 0) {
+          this.initializeGrids()
+        } else {
+          this.log.info(`恢复网格状态: ${this.grids.filter(g => g.status === 'bought').length}/${this.grids.length} 个网格持仓中`)
+        }
+        this.log.info('网格策略已启动，开始监控价格...')
     } catch (e) {
-        this.isRunning = false
-        tradeLog.error(`启动失败: ${e.message}`)
+        this.log.error(`启动失败: ${e.message}`)
         throw e
     }
   }
 
   /**
-   * 停止策略
+   * 10秒轮询
    */
-  stop() {
-    if (this.timer) {
-      clearInterval(this.timer)
-      this.timer = null
-    }
-    this.isRunning = false
-    tradeLog.info('网格策略停止')
+  getInterval() {
+    return 10
+  }
+
+  /**
+   * 停止时保留网格持仓状态，下次启动继续
+   */
+  onStop() {
+    this.log.info('网格策略停止')
+  }
+
+  /**
+   * 卖出后的网格等待 GRID_RESET_DELAY_MS 后重置为 pending，等待下次下跌再次买入
+   * 按策略时间判断（回测时为模拟时间），不用定时器
+   */
+  resetSoldGrids() {
+    this.grids.forEach((grid, index) => {
+      if (grid.status !== 'sold' || this.now() - (grid.soldAt || 0) < GRID_RESET_DELAY_MS) return
+      grid.status = 'pending'
+      grid.filledAmount = null
+      grid.buyTxHash = null
+      grid.sellTxHash = null
+      grid.soldAt = null
+      this.log.info(`网格[${index}]状态重置，等待下次机会`)
+    })
   }
 
   /**
    * 检查价格并执行交易
    */
-  async checkAndTrade() {
+  async tick() {
+    // 上一轮交易（或拆单子单）仍在执行，跳过本轮
+    if (this.isExecuting) {
+      return
+    }
+
+    this.isExecuting = true
     try {
-      const { getWXOCPrice } = await import('../swap')
-      const { createProvider } = await import('../wallet')
-      const provider = createProvider('xoc')
-      this.currentPrice = await getWXOCPrice(provider)
+      this.resetSoldGrids()
+      const provider = this.wallet.provider
+      this.currentPrice = await this.swapService.getTokenPrice(this.baseToken, this.quoteToken, provider)
       
       // 仅在价格显著变化时打印，或者低频打印，这里简化为每次debug打印
       // addLog('debug', `当前价格: ${this.currentPrice.toFixed(4)} USDT`)
@@ -146,7 +178,10 @@ export class GridStrategy {
         }
       }
     } catch (error) {
-      tradeLog.error(`网格检查异常: ${error.message}`)
+      this.log.error(`网格检查异常: ${error.message}`)
+    } finally {
+      this.isExecuting = false
+      this.persistState()
     }
   }
 
@@ -157,34 +192,51 @@ export class GridStrategy {
     const grid = this.grids[gridIndex]
     
     try {
-      tradeLog.info(`触发买入: 价格 ${grid.price.toFixed(4)}, 数量 ${grid.amount}`)
+      this.log.info(`触发买入: 价格 ${grid.price.toFixed(4)}, 数量 ${grid.amount}`)
 
-      const { buyXOC } = await import('../swap')
       // 实际开发中可能需要检查余额
-      const result = await buyXOC(this.wallet, grid.amount, 0.5)
+      const result = await this.swapService.buyToken(this.wallet, this.baseToken, this.quoteToken, grid.amount, 0.5, this.getSwapOptions())
+
+      // 优先使用收据中的实际成交量（见 getFill）
+      const fill = this.getFill(result, grid.amount, grid.amount / grid.price)
+      this.gasSpent += fill.gasCost || 0
+      const usdtSpent = fill.amountIn
+      const wxocBought = fill.amountOut
+      const fillPrice = usdtSpent / wxocBought
 
       grid.status = 'bought'
       grid.buyTxHash = result.hash
+      grid.filledAmount = wxocBought
 
-      // 保存交易记录
-      saveTrade({
+      // 保存交易记录（拆单按子单保存）
+      this.saveTrade({
         type: 'BUY',
         source: 'bot',
         botType: 'grid',
-        tokenFrom: 'USDT',
-        tokenTo: 'WXOC',
-        amountIn: grid.amount,
-        amountOut: grid.amount / grid.price, // 估算输出
-        price: grid.price,
+        networkId: this.networkId,
+        wallet: this.wallet.address,
+        tokenFrom: this.quoteToken,
+        tokenTo: this.baseToken,
+        amountIn: usdtSpent,
+        amountOut: wxocBought,
+        price: fillPrice,
+        quotePrice: grid.price,
+        gasCost: fill.gasCost,
         txHash: result.hash,
         status: 'success',
-        timestamp: new Date().toISOString()
-      })
+        timestamp: new Date(this.now()).toISOString()
+      }, result)
 
-      tradeLog.success(`网格[${gridIndex}]买入成功: ${grid.amount} USDT @ ${grid.price.toFixed(6)}`)
+      this.log.success(`网格[${gridIndex}]买入成功: ${usdtSpent.toFixed(4)} ${this.quoteToken} -> ${wxocBought.toFixed(4)} ${this.baseToken} @ ${fillPrice.toFixed(6)}${result.split ? ` (拆单 ${result.children.length}/${result.childCount} 笔)` : ''}`)
     } catch (error) {
       // 避免频繁报错，可以设置重试冷却
-      tradeLog.error(`网格[${gridIndex}]买入失败: ${error.message}`)
+      if (error.code === 'SIMULATION_FAILED') {
+        this.log.warning(`网格[${gridIndex}]买入已取消: ${error.message}`, error.details)
+      } else if (error.code === 'PRICE_IMPACT_TOO_HIGH' || error.code === 'GAS_FEE_TOO_HIGH' || error.code === 'GAS_BUDGET_EXCEEDED' || error.code === 'TX_CANCELLED') {
+        this.log.warning(`网格[${gridIndex}]买入已取消: ${error.message}`, error.details)
+      } else {
+        this.log.error(`网格[${gridIndex}]买入失败: ${error.message}`)
+      }
     }
   }
 
@@ -195,45 +247,60 @@ export class GridStrategy {
     const grid = this.grids[gridIndex] // 这是之前买入的那个低价格网格
     
     try {
-      // 估算持有的XOC数量 = 投入USDT / 买入价格
-      // 实际项目中建议查询链上余额或在买入时记录获得的精确Token数量
-      const xocAmount = grid.amount / grid.price 
+      // 卖出买入时实际获得的数量；旧数据没有记录时按 投入金额 / 买入价格 估算
+      const xocAmount = grid.filledAmount || grid.amount / grid.price
 
-      tradeLog.info(`触发卖出: 网格[${gridIndex}], 数量 ${xocAmount.toFixed(4)} XOC`)
+      this.log.info(`触发卖出: 网格[${gridIndex}], 数量 ${xocAmount.toFixed(4)} ${this.baseToken}`)
 
-      const { sellXOC } = await import('../swap')
-      const result = await sellXOC(this.wallet, xocAmount, 0.5)
+      const result = await this.swapService.sellToken(this.wallet, this.baseToken, this.quoteToken, xocAmount, 0.5, this.getSwapOptions())
 
-      grid.status = 'sold'
-      grid.sellTxHash = result.hash
+      // 优先使用收据中的实际成交量（见 getFill）
+      const fill = this.getFill(result, xocAmount, xocAmount * grid.price)
+      this.gasSpent += fill.gasCost || 0
+      const wxocSold = fill.amountIn
+      const usdtReceived = fill.amountOut
+      const fillPrice = usdtReceived / wxocSold
 
-      // 保存交易记录
-      saveTrade({
+      // 保存交易记录（拆单按子单保存）
+      this.saveTrade({
         type: 'SELL',
         source: 'bot',
         botType: 'grid',
-        tokenFrom: 'WXOC',
-        tokenTo: 'USDT',
-        amountIn: xocAmount,
-        amountOut: xocAmount * grid.price, // 估算输出
-        price: grid.price,
+        networkId: this.networkId,
+        wallet: this.wallet.address,
+        tokenFrom: this.baseToken,
+        tokenTo: this.quoteToken,
+        amountIn: wxocSold,
+        amountOut: usdtReceived,
+        price: fillPrice,
+        quotePrice: grid.price,
+        gasCost: fill.gasCost,
         txHash: result.hash,
         status: 'success',
-        timestamp: new Date().toISOString()
-      })
-
-      tradeLog.success(`网格[${gridIndex}]卖出成功: ${xocAmount.toFixed(4)} WXOC @ ${grid.price.toFixed(6)}`)
-
-      // 卖出后，该网格重置为 pending，等待下次下跌再次买入
-      // 增加延时防止网络延迟导致的状态跳变
-      setTimeout(() => {
-        grid.status = 'pending'
-        grid.buyTxHash = null
-        grid.sellTxHash = null
-        tradeLog.info(`网格[${gridIndex}]状态重置，等待下次机会`)
-      }, 2000)
+        timestamp: new Date(this.now()).toISOString()
+      }, result)
+
+      // 拆单部分成交：剩余数量保留在网格中，下次继续卖出
+      if (result.partial) {
+        grid.filledAmount = xocAmount - wxocSold
+        this.log.warning(`网格[${gridIndex}]拆单部分成交: ${wxocSold.toFixed(4)} ${this.baseToken} -> ${usdtReceived.toFixed(4)} ${this.quoteToken}，剩余 ${grid.filledAmount.toFixed(4)} ${this.baseToken} 待卖出`)
+        return
+      }
+
+      grid.status = 'sold'
+      grid.sellTxHash = result.hash
+      grid.soldAt = this.now()
+
+      this.log.success(`网格[${gridIndex}]卖出成功: ${wxocSold.toFixed(4)} ${this.baseToken} -> ${usdtReceived.toFixed(4)} ${this.quoteToken} @ ${fillPrice.toFixed(6)}`)
+
     } catch (error) {
-      tradeLog.error(`网格[${gridIndex}]卖出失败: ${error.message}`)
+      if (error.code === 'SIMULATION_FAILED') {
+        this.log.warning(`网格[${gridIndex}]卖出已取消: ${error.message}`, error.details)
+      } else if (error.code === 'PRICE_IMPACT_TOO_HIGH' || error.code === 'GAS_FEE_TOO_HIGH' || error.code === 'GAS_BUDGET_EXCEEDED' || error.code === 'TX_CANCELLED') {
+        this.log.warning(`网格[${gridIndex}]卖出已取消: ${error.message}`, error.details)
+      } else {
+        this.log.error(`网格[${gridIndex}]卖出失败: ${error.message}`)
+      }
     }
   }
 
@@ -248,8 +315,9 @@ export class GridStrategy {
     let floatProfit = 0
     this.grids.forEach(g => {
         if (g.status === 'bought') {
-            // (当前价 - 买入价) * (投入金额 / 买入价)
-            floatProfit += (this.currentPrice - g.price) * (g.amount / g.price)
+            // 当前市值 - 投入金额（无实际成交量时按 投入金额 / 买入价 估算）
+            const holding = g.filledAmount || g.amount / g.price
+            floatProfit += this.currentPrice * holding - g.amount
         }
     })
 
@@ -263,10 +331,33 @@ export class GridStrategy {
     }
   }
 
+  /**
+   * 可序列化的状态快照（页面重新加载后由 BotRunner 恢复）
+   */
+  getState() {
+    return {
+      grids: this.grids.map(g => ({ ...g })),
+      amountPerGrid: this.amountPerGrid,
+      currentPrice: this.currentPrice,
+      gasSpent: this.gasSpent
+    }
+  }
+
+  /**
+   * 从状态快照恢复（启动前调用）
+   */
+  restoreState(state) {
+    this.grids = (state.grids || []).map(g => ({ ...g }))
+    this.amountPerGrid = state.amountPerGrid || 0
+    this.currentPrice = state.currentPrice || 0
+    this.gasSpent = state.gasSpent || 0
+  }
+
   reset() {
     this.stop()
     this.grids = []
     this.currentPrice = 0
-    tradeLog.info('网格策略已重置')
+    this.persistState()
+    this.log.info('网格策略已重置')
   }
 }
\ No newline at end of file
@@ -0,0 +1,230 @@
+import addressWatcher from '../watcher'
+import { BaseStrategy } from './BaseStrategy'
+
+/**
+ * 信号跟随策略
+ * 定时索引观察地址的链上成交，当其买入/卖出交易代币时，本机器人按设定方向交易
+ * 例如：观察地址卖出时跟随卖出，或观察地址卖出时反向买入
+ */
+export class SignalStrategy extends BaseStrategy {
+  static type = 'signal'
+  static meta = {
+    name: '信号跟随',
+    description: '观察地址买入/卖出时自动跟随或反向交易',
+    icon: 'eye'
+  }
+  static configSchema = {
+    type: 'object',
+    required: ['watchAddress', 'triggerOn', 'action', 'tradeAmount', 'checkInterval'],
+    properties: {
+      watchAddress: {
+        type: 'string',
+        title: '观察地址',
+        format: 'watch-address',
+        description: '在Dashboard的观察地址中添加，机器人定时索引该地址的链上成交',
+        placeholder: '请先添加观察地址'
+      },
+      triggerOn: { type: 'string', title: '触发条件', enum: ['SELL', 'BUY'], enumNames: ['观察地址卖出 {base}', '观察地址买入 {base}'], default: 'SELL' },
+      minTriggerAmount: { type: 'number', title: '最小触发数量', unit: '{base}', minimum: 0, default: 0, description: '观察地址单笔成交的交易代币数量低于该值时忽略' },
+      action: { type: 'string', title: '本机器人执行', enum: ['SELL', 'BUY'], enumNames: ['卖出 {base}', '买入 {base}'], default: 'SELL' },
+      tradeAmount: {
+        type: 'number',
+        title: '交易数量',
+        unit: { field: 'action', values: { BUY: '{quote}', SELL: '{base}' } }, // 买入为计价代币金额，卖出为交易代币数量
+        exclusiveMinimum: 0,
+        step: 0.1,
+        default: 1
+      },
+      cooldown: { type: 'integer', title: '冷却时间', unit: '秒', minimum: 0, default: 300, description: '两次跟随交易之间的最小间隔，冷却期内的信号忽略' },
+      checkInterval: { type: 'integer', title: '检查间隔', enum: [10, 30, 60, 300], enumNames: ['10秒', '30秒', '1分钟', '5分钟'], default: 30 }
+    }
+  }
+
+  constructor(config, wallet, swapService) {
+    super(config, wallet, swapService) // config: { networkId, baseToken, quoteToken, watchAddress, triggerOn, action, tradeAmount, minTriggerAmount, cooldown, checkInterval, maxPriceImpact, priceImpactMode, gasBudget, stuckAction, stuckBlocks }
+    this.lastBlock = null // 已处理到的区块（启动前的成交不触发）
+    this.lastTradeTime = null
+    this.stats = {
+      totalBuyCount: 0,
+      totalSellCount: 0,
+      totalBuyAmount: 0,
+      totalSellAmount: 0,
+      signalCount: 0, // 收到的信号数
+      failedTrades: 0
+    }
+  }
+
+  /**
+   * 启动时输出跟随设置
+   */
+  onStart() {
+    this.log.info(
+      `信号跟随策略启动: 观察 ${this.config.watchAddress} ${this.config.triggerOn === 'BUY' ? '买入' : '卖出'} ${this.baseToken} 时` +
+      `${this.config.action === 'BUY' ? '买入' : '卖出'} ${this.config.tradeAmount} ${this.config.action === 'BUY' ? this.quoteToken : this.baseToken}`
+    )
+  }
+
+  /**
+   * 停止时输出信号与交易次数
+   */
+  onStop(reason) {
+    this.log.info(`信号跟随策略停止: ${reason}，收到信号 ${this.stats.signalCount} 次，买入 ${this.stats.totalBuyCount} 次，卖出 ${this.stats.totalSellCount} 次`)
+  }
+
+  /**
+   * 索引观察地址的新成交并检查信号
+   */
+  async tick() {
+    if (this.isExecuting) {
+      return
+    }
+
+    this.isExecuting = true
+    try {
+      const provider = this.wallet.provider
+      // 首次检查只记录起点，启动前的历史成交不触发
+      if (this.lastBlock === null) {
+        this.lastBlock = await provider.getBlockNumber()
+        return
+      }
+
+      await addressWatcher.indexAddress(provider, this.config.watchAddress)
+      const trades = addressWatcher.getTrades(this.config.watchAddress, this.networkId)
+        .filter(t => t.blockNumber > this.lastBlock)
+      if (trades.length === 0) return
+      this.lastBlock = Math.max(...trades.map(t => t.blockNumber))
+
+      // 观察地址卖出交易代币 = 交易代币为输入；买入 = 交易代币为输出；按交易代币数量过滤小额成交
+      const signals = trades.filter(t => {
+        const side = t.tokenFrom === this.baseToken ? 'SELL' : t.tokenTo === this.baseToken ? 'BUY' : null
+        const size = side === 'SELL' ? t.amountIn : t.amountOut
+        return side === this.config.triggerOn && size >= (this.config.minTriggerAmount || 0)
+      })
+      if (signals.length === 0) return
+
+      this.stats.signalCount += signals.length
+      const signal = signals[signals.length - 1]
+      this.log.info(
+        `收到信号: 观察地址${this.config.triggerOn === 'BUY' ? '买入' : '卖出'} ${this.baseToken}` +
+        (signals.length > 1 ? `（本轮 ${signals.length} 笔合并为一次）` : ''),
+        { txHash: signal.txHash, amountIn: signal.amountIn, amountOut: signal.amountOut }
+      )
+
+      const cooldown = (this.config.cooldown || 0) * 1000
+      if (this.lastTradeTime && this.now() - this.lastTradeTime < cooldown) {
+        this.log.warning(`冷却中，忽略本次信号（冷却 ${this.config.cooldown} 秒）`)
+        return
+      }
+
+      await this.executeTrade(signal)
+    } catch (error) {
+      this.log.error(`信号检查失败: ${error.message}`)
+    } finally {
+      this.isExecuting = false
+      this.persistState()
+    }
+  }
+
+  /**
+   * 按信号执行交易
+   * 买入时 tradeAmount 为花费的计价代币金额，卖出时为卖出的交易代币数量
+   */
+  async executeTrade(signal) {
+    const isBuy = this.config.action === 'BUY'
+    try {
+      const result = await this.swapService[isBuy ? 'buyToken' : 'sellToken'](
+        this.wallet,
+        this.baseToken,
+        this.quoteToken,
+        this.config.tradeAmount,
+        0.5, // 0.5% 滑点
+        this.getSwapOptions()
+      )
+
+      // 优先使用收据中的实际成交量（见 getFill）
+      const fill = this.getFill(result, this.config.tradeAmount, result.expectedAmountOut)
+      this.gasSpent += fill.gasCost || 0
+      const amountIn = fill.amountIn
+      const amountOut = fill.amountOut
+      const fillPrice = isBuy ? amountIn / amountOut : amountOut / amountIn
+      this.lastTradeTime = this.now()
+
+      if (isBuy) {
+        this.stats.totalBuyCount++
+        this.stats.totalBuyAmount += amountIn
+      } else {
+        this.stats.totalSellCount++
+        this.stats.totalSellAmount += amountOut
+      }
+
+      // 保存交易记录（拆单按子单保存），signalTxHash 关联触发的观察地址成交
+      this.saveTrade({
+        type: isBuy ? 'BUY' : 'SELL',
+        source: 'bot',
+        botType: 'signal',
+        networkId: this.networkId,
+        wallet: this.wallet.address,
+        tokenFrom: isBuy ? this.quoteToken : this.baseToken,
+        tokenTo: isBuy ? this.baseToken : this.quoteToken,
+        amountIn,
+        amountOut,
+        price: fillPrice,
+        gasCost: fill.gasCost,
+        txHash: result.hash,
+        signalTxHash: signal.txHash,
+        status: 'success',
+        timestamp: new Date(this.now()).toISOString()
+      }, result)
+
+      this.log.success(
+        `信号${isBuy ? '买入' : '卖出'}成功: ${amountIn.toFixed(6)} ${isBuy ? this.quoteToken : this.baseToken} → ${amountOut.toFixed(6)} ${isBuy ? this.baseToken : this.quoteToken}\n` +
+        `成交价格: ${fillPrice.toFixed(6)} ${this.quoteToken}\n` +
+        (result.split ? `拆单: ${result.children.length}/${result.childCount} 笔${result.partial ? '（部分成交）' : ''}\n` : '') +
+        `交易哈希: ${result.hash}`
+      )
+      return result
+    } catch (error) {
+      this.stats.failedTrades++
+      if (['SIMULATION_FAILED', 'PRICE_IMPACT_TOO_HIGH', 'GAS_FEE_TOO_HIGH', 'GAS_BUDGET_EXCEEDED', 'TX_CANCELLED'].includes(error.code)) {
+        this.log.warning(`信号交易已取消: ${error.message}`, error.details)
+      } else {
+        this.log.error(`信号${isBuy ? '买入' : '卖出'}失败: ${error.message}`)
+      }
+      // 不抛出错误，继续等待下一个信号
+      return null
+    }
+  }
+
+  /**
+   * 可序列化的状态快照（页面重新加载后由 BotRunner 恢复）
+   */
+  getState() {
+    return {
+      stats: { ...this.stats },
+      gasSpent: this.gasSpent,
+      lastTradeTime: this.lastTradeTime
+    }
+  }
+
+  /**
+   * 从状态快照恢复（启动前调用）
+   * 不恢复已处理区块：重新加载期间观察地址的成交可能已经过时，不补触发
+   */
+  restoreState(state) {
+    this.stats = { ...this.stats, ...state.stats }
+    this.gasSpent = state.gasSpent || 0
+    this.lastTradeTime = state.lastTradeTime ?? null
+  }
+
+  /**
+   * 获取策略状态
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      watchAddress: this.config.watchAddress,
+      lastBlock: this.lastBlock,
+      stats: this.stats
+    }
+  }
+}
@@ -0,0 +1,130 @@
+/**
+ * 策略参数校验 - 按策略的 configSchema 校验配置
+ * 配置表单（保存前）和策略构造函数（启动前）使用同一套规则
+ *
+ * 字段规则：type（number / integer / string / boolean，可为数组，如 ['number', 'null']）、required、
+ * minimum / maximum / exclusiveMinimum / exclusiveMaximum、enum、format: 'watch-address'
+ * 跨字段规则（schema.rules）：比较值为另一个字段的值，错误显示在 field 上；title 不含单位（单位写在 unit 中）
+ *   { field: 'buyThreshold', exclusiveMaximum: 'sellThreshold', message: '买入阈值必须低于卖出阈值' }
+ */
+
+import { ethers } from 'ethers'
+
+/**
+ * 策略配置无效
+ * details.errors: { 字段: 错误信息 }
+ */
+export class StrategyConfigError extends Error {
+  constructor(errors) {
+    super(`策略配置无效: ${Object.values(errors).join('；')}`)
+    this.name = 'StrategyConfigError'
+    this.code = 'INVALID_STRATEGY_CONFIG'
+    this.details = { errors }
+  }
+}
+
+// 比较关键字 -> [是否通过, 错误信息中的关系]
+const COMPARISONS = {
+  minimum: [(value, limit) => value >= limit, '不能小于'],
+  maximum: [(value, limit) => value <= limit, '不能大于'],
+  exclusiveMinimum: [(value, limit) => value > limit, '必须大于'],
+  exclusiveMaximum: [(value, limit) => value < limit, '必须小于']
+}
+
+const isEmpty = (value) => value === undefined || value === null || value === ''
+
+/**
+ * 未填写的字段使用 Schema 的默认值（与配置表单的显示一致）
+ */
+export const applyDefaults = (schema, config) => {
+  const result = { ...config }
+  Object.entries(schema.properties || {}).forEach(([key, field]) => {
+    if (result[key] === undefined && field.default !== undefined) {
+      result[key] = field.default
+    }
+  })
+  return result
+}
+
+/**
+ * 校验单个字段
+ * @returns {string|null} 错误信息
+ */
+const validateField = (field, value, required) => {
+  const title = field.title
+  const types = [].concat(field.type)
+
+  if (isEmpty(value)) {
+    return required && !types.includes('null') ? `请填写${title}` : null
+  }
+
+  if (field.enum) {
+    return field.enum.includes(value) ? null : `${title}的取值无效`
+  }
+
+  if (types.includes('number') || types.includes('integer')) {
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+      return `${title}必须是数字`
+    }
+    if (types.includes('integer') && !types.includes('number') && !Number.isInteger(value)) {
+      return `${title}必须是整数`
+    }
+    for (const [keyword, [check, relation]] of Object.entries(COMPARISONS)) {
+      if (field[keyword] !== undefined && !check(value, field[keyword])) {
+        return `${title}${relation} ${field[keyword]}`
+      }
+    }
+    return null
+  }
+
+  if (field.format === 'watch-address' && !ethers.isAddress(value)) {
+    return `${title}不是有效的地址`
+  }
+  return null
+}
+
+/**
+ * 校验策略配置
+ * @param {Object} schema - 策略的 configSchema
+ * @param {Object} config - 机器人配置（未填写的字段按默认值校验）
+ * @returns {Object} { 字段: 错误信息 }，没有错误时为空对象
+ */
+export const validateConfig = (schema, config) => {
+  const values = applyDefaults(schema, config)
+  const required = schema.required || []
+  const rules = schema.rules || []
+  const errors = {}
+
+  Object.entries(schema.properties || {}).forEach(([key, field]) => {
+    const error = validateField(field, values[key], required.includes(key))
+    if (error) {
+      errors[key] = error
+    }
+  })
+
+  // 跨字段规则：两个字段都是有效数字时才比较
+  rules.forEach(rule => {
+    if (errors[rule.field]) return
+    Object.entries(COMPARISONS).forEach(([keyword, [check]]) => {
+      const other = rule[keyword]
+      if (other === undefined || errors[other]) return
+      const value = values[rule.field]
+      const limit = values[other]
+      if (typeof value === 'number' && typeof limit === 'number' && !check(value, limit)) {
+        errors[rule.field] = rule.message
+      }
+    })
+  })
+
+  return errors
+}
+
+/**
+ * 校验策略配置，无效时抛出 StrategyConfigError
+ */
+export const assertValidConfig = (schema, config) => {
+  const errors = validateConfig(schema, config)
+  if (Object.keys(errors).length > 0) {
+    throw new StrategyConfigError(errors)
+  }
+}
@@ -0,0 +1,17 @@
+import { tradeLog } from '../../utils/logger'
+import { saveOrderTrades } from '../../utils/storage'
+import { getTokenPrice, buyToken, sellToken } from '../swap'
+
+/**
+ * 链上交易服务（策略的默认交易服务）
+ * 策略通过交易服务读取价格、兑换、保存成交记录、写交易日志和读取时间，
+ * 回测时替换为模拟交易服务（见 services/backtest/simulatedSwap.js），接口相同
+ */
+export const liveSwapService = {
+  now: () => Date.now(),
+  getTokenPrice,
+  buyToken,
+  sellToken,
+  saveOrderTrades,
+  log: tradeLog
+}
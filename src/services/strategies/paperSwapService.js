@@ -0,0 +1,187 @@
+import { ethers } from 'ethers'
+import { tradeLog } from '../../utils/logger'
+import { saveOrderTrades, getPaperLedger, savePaperLedger, removePaperLedger } from '../../utils/storage'
+import { getTokenPrice, quoteSwap, planSplitOrder, runSplitChildren, summarizeSplitOrder, PriceImpactError, SWAP_SETTINGS } from '../swap'
+import { getWalletById } from '../walletBook'
+
+/**
+ * 模拟盘交易服务（机器人 executionMode: 'paper'）
+ * 价格和成交按链上实时储备报价（与实盘相同的寻路），但不发送交易、不计 Gas：
+ * 余额记在机器人的虚拟账户（swapx_paper_ledgers），成交记录带 simulated: true 保存到交易记录；
+ * 价格影响超过上限时与实盘一样拒绝；拆单模式与实盘按相同的拆分逐笔按实时报价成交
+ * 不签名，策略使用绑定钱包地址的只读签名者，钱包无需解锁
+ */
+
+export const EXECUTION_MODES = {
+  LIVE: 'live',  // 实盘：签名并发送链上交易
+  PAPER: 'paper' // 模拟盘：按实时价格记账
+}
+
+export const PAPER_DEFAULTS = {
+  QUOTE_BALANCE: 1000, // 虚拟账户初始计价代币
+  BASE_BALANCE: 0      // 虚拟账户初始交易代币
+}
+
+/**
+ * 机器人是否为模拟盘
+ */
+export const isPaperBot = (bot) => bot.config?.executionMode === EXECUTION_MODES.PAPER
+
+/**
+ * 获取机器人的虚拟账户，首次使用（或切换了交易对）时按配置的初始余额补齐交易对代币
+ * @param {string} botId - 机器人ID
+ * @param {Object} config - 机器人配置 { baseToken, quoteToken, paperBaseBalance, paperQuoteBalance }
+ * @returns {Object} { balances: { 代币: 数量 }, createdAt, updatedAt }
+ */
+export const getPaperAccount = (botId, config) => {
+  const now = new Date().toISOString()
+  const ledger = getPaperLedger(botId) || { balances: {}, createdAt: now, updatedAt: now }
+  const initial = {
+    [config.baseToken || 'WXOC']: config.paperBaseBalance ?? PAPER_DEFAULTS.BASE_BALANCE,
+    [config.quoteToken || 'USDT']: config.paperQuoteBalance ?? PAPER_DEFAULTS.QUOTE_BALANCE
+  }
+  return { ...ledger, balances: { ...initial, ...ledger.balances } }
+}
+
+/**
+ * 模拟盘机器人的只读签名者（VoidSigner，只提供地址和 Provider，不能发送交易）
+ * @param {string} walletId - 机器人绑定的钱包ID
+ * @param {Provider} provider - 机器人所在网络的 Provider
+ * @returns {VoidSigner} 签名者
+ */
+export const createPaperSigner = (walletId, provider) => {
+  const address = getWalletById(walletId)?.address || ethers.ZeroAddress
+  return new ethers.VoidSigner(address, provider)
+}
+
+/**
+ * 重置虚拟账户（下次运行时按配置的初始余额重新创建）
+ */
+export const resetPaperAccount = (botId) => {
+  removePaperLedger(botId)
+}
+
+// 模拟盘交易日志带前缀，与实盘日志区分
+const paperLog = Object.fromEntries(
+  ['info', 'success', 'warning', 'error', 'debug'].map(level => [level, (message, data) => tradeLog[level](`[模拟盘] ${message}`, data)])
+)
+
+export class PaperSwapService {
+  /**
+   * @param {string} botId - 机器人ID（虚拟账户按机器人保存）
+   * @param {Object} config - 机器人配置
+   */
+  constructor(botId, config) {
+    this.botId = botId
+    this.config = config
+    this.log = paperLog
+    this.fillCount = 0
+  }
+
+  now() {
+    return Date.now()
+  }
+
+  getTokenPrice(tokenIn, tokenOut, provider) {
+    return getTokenPrice(tokenIn, tokenOut, provider)
+  }
+
+  async buyToken(wallet, baseToken, quoteToken, amount, slippage, options = {}) {
+    return this.fill(wallet.provider, quoteToken, baseToken, amount, options)
+  }
+
+  async sellToken(wallet, baseToken, quoteToken, amount, slippage, options = {}) {
+    return this.fill(wallet.provider, baseToken, quoteToken, amount, options)
+  }
+
+  /**
+   * 按实时报价成交并更新虚拟账户；价格影响超限且为拆单模式时按子单逐笔成交
+   * @returns {Promise<Object>} 与链上交易结果相同的字段 { hash, route, tradeType, expectedAmountIn, expectedAmountOut, priceImpact, fill, simulated }，拆单时为拆单汇总
+   */
+  async fill(provider, tokenIn, tokenOut, amount, options = {}) {
+    if (!amount || amount <= 0) {
+      throw new Error('无效的交易参数')
+    }
+
+    const quote = await quoteSwap(provider, tokenIn, tokenOut, amount, options)
+    const maxPriceImpact = options.maxPriceImpact ?? SWAP_SETTINGS.MAX_PRICE_IMPACT
+    const priceImpactMode = options.priceImpactMode || SWAP_SETTINGS.PRICE_IMPACT_MODE
+    if (quote.priceImpact > maxPriceImpact) {
+      if (priceImpactMode !== 'split') {
+        throw new PriceImpactError({ priceImpact: quote.priceImpact, maxPriceImpact, amount, route: quote.route })
+      }
+      return this.fillSplit(provider, tokenIn, tokenOut, amount, options)
+    }
+
+    return this.fillQuote(tokenIn, tokenOut, quote)
+  }
+
+  /**
+   * 拆单：与实盘相同的拆分和子单间隔，每笔子单按当时的实时报价成交
+   * 子单失败（价格影响超限、虚拟余额不足）时停止后续子单，返回已成交部分（partial: true）
+   */
+  async fillSplit(provider, tokenIn, tokenOut, amount, options = {}) {
+    const maxPriceImpact = options.maxPriceImpact ?? SWAP_SETTINGS.MAX_PRICE_IMPACT
+    const intervalSeconds = options.splitIntervalSeconds ?? SWAP_SETTINGS.SPLIT_INTERVAL_SECONDS
+    const plan = await planSplitOrder(provider, tokenIn, tokenOut, amount, options)
+
+    this.log.info(`拆单执行: ${amount} ${options.exactOutput ? tokenOut : tokenIn} 拆分为 ${plan.count} 笔，单笔价格影响约 ${plan.priceImpact.toFixed(2)}%`, { parentOrderId: plan.parentOrderId })
+
+    const { children, failure } = await runSplitChildren(plan.amounts, async (childAmount) => {
+      const quote = await quoteSwap(provider, tokenIn, tokenOut, childAmount, options)
+      if (quote.priceImpact > maxPriceImpact) {
+        throw new PriceImpactError({ priceImpact: quote.priceImpact, maxPriceImpact, amount: childAmount, route: quote.route })
+      }
+      return this.fillQuote(tokenIn, tokenOut, quote)
+    }, { parentOrderId: plan.parentOrderId, intervalSeconds, logger: this.log })
+
+    return { ...summarizeSplitOrder(plan.parentOrderId, plan.count, children, failure), simulated: true }
+  }
+
+  /**
+   * 按报价记账（检查虚拟余额）
+   */
+  fillQuote(tokenIn, tokenOut, quote) {
+    const account = getPaperAccount(this.botId, this.config)
+    const available = account.balances[tokenIn] || 0
+    if (available < quote.amountIn) {
+      throw new Error(`余额不足: 虚拟账户需要 ${quote.amountIn.toFixed(6)} ${tokenIn}，可用 ${available.toFixed(6)} ${tokenIn}`)
+    }
+
+    savePaperLedger(this.botId, {
+      ...account,
+      balances: {
+        ...account.balances,
+        [tokenIn]: available - quote.amountIn,
+        [tokenOut]: (account.balances[tokenOut] || 0) + quote.amountOut
+      },
+      updatedAt: new Date().toISOString()
+    })
+    this.log.info(`模拟成交: ${quote.amountIn.toFixed(6)} ${tokenIn} → ${quote.amountOut.toFixed(6)} ${tokenOut} (${quote.route}，价格影响 ${quote.priceImpact.toFixed(2)}%)`)
+
+    return {
+      hash: `paper_${Date.now()}_${++this.fillCount}`,
+      route: quote.route,
+      tradeType: quote.tradeType,
+      expectedAmountIn: quote.amountIn,
+      expectedAmountOut: quote.amountOut,
+      priceImpact: quote.priceImpact,
+      fill: {
+        tokenIn,
+        tokenOut,
+        amountIn: quote.amountIn,
+        amountOut: quote.amountOut,
+        price: quote.amountOut / quote.amountIn,
+        gasCost: 0
+      },
+      simulated: true
+    }
+  }
+
+  /**
+   * 保存成交记录（标记为模拟成交，不计入实盘统计）
+   */
+  saveOrderTrades(tradeData, result) {
+    return saveOrderTrades({ ...tradeData, simulated: true }, result)
+  }
+}
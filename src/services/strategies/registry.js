@@ -0,0 +1,72 @@
+/**
+ * 策略注册表
+ * BotRunner（创建策略实例）、创建机器人弹窗（策略列表）和机器人卡片（配置表单）都从这里读取策略，
+ * 添加新策略只需继承 BaseStrategy 并在 index.js 中注册
+ */
+
+import { BaseStrategy } from './BaseStrategy'
+
+const strategies = new Map() // 机器人类型 -> 策略类
+
+/**
+ * 注册策略（同一类型重复注册时替换，便于开发时热更新）
+ * @param {typeof BaseStrategy} StrategyClass - 带 static type / meta / configSchema 的策略类
+ */
+export function registerStrategy(StrategyClass) {
+  if (!(StrategyClass?.prototype instanceof BaseStrategy)) {
+    throw new Error('策略必须继承 BaseStrategy')
+  }
+  if (!StrategyClass.type) {
+    throw new Error(`策略 ${StrategyClass.name} 未设置 static type`)
+  }
+  strategies.set(StrategyClass.type, StrategyClass)
+}
+
+/**
+ * 根据策略类型获取策略类
+ */
+export function getStrategyClass(strategyType) {
+  const StrategyClass = strategies.get(strategyType)
+  if (!StrategyClass) {
+    throw new Error(`未知的策略类型: ${strategyType}`)
+  }
+  return StrategyClass
+}
+
+/**
+ * 已注册的策略（按注册顺序），用于界面展示
+ * @returns {Array<{ type, name, description, icon, configSchema }>}
+ */
+export function getStrategies() {
+  return [...strategies.values()].map(StrategyClass => ({
+    type: StrategyClass.type,
+    ...StrategyClass.meta,
+    configSchema: StrategyClass.configSchema
+  }))
+}
+
+/**
+ * 策略名称（未注册的类型原样返回）
+ */
+export function getStrategyName(strategyType) {
+  return strategies.get(strategyType)?.meta.name || strategyType
+}
+
+/**
+ * 策略参数的 JSON Schema
+ */
+export function getConfigSchema(strategyType) {
+  return getStrategyClass(strategyType).configSchema
+}
+
+/**
+ * 按 JSON Schema 的 default 生成策略参数的默认值
+ */
+export function getDefaultConfig(strategyType) {
+  const { properties = {} } = getConfigSchema(strategyType)
+  return Object.fromEntries(
+    Object.entries(properties)
+      .filter(([, schema]) => schema.default !== undefined)
+      .map(([key, schema]) => [key, schema.default])
+  )
+}
@@ -1,7 +1,23 @@
 import { ethers } from 'ethers'
 import { Token, CurrencyAmount, TradeType, Percent } from '@swapx-lib/sdk-core'
-import { Pair, Route, Trade } from '@swapx-lib/v2-sdk'
-import { checkAllowance, approveToken, estimateGas } from './wallet'
+import { Pair, Trade } from '@swapx-lib/v2-sdk'
+import { checkAllowance, estimateGas } from './wallet'
+import { ensureAllowance } from './allowances'
+import {
+  getGasPolicy,
+  resolveFees,
+  applyGasLimit,
+  toTxOverrides,
+  getMaxGasCost,
+  assertGasBudget,
+  describeFees,
+  formatFees,
+  GasPolicyError
+} from './gasPolicy'
+import { enqueueTransaction } from './txQueue'
+import txTracker, { TransactionReplacedError } from './txTracker'
+import { getToken, getTokens, findTokenByAddress, getBaseTokens, getWrappedNativeToken } from './tokenRegistry'
+import { resolveNetwork } from './networks'
 import { log, tradeLog } from '../utils/logger'
 
 /**
@@ -11,49 +27,146 @@ import { log, tradeLog } from '../utils/logger'
 
 // ==================== 配置常量 ====================
 
-// SwapX V2 合约地址配置
-const CONTRACTS = {
-  ROUTER: '0x89eA27957bb86FBFFC2e0ABfc5a5a64BB0343367',  // SwapX V2 Router
-  FACTORY: '0x76bDc5a6190Ea31A6D5C7e93a8a2ff4dD15080A6', // SwapX V2 Factory
+// 合约地址、链ID、原生代币等按 provider 所在网络从网络注册表读取（见 networks.js）
+
+// 交易配置
+const SWAP_CONFIG = {
+  SLIPPAGE: 0.5,           // 滑点容忍度 0.5%
+  DEADLINE_MINUTES: 20,    // 交易截止时间 20分钟
+  SIMULATION_MAX_DEVIATION: 1, // 模拟结果相对报价的最大不利偏差 1%
+  MAX_PRICE_IMPACT: 3,     // 最大价格影响 3%
+  PRICE_IMPACT_MODE: 'reject', // 超出价格影响时的处理方式：'reject' 拒绝 | 'split' 拆单
+  MAX_SPLIT_CHILDREN: 10,  // 拆单最多子单数
+  SPLIT_INTERVAL_SECONDS: 30 // 子单之间的间隔（秒）
 }
 
-// SwapX 测试网代币配置
-const TOKENS = {
-  USDT: {
-    address: '0xb575796D293f37F112f3694b8ff48D711FE67EC7',
-    decimals: 6,
-    symbol: 'USDT'
-  },
-  WXOC: {
-    address: '0x4eabbaBeBbb358660cA080e8F2bb09E4a911AB4E',
-    decimals: 18,
-    symbol: 'WXOC'  // 实际交易使用WXOC，XOC用于GAS费
-  }
+// 路由配置
+const ROUTING_CONFIG = {
+  MAX_HOPS: 2,             // 最多2跳（经过1个中间代币）
+  MAX_RESULTS: 3,          // 每次寻路保留的候选路径数
+  MAX_FACTORY_SCAN: 200    // Factory交易对数量不超过此值时扫描allPairs发现中间代币
 }
 
-// SwapX 测试网配置
-const NETWORK_CONFIG = {
-  RPC_URL: 'https://rpc.xone.org/',
-  CHAIN_ID: 3721,
-  NATIVE_SYMBOL: 'XOC'
+// 合约ABI
+const FACTORY_ABI = [
+  'function getPair(address tokenA, address tokenB) view returns (address pair)',
+  'function allPairs(uint256) view returns (address pair)',
+  'function allPairsLength() view returns (uint256)'
+]
+
+const PAIR_ABI = [
+  'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+  'function token0() view returns (address)',
+  'function token1() view returns (address)'
+]
+
+const ROUTER_ABI = [
+  'function swapExactTokensForTokens(uint amountIn, uint amountOutMin, address[] path, address to, uint deadline) returns (uint[] amounts)',
+  'function swapTokensForExactTokens(uint amountOut, uint amountInMax, address[] path, address to, uint deadline) returns (uint[] amounts)',
+  'function swapExactETHForTokens(uint amountOutMin, address[] path, address to, uint deadline) payable returns (uint[] amounts)',
+  'function swapETHForExactTokens(uint amountOut, address[] path, address to, uint deadline) payable returns (uint[] amounts)',
+  'function swapExactTokensForETH(uint amountIn, uint amountOutMin, address[] path, address to, uint deadline) returns (uint[] amounts)',
+  'function swapTokensForExactETH(uint amountOut, uint amountInMax, address[] path, address to, uint deadline) returns (uint[] amounts)'
+]
+
+const WXOC_ABI = [
+  'function deposit() payable',
+  'function withdraw(uint256 wad)'
+]
+
+// 解析交易收据所需的事件
+const RECEIPT_EVENTS_ABI = [
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+  'event Swap(address indexed sender, uint amount0In, uint amount1In, uint amount0Out, uint amount1Out, address indexed to)',
+  'event Deposit(address indexed dst, uint wad)',
+  'event Withdrawal(address indexed src, uint wad)'
+]
+
+const receiptInterface = new ethers.Interface(RECEIPT_EVENTS_ABI)
+
+const ERC20_META_ABI = [
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)'
+]
+
+// ==================== 错误类型 ====================
+
+/**
+ * 交易预模拟未通过
+ * details.reason: 'DEVIATION'（模拟结果偏离报价超过阈值）| 'REVERTED'（模拟执行回滚）
+ */
+export class SwapSimulationError extends Error {
+  constructor(details) {
+    const message = details.reason === 'REVERTED'
+      ? `交易模拟失败，已取消发送: ${details.message}`
+      : `模拟${details.side === 'input' ? '输入' : '输出'}偏离报价 ${details.deviation.toFixed(2)}%（上限 ${details.maxDeviation}%），已取消发送`
+    super(message)
+    this.name = 'SwapSimulationError'
+    this.code = 'SIMULATION_FAILED'
+    this.details = details
+  }
 }
 
-// 交易配置
-const SWAP_CONFIG = {
-  SLIPPAGE: 0.5,           // 滑点容忍度 0.5%
-  DEADLINE_MINUTES: 20,    // 交易截止时间 20分钟
-  GAS_MULTIPLIER: 1.2      // Gas倍数 1.2x
+/**
+ * 交易价格影响超过上限
+ */
+export class PriceImpactError extends Error {
+  constructor(details) {
+    super(`价格影响 ${details.priceImpact.toFixed(2)}% 超过上限 ${details.maxPriceImpact}%，已拒绝交易`)
+    this.name = 'PriceImpactError'
+    this.code = 'PRICE_IMPACT_TOO_HIGH'
+    this.details = details
+  }
 }
 
+// ==================== 缓存 ====================
+
+// 交易对地址缓存（交易对创建后地址不会改变，只缓存已存在的交易对），键含链ID
+const pairAddressCache = new Map()
+
+// allPairs 扫描结果（交易对只增不减，按索引增量扫描）
+// 链ID:Factory地址 -> { scanned, pairs: [{ address, token0, token1 }] }
+const factoryIndexes = new Map()
+
+// 链上读取的代币元数据缓存（链ID:地址 -> 元数据）
+const tokenMetaCache = new Map()
+
 // ==================== 辅助函数 ====================
 
+/**
+ * 判断是否为原生代币（如 XOC）
+ * @param {string} symbol - 代币符号
+ * @param {Object} network - 网络配置
+ * @returns {boolean}
+ */
+const isNativeToken = (symbol, network) => {
+  return symbol.toUpperCase() === network.nativeSymbol
+}
+
+/**
+ * 根据代币符号获取代币配置（来自代币注册表；原生代币按包装代币处理，路由路径中使用包装代币地址）
+ * @param {string} symbol - 代币符号
+ * @param {Object} network - 网络配置
+ * @returns {Object} 代币配置
+ */
+const resolveTokenConfig = (symbol, network) => {
+  return isNativeToken(symbol, network) ? getWrappedNativeToken(network.chainId) : getToken(symbol, network.chainId)
+}
+
+/**
+ * 是否为同一代币（原生代币与其包装代币视为同一地址）
+ */
+const isSameTokenAddress = (tokenIn, tokenOut, network) => {
+  return resolveTokenConfig(tokenIn, network).address === resolveTokenConfig(tokenOut, network).address
+}
+
 /**
  * 创建Token实例
  * @param {Object} tokenConfig - 代币配置对象
  * @param {number} chainId - 链ID
  * @returns {Token} Token实例
  */
-const createToken = (tokenConfig, chainId = NETWORK_CONFIG.CHAIN_ID) => {
+const createToken = (tokenConfig, chainId) => {
   return new Token(
     chainId,
     tokenConfig.address,
@@ -72,13 +185,7 @@ const createToken = (tokenConfig, chainId = NETWORK_CONFIG.CHAIN_ID) => {
  */
 const fetchPairData = async (pairAddress, tokenA, tokenB, provider) => {
   try {
-    const pairAbi = [
-      'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
-      'function token0() view returns (address)',
-      'function token1() view returns (address)'
-    ]
-    
-    const pairContract = new ethers.Contract(pairAddress, pairAbi, provider)
+    const pairContract = new ethers.Contract(pairAddress, PAIR_ABI, provider)
     
     // 获取储备量
     const reserves = await pairContract.getReserves()
@@ -123,48 +230,391 @@ export const getPairAddress = (tokenA, tokenB) => {
   return Pair.getAddress(tokenA, tokenB)
 }
 
+/**
+ * 通过Factory查询交易对地址
+ * @param {Contract} factory - Factory合约实例
+ * @param {Token} tokenA - 代币A
+ * @param {Token} tokenB - 代币B
+ * @returns {Promise<string|null>} 交易对地址，不存在时返回null
+ */
+const getFactoryPair = async (factory, tokenA, tokenB) => {
+  const key = `${tokenA.chainId}:` + [tokenA.address, tokenB.address].map(a => a.toLowerCase()).sort().join('-')
+  if (pairAddressCache.has(key)) {
+    return pairAddressCache.get(key)
+  }
+
+  const address = await factory.getPair(tokenA.address, tokenB.address)
+  if (address === ethers.ZeroAddress) {
+    return null
+  }
+
+  pairAddressCache.set(key, address)
+  return address
+}
+
+/**
+ * 增量扫描Factory的allPairs，建立交易对索引
+ * 交易对数量超过 MAX_FACTORY_SCAN 时跳过扫描，仅依赖基础代币组合
+ * @param {Contract} factory - Factory合约实例
+ * @param {Provider} provider - Provider实例
+ * @param {number} chainId - 链ID
+ * @returns {Promise<Array>} 交易对索引 [{ address, token0, token1 }]
+ */
+const scanFactoryPairs = async (factory, provider, chainId) => {
+  const total = Number(await factory.allPairsLength())
+  if (total > ROUTING_CONFIG.MAX_FACTORY_SCAN) {
+    return []
+  }
+
+  const indexKey = `${chainId}:${(await factory.getAddress()).toLowerCase()}`
+  if (!factoryIndexes.has(indexKey)) {
+    factoryIndexes.set(indexKey, { scanned: 0, pairs: [] })
+  }
+  const factoryIndex = factoryIndexes.get(indexKey)
+
+  for (let i = factoryIndex.scanned; i < total; i++) {
+    const address = await factory.allPairs(i)
+    const pairContract = new ethers.Contract(address, PAIR_ABI, provider)
+    const [token0, token1] = await Promise.all([pairContract.token0(), pairContract.token1()])
+    factoryIndex.pairs.push({
+      address,
+      token0: token0.toLowerCase(),
+      token1: token1.toLowerCase()
+    })
+    factoryIndex.scanned = i + 1
+  }
+
+  return factoryIndex.pairs
+}
+
+/**
+ * 读取链上代币元数据并创建Token实例
+ * @param {string} address - 代币地址
+ * @param {number} chainId - 链ID
+ * @param {Provider} provider - Provider实例
+ * @returns {Promise<Token>} Token实例
+ */
+const loadToken = async (address, chainId, provider) => {
+  const known = findTokenByAddress(address, chainId)
+  if (known) {
+    return createToken(known, chainId)
+  }
+
+  const key = `${chainId}:${address.toLowerCase()}`
+  if (!tokenMetaCache.has(key)) {
+    const tokenContract = new ethers.Contract(address, ERC20_META_ABI, provider)
+    const [symbol, decimals] = await Promise.all([tokenContract.symbol(), tokenContract.decimals()])
+    tokenMetaCache.set(key, { address: ethers.getAddress(address), symbol, decimals: Number(decimals) })
+  }
+
+  return createToken(tokenMetaCache.get(key), chainId)
+}
+
+/**
+ * 查找候选交易对
+ * 1. 基础代币（注册表中 tags 含 base）两两组合，通过 getPair 查询
+ * 2. 扫描 allPairs，找出同时与输入、输出代币配对的中间代币
+ * @param {Token} tokenIn - 输入代币
+ * @param {Token} tokenOut - 输出代币
+ * @param {Provider} provider - Provider实例
+ * @returns {Promise<Pair[]>} 带储备量的Pair列表
+ */
+const findCandidatePairs = async (tokenIn, tokenOut, provider) => {
+  const network = await resolveNetwork(provider)
+  const factory = new ethers.Contract(network.contracts.factory, FACTORY_ABI, provider)
+  const candidates = new Map() // pairAddress -> [tokenA, tokenB]
+
+  // 1. 基础代币组合
+  const baseTokens = [tokenIn, tokenOut]
+  getBaseTokens(tokenIn.chainId).forEach(config => {
+    if (!baseTokens.some(t => t.address.toLowerCase() === config.address.toLowerCase())) {
+      baseTokens.push(createToken(config, tokenIn.chainId))
+    }
+  })
+
+  for (let i = 0; i < baseTokens.length; i++) {
+    for (let j = i + 1; j < baseTokens.length; j++) {
+      const address = await getFactoryPair(factory, baseTokens[i], baseTokens[j])
+      if (address) {
+        candidates.set(address.toLowerCase(), [baseTokens[i], baseTokens[j]])
+      }
+    }
+  }
+
+  // 2. allPairs 发现中间代币
+  try {
+    const indexed = await scanFactoryPairs(factory, provider, tokenIn.chainId)
+    const inAddress = tokenIn.address.toLowerCase()
+    const outAddress = tokenOut.address.toLowerCase()
+    const otherSide = (pair, address) => pair.token0 === address ? pair.token1 : pair.token1 === address ? pair.token0 : null
+
+    const inNeighbors = new Map()
+    const outNeighbors = new Map()
+    indexed.forEach(pair => {
+      const fromIn = otherSide(pair, inAddress)
+      const fromOut = otherSide(pair, outAddress)
+      if (fromIn) inNeighbors.set(fromIn, pair.address)
+      if (fromOut) outNeighbors.set(fromOut, pair.address)
+    })
+
+    for (const [middle, inPairAddress] of inNeighbors) {
+      const outPairAddress = outNeighbors.get(middle)
+      if (!outPairAddress || middle === outAddress) {
+        continue
+      }
+      const middleToken = await loadToken(middle, tokenIn.chainId, provider)
+      candidates.set(inPairAddress.toLowerCase(), [tokenIn, middleToken])
+      candidates.set(outPairAddress.toLowerCase(), [middleToken, tokenOut])
+    }
+  } catch (error) {
+    log.warning('扫描Factory交易对失败，仅使用基础代币路由', { message: error.message }, true)
+  }
+
+  // 3. 读取储备量
+  const pairs = await Promise.all(
+    Array.from(candidates.entries()).map(([address, [tokenA, tokenB]]) =>
+      fetchPairData(address, tokenA, tokenB, provider).catch(() => null)
+    )
+  )
+
+  return pairs.filter(Boolean)
+}
+
+/**
+ * 代币注册表中的代币两两组合、已在Factory创建的交易对
+ * 观察地址按这些交易对的 Swap 事件索引链上成交
+ * @param {Provider} provider - Provider实例
+ * @returns {Promise<Array>} [{ address, token0, token1 }]，token0/token1 为代币配置，顺序与交易对合约一致
+ */
+export const getRegistryPairs = async (provider) => {
+  const network = await resolveNetwork(provider)
+  const factory = new ethers.Contract(network.contracts.factory, FACTORY_ABI, provider)
+  const configs = getTokens(network.chainId)
+  const tokens = configs.map(config => createToken(config, network.chainId))
+  const pairs = []
+
+  for (let i = 0; i < tokens.length; i++) {
+    for (let j = i + 1; j < tokens.length; j++) {
+      const address = await getFactoryPair(factory, tokens[i], tokens[j])
+      if (!address) continue
+      const [token0, token1] = tokens[i].sortsBefore(tokens[j]) ? [configs[i], configs[j]] : [configs[j], configs[i]]
+      pairs.push({ address, token0, token1 })
+    }
+  }
+
+  return pairs
+}
+
+/**
+ * 寻找最优交易路径（1跳或2跳）
+ * @param {Token} tokenIn - 输入代币
+ * @param {Token} tokenOut - 输出代币
+ * @param {CurrencyAmount} currencyAmount - 精确输入模式为输入金额，精确输出模式为输出金额
+ * @param {Provider} provider - Provider实例
+ * @param {TradeType} tradeType - 交易类型（默认 EXACT_INPUT）
+ * @returns {Promise<Trade>} 精确输入时输出最多、精确输出时输入最少的Trade
+ */
+export const findBestTrade = async (tokenIn, tokenOut, currencyAmount, provider, tradeType = TradeType.EXACT_INPUT) => {
+  const pairs = await findCandidatePairs(tokenIn, tokenOut, provider)
+  if (pairs.length === 0) {
+    throw new Error(`未找到 ${tokenIn.symbol}/${tokenOut.symbol} 相关的流动性池`)
+  }
+
+  const options = {
+    maxHops: ROUTING_CONFIG.MAX_HOPS,
+    maxNumResults: ROUTING_CONFIG.MAX_RESULTS
+  }
+  const trades = tradeType === TradeType.EXACT_OUTPUT
+    ? Trade.bestTradeExactOut(pairs, tokenIn, currencyAmount, options)
+    : Trade.bestTradeExactIn(pairs, currencyAmount, tokenOut, options)
+
+  if (trades.length === 0) {
+    throw new Error(`未找到 ${tokenIn.symbol} -> ${tokenOut.symbol} 的可用交易路径`)
+  }
+
+  return trades[0]
+}
+
+/**
+ * 根据交易模式选择Router方法并组装参数
+ * @param {Object} params - { exactOutput, nativeIn, nativeOut, amountIn, amountOut, path, to, deadline }
+ *   amountIn/amountOut 为含滑点的边界值（精确输入时 amountOut 为最小输出，精确输出时 amountIn 为最大输入）
+ * @returns {Object} { method, args, value }
+ */
+const buildSwapCall = ({ exactOutput, nativeIn, nativeOut, amountIn, amountOut, path, to, deadline }) => {
+  if (nativeIn) {
+    return exactOutput
+      ? { method: 'swapETHForExactTokens', args: [amountOut, path, to, deadline], value: BigInt(amountIn) }
+      : { method: 'swapExactETHForTokens', args: [amountOut, path, to, deadline], value: BigInt(amountIn) }
+  }
+
+  if (nativeOut) {
+    return exactOutput
+      ? { method: 'swapTokensForExactETH', args: [amountOut, amountIn, path, to, deadline], value: 0n }
+      : { method: 'swapExactTokensForETH', args: [amountIn, amountOut, path, to, deadline], value: 0n }
+  }
+
+  return exactOutput
+    ? { method: 'swapTokensForExactTokens', args: [amountOut, amountIn, path, to, deadline], value: 0n }
+    : { method: 'swapExactTokensForTokens', args: [amountIn, amountOut, path, to, deadline], value: 0n }
+}
+
+/**
+ * 构建收据解析上下文（随交易结果返回，供 waitForTransaction 解析实际成交量）
+ * @param {string} account - 钱包地址
+ * @param {string} tokenIn - 输入代币符号
+ * @param {string} tokenOut - 输出代币符号
+ * @param {string} tradeType - 交易类型 ('exactInput' | 'exactOutput' | 'wrap' | 'unwrap')
+ * @param {Object} network - 网络配置
+ * @returns {Object} 解析上下文
+ */
+const createSwapContext = (account, tokenIn, tokenOut, tradeType, network) => {
+  const describe = (symbol) => {
+    const config = resolveTokenConfig(symbol, network)
+    return { address: config.address, decimals: config.decimals, symbol: symbol.toUpperCase() }
+  }
+
+  return {
+    account,
+    tokenIn: describe(tokenIn),
+    tokenOut: describe(tokenOut),
+    nativeIn: isNativeToken(tokenIn, network),
+    nativeOut: isNativeToken(tokenOut, network),
+    wrappedNative: getWrappedNativeToken(network.chainId).address,
+    tradeType
+  }
+}
+
+/**
+ * 从交易收据解析实际成交数量
+ * 优先统计账户相关的 ERC20 Transfer（原生XOC统计 WXOC 的 Deposit/Withdrawal），
+ * 无法匹配时回退到交易对 Swap 事件（首跳输入、末跳输出）
+ * @param {Object} receipt - 交易收据
+ * @param {Object} context - createSwapContext 生成的上下文
+ * @returns {Object|null} { amountIn, amountOut, price, hops }，price 为每单位输入获得的输出
+ */
+export const parseSwapReceipt = (receipt, context) => {
+  if (!receipt || !context) {
+    return null
+  }
+
+  const account = context.account.toLowerCase()
+  const tokenInAddress = context.tokenIn.address.toLowerCase()
+  const tokenOutAddress = context.tokenOut.address.toLowerCase()
+  const wxocAddress = context.wrappedNative.toLowerCase()
+
+  let rawIn = 0n
+  let rawOut = 0n
+  const swaps = []
+
+  for (const entry of receipt.logs || []) {
+    let parsed = null
+    try {
+      parsed = receiptInterface.parseLog(entry)
+    } catch {
+      parsed = null
+    }
+    if (!parsed) continue
+
+    const emitter = entry.address.toLowerCase()
+    switch (parsed.name) {
+      case 'Transfer':
+        if (!context.nativeIn && emitter === tokenInAddress && parsed.args.from.toLowerCase() === account) {
+          rawIn += parsed.args.value
+        }
+        if (!context.nativeOut && emitter === tokenOutAddress && parsed.args.to.toLowerCase() === account) {
+          rawOut += parsed.args.value
+        }
+        break
+      case 'Deposit':
+        if (context.nativeIn && emitter === wxocAddress) {
+          rawIn += parsed.args.wad
+        }
+        break
+      case 'Withdrawal':
+        if (context.nativeOut && emitter === wxocAddress) {
+          rawOut += parsed.args.wad
+        }
+        break
+      case 'Swap':
+        swaps.push(parsed.args)
+        break
+      default:
+        break
+    }
+  }
+
+  // 包装/解包只有一侧事件，数量1:1
+  if (context.tradeType === 'wrap' || context.tradeType === 'unwrap') {
+    rawIn = rawIn || rawOut
+    rawOut = rawOut || rawIn
+  }
+
+  // 回退：使用 Swap 事件
+  if (swaps.length > 0) {
+    const first = swaps[0]
+    const last = swaps[swaps.length - 1]
+    if (rawIn === 0n) rawIn = first.amount0In > 0n ? first.amount0In : first.amount1In
+    if (rawOut === 0n) rawOut = last.amount0Out > 0n ? last.amount0Out : last.amount1Out
+  }
+
+  if (rawIn === 0n || rawOut === 0n) {
+    return null
+  }
+
+  const amountIn = parseFloat(ethers.formatUnits(rawIn, context.tokenIn.decimals))
+  const amountOut = parseFloat(ethers.formatUnits(rawOut, context.tokenOut.decimals))
+
+  return {
+    tokenIn: context.tokenIn.symbol,
+    tokenOut: context.tokenOut.symbol,
+    amountIn,
+    amountOut,
+    price: amountOut / amountIn,
+    hops: swaps.length
+  }
+}
+
+/**
+ * 格式化交易路径
+ * @param {Trade} trade - Trade实例
+ * @returns {string} 例如 "USDT → WXOC"
+ */
+export const formatRoute = (trade) => {
+  return trade.route.path.map(token => token.symbol).join(' → ')
+}
+
 // ==================== 主要功能函数 ====================
 
 /**
  * 1. 获取代币价格
- * @param {string} tokenIn - 输入代币符号 ('USDT' 或 'WXOC')
- * @param {string} tokenOut - 输出代币符号 ('USDT' 或 'WXOC')
+ * @param {string} tokenIn - 输入代币符号（代币注册表中的符号，XOC 按 WXOC 计价）
+ * @param {string} tokenOut - 输出代币符号
  * @param {Provider} provider - Provider实例
  * @returns {Promise<number>} 价格（tokenOut/tokenIn）
  */
 export const getTokenPrice = async (tokenIn, tokenOut, provider) => {
   try {
-    // 标准化代币符号（XOC -> WXOC）
-    const normalizeToken = (symbol) => {
-      const upper = symbol.toUpperCase()
-      return upper === 'XOC' ? 'WXOC' : upper
-    }
-    
-    // 获取代币配置
-    const tokenInConfig = TOKENS[normalizeToken(tokenIn)]
-    const tokenOutConfig = TOKENS[normalizeToken(tokenOut)]
+    // 按 provider 所在网络获取代币配置
+    const network = await resolveNetwork(provider)
+    const tokenInConfig = resolveTokenConfig(tokenIn, network)
+    const tokenOutConfig = resolveTokenConfig(tokenOut, network)
     
-    if (!tokenInConfig || !tokenOutConfig) {
-      throw new Error('不支持的代币')
+    // 原生代币与包装代币 1:1 兑换
+    if (tokenInConfig.address === tokenOutConfig.address) {
+      return 1
     }
     
-    // 获取链ID
-    const network = await provider.getNetwork()
-    const chainId = Number(network.chainId)
-    
     // 创建Token实例
-    const tokenInInstance = createToken(tokenInConfig, chainId)
-    const tokenOutInstance = createToken(tokenOutConfig, chainId)
-    
-    // 获取交易对地址
-    const pairAddress = getPairAddress(tokenInInstance, tokenOutInstance)
+    const tokenInInstance = createToken(tokenInConfig, network.chainId)
+    const tokenOutInstance = createToken(tokenOutConfig, network.chainId)
     
-    // 获取交易对数据（修复：正确处理储备量和token顺序）
-    const pair = await fetchPairData(pairAddress, tokenInInstance, tokenOutInstance, provider)
+    // 以1个单位输入寻路，取最优路径的中间价（与实际执行路径一致）
+    const unitAmount = ethers.parseUnits('1', tokenInConfig.decimals)
+    const currencyAmount = CurrencyAmount.fromRawAmount(tokenInInstance, unitAmount.toString())
+    const trade = await findBestTrade(tokenInInstance, tokenOutInstance, currencyAmount, provider)
     
-    // 使用priceOf方法获取准确价格（参考priceMonitor.js）
-    const priceObj = pair.priceOf(tokenInInstance)
-    const price = parseFloat(priceObj.toSignificant(6))
+    const price = parseFloat(trade.route.midPrice.toSignificant(6))
     
     return price
   } catch (error) {
@@ -173,140 +623,393 @@ export const getTokenPrice = async (tokenIn, tokenOut, provider) => {
   }
 }
 
+/**
+ * 按代币符号和金额报价（寻找最优路径）
+ * @param {Provider} provider - Provider实例
+ * @param {string} tokenIn - 输入代币符号
+ * @param {string} tokenOut - 输出代币符号
+ * @param {number} amount - 输入金额（精确输出模式下为输出金额）
+ * @param {boolean} exactOutput - 是否精确输出
+ * @returns {Promise<Object>} { trade, tokenInConfig, tokenOutConfig, network }
+ */
+const quoteTrade = async (provider, tokenIn, tokenOut, amount, exactOutput = false) => {
+  // 按 provider 所在网络获取代币配置
+  const network = await resolveNetwork(provider)
+  const tokenInConfig = resolveTokenConfig(tokenIn, network)
+  const tokenOutConfig = resolveTokenConfig(tokenOut, network)
+  
+  // 创建Token实例
+  const tokenInInstance = createToken(tokenInConfig, network.chainId)
+  const tokenOutInstance = createToken(tokenOutConfig, network.chainId)
+  
+  // 计算指定金额（考虑精度）
+  const specifiedToken = exactOutput ? tokenOutInstance : tokenInInstance
+  const specifiedAmount = ethers.parseUnits(amount.toString(), specifiedToken.decimals)
+  const currencyAmount = CurrencyAmount.fromRawAmount(specifiedToken, specifiedAmount.toString())
+  
+  // 寻找最优路径并创建Trade实例（1跳或2跳）
+  const tradeType = exactOutput ? TradeType.EXACT_OUTPUT : TradeType.EXACT_INPUT
+  const trade = await findBestTrade(tokenInInstance, tokenOutInstance, currencyAmount, provider, tradeType)
+  
+  return { trade, tokenInConfig, tokenOutConfig, network }
+}
+
+/**
+ * 估算交易的价格影响
+ * @param {Provider} provider - Provider实例
+ * @param {string} tokenIn - 输入代币符号
+ * @param {string} tokenOut - 输出代币符号
+ * @param {number} amount - 输入金额（精确输出模式下为输出金额）
+ * @param {Object} options - { exactOutput }
+ * @returns {Promise<number>} 价格影响（百分比）
+ */
+export const estimatePriceImpact = async (provider, tokenIn, tokenOut, amount, options = {}) => {
+  if (isSameTokenAddress(tokenIn, tokenOut, await resolveNetwork(provider))) {
+    return 0
+  }
+  const { trade } = await quoteTrade(provider, tokenIn, tokenOut, amount, Boolean(options.exactOutput))
+  return parseFloat(trade.priceImpact.toSignificant(4))
+}
+
+/**
+ * 按链上当前储备报价（与实盘相同的寻路，不发送交易），模拟盘按此成交
+ * @param {Provider} provider - Provider实例
+ * @param {string} tokenIn - 输入代币符号
+ * @param {string} tokenOut - 输出代币符号
+ * @param {number} amount - 输入金额（精确输出模式下为输出金额）
+ * @param {Object} options - { exactOutput }
+ * @returns {Promise<Object>} { amountIn, amountOut, priceImpact, route, tradeType }
+ */
+export const quoteSwap = async (provider, tokenIn, tokenOut, amount, options = {}) => {
+  const exactOutput = Boolean(options.exactOutput)
+  const tradeType = exactOutput ? 'exactOutput' : 'exactInput'
+  
+  // XOC ⇄ WXOC 1:1 兑换
+  if (isSameTokenAddress(tokenIn, tokenOut, await resolveNetwork(provider))) {
+    return { amountIn: amount, amountOut: amount, priceImpact: 0, route: `${tokenIn} → ${tokenOut}`, tradeType }
+  }
+  
+  const { trade } = await quoteTrade(provider, tokenIn, tokenOut, amount, exactOutput)
+  return {
+    amountIn: parseFloat(trade.inputAmount.toExact()),
+    amountOut: parseFloat(trade.outputAmount.toExact()),
+    priceImpact: parseFloat(trade.priceImpact.toSignificant(4)),
+    route: formatRoute(trade),
+    tradeType
+  }
+}
+
+/**
+ * 计算交易路径并组装Router调用（不检查授权、不发送）
+ * @param {Wallet} wallet - 钱包实例
+ * @param {string} tokenIn - 输入代币符号
+ * @param {string} tokenOut - 输出代币符号
+ * @param {number} amount - 输入金额（精确输出模式下为输出金额）
+ * @param {number} slippage - 滑点容忍度
+ * @param {boolean} exactOutput - 是否精确输出
+ * @returns {Promise<Object>} { trade, amountIn, amountOut, path, method, args, value, routerContract, ... }
+ */
+const prepareSwap = async (wallet, tokenIn, tokenOut, amount, slippage, exactOutput) => {
+  const { trade, tokenInConfig, tokenOutConfig, network } = await quoteTrade(wallet.provider, tokenIn, tokenOut, amount, exactOutput)
+  const nativeIn = isNativeToken(tokenIn, network)
+  const nativeOut = isNativeToken(tokenOut, network)
+  
+  // 计算滑点边界：精确输入取最小输出，精确输出取最大输入
+  const slippageTolerance = new Percent(Math.floor(slippage * 100), 10000)
+  const amountIn = exactOutput ? trade.maximumAmountIn(slippageTolerance) : trade.inputAmount
+  const amountOut = exactOutput ? trade.outputAmount : trade.minimumAmountOut(slippageTolerance)
+  
+  // 设置交易截止时间
+  const deadline = Math.floor(Date.now() / 1000) + SWAP_CONFIG.DEADLINE_MINUTES * 60
+  
+  // 构建交易参数
+  const path = trade.route.path.map(token => token.address)
+  const routerContract = new ethers.Contract(network.contracts.router, ROUTER_ABI, wallet)
+  const { method, args, value } = buildSwapCall({
+    exactOutput,
+    nativeIn,
+    nativeOut,
+    amountIn: amountIn.quotient.toString(),
+    amountOut: amountOut.quotient.toString(),
+    path,
+    to: wallet.address,
+    deadline
+  })
+  
+  return {
+    network,
+    tokenIn,
+    tokenOut,
+    tokenInConfig,
+    tokenOutConfig,
+    nativeIn,
+    nativeOut,
+    exactOutput,
+    trade,
+    priceImpact: parseFloat(trade.priceImpact.toSignificant(4)),
+    amountIn,
+    amountOut,
+    path,
+    routerContract,
+    method,
+    args,
+    value
+  }
+}
+
+/**
+ * 在最新区块上以 staticCall 模拟Router调用，并与报价比较
+ * 精确输入比较实际输出（低于报价为不利），精确输出比较实际输入（高于报价为不利）
+ * @param {Object} prepared - prepareSwap 的返回值
+ * @param {number} maxDeviation - 允许的最大不利偏差（百分比）
+ * @returns {Promise<Object>} { ok, reason, side, symbol, quoted, simulated, deviation, maxDeviation, route }
+ */
+const simulatePreparedSwap = async (prepared, maxDeviation) => {
+  const { trade, exactOutput, routerContract, method, args, value } = prepared
+  const side = exactOutput ? 'input' : 'output'
+  const quotedAmount = exactOutput ? trade.inputAmount : trade.outputAmount
+  const base = {
+    side,
+    symbol: exactOutput ? prepared.tokenIn : prepared.tokenOut,
+    quoted: parseFloat(quotedAmount.toExact()),
+    maxDeviation,
+    priceImpact: prepared.priceImpact,
+    route: formatRoute(trade)
+  }
+  
+  let amounts
+  try {
+    amounts = await routerContract[method].staticCall(...args, { value, blockTag: 'latest' })
+  } catch (error) {
+    return {
+      ...base,
+      ok: false,
+      reason: 'REVERTED',
+      simulated: null,
+      deviation: null,
+      message: error.shortMessage || error.reason || error.message
+    }
+  }
+  
+  const decimals = quotedAmount.currency.decimals
+  const simulatedRaw = exactOutput ? amounts[0] : amounts[amounts.length - 1]
+  const simulated = parseFloat(ethers.formatUnits(simulatedRaw, decimals))
+  const deviation = exactOutput
+    ? (simulated - base.quoted) / base.quoted * 100
+    : (base.quoted - simulated) / base.quoted * 100
+  const ok = deviation <= maxDeviation
+  
+  return {
+    ...base,
+    ok,
+    reason: ok ? null : 'DEVIATION',
+    simulated,
+    deviation: Math.max(deviation, 0)
+  }
+}
+
+/**
+ * 交易预模拟（供确认界面展示，不发送交易）
+ * 输入代币授权不足时 staticCall 必然回滚，此时跳过模拟并返回 reason: 'ALLOWANCE_REQUIRED'，
+ * 授权完成后 executeSwap 发送前会再次模拟
+ * @param {Wallet} wallet - 钱包实例
+ * @param {string} tokenIn - 输入代币符号
+ * @param {string} tokenOut - 输出代币符号
+ * @param {number} amount - 输入金额（精确输出模式下为输出金额）
+ * @param {number} slippage - 滑点容忍度
+ * @param {Object} options - { exactOutput, maxDeviation, maxPriceImpact }
+ * @returns {Promise<Object>} 模拟结果，字段同 simulatePreparedSwap，另含 skipped、maxPriceImpact
+ */
+export const simulateSwap = async (wallet, tokenIn, tokenOut, amount, slippage = SWAP_CONFIG.SLIPPAGE, options = {}) => {
+  const maxDeviation = options.maxDeviation ?? SWAP_CONFIG.SIMULATION_MAX_DEVIATION
+  const maxPriceImpact = options.maxPriceImpact ?? SWAP_CONFIG.MAX_PRICE_IMPACT
+  
+  // XOC ⇄ WXOC 为1:1包装，无需模拟
+  if (isSameTokenAddress(tokenIn, tokenOut, await resolveNetwork(wallet.provider))) {
+    return {
+      ok: true,
+      skipped: true,
+      reason: 'WRAP',
+      side: 'output',
+      symbol: tokenOut.toUpperCase(),
+      quoted: amount,
+      simulated: amount,
+      deviation: 0,
+      maxDeviation,
+      route: `${tokenIn.toUpperCase()} → ${tokenOut.toUpperCase()}`
+    }
+  }
+  
+  const prepared = await prepareSwap(wallet, tokenIn, tokenOut, amount, slippage, Boolean(options.exactOutput))
+  
+  // 价格影响超过上限：executeSwap 会拒绝，无需再模拟
+  if (prepared.priceImpact > maxPriceImpact) {
+    const quotedAmount = prepared.exactOutput ? prepared.trade.inputAmount : prepared.trade.outputAmount
+    return {
+      ok: false,
+      skipped: true,
+      reason: 'PRICE_IMPACT',
+      side: prepared.exactOutput ? 'input' : 'output',
+      symbol: prepared.exactOutput ? tokenIn : tokenOut,
+      quoted: parseFloat(quotedAmount.toExact()),
+      simulated: null,
+      deviation: null,
+      maxDeviation,
+      priceImpact: prepared.priceImpact,
+      maxPriceImpact,
+      route: formatRoute(prepared.trade)
+    }
+  }
+  
+  if (!prepared.nativeIn) {
+    const allowance = await checkAllowance(wallet, prepared.tokenInConfig.address, prepared.network.contracts.router)
+    if (parseFloat(allowance) < parseFloat(prepared.amountIn.toExact())) {
+      const quotedAmount = prepared.exactOutput ? prepared.trade.inputAmount : prepared.trade.outputAmount
+      return {
+        ok: true,
+        skipped: true,
+        reason: 'ALLOWANCE_REQUIRED',
+        side: prepared.exactOutput ? 'input' : 'output',
+        symbol: prepared.exactOutput ? tokenIn : tokenOut,
+        quoted: parseFloat(quotedAmount.toExact()),
+        simulated: null,
+        deviation: null,
+        maxDeviation,
+        priceImpact: prepared.priceImpact,
+        maxPriceImpact,
+        route: formatRoute(prepared.trade)
+      }
+    }
+  }
+  
+  return { ...(await simulatePreparedSwap(prepared, maxDeviation)), maxPriceImpact, skipped: false }
+}
+
 /**
  * 2. 执行Swap交易
+ * 精确输入模式（默认）：amount 为输入金额，调用 swapExactTokensForTokens
+ * 精确输出模式：amount 为期望输出金额，调用 swapTokensForExactTokens
+ * 输入或输出为原生XOC时改用对应的 ETH 方法；XOC ⇄ WXOC 自动转为包装/解包
+ * 价格影响超过上限时抛出 PriceImpactError；发送前以 staticCall 模拟，偏离报价超过阈值时抛出 SwapSimulationError
+ * Gas 费用按 gasPolicy 计算，超过费用上限或 gasBudget 时抛出 GasPolicyError
  * @param {Wallet} wallet - 钱包实例
  * @param {string} tokenIn - 输入代币符号
  * @param {string} tokenOut - 输出代币符号
- * @param {number} amount - 输入金额
+ * @param {number} amount - 输入金额（精确输出模式下为输出金额）
  * @param {number} slippage - 滑点容忍度（默认0.5%）
- * @returns {Promise<Object>} 交易结果 { hash, receipt }
+ * @param {Object} options - 交易选项 { exactOutput, maxDeviation, skipSimulation, maxPriceImpact, gasBudget, stuckPolicy }
+ * @returns {Promise<Object>} 交易结果 { hash, tx, path, route, tradeType, expectedAmountIn, expectedAmountOut, priceImpact, simulation, gasFees, swapContext }
  */
-export const executeSwap = async (wallet, tokenIn, tokenOut, amount, slippage = SWAP_CONFIG.SLIPPAGE) => {
+export const executeSwap = async (wallet, tokenIn, tokenOut, amount, slippage = SWAP_CONFIG.SLIPPAGE, options = {}) => {
+  const exactOutput = Boolean(options.exactOutput)
+
   try {
-    tradeLog.info(`开始执行交易: ${amount} ${tokenIn} -> ${tokenOut}`)
+    tradeLog.info(exactOutput
+      ? `开始执行交易: ${tokenIn} -> ${amount} ${tokenOut} (精确输出)`
+      : `开始执行交易: ${amount} ${tokenIn} -> ${tokenOut}`)
     
     // 1. 验证参数
     if (!wallet || !tokenIn || !tokenOut || !amount || amount <= 0) {
       throw new Error('无效的交易参数')
     }
     
-    // 标准化代币符号（XOC -> WXOC）
-    const normalizeToken = (symbol) => {
-      const upper = symbol.toUpperCase()
-      return upper === 'XOC' ? 'WXOC' : upper
+    // XOC ⇄ WXOC 无需经过Router，直接包装/解包（1:1）
+    const network = await resolveNetwork(wallet.provider)
+    if (isSameTokenAddress(tokenIn, tokenOut, network)) {
+      if (isNativeToken(tokenIn, network) === isNativeToken(tokenOut, network)) {
+        throw new Error('输入和输出代币不能相同')
+      }
+      return isNativeToken(tokenIn, network) ? wrapXOC(wallet, amount, options) : unwrapXOC(wallet, amount, options)
     }
     
-    // 获取代币配置
-    const tokenInConfig = TOKENS[normalizeToken(tokenIn)]
-    const tokenOutConfig = TOKENS[normalizeToken(tokenOut)]
+    // 2. 寻路并组装Router调用
+    const prepared = await prepareSwap(wallet, tokenIn, tokenOut, amount, slippage, exactOutput)
+    const { trade, amountIn, amountOut, path, routerContract, method, args, value, nativeIn, tokenInConfig, priceImpact } = prepared
     
-    if (!tokenInConfig || !tokenOutConfig) {
-      throw new Error('不支持的代币')
+    // 价格影响检查
+    const maxPriceImpact = options.maxPriceImpact ?? SWAP_CONFIG.MAX_PRICE_IMPACT
+    if (priceImpact > maxPriceImpact) {
+      throw new PriceImpactError({ priceImpact, maxPriceImpact, amount, route: formatRoute(trade) })
     }
     
-    // 获取链ID
-    const network = await wallet.provider.getNetwork()
-    const chainId = Number(network.chainId)
-    
-    // 2. 创建Token实例
-    const tokenInInstance = createToken(tokenInConfig, chainId)
-    const tokenOutInstance = createToken(tokenOutConfig, chainId)
-    
-    // 3. 检查并授权代币
-    const allowance = await checkAllowance(wallet, tokenInConfig.address, CONTRACTS.ROUTER)
-    
-    if (parseFloat(allowance) < amount) {
-      tradeLog.warning('授权额度不足，开始授权...')
-      const approveTx = await approveToken(wallet, tokenInConfig.address, CONTRACTS.ROUTER)
-      tradeLog.success(`授权成功: ${approveTx}`)
-      
-      // 等待授权确认
-      await wallet.provider.waitForTransaction(approveTx)
+    if (exactOutput) {
+      tradeLog.info(`交易路径: ${formatRoute(trade)}, 预期输入: ${trade.inputAmount.toSignificant(6)} ${tokenIn}, 最大输入: ${amountIn.toSignificant(6)} ${tokenIn} (滑点${slippage}%)`)
+    } else {
+      tradeLog.info(`交易路径: ${formatRoute(trade)}, 预期输出: ${trade.outputAmount.toSignificant(6)} ${tokenOut}, 最小输出: ${amountOut.toSignificant(6)} ${tokenOut} (滑点${slippage}%)`)
     }
+    tradeLog.info(`价格影响: ${priceImpact.toFixed(2)}% (上限 ${maxPriceImpact}%)`)
     
-    // 4. 获取交易对数据
-    const pairAddress = getPairAddress(tokenInInstance, tokenOutInstance)
-    const pair = await fetchPairData(pairAddress, tokenInInstance, tokenOutInstance, wallet.provider)
-    
-    // 5. 构建交易路由
-    const route = new Route([pair], tokenInInstance, tokenOutInstance)
-    
-    // 6. 计算输入金额（考虑精度）
-    const amountIn = ethers.parseUnits(amount.toString(), tokenInConfig.decimals)
-    const currencyAmount = CurrencyAmount.fromRawAmount(tokenInInstance, amountIn.toString())
-    
-    // 7. 创建Trade实例
-    const trade = new Trade(route, currencyAmount, TradeType.EXACT_INPUT)
-    
-    // 8. 计算最小输出（考虑滑点）
-    const slippageTolerance = new Percent(Math.floor(slippage * 100), 10000)
-    const amountOutMin = trade.minimumAmountOut(slippageTolerance)
-    
-    tradeLog.info(`预期输出: ${trade.outputAmount.toSignificant(6)} ${tokenOut}, 最小输出: ${amountOutMin.toSignificant(6)} ${tokenOut} (滑点${slippage}%)`)
-    
-    // 9. 设置交易截止时间
-    const deadline = Math.floor(Date.now() / 1000) + SWAP_CONFIG.DEADLINE_MINUTES * 60
-    
-    // 10. 构建交易参数
-    const path = [tokenInConfig.address, tokenOutConfig.address]
-    const routerAbi = [
-      'function swapExactTokensForTokens(uint amountIn, uint amountOutMin, address[] path, address to, uint deadline) returns (uint[] amounts)'
-    ]
+    // 3. 检查并授权代币（按最大可能输入金额检查，授权数量按授权策略；原生XOC无需授权）
+    if (!nativeIn) {
+      await ensureAllowance(wallet, tokenInConfig, network.contracts.router, BigInt(amountIn.quotient.toString()), options)
+    }
     
-    const routerContract = new ethers.Contract(CONTRACTS.ROUTER, routerAbi, wallet)
+    // 4. 预模拟（staticCall），偏离报价过大时拒绝发送
+    let simulation = null
+    if (!options.skipSimulation) {
+      simulation = await simulatePreparedSwap(prepared, options.maxDeviation ?? SWAP_CONFIG.SIMULATION_MAX_DEVIATION)
+      if (!simulation.ok) {
+        throw new SwapSimulationError(simulation)
+      }
+      tradeLog.info(`模拟通过: 报价${simulation.side === 'input' ? '输入' : '输出'} ${simulation.quoted} ${simulation.symbol}, 模拟 ${simulation.simulated} ${simulation.symbol}, 偏差 ${simulation.deviation.toFixed(2)}%`)
+    }
     
-    // 11. 估算Gas
+    // 5. 估算Gas（按Gas策略放大）
+    const gasPolicy = getGasPolicy()
     let gasLimit
     try {
-      const estimatedGas = await routerContract.swapExactTokensForTokens.estimateGas(
-        amountIn,
-        amountOutMin.quotient.toString(),
-        path,
-        wallet.address,
-        deadline
-      )
-      // 增加20%余量
-      gasLimit = estimatedGas * BigInt(Math.floor(SWAP_CONFIG.GAS_MULTIPLIER * 100)) / 100n
+      const estimatedGas = await routerContract[method].estimateGas(...args, { value })
+      gasLimit = applyGasLimit(estimatedGas, gasPolicy)
     } catch (error) {
       log.error('Gas估算失败', error)
       throw new Error(`Gas估算失败: ${error.message}`)
     }
     
-    // 12. 获取Gas价格
-    const feeData = await wallet.provider.getFeeData()
-    const gasPrice = feeData.gasPrice
+    // 6. 按Gas策略计算费用（legacy / EIP-1559），并检查机器人Gas预算
+    const fees = await resolveFees(wallet.provider, gasPolicy)
+    const maxGasCost = getMaxGasCost(gasLimit, fees)
+    assertGasBudget(maxGasCost, options.gasBudget)
+    tradeLog.info(`Gas费用: ${formatFees(fees)}, Gas上限 ${gasLimit}`)
     
-    // 13. 检查余额
+    // 7. 检查余额（原生XOC输入时需同时覆盖转账金额）
     const balance = await wallet.provider.getBalance(wallet.address)
-    const estimatedGasCost = gasLimit * gasPrice
     
-    if (balance < estimatedGasCost) {
-      throw new Error(`余额不足，需要至少 ${ethers.formatEther(estimatedGasCost)} ${NETWORK_CONFIG.NATIVE_SYMBOL} 支付Gas费`)
+    if (balance < maxGasCost + value) {
+      throw new Error(`余额不足，需要至少 ${ethers.formatEther(maxGasCost + value)} ${network.nativeSymbol} 支付${value > 0n ? '交易金额和' : ''}Gas费`)
     }
     
-    // 14. 发送交易
-    const tx = await routerContract.swapExactTokensForTokens(
-      amountIn,
-      amountOutMin.quotient.toString(),
-      path,
-      wallet.address,
-      deadline,
-      {
-        gasLimit,
-        gasPrice
-      }
-    )
+    // 8. 发送交易（经地址队列分配nonce，避免多个机器人并发冲突）
+    const tx = await enqueueTransaction(wallet, (nonce) => routerContract[method](...args, {
+      value,
+      gasLimit,
+      nonce,
+      ...toTxOverrides(fees)
+    }), `Swap ${tokenIn} → ${tokenOut}`, options.stuckPolicy)
     
     tradeLog.success(`交易已发送: ${tx.hash}`)
     
     return {
       hash: tx.hash,
-      tx: tx
+      tx: tx,
+      path,
+      route: formatRoute(trade),
+      tradeType: exactOutput ? 'exactOutput' : 'exactInput',
+      expectedAmountIn: parseFloat(trade.inputAmount.toSignificant(6)),
+      expectedAmountOut: parseFloat(trade.outputAmount.toSignificant(6)),
+      priceImpact,
+      simulation,
+      gasFees: describeFees(fees, gasLimit),
+      swapContext: createSwapContext(wallet.address, tokenIn, tokenOut, exactOutput ? 'exactOutput' : 'exactInput', network)
     }
     
   } catch (error) {
-    tradeLog.error('交易执行失败', error)
+    const structured = error instanceof SwapSimulationError || error instanceof PriceImpactError || error instanceof GasPolicyError
+    tradeLog.error('交易执行失败', structured ? { message: error.message, ...error.details } : error)
+    
+    // 模拟未通过、价格影响过大或Gas超限：保留结构化原因交给调用方
+    if (structured) {
+      throw error
+    }
     
     // 详细错误处理
     if (error.code === 'INSUFFICIENT_FUNDS') {
@@ -315,6 +1018,8 @@ export const executeSwap = async (wallet, tokenIn, tokenOut, amount, slippage =
       throw new Error('代币转账失败，请检查授权')
     } else if (error.message.includes('INSUFFICIENT_OUTPUT_AMOUNT')) {
       throw new Error('输出金额不足，请增加滑点容忍度')
+    } else if (error.message.includes('EXCESSIVE_INPUT_AMOUNT')) {
+      throw new Error('所需输入超过上限，请增加滑点容忍度')
     } else if (error.message.includes('EXPIRED')) {
       throw new Error('交易已过期，请重新发起')
     }
@@ -325,17 +1030,20 @@ export const executeSwap = async (wallet, tokenIn, tokenOut, amount, slippage =
 
 /**
  * 3. 等待交易确认
+ * 传入 swapContext 时解析收据中的 Swap/Transfer 事件，返回实际成交数据 fill
+ * 交易被加速时返回最终打包的交易哈希；被取消或替换时抛出 TransactionReplacedError
  * @param {string} txHash - 交易哈希
  * @param {Provider} provider - Provider实例
  * @param {number} confirmations - 需要的确认数（默认1）
- * @returns {Promise<Object>} 交易收据
+ * @param {Object} swapContext - executeSwap 返回的 swapContext（可选）
+ * @returns {Promise<Object>} 交易收据 { ..., fill: { amountIn, amountOut, price, gasCost } }
  */
-export const waitForTransaction = async (txHash, provider, confirmations = 1) => {
+export const waitForTransaction = async (txHash, provider, confirmations = 1, swapContext = null) => {
   try {
     tradeLog.info(`等待交易确认: ${txHash} (需要${confirmations}个确认)`)
     
-    // 等待交易确认
-    const receipt = await provider.waitForTransaction(txHash, confirmations)
+    // 等待交易确认（交易被加速时以最终打包的替换交易为准）
+    const { receipt, hash: minedHash } = await txTracker.wait(txHash, provider, confirmations)
     
     if (!receipt) {
       throw new Error('交易收据为空')
@@ -352,27 +1060,176 @@ export const waitForTransaction = async (txHash, provider, confirmations = 1) =>
     const gasPrice = receipt.gasPrice || receipt.effectiveGasPrice
     const gasCost = gasUsed * gasPrice
     
-    tradeLog.success(`交易确认成功 (区块#${receipt.blockNumber}, Gas费用: ${ethers.formatEther(gasCost)} ${NETWORK_CONFIG.NATIVE_SYMBOL})`, {
+    // 解析实际成交数量
+    let fill = null
+    if (swapContext) {
+      fill = parseSwapReceipt(receipt, swapContext)
+      if (fill) {
+        fill.gasCost = parseFloat(ethers.formatEther(gasCost))
+      } else {
+        tradeLog.warning('未能从交易收据解析成交数量，将使用预估值', { hash: txHash })
+      }
+    }
+    
+    const { nativeSymbol } = await resolveNetwork(provider)
+    tradeLog.success(`交易确认成功 (区块#${receipt.blockNumber}, Gas费用: ${ethers.formatEther(gasCost)} ${nativeSymbol})`, {
       hash: txHash,
-      gasUsed: gasUsed.toString()
+      gasUsed: gasUsed.toString(),
+      ...(fill && {
+        amountIn: `${fill.amountIn} ${fill.tokenIn}`,
+        amountOut: `${fill.amountOut} ${fill.tokenOut}`
+      })
     })
     
     return {
       success: true,
-      hash: txHash,
+      hash: minedHash,
+      originalHash: txHash,
       blockNumber: receipt.blockNumber,
       gasUsed: gasUsed.toString(),
       gasPrice: gasPrice.toString(),
       gasCost: ethers.formatEther(gasCost),
+      fill,
       receipt: receipt
     }
     
   } catch (error) {
     tradeLog.error('等待交易确认失败', error)
+    // 交易被取消或替换：保留结构化原因交给调用方
+    if (error instanceof TransactionReplacedError) {
+      throw error
+    }
     throw new Error(`等待交易确认失败: ${error.message}`)
   }
 }
 
+/**
+ * 包装/解包的Gas：与Router交易相同，按Gas策略放大Gas上限、计算费用（含最高费用上限）并检查机器人Gas预算
+ * @param {Wallet} wallet - 钱包实例
+ * @param {Function} estimateGas - () => Promise<bigint>
+ * @param {Object} options - 交易选项 { gasBudget }
+ * @returns {Promise<Object>} { gasLimit, fees, maxGasCost }
+ */
+const resolveWrapGas = async (wallet, estimateGas, options) => {
+  const gasPolicy = getGasPolicy()
+  const gasLimit = applyGasLimit(await estimateGas(), gasPolicy)
+  const fees = await resolveFees(wallet.provider, gasPolicy)
+  const maxGasCost = getMaxGasCost(gasLimit, fees)
+  assertGasBudget(maxGasCost, options.gasBudget)
+  tradeLog.info(`Gas费用: ${formatFees(fees)}, Gas上限 ${gasLimit}`)
+  return { gasLimit, fees, maxGasCost }
+}
+
+/**
+ * 4. 包装原生XOC为WXOC（WXOC.deposit）
+ * @param {Wallet} wallet - 钱包实例
+ * @param {number} amount - XOC数量
+ * @param {Object} options - 交易选项 { gasBudget, stuckPolicy }
+ * @returns {Promise<Object>} 交易结果 { hash, tx, gasFees }
+ */
+export const wrapXOC = async (wallet, amount, options = {}) => {
+  try {
+    if (!wallet || !amount || amount <= 0) {
+      throw new Error('无效的包装参数')
+    }
+
+    const network = await resolveNetwork(wallet.provider)
+    const wrapped = getWrappedNativeToken(network.chainId)
+    tradeLog.info(`开始包装: ${amount} ${network.nativeSymbol} -> ${wrapped.symbol}`)
+
+    const value = ethers.parseEther(amount.toString())
+    const wxocContract = new ethers.Contract(wrapped.address, WXOC_ABI, wallet)
+    const { gasLimit, fees, maxGasCost } = await resolveWrapGas(wallet, () => wxocContract.deposit.estimateGas({ value }), options)
+
+    // 余额需同时覆盖包装数量和Gas费
+    const balance = await wallet.provider.getBalance(wallet.address)
+    if (balance < value + maxGasCost) {
+      throw new Error(`${network.nativeSymbol}余额不足，需要至少 ${ethers.formatEther(value + maxGasCost)}（含Gas），当前 ${ethers.formatEther(balance)}`)
+    }
+
+    const tx = await enqueueTransaction(
+      wallet,
+      (nonce) => wxocContract.deposit({ value, gasLimit, nonce, ...toTxOverrides(fees) }),
+      `包装${network.nativeSymbol}`,
+      options.stuckPolicy
+    )
+
+    tradeLog.success(`包装交易已发送: ${tx.hash}`)
+
+    return {
+      hash: tx.hash,
+      tx: tx,
+      route: `${network.nativeSymbol} → ${wrapped.symbol}`,
+      tradeType: 'wrap',
+      expectedAmountIn: amount,
+      expectedAmountOut: amount,
+      gasFees: describeFees(fees, gasLimit),
+      swapContext: createSwapContext(wallet.address, network.nativeSymbol, wrapped.symbol, 'wrap', network)
+    }
+  } catch (error) {
+    tradeLog.error('包装XOC失败', error)
+    // Gas超限保留结构化原因；其他错误补充说明，保留 code 和原错误
+    if (error instanceof GasPolicyError) {
+      throw error
+    }
+    throw Object.assign(new Error(`包装XOC失败: ${error.message}`, { cause: error }), { code: error.code })
+  }
+}
+
+/**
+ * 5. 解包WXOC为原生XOC（WXOC.withdraw）
+ * @param {Wallet} wallet - 钱包实例
+ * @param {number} amount - WXOC数量
+ * @param {Object} options - 交易选项 { gasBudget, stuckPolicy }
+ * @returns {Promise<Object>} 交易结果 { hash, tx, gasFees }
+ */
+export const unwrapXOC = async (wallet, amount, options = {}) => {
+  try {
+    if (!wallet || !amount || amount <= 0) {
+      throw new Error('无效的解包参数')
+    }
+
+    const network = await resolveNetwork(wallet.provider)
+    const wrapped = getWrappedNativeToken(network.chainId)
+    tradeLog.info(`开始解包: ${amount} ${wrapped.symbol} -> ${network.nativeSymbol}`)
+
+    const wad = ethers.parseUnits(amount.toString(), wrapped.decimals)
+    const wxocContract = new ethers.Contract(wrapped.address, WXOC_ABI, wallet)
+    const { gasLimit, fees, maxGasCost } = await resolveWrapGas(wallet, () => wxocContract.withdraw.estimateGas(wad), options)
+
+    const balance = await wallet.provider.getBalance(wallet.address)
+    if (balance < maxGasCost) {
+      throw new Error(`余额不足，需要至少 ${ethers.formatEther(maxGasCost)} ${network.nativeSymbol} 支付Gas费`)
+    }
+
+    const tx = await enqueueTransaction(
+      wallet,
+      (nonce) => wxocContract.withdraw(wad, { gasLimit, nonce, ...toTxOverrides(fees) }),
+      `解包${wrapped.symbol}`,
+      options.stuckPolicy
+    )
+
+    tradeLog.success(`解包交易已发送: ${tx.hash}`)
+
+    return {
+      hash: tx.hash,
+      tx: tx,
+      route: `${wrapped.symbol} → ${network.nativeSymbol}`,
+      tradeType: 'unwrap',
+      expectedAmountIn: amount,
+      expectedAmountOut: amount,
+      gasFees: describeFees(fees, gasLimit),
+      swapContext: createSwapContext(wallet.address, wrapped.symbol, network.nativeSymbol, 'unwrap', network)
+    }
+  } catch (error) {
+    tradeLog.error('解包WXOC失败', error)
+    if (error instanceof GasPolicyError) {
+      throw error
+    }
+    throw Object.assign(new Error(`解包WXOC失败: ${error.message}`, { cause: error }), { code: error.code })
+  }
+}
+
 // ==================== 便捷函数 ====================
 
 /**
@@ -387,17 +1244,228 @@ export const getWXOCPrice = async (provider) => {
 // 为了兼容性，保留旧名称但内部调用WXOC
 export const getXOCPrice = getWXOCPrice
 
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * 将金额平均拆分为 n 份（保留6位小数，余数计入最后一份）
+ */
+const splitAmount = (amount, count) => {
+  const child = Math.floor((amount / count) * 1e6) / 1e6
+  const amounts = Array(count - 1).fill(child)
+  amounts.push(parseFloat((amount - child * (count - 1)).toFixed(6)))
+  return amounts
+}
+
+/**
+ * 计算满足价格影响上限的最少拆单数
+ * @returns {Promise<Object|null>} { count, priceImpact }，无法满足时返回 null
+ */
+const planSplit = async (provider, tokenIn, tokenOut, amount, maxPriceImpact, options = {}) => {
+  const maxChildren = options.maxSplitChildren ?? SWAP_CONFIG.MAX_SPLIT_CHILDREN
+  
+  for (let count = 2; count <= maxChildren; count++) {
+    const [childAmount] = splitAmount(amount, count)
+    if (childAmount <= 0) break
+    
+    const priceImpact = await estimatePriceImpact(provider, tokenIn, tokenOut, childAmount, options)
+    if (priceImpact <= maxPriceImpact) {
+      return { count, priceImpact }
+    }
+  }
+  
+  return null
+}
+
+/**
+ * 拆单执行：按最少拆单数将订单拆成子单，按间隔依次发送并等待确认
+ * 子单失败时停止后续子单，返回已成交部分（partial: true）；首个子单失败则直接抛出
+ * @param {Wallet} wallet - 钱包实例
+ * @param {string} tokenIn - 输入代币符号
+ * @param {string} tokenOut - 输出代币符号
+ * @param {number} amount - 总金额（精确输出模式下为总输出金额）
+ * @param {number} slippage - 滑点
+ * @param {Object} options - 交易选项 { exactOutput, maxPriceImpact, maxSplitChildren, splitIntervalSeconds }
+ * @returns {Promise<Object>} 汇总结果 { hash, parentOrderId, split, partial, childCount, children, fill, expectedAmountIn, expectedAmountOut }
+ */
+export const executeSplitOrder = async (wallet, tokenIn, tokenOut, amount, slippage = SWAP_CONFIG.SLIPPAGE, options = {}) => {
+  const intervalSeconds = options.splitIntervalSeconds ?? SWAP_CONFIG.SPLIT_INTERVAL_SECONDS
+  const plan = await planSplitOrder(wallet.provider, tokenIn, tokenOut, amount, options)
+  
+  tradeLog.info(`拆单执行: ${amount} ${options.exactOutput ? tokenOut : tokenIn} 拆分为 ${plan.count} 笔，单笔价格影响约 ${plan.priceImpact.toFixed(2)}%`, { parentOrderId: plan.parentOrderId })
+  
+  const { children, failure } = await runSplitChildren(plan.amounts, async (childAmount, i, filled) => {
+    // Gas预算按已成交子单的实际Gas费递减
+    const gasSpent = filled.reduce((sum, child) => sum + (child.fill?.gasCost || 0), 0)
+    const childOptions = options.gasBudget !== undefined && options.gasBudget !== null
+      ? { ...options, gasBudget: options.gasBudget - gasSpent }
+      : options
+    const result = await executeSwap(wallet, tokenIn, tokenOut, childAmount, slippage, childOptions)
+    const receipt = await waitForTransaction(result.hash, wallet.provider, 1, result.swapContext)
+    return { ...result, ...receipt }
+  }, { parentOrderId: plan.parentOrderId, intervalSeconds })
+  
+  return summarizeSplitOrder(plan.parentOrderId, plan.count, children, failure)
+}
+
+/**
+ * 拆单计划：按最少拆单数拆分金额并生成父订单ID（模拟盘与实盘使用相同的拆分）
+ * @param {Provider} provider - Provider实例
+ * @param {string} tokenIn - 输入代币符号
+ * @param {string} tokenOut - 输出代币符号
+ * @param {number} amount - 总金额（精确输出模式下为总输出金额）
+ * @param {Object} options - { exactOutput, maxPriceImpact, maxSplitChildren }
+ * @returns {Promise<Object>} { parentOrderId, count, amounts, priceImpact }
+ * @throws {PriceImpactError} 拆到最多子单数仍超过价格影响上限
+ */
+export const planSplitOrder = async (provider, tokenIn, tokenOut, amount, options = {}) => {
+  const maxPriceImpact = options.maxPriceImpact ?? SWAP_CONFIG.MAX_PRICE_IMPACT
+  const plan = await planSplit(provider, tokenIn, tokenOut, amount, maxPriceImpact, options)
+  if (!plan) {
+    const priceImpact = await estimatePriceImpact(provider, tokenIn, tokenOut, amount, options)
+    throw new PriceImpactError({
+      priceImpact,
+      maxPriceImpact,
+      amount,
+      maxSplitChildren: options.maxSplitChildren ?? SWAP_CONFIG.MAX_SPLIT_CHILDREN
+    })
+  }
+  
+  return {
+    parentOrderId: `order_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    count: plan.count,
+    amounts: splitAmount(amount, plan.count),
+    priceImpact: plan.priceImpact
+  }
+}
+
+/**
+ * 依次执行拆单子单（子单间按间隔等待）
+ * 子单失败时停止后续子单并返回已成交的子单；首个子单失败则直接抛出
+ * @param {Array<number>} amounts - 各子单金额
+ * @param {Function} executeChild - (amount, index, filledChildren) => Promise<Object> 发送子单并等待确认
+ * @param {Object} options - { parentOrderId, intervalSeconds, logger: 交易日志（默认 tradeLog） }
+ * @returns {Promise<Object>} { children, failure }
+ */
+export const runSplitChildren = async (amounts, executeChild, { parentOrderId, intervalSeconds = 0, logger = tradeLog } = {}) => {
+  const children = []
+  let failure = null
+  
+  for (let i = 0; i < amounts.length; i++) {
+    if (i > 0 && intervalSeconds > 0) {
+      await sleep(intervalSeconds * 1000)
+    }
+    
+    try {
+      const result = await executeChild(amounts[i], i, children)
+      children.push({ ...result, childIndex: i, amount: amounts[i] })
+      logger.success(`子单 ${i + 1}/${amounts.length} 已成交`, { parentOrderId, hash: result.hash })
+    } catch (error) {
+      if (children.length === 0) {
+        throw error
+      }
+      failure = error
+      logger.warning(`子单 ${i + 1}/${amounts.length} 失败，停止剩余子单: ${error.message}`, { parentOrderId })
+      break
+    }
+  }
+  
+  return { children, failure }
+}
+
+/**
+ * 汇总拆单结果（部分成交时 partial 为 true，已成交子单仍按 parentOrderId 记录）
+ * @param {string} parentOrderId - 父订单ID
+ * @param {number} childCount - 计划子单数
+ * @param {Array<Object>} children - 已成交的子单
+ * @param {Error|null} failure - 停止后续子单的错误
+ * @returns {Object} { hash, parentOrderId, split, partial, childCount, children, fill, expectedAmountIn, expectedAmountOut, error }
+ */
+export const summarizeSplitOrder = (parentOrderId, childCount, children, failure = null) => {
+  // 汇总已成交的子单；子单回执未能解码成交数据时按该子单自己的报价计入（与 saveOrderTrades 一致）
+  const decoded = children.find(child => child.fill)?.fill
+  const fill = children.reduce((total, child) => ({
+    ...total,
+    amountIn: total.amountIn + (child.fill ? child.fill.amountIn : child.expectedAmountIn),
+    amountOut: total.amountOut + (child.fill ? child.fill.amountOut : child.expectedAmountOut),
+    gasCost: total.gasCost + (child.fill?.gasCost || 0)
+  }), { ...decoded, amountIn: 0, amountOut: 0, gasCost: 0, hops: undefined })
+  fill.price = fill.amountIn > 0 ? fill.amountOut / fill.amountIn : 0
+  
+  const last = children[children.length - 1]
+  return {
+    hash: last.hash,
+    parentOrderId,
+    split: true,
+    partial: children.length < childCount,
+    childCount,
+    children,
+    fill,
+    expectedAmountIn: children.reduce((sum, child) => sum + child.expectedAmountIn, 0),
+    expectedAmountOut: children.reduce((sum, child) => sum + child.expectedAmountOut, 0),
+    path: last.path,
+    route: last.route,
+    tradeType: last.tradeType,
+    gasFees: last.gasFees,
+    error: failure?.message
+  }
+}
+
+/**
+ * 发送交易并等待确认；价格影响超限且 priceImpactMode 为 'split' 时自动拆单
+ */
+const swapAndConfirm = async (wallet, tokenIn, tokenOut, amount, slippage, options = {}) => {
+  const mode = options.priceImpactMode ?? SWAP_CONFIG.PRICE_IMPACT_MODE
+  
+  try {
+    const result = await executeSwap(wallet, tokenIn, tokenOut, amount, slippage, options)
+    const receipt = await waitForTransaction(result.hash, wallet.provider, 1, result.swapContext)
+    return { ...result, ...receipt }
+  } catch (error) {
+    if (!(error instanceof PriceImpactError) || mode !== 'split') {
+      throw error
+    }
+    return executeSplitOrder(wallet, tokenIn, tokenOut, amount, slippage, options)
+  }
+}
+
+/**
+ * 买入基础代币（用计价代币买），适用于代币注册表中的任意交易对
+ * @param {Wallet} wallet - 钱包实例
+ * @param {string} baseToken - 基础代币符号（买入的代币）
+ * @param {string} quoteToken - 计价代币符号（支付的代币）
+ * @param {number} amount - 计价代币金额（精确输出模式下为要买入的基础代币数量）
+ * @param {number} slippage - 滑点
+ * @param {Object} options - 交易选项 { exactOutput, maxDeviation, maxPriceImpact, priceImpactMode, gasBudget, stuckPolicy }
+ * @returns {Promise<Object>} 交易结果
+ */
+export const buyToken = async (wallet, baseToken, quoteToken, amount, slippage = SWAP_CONFIG.SLIPPAGE, options = {}) => {
+  return swapAndConfirm(wallet, quoteToken, baseToken, amount, slippage, options)
+}
+
+/**
+ * 卖出基础代币（换成计价代币），适用于代币注册表中的任意交易对
+ * @param {Wallet} wallet - 钱包实例
+ * @param {string} baseToken - 基础代币符号（卖出的代币）
+ * @param {string} quoteToken - 计价代币符号（获得的代币）
+ * @param {number} amount - 基础代币数量（精确输出模式下为要获得的计价代币金额）
+ * @param {number} slippage - 滑点
+ * @param {Object} options - 交易选项，同 buyToken
+ * @returns {Promise<Object>} 交易结果
+ */
+export const sellToken = async (wallet, baseToken, quoteToken, amount, slippage = SWAP_CONFIG.SLIPPAGE, options = {}) => {
+  return swapAndConfirm(wallet, baseToken, quoteToken, amount, slippage, options)
+}
+
 /**
  * 买入WXOC（用USDT买）
  * @param {Wallet} wallet - 钱包实例
- * @param {number} usdtAmount - USDT金额
+ * @param {number} amount - USDT金额（精确输出模式下为要买入的WXOC数量）
  * @param {number} slippage - 滑点
+ * @param {Object} options - 交易选项，同 buyToken
  * @returns {Promise<Object>} 交易结果
  */
-export const buyWXOC = async (wallet, usdtAmount, slippage = SWAP_CONFIG.SLIPPAGE) => {
-  const result = await executeSwap(wallet, 'USDT', 'WXOC', usdtAmount, slippage)
-  const receipt = await waitForTransaction(result.hash, wallet.provider)
-  return { ...result, ...receipt }
+export const buyWXOC = async (wallet, amount, slippage = SWAP_CONFIG.SLIPPAGE, options = {}) => {
+  return buyToken(wallet, 'WXOC', 'USDT', amount, slippage, options)
 }
 
 // 为了兼容性，保留旧名称但内部调用WXOC
@@ -406,52 +1474,45 @@ export const buyXOC = buyWXOC
 /**
  * 卖出WXOC（换成USDT）
  * @param {Wallet} wallet - 钱包实例
- * @param {number} wxocAmount - WXOC金额
+ * @param {number} amount - WXOC数量（精确输出模式下为要获得的USDT金额）
  * @param {number} slippage - 滑点
+ * @param {Object} options - 交易选项，同 buyToken
  * @returns {Promise<Object>} 交易结果
  */
-export const sellWXOC = async (wallet, wxocAmount, slippage = SWAP_CONFIG.SLIPPAGE) => {
-  const result = await executeSwap(wallet, 'WXOC', 'USDT', wxocAmount, slippage)
-  const receipt = await waitForTransaction(result.hash, wallet.provider)
-  return { ...result, ...receipt }
+export const sellWXOC = async (wallet, amount, slippage = SWAP_CONFIG.SLIPPAGE, options = {}) => {
+  return sellToken(wallet, 'WXOC', 'USDT', amount, slippage, options)
 }
 
 // 为了兼容性，保留旧名称但内部调用WXOC
 export const sellXOC = sellWXOC
 
 /**
- * 估算输出金额
+ * 估算输出金额（与 executeSwap 使用相同的寻路逻辑）
+ * 精确输出模式下 amount 为期望输出，返回所需输入；传入 slippage 时返回含滑点的最大输入
  * @param {Provider} provider - Provider实例
  * @param {string} tokenIn - 输入代币
- * @// 标准化代币符号（XOC -> WXOC）
-    const normalizeToken = (symbol) => {
-      const upper = symbol.toUpperCase()
-      return upper === 'XOC' ? 'WXOC' : upper
-    }
-    
-    const tokenInConfig = TOKENS[normalizeToken(tokenIn)]
-    const tokenOutConfig = TOKENS[normalizeToken(tokenOut
- * @returns {Promise<number>} 预期输出金额
+ * @param {string} tokenOut - 输出代币
+ * @param {number} amount - 输入金额（精确输出模式下为输出金额）
+ * @param {Object} options - 估算选项 { exactOutput, slippage }
+ * @returns {Promise<number>} 预期输出金额（精确输出模式下为所需输入金额）
  */
-export const estimateOutput = async (provider, tokenIn, tokenOut, amountIn) => {
+export const estimateOutput = async (provider, tokenIn, tokenOut, amount, options = {}) => {
   try {
-    const tokenInConfig = TOKENS[tokenIn.toUpperCase()]
-    const tokenOutConfig = TOKENS[tokenOut.toUpperCase()]
-    
-    const network = await provider.getNetwork()
-    const chainId = Number(network.chainId)
-    
-    const tokenInInstance = createToken(tokenInConfig, chainId)
-    const tokenOutInstance = createToken(tokenOutConfig, chainId)
-    
-    const pairAddress = getPairAddress(tokenInInstance, tokenOutInstance)
-    const pair = await fetchPairData(pairAddress, tokenInInstance, tokenOutInstance, provider)
+    // XOC 与 WXOC 1:1 兑换
+    if (isSameTokenAddress(tokenIn, tokenOut, await resolveNetwork(provider))) {
+      return amount
+    }
     
-    const route = new Route([pair], tokenInInstance, tokenOutInstance)
-    const amountInParsed = ethers.parseUnits(amountIn.toString(), tokenInConfig.decimals)
-    const currencyAmount = CurrencyAmount.fromRawAmount(tokenInInstance, amountInParsed.toString())
+    if (options.exactOutput) {
+      const { trade } = await quoteTrade(provider, tokenIn, tokenOut, amount, true)
+      const amountIn = options.slippage !== undefined
+        ? trade.maximumAmountIn(new Percent(Math.floor(options.slippage * 100), 10000))
+        : trade.inputAmount
+      
+      return parseFloat(amountIn.toSignificant(6))
+    }
     
-    const trade = new Trade(route, currencyAmount, TradeType.EXACT_INPUT)
+    const { trade } = await quoteTrade(provider, tokenIn, tokenOut, amount)
     const amountOut = parseFloat(trade.outputAmount.toSignificant(6))
     
     return amountOut
@@ -461,23 +1522,35 @@ export const estimateOutput = async (provider, tokenIn, tokenOut, amountIn) => {
 }
 
 // 导出配置（供外部使用）
-export const SWAP_CONTRACTS = CONTRACTS
-export const SWAP_TOKENS = TOKENS
-export const SWAP_NETWORK = NETWORK_CONFIG
+export const SWAP_SETTINGS = SWAP_CONFIG
 
 export default {
   getTokenPrice,
   executeSwap,
+  simulateSwap,
   waitForTransaction,
+  parseSwapReceipt,
   getWXOCPrice,
   getXOCPrice,  // 兼容旧API
+  buyToken,
+  sellToken,
   buyWXOC,
   buyXOC,       // 兼容旧API
   sellWXOC,
   sellXOC,      // 兼容旧API
   estimateOutput,
+  wrapXOC,
+  unwrapXOC,
+  findBestTrade,
+  formatRoute,
   getPairAddress,
-  CONTRACTS,
-  TOKENS,
-  NETWORK_CONFIG
+  getRegistryPairs,
+  estimatePriceImpact,
+  quoteSwap,
+  executeSplitOrder,
+  planSplitOrder,
+  runSplitChildren,
+  summarizeSplitOrder,
+  SwapSimulationError,
+  PriceImpactError
 }
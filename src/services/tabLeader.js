@@ -0,0 +1,146 @@
+/**
+ * 多标签页协调 - 保证只有一个标签页运行机器人
+ * 优先使用 Web Locks：持有锁的标签页为主标签页，关闭后锁自动释放，排队的标签页接管；
+ * 不支持 Web Locks 时使用 localStorage 租约（主标签页定时续期，过期后其他标签页接管；
+ * localStorage 没有比较并交换，抢占租约后等待一段时间再读回确认，同时抢占时以最后写入的为准）
+ * 标签页之间通过 BroadcastChannel 通信：主标签页广播机器人状态，其他标签页只读显示
+ */
+
+import { log } from '../utils/logger'
+import { getLeaderLease, saveLeaderLease, removeLeaderLease } from '../utils/storage'
+
+export const TAB_CONFIG = {
+  LOCK_NAME: 'swapx-bot-leader',
+  CHANNEL_NAME: 'swapx-bot',
+  LEASE_SECONDS: 90, // 租约有效期（后台标签页定时器最慢约 1 分钟执行一次）
+  RENEW_SECONDS: 20, // 租约续期间隔
+  CONFIRM_MS: 500    // 抢占租约后等待多久再读回确认
+}
+
+class TabLeader {
+  constructor() {
+    this.tabId = `tab_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`
+    this.leader = false
+    this.started = false
+    this.channel = null
+    this.leaseTimer = null
+    this.listeners = new Set()        // 主标签页变化
+    this.messageListeners = new Set() // 其他标签页的消息
+  }
+
+  /**
+   * 开始参与选举
+   */
+  start() {
+    if (this.started) return
+    this.started = true
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(TAB_CONFIG.CHANNEL_NAME)
+      this.channel.onmessage = ({ data }) => this.handleMessage(data)
+    }
+
+    if (navigator.locks?.request) {
+      // 回调返回的 Promise 不结束，标签页关闭前一直持有锁
+      navigator.locks.request(TAB_CONFIG.LOCK_NAME, () => {
+        this.setLeader(true)
+        return new Promise(() => {})
+      }).catch(error => log.error('获取标签页锁失败', error.message))
+    } else {
+      this.renewLease()
+      this.leaseTimer = setInterval(() => this.renewLease(), TAB_CONFIG.RENEW_SECONDS * 1000)
+      // 关闭标签页时释放租约，其他标签页下次检查时接管
+      window.addEventListener('pagehide', () => {
+        if (this.leader) {
+          removeLeaderLease()
+        }
+      })
+    }
+  }
+
+  /**
+   * 租约过期或属于本标签页时续期；被其他标签页接管时放弃主标签页身份
+   * 抢占（本标签页还不是主标签页）时写入后等待 CONFIRM_MS 再读回，
+   * 期间其他标签页也写入了租约则以最后写入的为准，避免两个标签页同时运行机器人
+   */
+  async renewLease() {
+    const now = Date.now()
+    const lease = getLeaderLease()
+    if (lease && lease.expiresAt >= now && lease.tabId !== this.tabId) {
+      this.setLeader(false)
+      return
+    }
+
+    saveLeaderLease({ tabId: this.tabId, expiresAt: now + TAB_CONFIG.LEASE_SECONDS * 1000 })
+    if (!this.leader) {
+      await new Promise(resolve => setTimeout(resolve, TAB_CONFIG.CONFIRM_MS))
+    }
+    this.setLeader(getLeaderLease()?.tabId === this.tabId)
+  }
+
+  setLeader(leader) {
+    if (this.leader === leader) return
+    this.leader = leader
+    log.info(leader ? '本标签页开始运行机器人' : '机器人由其他标签页运行，本标签页只读', { tabId: this.tabId })
+    if (leader) {
+      this.broadcast({ type: 'leader', tabId: this.tabId })
+    }
+    this.listeners.forEach(listener => {
+      try {
+        listener(leader)
+      } catch (error) {
+        log.error('标签页监听器出错', error)
+      }
+    })
+  }
+
+  isLeader() {
+    return this.leader
+  }
+
+  /**
+   * 订阅主标签页身份变化
+   * @param {Function} listener - (isLeader) => void
+   * @returns {Function} 取消订阅
+   */
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  /**
+   * 向其他标签页广播消息
+   */
+  broadcast(message) {
+    this.channel?.postMessage({ ...message, from: this.tabId })
+  }
+
+  /**
+   * 订阅其他标签页的消息
+   * @param {Function} listener - (message) => void
+   * @returns {Function} 取消订阅
+   */
+  onMessage(listener) {
+    this.messageListeners.add(listener)
+    return () => this.messageListeners.delete(listener)
+  }
+
+  handleMessage(message) {
+    // 租约模式下收到其他主标签页的声明（两个标签页都确认了租约）时以 localStorage 中的租约为准
+    if (message.type === 'leader' && this.leader && this.leaseTimer) {
+      this.setLeader(getLeaderLease()?.tabId === this.tabId)
+    }
+
+    this.messageListeners.forEach(listener => {
+      try {
+        listener(message)
+      } catch (error) {
+        log.error('标签页消息处理出错', error)
+      }
+    })
+  }
+}
+
+const tabLeader = new TabLeader()
+
+export default tabLeader
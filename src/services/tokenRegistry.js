@@ -0,0 +1,229 @@
+import { ethers } from 'ethers'
+import { log } from '../utils/logger'
+import { getCustomTokens, saveCustomTokens, getTokenLists, saveTokenLists } from '../utils/storage'
+import { getActiveNetwork, getNetworkByChainId } from './networks'
+
+/**
+ * 代币注册表服务
+ * 所有代币配置的唯一来源：网络内置代币列表 + 导入的 Uniswap 格式代币列表 + 用户按地址添加的自定义代币
+ * 同一链上符号唯一，按 内置 > 导入列表 > 自定义 的优先级合并；未指定链ID时使用当前网络
+ */
+
+// 合并结果缓存（chainId -> tokens），代币增删时清空
+const tokenCache = new Map()
+
+const ERC20_META_ABI = [
+  'function symbol() view returns (string)',
+  'function name() view returns (string)',
+  'function decimals() view returns (uint8)'
+]
+
+/**
+ * 校验单个代币条目
+ */
+const normalizeToken = (token, source) => {
+  if (!ethers.isAddress(token.address)) {
+    throw new Error(`无效的代币地址: ${token.address}`)
+  }
+  const decimals = Number(token.decimals)
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > 255) {
+    throw new Error(`无效的代币精度: ${token.symbol} ${token.decimals}`)
+  }
+  if (!token.symbol || typeof token.symbol !== 'string') {
+    throw new Error(`代币缺少符号: ${token.address}`)
+  }
+  const chainId = Number(token.chainId)
+  if (!Number.isInteger(chainId) || chainId <= 0) {
+    throw new Error(`代币缺少链ID: ${token.symbol}`)
+  }
+  return {
+    chainId,
+    address: ethers.getAddress(token.address),
+    symbol: token.symbol.toUpperCase(),
+    name: token.name || token.symbol,
+    decimals,
+    tags: token.tags || [],
+    source
+  }
+}
+
+/**
+ * 校验 Uniswap 格式代币列表
+ */
+const validateTokenList = (list) => {
+  if (!list || !Array.isArray(list.tokens)) {
+    throw new Error('代币列表格式错误：缺少 tokens 数组')
+  }
+  return list.tokens.map(token => normalizeToken(token, list.name || 'list'))
+}
+
+/**
+ * 获取指定链上的所有代币（已合并、按符号去重）
+ * @param {number} chainId - 链ID
+ * @returns {Array<Object>} [{ chainId, address, symbol, name, decimals, tags, source }]
+ */
+export const getTokens = (chainId = getActiveNetwork().chainId) => {
+  if (tokenCache.has(chainId)) {
+    return tokenCache.get(chainId)
+  }
+
+  const builtin = getNetworkByChainId(chainId)?.tokenList
+  const sources = [
+    ...(builtin ? validateTokenList(builtin).map(t => ({ ...t, source: 'default' })) : []),
+    ...getTokenLists().flatMap(list => {
+      try {
+        return validateTokenList(list).map(t => ({ ...t, source: list.url || list.name }))
+      } catch (error) {
+        log.warning(`忽略无效的代币列表: ${list.name}`, error.message)
+        return []
+      }
+    }),
+    ...getCustomTokens().map(t => normalizeToken(t, 'custom'))
+  ]
+
+  const bySymbol = new Map()
+  const addresses = new Set()
+  sources
+    .filter(token => token.chainId === chainId)
+    .forEach(token => {
+      const address = token.address.toLowerCase()
+      if (bySymbol.has(token.symbol) || addresses.has(address)) return
+      bySymbol.set(token.symbol, token)
+      addresses.add(address)
+    })
+
+  const tokens = [...bySymbol.values()]
+  tokenCache.set(chainId, tokens)
+  return tokens
+}
+
+/**
+ * 按符号或地址获取代币
+ * @param {string} symbolOrAddress - 代币符号或地址
+ * @param {number} chainId - 链ID
+ * @returns {Object} 代币配置 { address, symbol, decimals, ... }
+ */
+export const getToken = (symbolOrAddress, chainId = getActiveNetwork().chainId) => {
+  const token = ethers.isAddress(symbolOrAddress)
+    ? findTokenByAddress(symbolOrAddress, chainId)
+    : getTokens(chainId).find(t => t.symbol === symbolOrAddress.toUpperCase())
+  if (!token) {
+    throw new Error(`不支持的代币: ${symbolOrAddress}`)
+  }
+  return token
+}
+
+/**
+ * 按地址查找代币，未注册时返回 null
+ */
+export const findTokenByAddress = (address, chainId = getActiveNetwork().chainId) => {
+  const key = address.toLowerCase()
+  return getTokens(chainId).find(t => t.address.toLowerCase() === key) || null
+}
+
+/**
+ * 路由寻路使用的基础代币（tags 含 base）
+ */
+export const getBaseTokens = (chainId = getActiveNetwork().chainId) => {
+  return getTokens(chainId).filter(t => t.tags.includes('base'))
+}
+
+/**
+ * 包装后的原生代币（tags 含 wrapped-native）
+ */
+export const getWrappedNativeToken = (chainId = getActiveNetwork().chainId) => {
+  const token = getTokens(chainId).find(t => t.tags.includes('wrapped-native'))
+  if (!token) {
+    throw new Error(`链 ${chainId} 未配置包装原生代币`)
+  }
+  return token
+}
+
+/**
+ * 按地址添加自定义代币（链上读取 symbol / name / decimals）
+ * @param {Provider} provider - Provider实例
+ * @param {string} address - 代币合约地址
+ * @returns {Promise<Object>} 添加的代币
+ */
+export const addCustomToken = async (provider, address) => {
+  if (!ethers.isAddress(address)) {
+    throw new Error('无效的代币地址')
+  }
+
+  const network = await provider.getNetwork()
+  const chainId = Number(network.chainId)
+  if (findTokenByAddress(address, chainId)) {
+    throw new Error('该代币已在列表中')
+  }
+
+  let symbol, name, decimals
+  try {
+    const contract = new ethers.Contract(address, ERC20_META_ABI, provider)
+    ;[symbol, decimals] = await Promise.all([contract.symbol(), contract.decimals()])
+    name = await contract.name().catch(() => symbol)
+  } catch (error) {
+    throw new Error(`读取代币信息失败，请确认是ERC20合约: ${error.message}`)
+  }
+
+  const token = normalizeToken({ chainId, address, symbol, name, decimals }, 'custom')
+  if (getTokens(chainId).some(t => t.symbol === token.symbol)) {
+    throw new Error(`代币符号 ${token.symbol} 已被占用`)
+  }
+
+  const { source, ...stored } = token
+  saveCustomTokens([...getCustomTokens(), stored])
+  tokenCache.clear()
+  log.success(`已添加自定义代币 ${token.symbol}`, { address: token.address, decimals: token.decimals })
+  return token
+}
+
+/**
+ * 删除自定义代币
+ */
+export const removeCustomToken = (address) => {
+  const key = address.toLowerCase()
+  tokenCache.clear()
+  return saveCustomTokens(getCustomTokens().filter(t => t.address.toLowerCase() !== key))
+}
+
+/**
+ * 从 URL 导入 Uniswap 格式代币列表
+ * @param {string} url - 代币列表 JSON 地址
+ * @returns {Promise<Object>} { name, url, count }
+ */
+export const importTokenList = async (url) => {
+  const response = await fetch(url)
+  if (!response.ok) {
+    throw new Error(`下载代币列表失败: HTTP ${response.status}`)
+  }
+  const list = await response.json()
+  const tokens = validateTokenList(list)
+
+  const lists = getTokenLists().filter(l => l.url !== url)
+  lists.push({ url, name: list.name, timestamp: list.timestamp, version: list.version, tokens: list.tokens })
+  saveTokenLists(lists)
+  tokenCache.clear()
+
+  log.success(`已导入代币列表 ${list.name}`, { url, count: tokens.length })
+  return { name: list.name, url, count: tokens.length }
+}
+
+/**
+ * 删除已导入的代币列表
+ */
+export const removeTokenList = (url) => {
+  tokenCache.clear()
+  return saveTokenLists(getTokenLists().filter(l => l.url !== url))
+}
+
+export default {
+  getTokens,
+  getToken,
+  findTokenByAddress,
+  getBaseTokens,
+  getWrappedNativeToken,
+  addCustomToken,
+  removeCustomToken,
+  importTokenList,
+  removeTokenList
+}
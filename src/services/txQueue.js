@@ -0,0 +1,141 @@
+import { log } from '../utils/logger'
+import txTracker from './txTracker'
+
+/**
+ * 交易队列 / Nonce 管理服务
+ * 同一地址的所有交易（所有机器人、手动交易、授权）按顺序提交，nonce 在本地分配，
+ * 避免多个 ethers.Wallet 实例并发发送导致的 nonce 冲突和 "replacement underpriced"
+ * 各链的 nonce 相互独立，队列按 链ID + 地址 区分（同一钱包可在多个网络上运行机器人）
+ */
+
+// 每条链上的每个地址一个队列：`${chainId}:${address}` -> { tail, nextNonce, pending: Map<nonce, { hash, label }> }
+const queues = new Map()
+
+// 提交前检查（主线程设置：Worker 中的机器人有独立的队列和本地 nonce，见 botWorkerClient）
+let submissionGuard = null
+
+const NONCE_ERROR_PATTERNS = ['nonce too low', 'nonce has already been used', 'replacement', 'already known']
+
+const getQueue = (chainId, address) => {
+  const key = `${chainId}:${address.toLowerCase()}`
+  if (!queues.has(key)) {
+    queues.set(key, { tail: Promise.resolve(), nextNonce: null, pending: new Map() })
+  }
+  return queues.get(key)
+}
+
+/**
+ * 是否为 nonce 相关错误（需要重新同步链上 nonce）
+ */
+const isNonceError = (error) => {
+  if (error?.code === 'NONCE_EXPIRED' || error?.code === 'REPLACEMENT_UNDERPRICED') {
+    return true
+  }
+  const message = (error?.message || '').toLowerCase()
+  return NONCE_ERROR_PATTERNS.some(pattern => message.includes(pattern))
+}
+
+/**
+ * 分配下一个 nonce
+ * 本地没有待确认交易时以链上 pending nonce 为准（兼容外部发送或被丢弃的交易）
+ */
+const reserveNonce = async (queue, wallet) => {
+  const chainNonce = await wallet.provider.getTransactionCount(wallet.address, 'pending')
+  if (queue.nextNonce === null || queue.pending.size === 0) {
+    return chainNonce
+  }
+  return Math.max(queue.nextNonce, chainNonce)
+}
+
+/**
+ * 交易确认（或失败）后移出待确认列表
+ */
+const trackPending = (queue, nonce, tx, label) => {
+  queue.pending.set(nonce, { hash: tx.hash, label })
+  tx.wait()
+    .catch(error => {
+      log.debug(`交易 ${tx.hash} 未成功确认: ${error.message}`)
+    })
+    .finally(() => {
+      queue.pending.delete(nonce)
+    })
+}
+
+/**
+ * 将一笔交易加入地址队列，按顺序分配 nonce 并提交
+ * 只串行化"提交"，不等待确认；调用方拿到 tx 后自行等待
+ * @param {Wallet} wallet - 钱包实例
+ * @param {Function} send - (nonce) => Promise<TransactionResponse>，必须把 nonce 放入交易 overrides
+ * @param {string} label - 日志描述
+ * @param {Object} stuckPolicy - 卡住时的处理策略 { action, stuckBlocks }，交给 txTracker
+ * @returns {Promise<TransactionResponse>} 已提交的交易
+ */
+export const enqueueTransaction = async (wallet, send, label = '交易', stuckPolicy = null) => {
+  submissionGuard?.(wallet.address)
+  const { chainId } = await wallet.provider.getNetwork()
+  const queue = getQueue(chainId, wallet.address)
+
+  const run = async () => {
+    const nonce = await reserveNonce(queue, wallet)
+    try {
+      const tx = await send(nonce)
+      queue.nextNonce = nonce + 1
+      trackPending(queue, nonce, tx, label)
+      log.debug(`${label}已提交 (nonce ${nonce}): ${tx.hash}`)
+      await txTracker.track(wallet, tx, { label, policy: stuckPolicy })
+      return tx
+    } catch (error) {
+      // nonce 冲突时下次重新从链上同步；其他错误该 nonce 未被占用，保持不变
+      if (isNonceError(error)) {
+        queue.nextNonce = null
+        log.warning(`${label}提交失败，nonce ${nonce} 冲突，已重新同步`, error.message)
+      }
+      throw error
+    }
+  }
+
+  // 前一笔失败不影响后续交易
+  const result = queue.tail.then(run, run)
+  queue.tail = result.catch(() => {})
+  return result
+}
+
+/**
+ * 获取地址在某条链上的队列状态
+ * @param {string} address - 钱包地址
+ * @param {number|bigint} chainId - 链ID
+ * @returns {Object} { nextNonce, pending: [{ nonce, hash, label }] }
+ */
+export const getQueueStatus = (address, chainId) => {
+  const queue = getQueue(chainId, address)
+  return {
+    nextNonce: queue.nextNonce,
+    pending: [...queue.pending.entries()].map(([nonce, info]) => ({ nonce, ...info }))
+  }
+}
+
+/**
+ * 重置地址在某条链上的本地 nonce（下次提交时从链上同步）
+ * @param {string} address - 钱包地址
+ * @param {number|bigint} chainId - 链ID
+ */
+export const resetNonce = (address, chainId) => {
+  const queue = getQueue(chainId, address)
+  queue.nextNonce = null
+  queue.pending.clear()
+}
+
+/**
+ * 设置提交前检查，检查不通过时抛出错误，交易不会加入队列
+ * @param {Function|null} guard - (address) => void
+ */
+export const setSubmissionGuard = (guard) => {
+  submissionGuard = guard
+}
+
+export default {
+  enqueueTransaction,
+  getQueueStatus,
+  resetNonce,
+  setSubmissionGuard
+}
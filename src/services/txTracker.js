@@ -0,0 +1,407 @@
+/**
+ * TxTracker - 全局待确认交易跟踪器
+ * 跟踪已提交但未打包的交易，超过 N 个区块未打包时标记为卡住，
+ * 支持加速（同 nonce 提高费用重发）与取消（同 nonce 0 金额转给自己），
+ * 可按机器人策略自动处理，也可在待确认交易面板中手动操作
+ */
+
+import { ethers } from 'ethers'
+import { log, tradeLog } from '../utils/logger'
+import { resolveFees } from './gasPolicy'
+import { subscribePoolReplaced } from './providerPool'
+
+export const TRACKER_CONFIG = {
+  POLL_INTERVAL_SECONDS: 10, // 轮询间隔
+  STUCK_BLOCKS: 5,           // 超过该区块数未打包视为卡住
+  FEE_BUMP_PERCENT: 15,      // 加速/取消时费用至少提高的比例（节点一般要求 ≥10%）
+  MAX_SPEED_UPS: 3,          // 自动加速的最多次数
+  HISTORY_LIMIT: 20          // 保留的已结束记录数
+}
+
+// 卡住时的自动处理方式
+export const STUCK_ACTIONS = {
+  NONE: 'none',       // 仅提示，手动处理
+  SPEED_UP: 'speedup',
+  CANCEL: 'cancel'
+}
+
+/**
+ * 交易被取消或被外部替换
+ */
+export class TransactionReplacedError extends Error {
+  constructor(message, details) {
+    super(message)
+    this.name = 'TransactionReplacedError'
+    this.code = details.reason === 'cancelled' ? 'TX_CANCELLED' : 'TX_DROPPED'
+    this.details = details
+  }
+}
+
+const bump = (value, percent) => value * BigInt(100 + percent) / 100n + 1n
+
+class TxTracker {
+  constructor() {
+    // key: `${chainId}:${address}:${nonce}`，同一链上同一 nonce 的原交易与替换交易归为一组（各链 nonce 独立）
+    this.entries = new Map()
+    this.listeners = new Set()
+    this.timer = null
+    this.polling = false
+    subscribePoolReplaced((pool, previous) => this.rebindProvider(pool, previous))
+  }
+
+  /**
+   * 节点池重建后，待确认交易改用新实例轮询和加速/取消
+   */
+  rebindProvider(pool, previous) {
+    this.entries.forEach(entry => {
+      if (this.isActive(entry) && entry.wallet.provider === previous) {
+        entry.wallet = entry.wallet.connect(pool)
+      }
+    })
+  }
+
+  /**
+   * 登记已提交的交易
+   * @param {Wallet} wallet - 发送交易的钱包实例（加速/取消时用于签名）
+   * @param {TransactionResponse} tx - 已提交的交易
+   * @param {Object} options - { label, policy: { action, stuckBlocks, maxSpeedUps } }
+   */
+  async track(wallet, tx, options = {}) {
+    const key = `${tx.chainId}:${wallet.address.toLowerCase()}:${tx.nonce}`
+    const sentBlock = await wallet.provider.getBlockNumber().catch(() => null)
+
+    this.entries.set(key, {
+      key,
+      address: wallet.address,
+      nonce: tx.nonce,
+      label: options.label || '交易',
+      policy: {
+        action: options.policy?.action || STUCK_ACTIONS.NONE,
+        stuckBlocks: options.policy?.stuckBlocks || TRACKER_CONFIG.STUCK_BLOCKS,
+        maxSpeedUps: options.policy?.maxSpeedUps ?? TRACKER_CONFIG.MAX_SPEED_UPS
+      },
+      wallet,
+      request: {
+        to: tx.to,
+        data: tx.data,
+        value: tx.value,
+        gasLimit: tx.gasLimit,
+        chainId: tx.chainId
+      },
+      attempts: [{ hash: tx.hash, kind: 'original', fees: this.getTxFees(tx), sentAt: Date.now() }],
+      sentBlock,
+      blocksPending: 0,
+      status: 'pending', // pending | stuck | mined | cancelled | dropped
+      speedUps: 0,
+      minedHash: null,
+      receipt: null,
+      waiters: []
+    })
+
+    this.notify()
+    this.ensurePolling()
+  }
+
+  /**
+   * 等待交易（或其替换交易）打包
+   * 未登记的交易直接按哈希等待
+   * @returns {Promise<Object>} { receipt, hash }，hash 为最终打包的交易
+   */
+  wait(hash, provider, confirmations = 1) {
+    const entry = this.findByHash(hash)
+    if (!entry) {
+      return provider.waitForTransaction(hash, confirmations).then(receipt => ({ receipt, hash }))
+    }
+
+    return new Promise((resolve, reject) => {
+      entry.waiters.push({ resolve, reject })
+      this.settleWaiters(entry)
+    }).then(async (result) => {
+      if (confirmations > 1) {
+        const receipt = await provider.waitForTransaction(result.hash, confirmations)
+        return { receipt, hash: result.hash }
+      }
+      return result
+    })
+  }
+
+  /**
+   * 加速：同 nonce、同调用数据，提高费用重发
+   * @param {string} hash - 组内任一交易哈希
+   */
+  async speedUp(hash) {
+    const entry = this.requireActive(hash)
+    const tx = await this.replace(entry, { ...entry.request }, 'speedup')
+    entry.speedUps++
+    tradeLog.warning(`${entry.label} 已加速 (nonce ${entry.nonce}): ${tx.hash}`)
+    return tx.hash
+  }
+
+  /**
+   * 取消：同 nonce 发送 0 金额转给自己
+   * @param {string} hash - 组内任一交易哈希
+   */
+  async cancel(hash) {
+    const entry = this.requireActive(hash)
+    const tx = await this.replace(entry, {
+      to: entry.address,
+      data: '0x',
+      value: 0n,
+      gasLimit: 21000n,
+      chainId: entry.request.chainId
+    }, 'cancel')
+    tradeLog.warning(`${entry.label} 已发送取消交易 (nonce ${entry.nonce}): ${tx.hash}`)
+    return tx.hash
+  }
+
+  /**
+   * 获取所有跟踪中的交易（供面板展示）
+   */
+  getTransactions() {
+    return [...this.entries.values()].map(entry => ({
+      key: entry.key,
+      address: entry.address,
+      nonce: entry.nonce,
+      chainId: Number(entry.request.chainId),
+      label: entry.label,
+      status: entry.status,
+      policy: entry.policy.action,
+      blocksPending: entry.blocksPending,
+      speedUps: entry.speedUps,
+      hash: entry.attempts[entry.attempts.length - 1].hash,
+      minedHash: entry.minedHash,
+      attempts: entry.attempts.map(({ hash, kind, fees, sentAt }) => ({ hash, kind, fees, sentAt }))
+    }))
+  }
+
+  /**
+   * 订阅变化
+   * @returns {Function} 取消订阅
+   */
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  /**
+   * 清除已结束的记录
+   */
+  clearFinished() {
+    this.entries.forEach((entry, key) => {
+      if (!this.isActive(entry)) {
+        this.entries.delete(key)
+      }
+    })
+    this.notify()
+  }
+
+  // ==================== 内部方法 ====================
+
+  notify() {
+    const transactions = this.getTransactions()
+    this.listeners.forEach(listener => {
+      try {
+        listener(transactions)
+      } catch (error) {
+        log.error('待确认交易监听器出错', error)
+      }
+    })
+  }
+
+  isActive(entry) {
+    return entry.status === 'pending' || entry.status === 'stuck'
+  }
+
+  findByHash(hash) {
+    for (const entry of this.entries.values()) {
+      if (entry.attempts.some(attempt => attempt.hash === hash)) {
+        return entry
+      }
+    }
+    return null
+  }
+
+  requireActive(hash) {
+    const entry = this.findByHash(hash)
+    if (!entry) {
+      throw new Error('未找到该交易')
+    }
+    if (!this.isActive(entry)) {
+      throw new Error('交易已结束，无法替换')
+    }
+    return entry
+  }
+
+  getTxFees(tx) {
+    return tx.maxFeePerGas
+      ? { type: 'eip1559', maxFeePerGas: tx.maxFeePerGas, maxPriorityFeePerGas: tx.maxPriorityFeePerGas }
+      : { type: 'legacy', gasPrice: tx.gasPrice }
+  }
+
+  /**
+   * 按当前网络费用与上次费用的较高者（至少提高 FEE_BUMP_PERCENT）发送替换交易
+   */
+  async replace(entry, request, kind) {
+    const last = entry.attempts[entry.attempts.length - 1].fees
+    const current = await resolveFees(entry.wallet.provider)
+    const percent = TRACKER_CONFIG.FEE_BUMP_PERCENT
+
+    let overrides
+    if (last.type === 'legacy') {
+      const gasPrice = bump(last.gasPrice, percent)
+      const currentPrice = current.type === 'legacy' ? current.gasPrice : current.maxFeePerGas
+      overrides = { gasPrice: currentPrice > gasPrice ? currentPrice : gasPrice }
+    } else {
+      const maxPriorityFeePerGas = bump(last.maxPriorityFeePerGas, percent)
+      const maxFeePerGas = bump(last.maxFeePerGas, percent)
+      overrides = {
+        maxPriorityFeePerGas: current.maxPriorityFeePerGas > maxPriorityFeePerGas ? current.maxPriorityFeePerGas : maxPriorityFeePerGas,
+        maxFeePerGas: current.maxFeePerGas > maxFeePerGas ? current.maxFeePerGas : maxFeePerGas
+      }
+    }
+
+    const tx = await entry.wallet.sendTransaction({ ...request, nonce: entry.nonce, ...overrides })
+    entry.attempts.push({ hash: tx.hash, kind, fees: this.getTxFees(tx), sentAt: Date.now() })
+    entry.sentBlock = await entry.wallet.provider.getBlockNumber().catch(() => entry.sentBlock)
+    entry.status = 'pending'
+    this.notify()
+    return tx
+  }
+
+  ensurePolling() {
+    if (this.timer) return
+    this.timer = setInterval(() => {
+      this.poll().catch(error => log.error('待确认交易轮询失败', error))
+    }, TRACKER_CONFIG.POLL_INTERVAL_SECONDS * 1000)
+  }
+
+  stopPollingIfIdle() {
+    const hasActive = [...this.entries.values()].some(entry => this.isActive(entry))
+    if (!hasActive && this.timer) {
+      clearInterval(this.timer)
+      this.timer = null
+    }
+  }
+
+  async poll() {
+    if (this.polling) return
+    this.polling = true
+    try {
+      for (const entry of this.entries.values()) {
+        if (this.isActive(entry)) {
+          await this.checkEntry(entry)
+        }
+      }
+      this.pruneHistory()
+      this.stopPollingIfIdle()
+      this.notify()
+    } finally {
+      this.polling = false
+    }
+  }
+
+  /**
+   * 查找组内已打包的交易，找到则结束该组
+   */
+  async checkReceipts(entry) {
+    for (const attempt of [...entry.attempts].reverse()) {
+      const receipt = await entry.wallet.provider.getTransactionReceipt(attempt.hash)
+      if (receipt) {
+        entry.receipt = receipt
+        entry.minedHash = attempt.hash
+        entry.status = attempt.kind === 'cancel' ? 'cancelled' : 'mined'
+        this.settleWaiters(entry)
+        return true
+      }
+    }
+    return false
+  }
+
+  async checkEntry(entry) {
+    const provider = entry.wallet.provider
+
+    // 任一尝试打包即结束
+    if (await this.checkReceipts(entry)) {
+      return
+    }
+
+    // 链上 nonce 已越过且本组都未打包：被外部交易替换（再查一次收据，避免刚好在两次查询之间打包）
+    const minedNonce = await provider.getTransactionCount(entry.address, 'latest')
+    if (minedNonce > entry.nonce) {
+      if (!(await this.checkReceipts(entry))) {
+        entry.status = 'dropped'
+        this.settleWaiters(entry)
+      }
+      return
+    }
+
+    const blockNumber = await provider.getBlockNumber()
+    entry.blocksPending = entry.sentBlock !== null ? blockNumber - entry.sentBlock : 0
+    if (entry.blocksPending < entry.policy.stuckBlocks) {
+      return
+    }
+
+    if (entry.status !== 'stuck') {
+      entry.status = 'stuck'
+      tradeLog.warning(`${entry.label} 已 ${entry.blocksPending} 个区块未打包 (nonce ${entry.nonce})`, { hash: entry.attempts[entry.attempts.length - 1].hash })
+    }
+
+    await this.applyPolicy(entry)
+  }
+
+  async applyPolicy(entry) {
+    const { action, maxSpeedUps } = entry.policy
+    const hash = entry.attempts[entry.attempts.length - 1].hash
+    try {
+      if (action === STUCK_ACTIONS.SPEED_UP && entry.speedUps < maxSpeedUps) {
+        await this.speedUp(hash)
+      } else if (action === STUCK_ACTIONS.CANCEL || (action === STUCK_ACTIONS.SPEED_UP && entry.speedUps >= maxSpeedUps)) {
+        // 加速次数用尽后取消，避免长期占用 nonce
+        if (entry.attempts[entry.attempts.length - 1].kind !== 'cancel') {
+          await this.cancel(hash)
+        }
+      }
+    } catch (error) {
+      tradeLog.error(`${entry.label} 自动处理卡住交易失败: ${error.message}`)
+    }
+  }
+
+  settleWaiters(entry) {
+    if (this.isActive(entry)) return
+
+    const waiters = entry.waiters
+    entry.waiters = []
+    waiters.forEach(({ resolve, reject }) => {
+      if (entry.status === 'mined') {
+        resolve({ receipt: entry.receipt, hash: entry.minedHash })
+      } else {
+        const reason = entry.status === 'cancelled' ? 'cancelled' : 'dropped'
+        reject(new TransactionReplacedError(
+          reason === 'cancelled' ? `${entry.label}已取消` : `${entry.label}已被其他交易替换`,
+          { reason, nonce: entry.nonce, hash: entry.minedHash, attempts: entry.attempts.map(a => a.hash) }
+        ))
+      }
+    })
+  }
+
+  pruneHistory() {
+    const finished = [...this.entries.values()].filter(entry => !this.isActive(entry))
+    finished.slice(0, Math.max(finished.length - TRACKER_CONFIG.HISTORY_LIMIT, 0)).forEach(entry => {
+      this.entries.delete(entry.key)
+    })
+  }
+}
+
+/**
+ * 格式化替换费用（gwei），供面板展示
+ */
+export const formatAttemptFees = (fees) => {
+  return fees.type === 'legacy'
+    ? `${ethers.formatUnits(fees.gasPrice, 'gwei')} gwei`
+    : `${ethers.formatUnits(fees.maxFeePerGas, 'gwei')} / ${ethers.formatUnits(fees.maxPriorityFeePerGas, 'gwei')} gwei`
+}
+
+// 创建全局单例
+const txTracker = new TxTracker()
+
+export default txTracker
@@ -1,25 +1,22 @@
 import { ethers } from 'ethers'
+import { getGasPolicy, resolveFees, applyGasLimit, toTxOverrides, formatFees, getMaxGasCost, assertGasBudget, GasPolicyError } from './gasPolicy'
+import { enqueueTransaction } from './txQueue'
+import txTracker from './txTracker'
+import { getActiveNetwork } from './networks'
+import { getProviderPool } from './providerPool'
+import { tradeLog } from '../utils/logger'
 
 /**
  * 钱包服务
  * 功能：创建钱包实例、获取余额、连接Provider
  */
 
-// RPC节点配置 - SwapX 测试网
-const RPC_CONFIG = {
-  xoc: 'https://rpc.xone.org/', // SwapX 测试网 RPC
-  chainId: 3721, // SwapX 测试网链ID
-}
-
 /**
- * 创建Provider
+ * 获取Provider（网络的 RPC 节点池，多个 RPC 间按健康度自动切换）
+ * @param {string} networkId - 网络ID（见 networks.js），默认当前网络
  */
-export const createProvider = (networkName = 'xoc') => {
-  const rpcUrl = RPC_CONFIG[networkName]
-  if (!rpcUrl) {
-    throw new Error(`不支持的网络: ${networkName}`)
-  }
-  return new ethers.JsonRpcProvider(rpcUrl)
+export const createProvider = (networkId = getActiveNetwork().id) => {
+  return getProviderPool(networkId)
 }
 
 /**
@@ -88,9 +85,12 @@ export const checkAllowance = async (wallet, tokenAddress, spenderAddress) => {
 }
 
 /**
- * 授权代币
+ * 授权代币（Gas 费用按 Gas 策略计算，经交易队列分配 nonce）
+ * 交易前授权按授权策略计算数量并记入交易记录，见 allowances.js；这里只发送授权交易
+ * @param {bigint} amount - 授权数量（最小单位），0n 为撤销；未指定时为最大值
+ * @param {Object} options - 交易选项 { gasBudget, stuckPolicy }（机器人交易前的自动授权同样受Gas预算限制）
  */
-export const approveToken = async (wallet, tokenAddress, spenderAddress, amount = null) => {
+export const approveToken = async (wallet, tokenAddress, spenderAddress, amount = null, options = {}) => {
   try {
     const erc20Abi = [
       'function approve(address spender, uint256 amount) returns (bool)'
@@ -98,25 +98,44 @@ export const approveToken = async (wallet, tokenAddress, spenderAddress, amount
     
     const tokenContract = new ethers.Contract(tokenAddress, erc20Abi, wallet)
     
-    // 如果未指定金额，使用最大值
-    const approveAmount = amount || ethers.MaxUint256
+    // 如果未指定金额，使用最大值（0n 表示撤销，不能回退到最大值）
+    const approveAmount = amount ?? ethers.MaxUint256
+    
+    const gasPolicy = getGasPolicy()
+    const gasLimit = applyGasLimit(await tokenContract.approve.estimateGas(spenderAddress, approveAmount), gasPolicy)
+    const fees = await resolveFees(wallet.provider, gasPolicy)
+    assertGasBudget(getMaxGasCost(gasLimit, fees), options.gasBudget)
+    tradeLog.info(`授权Gas费用: ${formatFees(fees)}, Gas上限 ${gasLimit}`)
     
-    const tx = await tokenContract.approve(spenderAddress, approveAmount)
-    await tx.wait()
+    const tx = await enqueueTransaction(
+      wallet,
+      (nonce) => tokenContract.approve(spenderAddress, approveAmount, { gasLimit, nonce, ...toTxOverrides(fees) }),
+      '授权代币',
+      options.stuckPolicy
+    )
+    // 授权被加速时以最终打包的交易为准
+    const { receipt, hash } = await txTracker.wait(tx.hash, wallet.provider)
+    if (receipt.status === 0) {
+      throw new Error('授权交易被回滚')
+    }
     
-    return tx.hash
+    return hash
   } catch (error) {
-    throw new Error(`授权代币失败: ${error.message}`)
+    // Gas超限保留结构化原因；其他错误补充说明，保留 code 和原错误，调用方仍可按 code 区分
+    if (error instanceof GasPolicyError) {
+      throw error
+    }
+    throw Object.assign(new Error(`授权代币失败: ${error.message}`, { cause: error }), { code: error.code })
   }
 }
 
 /**
- * 获取Gas价格
+ * 获取Gas价格（legacy 为 gasPrice，EIP-1559 为 maxFeePerGas）
  */
 export const getGasPrice = async (provider) => {
   try {
-    const feeData = await provider.getFeeData()
-    return feeData.gasPrice
+    const fees = await resolveFees(provider)
+    return fees.type === 'legacy' ? fees.gasPrice : fees.maxFeePerGas
   } catch (error) {
     throw new Error(`获取Gas价格失败: ${error.message}`)
   }
@@ -0,0 +1,298 @@
+import { ethers } from 'ethers'
+import { log } from '../utils/logger'
+import {
+  getWalletBook,
+  saveWalletBook,
+  getActiveWalletId,
+  saveActiveWalletId,
+  getWallet,
+  removeWallet,
+  getWatchList,
+  saveWatchList
+} from '../utils/storage'
+
+/**
+ * 钱包簿
+ * 管理多个钱包的元数据（标签、地址、加密 keystore、归档状态）和当前钱包；
+ * 解密和签名由 session.js 负责，这里不接触明文私钥
+ * 另外维护观察地址（只有地址、没有私钥），用于查看余额、索引链上成交和作为机器人信号源
+ */
+
+// 钱包来源
+export const WALLET_SOURCES = {
+  PRIVATE_KEY: 'privateKey',
+  MNEMONIC: 'mnemonic',
+  KEYSTORE: 'keystore'
+}
+
+// 钱包簿变化监听器
+const listeners = new Set()
+
+const notify = () => {
+  listeners.forEach(listener => {
+    try {
+      listener(getWallets())
+    } catch (error) {
+      log.error('钱包簿监听器出错', error)
+    }
+  })
+}
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`
+
+/**
+ * 旧版单钱包（swapx_wallet）中已加密的 keystore 直接并入钱包簿
+ * 明文私钥需要用户设置密码，由 session.migrateLegacy 处理
+ */
+const migrateLegacyKeystore = () => {
+  const legacy = getWallet()
+  if (!legacy?.keystore) return
+
+  const wallets = getWalletBook()
+  if (!wallets.some(w => w.address.toLowerCase() === legacy.address.toLowerCase())) {
+    wallets.push({
+      id: `wallet_${Date.now()}`,
+      label: '钱包 1',
+      address: ethers.getAddress(legacy.address),
+      keystore: legacy.keystore,
+      source: WALLET_SOURCES.PRIVATE_KEY,
+      archived: false,
+      importedAt: legacy.importedAt || new Date().toISOString()
+    })
+    saveWalletBook(wallets)
+  }
+  removeWallet()
+  log.info('旧版钱包已迁移到钱包簿', { address: legacy.address })
+}
+
+/**
+ * 获取钱包列表
+ * @param {Object} options - { includeArchived: 是否包含已归档钱包 }
+ * @returns {Array<Object>} 钱包元数据（含 keystore）
+ */
+export const getWallets = ({ includeArchived = false } = {}) => {
+  migrateLegacyKeystore()
+  const wallets = getWalletBook()
+  return includeArchived ? wallets : wallets.filter(w => !w.archived)
+}
+
+/**
+ * 按ID获取钱包，不存在时返回 null
+ */
+export const getWalletById = (walletId) => {
+  return getWallets({ includeArchived: true }).find(w => w.id === walletId) || null
+}
+
+/**
+ * 按地址查找钱包，不存在时返回 null
+ */
+export const findWalletByAddress = (address) => {
+  if (!address) return null
+  return getWallets({ includeArchived: true }).find(w => w.address.toLowerCase() === address.toLowerCase()) || null
+}
+
+/**
+ * 当前钱包（顶部选择；已归档或被删除时回到第一个可用钱包）
+ * @returns {Object|null} 钱包元数据，钱包簿为空时返回 null
+ */
+export const getActiveWallet = () => {
+  const wallets = getWallets()
+  return wallets.find(w => w.id === getActiveWalletId()) || wallets[0] || null
+}
+
+/**
+ * 切换当前钱包
+ * @param {string} walletId - 钱包ID
+ */
+export const setActiveWallet = (walletId) => {
+  const wallet = getWalletById(walletId)
+  if (!wallet || wallet.archived) {
+    throw new Error('钱包不存在或已归档')
+  }
+  saveActiveWalletId(wallet.id)
+  log.info(`已切换到钱包 ${wallet.label}`, { address: wallet.address })
+  notify()
+  return wallet
+}
+
+/**
+ * 钱包显示名称：标签 + 缩写地址
+ */
+export const getWalletDisplayName = (wallet) => {
+  return wallet ? `${wallet.label} (${shortAddress(wallet.address)})` : '-'
+}
+
+/**
+ * 同一助记词派生的钱包（含已归档），按派生序号排序
+ * @param {string} group - HD 分组（助记词在基础路径下序号 0 的地址）
+ */
+export const getHdGroupWallets = (group) => {
+  return getWallets({ includeArchived: true })
+    .filter(w => w.hd?.group === group)
+    .sort((a, b) => a.hd.index - b.hd.index)
+}
+
+/**
+ * 添加钱包（keystore 已由会话加密）
+ * @param {Object} entry - { address, keystore, label, source, hd }，助记词派生的钱包带 hd: { group, basePath, index }
+ * @returns {Object} 保存的钱包元数据
+ */
+export const addWallet = ({ address, keystore, label, source, hd = null }) => {
+  const wallets = getWallets({ includeArchived: true })
+  const existing = wallets.find(w => w.address.toLowerCase() === address.toLowerCase())
+  if (existing) {
+    throw new Error(`该地址已在钱包簿中: ${existing.label}`)
+  }
+
+  const wallet = {
+    id: `wallet_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`,
+    label: label?.trim() || `钱包 ${wallets.length + 1}`,
+    address: ethers.getAddress(address),
+    keystore,
+    source,
+    hd,
+    archived: false,
+    importedAt: new Date().toISOString()
+  }
+  saveWalletBook([...wallets, wallet])
+  if (!getActiveWalletId() || wallets.filter(w => !w.archived).length === 0) {
+    saveActiveWalletId(wallet.id)
+  }
+  log.success(`已添加钱包 ${wallet.label}`, { address: wallet.address, source })
+  notify()
+  return wallet
+}
+
+/**
+ * 修改钱包标签
+ */
+export const renameWallet = (walletId, label) => {
+  if (!label?.trim()) {
+    throw new Error('标签不能为空')
+  }
+  saveWalletBook(getWallets({ includeArchived: true }).map(w => (
+    w.id === walletId ? { ...w, label: label.trim() } : w
+  )))
+  notify()
+}
+
+/**
+ * 归档/取消归档钱包（归档的钱包不出现在选择器中，不会被解锁，保留交易记录）
+ */
+export const setWalletArchived = (walletId, archived) => {
+  saveWalletBook(getWallets({ includeArchived: true }).map(w => (
+    w.id === walletId ? { ...w, archived } : w
+  )))
+  log.info(`钱包已${archived ? '归档' : '取消归档'}`, { walletId })
+  notify()
+}
+
+/**
+ * 从钱包簿删除钱包（keystore 一并删除，无法恢复）
+ */
+export const deleteWallet = (walletId) => {
+  saveWalletBook(getWallets({ includeArchived: true }).filter(w => w.id !== walletId))
+  log.info('钱包已删除', { walletId })
+  notify()
+}
+
+/**
+ * 获取观察地址列表
+ * @returns {Array<Object>} [{ id, label, address, addedAt }]
+ */
+export const getWatchWallets = () => {
+  return getWatchList()
+}
+
+/**
+ * 按地址查找观察地址，不存在时返回 null
+ */
+export const findWatchWallet = (address) => {
+  if (!address) return null
+  return getWatchList().find(w => w.address.toLowerCase() === address.toLowerCase()) || null
+}
+
+/**
+ * 添加观察地址
+ * @param {string} address - 要观察的地址
+ * @param {string} label - 标签（可选）
+ * @returns {Object} 保存的观察地址
+ */
+export const addWatchWallet = (address, label) => {
+  if (!ethers.isAddress(address?.trim())) {
+    throw new Error('地址格式不正确')
+  }
+  const own = findWalletByAddress(address.trim())
+  if (own) {
+    throw new Error(`该地址已在钱包簿中: ${own.label}`)
+  }
+  const watched = findWatchWallet(address.trim())
+  if (watched) {
+    throw new Error(`该地址已在观察列表中: ${watched.label}`)
+  }
+
+  const watchList = getWatchList()
+  const wallet = {
+    id: `watch_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`,
+    label: label?.trim() || `观察 ${watchList.length + 1}`,
+    address: ethers.getAddress(address.trim()),
+    addedAt: new Date().toISOString()
+  }
+  saveWatchList([...watchList, wallet])
+  log.success(`已添加观察地址 ${wallet.label}`, { address: wallet.address })
+  notify()
+  return wallet
+}
+
+/**
+ * 修改观察地址标签
+ */
+export const renameWatchWallet = (watchId, label) => {
+  if (!label?.trim()) {
+    throw new Error('标签不能为空')
+  }
+  saveWatchList(getWatchList().map(w => (
+    w.id === watchId ? { ...w, label: label.trim() } : w
+  )))
+  notify()
+}
+
+/**
+ * 删除观察地址（已索引的成交记录保留）
+ */
+export const removeWatchWallet = (watchId) => {
+  saveWatchList(getWatchList().filter(w => w.id !== watchId))
+  log.info('观察地址已删除', { watchId })
+  notify()
+}
+
+/**
+ * 订阅钱包簿变化（添加、删除、归档、切换当前钱包、观察地址增删）
+ * @param {Function} listener - (wallets) => void
+ * @returns {Function} 取消订阅
+ */
+export const subscribeWallets = (listener) => {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+export default {
+  WALLET_SOURCES,
+  getWallets,
+  getWalletById,
+  findWalletByAddress,
+  getActiveWallet,
+  setActiveWallet,
+  getWalletDisplayName,
+  getHdGroupWallets,
+  addWallet,
+  renameWallet,
+  setWalletArchived,
+  deleteWallet,
+  getWatchWallets,
+  findWatchWallet,
+  addWatchWallet,
+  renameWatchWallet,
+  removeWatchWallet,
+  subscribeWallets
+}
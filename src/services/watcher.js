@@ -0,0 +1,186 @@
+/**
+ * AddressWatcher - 观察地址成交索引
+ * 按代币注册表交易对的 Swap 事件（收款方为观察地址）索引链上成交，转换为交易记录格式保存，
+ * 供交易记录页面查看，也作为信号跟随机器人的信号源
+ * 注意：经路由多跳兑换时只有最后一跳的收款方是该地址，只索引到最后一跳；兑换为原生币时收款方是路由合约，不会被索引
+ */
+
+import { ethers } from 'ethers'
+import { getRegistryPairs } from './swap'
+import { resolveNetwork } from './networks'
+import { getWatchTrades, saveWatchTrades, getWatchCursors, saveWatchCursors } from '../utils/storage'
+import { log } from '../utils/logger'
+
+export const WATCHER_CONFIG = {
+  INITIAL_LOOKBACK_BLOCKS: 5000, // 首次索引时回溯的区块数
+  LOG_CHUNK_BLOCKS: 2000,        // 单次 getLogs 查询的区块范围
+  TRADE_LIMIT: 2000              // 保留的成交记录数（超出时丢弃最早的）
+}
+
+const swapInterface = new ethers.Interface([
+  'event Swap(address indexed sender, uint amount0In, uint amount1In, uint amount0Out, uint amount1Out, address indexed to)'
+])
+const SWAP_TOPIC = swapInterface.getEvent('Swap').topicHash
+
+/**
+ * 交易对中的计价代币：稳定币优先，其次包装原生代币，都不是时取 token1
+ */
+const pickQuoteToken = (pair) => {
+  const byTag = (tag) => [pair.token0, pair.token1].find(t => t.tags?.includes(tag))
+  return byTag('stable') || byTag('wrapped-native') || pair.token1
+}
+
+/**
+ * 把一条 Swap 事件转换为交易记录
+ * 按净流入判断方向：token0 净流入池子说明观察地址卖出 token0、获得 token1
+ */
+const toTradeRecord = (entry, parsed, pair, network, address, timestamp) => {
+  const { amount0In, amount1In, amount0Out, amount1Out } = parsed.args
+  const zeroForOne = amount0In - amount0Out > 0n
+  const [tokenIn, tokenOut] = zeroForOne ? [pair.token0, pair.token1] : [pair.token1, pair.token0]
+  const rawIn = zeroForOne ? amount0In - amount0Out : amount1In - amount1Out
+  const rawOut = zeroForOne ? amount1Out - amount1In : amount0Out - amount0In
+  const amountIn = parseFloat(ethers.formatUnits(rawIn, tokenIn.decimals))
+  const amountOut = parseFloat(ethers.formatUnits(rawOut, tokenOut.decimals))
+
+  // 花费计价代币为买入，获得计价代币为卖出；价格为每个基础代币值多少计价代币
+  const quote = pickQuoteToken(pair)
+  const isBuy = tokenIn.address.toLowerCase() === quote.address.toLowerCase()
+  const base = isBuy ? tokenOut : tokenIn
+
+  return {
+    id: `${entry.transactionHash}_${entry.index}`,
+    type: isBuy ? 'BUY' : 'SELL',
+    source: 'watch',
+    networkId: network.id,
+    wallet: address,
+    baseToken: base.symbol,
+    quoteToken: quote.symbol,
+    tokenFrom: tokenIn.symbol,
+    tokenTo: tokenOut.symbol,
+    amountIn,
+    amountOut,
+    price: isBuy ? amountIn / amountOut : amountOut / amountIn,
+    txHash: entry.transactionHash,
+    blockNumber: entry.blockNumber,
+    status: 'success',
+    timestamp
+  }
+}
+
+class AddressWatcher {
+  constructor() {
+    // `${chainId}:${address}` -> 进行中的索引（同一地址同时只索引一次）
+    this.indexing = new Map()
+  }
+
+  /**
+   * 索引观察地址自上次进度以来的链上成交
+   * @param {Provider} provider - 目标网络的 Provider
+   * @param {string} address - 观察地址
+   * @returns {Promise<Array<Object>>} 本次新索引的成交记录（按区块升序）
+   */
+  async indexAddress(provider, address) {
+    const checksummed = ethers.getAddress(address)
+    const network = await resolveNetwork(provider)
+    const key = `${network.chainId}:${checksummed.toLowerCase()}`
+    if (this.indexing.has(key)) {
+      return this.indexing.get(key)
+    }
+
+    const task = this.scan(provider, network, checksummed, key)
+    this.indexing.set(key, task)
+    try {
+      return await task
+    } finally {
+      this.indexing.delete(key)
+    }
+  }
+
+  /**
+   * 分段扫描 Swap 事件，每段完成后保存进度
+   */
+  async scan(provider, network, address, key) {
+    const pairs = await getRegistryPairs(provider)
+    if (pairs.length === 0) {
+      return []
+    }
+    const pairMap = new Map(pairs.map(p => [p.address.toLowerCase(), p]))
+
+    const latest = await provider.getBlockNumber()
+    const cursor = getWatchCursors()[key]
+    let fromBlock = cursor !== undefined ? cursor + 1 : Math.max(0, latest - WATCHER_CONFIG.INITIAL_LOOKBACK_BLOCKS)
+    const blockTimes = new Map()
+    const found = []
+
+    while (fromBlock <= latest) {
+      const toBlock = Math.min(fromBlock + WATCHER_CONFIG.LOG_CHUNK_BLOCKS - 1, latest)
+      const logs = await provider.getLogs({
+        address: pairs.map(p => p.address),
+        topics: [SWAP_TOPIC, null, ethers.zeroPadValue(address, 32)],
+        fromBlock,
+        toBlock
+      })
+
+      const chunk = []
+      for (const entry of logs) {
+        const pair = pairMap.get(entry.address.toLowerCase())
+        if (!pair) continue
+        if (!blockTimes.has(entry.blockNumber)) {
+          const block = await provider.getBlock(entry.blockNumber)
+          blockTimes.set(entry.blockNumber, new Date(Number(block.timestamp) * 1000).toISOString())
+        }
+        chunk.push(toTradeRecord(entry, swapInterface.parseLog(entry), pair, network, address, blockTimes.get(entry.blockNumber)))
+      }
+
+      this.saveTrades(chunk)
+      saveWatchCursors({ ...getWatchCursors(), [key]: toBlock })
+      found.push(...chunk)
+      fromBlock = toBlock + 1
+    }
+
+    if (found.length > 0) {
+      log.info(`观察地址新增 ${found.length} 笔成交`, { address, network: network.name })
+    }
+    return found
+  }
+
+  /**
+   * 追加成交记录（按事件去重，超出上限时丢弃最早的）
+   */
+  saveTrades(trades) {
+    if (trades.length === 0) return
+    const existing = getWatchTrades()
+    const ids = new Set(existing.map(t => t.id))
+    const merged = [...existing, ...trades.filter(t => !ids.has(t.id))]
+    saveWatchTrades(merged.slice(-WATCHER_CONFIG.TRADE_LIMIT))
+  }
+
+  /**
+   * 获取已索引的成交记录
+   * @param {string} address - 观察地址
+   * @param {string} networkId - 网络ID（可选，不传时返回所有网络）
+   * @returns {Array<Object>} 交易记录格式的成交（source 为 'watch'），按区块升序
+   */
+  getTrades(address, networkId) {
+    return getWatchTrades().filter(t =>
+      t.wallet.toLowerCase() === address.toLowerCase() &&
+      (!networkId || t.networkId === networkId)
+    )
+  }
+
+  /**
+   * 清除某个地址的成交记录和索引进度（下次索引重新回溯）
+   */
+  clearTrades(address) {
+    const lower = address.toLowerCase()
+    saveWatchTrades(getWatchTrades().filter(t => t.wallet.toLowerCase() !== lower))
+    saveWatchCursors(Object.fromEntries(
+      Object.entries(getWatchCursors()).filter(([key]) => !key.endsWith(`:${lower}`))
+    ))
+  }
+}
+
+const addressWatcher = new AddressWatcher()
+
+export default addressWatcher
@@ -5,6 +5,7 @@
 
 import { createProvider, createWallet, getTokenBalance } from './services/wallet'
 import { log } from './utils/logger'
+import walletSession from './services/session'
 
 /**
  * 代币地址配置
@@ -31,7 +32,7 @@ export const testWalletBalance = async (privateKey) => {
     log.info('创建钱包实例...')
     
     // 创建Provider和Wallet实例
-    const provider = createProvider('xoc')
+    const provider = createProvider()
     const wallet = createWallet(privateKey, provider)
     
     console.log(`\n钱包地址: ${wallet.address}`)
@@ -97,8 +98,8 @@ export const testStoredWallet = async () => {
     const wallet = JSON.parse(walletData)
     console.log(`\n找到已保存的钱包: ${wallet.address}`)
     
-    // 使用私钥测试余额
-    return await testWalletBalance(wallet.privateKey)
+    // 私钥加密保存，需先在界面解锁钱包
+    return await testWalletBalance(walletSession.getSigner().privateKey)
     
   } catch (error) {
     console.error('❌ 测试失败:', error.message)
@@ -26,7 +26,7 @@ export const testGetPrice = async () => {
     console.log('='.repeat(60))
     
     // 创建provider
-    const provider = createProvider('xoc')
+    const provider = createProvider()
     
     // 测试XOC/USDT价格
     log.info('正在获取XOC价格...')
@@ -58,7 +58,7 @@ export const testEstimateOutput = async () => {
     console.log('测试2: 估算输出金额')
     console.log('='.repeat(60))
     
-    const provider = createProvider('xoc')
+    const provider = createProvider()
     
     // 测试用1 USDT买XOC能获得多少
     log.info('估算: 1 USDT -> ? XOC')
@@ -102,7 +102,7 @@ export const testExecuteSwap = async (privateKey, amount = 0.1) => {
     }
     
     // 创建provider和wallet
-    const provider = createProvider('xoc')
+    const provider = createProvider()
     const wallet = createWallet(privateKey, provider)
     
     console.log(`\n钱包地址: ${wallet.address}`)
@@ -276,7 +276,7 @@ export class BalanceMonitor {
   /**
    * 检查并记录余额变化
    * @param {string} address - 钱包地址
-   * @param {Object} balances - 当前余额 { xoc, wxoc, usdt }
+   * @param {Object} balances - 当前余额，按代币符号索引 { XOC, WXOC, USDT, ... }
    * @returns {boolean} 是否有变化
    */
   checkAndLog(address, balances) {
@@ -290,32 +290,23 @@ export class BalanceMonitor {
       return true
     }
     
-    // 检查是否有变化（保留4位小数比较）
-    const hasChange = 
-      parseFloat(balances.xoc).toFixed(4) !== parseFloat(lastBalance.xoc).toFixed(4) ||
-      parseFloat(balances.wxoc).toFixed(4) !== parseFloat(lastBalance.wxoc).toFixed(4) ||
-      parseFloat(balances.usdt).toFixed(2) !== parseFloat(lastBalance.usdt).toFixed(2)
+    // 计算变化（保留4位小数比较），新增的代币从0开始计
+    const changes = Object.keys(balances).map(symbol => ({
+      symbol,
+      change: (parseFloat(balances[symbol]) - parseFloat(lastBalance[symbol] || 0)).toFixed(4)
+    }))
+    const hasChange = changes.some(item => parseFloat(item.change) !== 0)
     
     if (hasChange) {
-      // 计算变化
-      const changes = {
-        xoc: (parseFloat(balances.xoc) - parseFloat(lastBalance.xoc)).toFixed(4),
-        wxoc: (parseFloat(balances.wxoc) - parseFloat(lastBalance.wxoc)).toFixed(4),
-        usdt: (parseFloat(balances.usdt) - parseFloat(lastBalance.usdt)).toFixed(2)
-      }
-      
       // 只记录有变化的代币
-      const changedTokens = []
-      if (parseFloat(changes.xoc) !== 0) changedTokens.push(`XOC: ${changes.xoc > 0 ? '+' : ''}${changes.xoc}`)
-      if (parseFloat(changes.wxoc) !== 0) changedTokens.push(`WXOC: ${changes.wxoc > 0 ? '+' : ''}${changes.wxoc}`)
-      if (parseFloat(changes.usdt) !== 0) changedTokens.push(`USDT: ${changes.usdt > 0 ? '+' : ''}${changes.usdt}`)
+      const changedTokens = changes
+        .filter(item => parseFloat(item.change) !== 0)
+        .map(item => `${item.symbol}: ${item.change > 0 ? '+' : ''}${item.change}`)
       
-      if (changedTokens.length > 0) {
-        log.success(`余额变化: ${changedTokens.join(', ')}`, { 
-          current: balances,
-          previous: lastBalance
-        })
-      }
+      log.success(`余额变化: ${changedTokens.join(', ')}`, { 
+        current: balances,
+        previous: lastBalance
+      })
       
       // 更新缓存
       this.lastBalances[key] = { ...balances }
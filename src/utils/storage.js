@@ -1,23 +1,59 @@
 /**
  * localStorage封装工具
  * 统一管理本地存储的数据
+ * 浏览器中读写 localStorage；Node 守护进程中通过 setStorageBackend 换成文件存储（src/daemon/fileStorage.js）
  */
 
 const STORAGE_KEYS = {
   WALLET: 'swapx_wallet',
+  WALLETS: 'swapx_wallets',
+  ACTIVE_WALLET: 'swapx_active_wallet',
+  WATCH_WALLETS: 'swapx_watch_wallets',
+  WATCH_TRADES: 'swapx_watch_trades',
+  WATCH_CURSORS: 'swapx_watch_cursors',
+  BOT_STATES: 'swapx_bot_states',
+  PAPER_LEDGERS: 'swapx_paper_ledgers',
+  LEADER_LEASE: 'swapx_leader_lease',
   STRATEGY: 'swapx_strategy',
   LOGS: 'swapx_logs',
   TRADES: 'swapx_trades',
-  CONFIG: 'swapx_config'
+  CONFIG: 'swapx_config',
+  CUSTOM_TOKENS: 'swapx_custom_tokens',
+  TOKEN_LISTS: 'swapx_token_lists',
+  NETWORK: 'swapx_network',
+  CUSTOM_NETWORKS: 'swapx_networks',
+  RPC_URLS: 'swapx_rpc_urls'
 }
 
+// 数据快照包含的键（机器人列表和交易日志的键不在 STORAGE_KEYS 中；标签页租约只对当前浏览器有效，不导出）
+const SNAPSHOT_KEYS = [
+  ...Object.values(STORAGE_KEYS).filter(key => key !== STORAGE_KEYS.LEADER_LEASE),
+  'swapx_bots',
+  'swapx_trade_logs'
+]
+export const SNAPSHOT_APP = 'swapx-bot'
+export const SNAPSHOT_VERSION = 1
+
+// 存储后端，未设置时使用浏览器的 localStorage
+let storageBackend = null
+
+/**
+ * 设置存储后端（需实现 localStorage 的 getItem / setItem / removeItem）
+ * 守护进程在加载其他服务之前调用
+ */
+export const setStorageBackend = (backend) => {
+  storageBackend = backend
+}
+
+const getBackend = () => storageBackend || globalThis.localStorage
+
 /**
  * 保存数据到localStorage
  */
 export const saveToStorage = (key, data) => {
   try {
     const jsonData = JSON.stringify(data)
-    localStorage.setItem(key, jsonData)
+    getBackend().setItem(key, jsonData)
     return true
   } catch (error) {
     console.error(`保存数据失败: ${error.message}`)
@@ -30,7 +66,7 @@ export const saveToStorage = (key, data) => {
  */
 export const getFromStorage = (key, defaultValue = null) => {
   try {
-    const jsonData = localStorage.getItem(key)
+    const jsonData = getBackend().getItem(key)
     return jsonData ? JSON.parse(jsonData) : defaultValue
   } catch (error) {
     console.error(`读取数据失败: ${error.message}`)
@@ -43,7 +79,7 @@ export const getFromStorage = (key, defaultValue = null) => {
  */
 export const removeFromStorage = (key) => {
   try {
-    localStorage.removeItem(key)
+    getBackend().removeItem(key)
     return true
   } catch (error) {
     console.error(`删除数据失败: ${error.message}`)
@@ -57,7 +93,7 @@ export const removeFromStorage = (key) => {
 export const clearAllStorage = () => {
   try {
     Object.values(STORAGE_KEYS).forEach(key => {
-      localStorage.removeItem(key)
+      getBackend().removeItem(key)
     })
     return true
   } catch (error) {
@@ -69,14 +105,14 @@ export const clearAllStorage = () => {
 // ==================== 钱包相关 ====================
 
 /**
- * 保存钱包信息
+ * 保存钱包信息（旧版单钱包，仅用于迁移到钱包簿）
  */
 export const saveWallet = (walletData) => {
   return saveToStorage(STORAGE_KEYS.WALLET, walletData)
 }
 
 /**
- * 获取钱包信息
+ * 获取钱包信息（旧版单钱包）
  */
 export const getWallet = () => {
   return getFromStorage(STORAGE_KEYS.WALLET)
@@ -89,6 +125,78 @@ export const removeWallet = () => {
   return removeFromStorage(STORAGE_KEYS.WALLET)
 }
 
+/**
+ * 保存钱包簿（每项含地址、标签、加密 keystore、归档状态）
+ */
+export const saveWalletBook = (wallets) => {
+  return saveToStorage(STORAGE_KEYS.WALLETS, wallets)
+}
+
+/**
+ * 获取钱包簿
+ */
+export const getWalletBook = () => {
+  return getFromStorage(STORAGE_KEYS.WALLETS, [])
+}
+
+/**
+ * 保存当前钱包ID（顶部选择）
+ */
+export const saveActiveWalletId = (walletId) => {
+  return saveToStorage(STORAGE_KEYS.ACTIVE_WALLET, walletId)
+}
+
+/**
+ * 获取当前钱包ID
+ */
+export const getActiveWalletId = () => {
+  return getFromStorage(STORAGE_KEYS.ACTIVE_WALLET)
+}
+
+// ==================== 观察地址相关 ====================
+
+/**
+ * 保存观察地址列表（只读地址，不含私钥）
+ */
+export const saveWatchList = (wallets) => {
+  return saveToStorage(STORAGE_KEYS.WATCH_WALLETS, wallets)
+}
+
+/**
+ * 获取观察地址列表
+ */
+export const getWatchList = () => {
+  return getFromStorage(STORAGE_KEYS.WATCH_WALLETS, [])
+}
+
+/**
+ * 保存观察地址的链上成交记录（与交易记录格式相同，单独存放，不计入自己的交易统计）
+ */
+export const saveWatchTrades = (trades) => {
+  return saveToStorage(STORAGE_KEYS.WATCH_TRADES, trades)
+}
+
+/**
+ * 获取观察地址的链上成交记录
+ */
+export const getWatchTrades = () => {
+  return getFromStorage(STORAGE_KEYS.WATCH_TRADES, [])
+}
+
+/**
+ * 保存索引进度 { '链ID:地址': 已扫描到的区块 }
+ */
+export const saveWatchCursors = (cursors) => {
+  return saveToStorage(STORAGE_KEYS.WATCH_CURSORS, cursors)
+}
+
+/**
+ * 获取索引进度
+ */
+export const getWatchCursors = () => {
+  return getFromStorage(STORAGE_KEYS.WATCH_CURSORS, {})
+}
+
 // ==================== 机器人相关 ====================
 
 /**
@@ -128,6 +236,85 @@ export const removeBot = (botId) => {
   return saveBots(filtered)
 }
 
+/**
+ * 获取所有机器人的运行状态快照 { botId: { config, state, startedAt, updatedAt } }
+ */
+export const getBotStates = () => {
+  return getFromStorage(STORAGE_KEYS.BOT_STATES, {})
+}
+
+/**
+ * 保存单个机器人的运行状态快照
+ */
+export const saveBotState = (botId, snapshot) => {
+  return saveToStorage(STORAGE_KEYS.BOT_STATES, { ...getBotStates(), [botId]: snapshot })
+}
+
+/**
+ * 获取单个机器人的运行状态快照，不存在时返回 null
+ */
+export const getBotState = (botId) => {
+  return getBotStates()[botId] || null
+}
+
+/**
+ * 删除机器人的运行状态快照
+ */
+export const removeBotState = (botId) => {
+  const { [botId]: removed, ...rest } = getBotStates()
+  return saveToStorage(STORAGE_KEYS.BOT_STATES, rest)
+}
+
+/**
+ * 获取所有模拟盘机器人的虚拟账户 { botId: { balances, createdAt, updatedAt } }
+ */
+export const getPaperLedgers = () => {
+  return getFromStorage(STORAGE_KEYS.PAPER_LEDGERS, {})
+}
+
+/**
+ * 获取单个机器人的虚拟账户，不存在时返回 null
+ */
+export const getPaperLedger = (botId) => {
+  return getPaperLedgers()[botId] || null
+}
+
+/**
+ * 保存机器人的虚拟账户
+ */
+export const savePaperLedger = (botId, ledger) => {
+  return saveToStorage(STORAGE_KEYS.PAPER_LEDGERS, { ...getPaperLedgers(), [botId]: ledger })
+}
+
+/**
+ * 删除机器人的虚拟账户（重置模拟盘或删除机器人时）
+ */
+export const removePaperLedger = (botId) => {
+  const { [botId]: removed, ...rest } = getPaperLedgers()
+  return saveToStorage(STORAGE_KEYS.PAPER_LEDGERS, rest)
+}
+
+/**
+ * 获取运行机器人的标签页租约 { tabId, expiresAt }（不支持 Web Locks 时使用）
+ */
+export const getLeaderLease = () => {
+  return getFromStorage(STORAGE_KEYS.LEADER_LEASE)
+}
+
+/**
+ * 保存运行机器人的标签页租约
+ */
+export const saveLeaderLease = (lease) => {
+  return saveToStorage(STORAGE_KEYS.LEADER_LEASE, lease)
+}
+
+/**
+ * 释放运行机器人的标签页租约
+ */
+export const removeLeaderLease = () => {
+  return removeFromStorage(STORAGE_KEYS.LEADER_LEASE)
+}
+
 // ==================== 策略相关 ====================
 
 /**
@@ -198,11 +385,41 @@ export const saveTrade = (tradeData) => {
   trades.push({
     ...tradeData,
     timestamp: new Date().toISOString(),
-    id: Date.now()
+    id: `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`
   })
   return saveToStorage(STORAGE_KEYS.TRADES, trades)
 }
 
+/**
+ * 保存订单成交记录
+ * 拆单订单按子单逐笔保存，并以 parentOrderId 关联；普通订单直接保存
+ * 每笔记录附带发送时选用的 Gas 费用（gasFees）
+ * @param {Object} tradeData - 交易记录（type 为 BUY/SELL）
+ * @param {Object} result - 交易服务返回结果
+ */
+export const saveOrderTrades = (tradeData, result) => {
+  if (!result?.split) {
+    return saveTrade({ ...tradeData, gasFees: result?.gasFees })
+  }
+
+  return result.children.every(child => {
+    const amountIn = child.fill ? child.fill.amountIn : child.expectedAmountIn
+    const amountOut = child.fill ? child.fill.amountOut : child.expectedAmountOut
+    return saveTrade({
+      ...tradeData,
+      amountIn,
+      amountOut,
+      price: tradeData.type === 'SELL' ? amountOut / amountIn : amountIn / amountOut,
+      gasCost: child.fill?.gasCost,
+      gasFees: child.gasFees,
+      txHash: child.hash,
+      parentOrderId: result.parentOrderId,
+      childIndex: child.childIndex,
+      childCount: result.childCount
+    })
+  })
+}
+
 /**
  * 获取所有交易记录
  */
@@ -234,6 +451,80 @@ export const exportTrades = () => {
   URL.revokeObjectURL(url)
 }
 
+// ==================== 代币相关 ====================
+
+/**
+ * 保存自定义代币
+ */
+export const saveCustomTokens = (tokens) => {
+  return saveToStorage(STORAGE_KEYS.CUSTOM_TOKENS, tokens)
+}
+
+/**
+ * 获取自定义代币
+ */
+export const getCustomTokens = () => {
+  return getFromStorage(STORAGE_KEYS.CUSTOM_TOKENS, [])
+}
+
+/**
+ * 保存已导入的代币列表（Uniswap token list 格式，附带来源 url）
+ */
+export const saveTokenLists = (lists) => {
+  return saveToStorage(STORAGE_KEYS.TOKEN_LISTS, lists)
+}
+
+/**
+ * 获取已导入的代币列表
+ */
+export const getTokenLists = () => {
+  return getFromStorage(STORAGE_KEYS.TOKEN_LISTS, [])
+}
+
+// ==================== 网络相关 ====================
+
+/**
+ * 保存当前选中的网络ID
+ */
+export const saveActiveNetworkId = (networkId) => {
+  return saveToStorage(STORAGE_KEYS.NETWORK, networkId)
+}
+
+/**
+ * 获取当前选中的网络ID
+ */
+export const getActiveNetworkId = () => {
+  return getFromStorage(STORAGE_KEYS.NETWORK, null)
+}
+
+/**
+ * 保存自定义网络
+ */
+export const saveCustomNetworks = (networks) => {
+  return saveToStorage(STORAGE_KEYS.CUSTOM_NETWORKS, networks)
+}
+
+/**
+ * 获取自定义网络
+ */
+export const getCustomNetworks = () => {
+  return getFromStorage(STORAGE_KEYS.CUSTOM_NETWORKS, [])
+}
+
+/**
+ * 保存用户为网络追加的 RPC 地址 { networkId: [url] }
+ */
+export const saveExtraRpcUrls = (rpcUrls) => {
+  return saveToStorage(STORAGE_KEYS.RPC_URLS, rpcUrls)
+}
+
+/**
+ * 获取用户为网络追加的 RPC 地址
+ */
+export const getExtraRpcUrls = () => {
+  return getFromStorage(STORAGE_KEYS.RPC_URLS, {})
+}
+
 // ==================== 配置相关 ====================
 
 /**
@@ -254,6 +545,120 @@ export const getConfig = () => {
   })
 }
 
+// ==================== 数据快照相关 ====================
+
+/**
+ * 校验数据快照格式（浏览器导出文件 / 守护进程数据文件）
+ * @throws {Error} 格式不正确时
+ */
+export const validateSnapshot = (snapshot) => {
+  if (!snapshot || snapshot.app !== SNAPSHOT_APP || typeof snapshot.data !== 'object' || snapshot.data === null) {
+    throw new Error('不是 SwapX 数据文件')
+  }
+  if (snapshot.version > SNAPSHOT_VERSION) {
+    throw new Error(`数据文件版本 ${snapshot.version} 过新，请升级应用`)
+  }
+  return snapshot
+}
+
+/**
+ * 生成全部应用数据的快照（钱包为加密 keystore，不含明文私钥）
+ * @returns {Object} { app, version, exportedAt, data: { 存储键: 数据 } }
+ */
+export const createSnapshot = () => {
+  const data = {}
+  SNAPSHOT_KEYS.forEach(key => {
+    const value = getFromStorage(key)
+    if (value !== null) {
+      data[key] = value
+    }
+  })
+  return { app: SNAPSHOT_APP, version: SNAPSHOT_VERSION, exportedAt: new Date().toISOString(), data }
+}
+
+/**
+ * 导出数据快照为JSON文件（供守护进程使用）
+ */
+export const exportSnapshot = () => {
+  const dataStr = JSON.stringify(createSnapshot(), null, 2)
+  const blob = new Blob([dataStr], { type: 'application/json' })
+  const url = URL.createObjectURL(blob)
+  
+  const a = document.createElement('a')
+  a.href = url
+  a.download = `swapx-data-${Date.now()}.json`
+  a.click()
+  
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * 按 id 合并记录（已有记录保留），按时间排序
+ */
+export const mergeById = (existing, incoming) => {
+  const ids = new Set(existing.map(item => item.id))
+  return [...existing, ...incoming.filter(item => !ids.has(item.id))]
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+}
+
+/**
+ * 导入守护进程产生的运行数据：合并交易记录、日志、观察地址成交，更新机器人统计、状态快照和模拟盘账户
+ * 不导入钱包、网络和应用配置；守护进程中的机器人导入后为停止状态，避免浏览器与守护进程同时交易
+ * @param {Object} snapshot - 数据快照（守护进程的数据文件）
+ * @returns {Object} 新增数量 { trades, logs, bots }
+ */
+export const importSnapshot = (snapshot) => {
+  const { data } = validateSnapshot(snapshot)
+
+  const trades = getTrades()
+  const mergedTrades = mergeById(trades, data[STORAGE_KEYS.TRADES] || [])
+  saveToStorage(STORAGE_KEYS.TRADES, mergedTrades)
+  saveWatchTrades(mergeById(getWatchTrades(), data[STORAGE_KEYS.WATCH_TRADES] || []))
+
+  let addedLogs = 0
+  const logKeys = [STORAGE_KEYS.LOGS, 'swapx_trade_logs']
+  logKeys.forEach(key => {
+    const logs = getFromStorage(key, [])
+    const merged = mergeById(logs, data[key] || [])
+    addedLogs += merged.length - logs.length
+    saveToStorage(key, merged.slice(-1000))
+  })
+
+  // 状态快照以更新时间较晚的为准
+  const states = getBotStates()
+  Object.entries(data[STORAGE_KEYS.BOT_STATES] || {}).forEach(([botId, snapshotState]) => {
+    if (!states[botId] || new Date(snapshotState.updatedAt) > new Date(states[botId].updatedAt)) {
+      states[botId] = snapshotState
+    }
+  })
+  saveToStorage(STORAGE_KEYS.BOT_STATES, states)
+
+  // 模拟盘虚拟账户同样以更新时间较晚的为准
+  const ledgers = getPaperLedgers()
+  Object.entries(data[STORAGE_KEYS.PAPER_LEDGERS] || {}).forEach(([botId, ledger]) => {
+    if (!ledgers[botId] || new Date(ledger.updatedAt) > new Date(ledgers[botId].updatedAt)) {
+      ledgers[botId] = ledger
+    }
+  })
+  saveToStorage(STORAGE_KEYS.PAPER_LEDGERS, ledgers)
+
+  const bots = getBots()
+  let addedBots = 0
+  const importedBots = data.swapx_bots || []
+  importedBots.forEach(bot => {
+    const index = bots.findIndex(b => b.id === bot.id)
+    if (index >= 0) {
+      bots[index] = { ...bots[index], stats: bot.stats }
+    } else {
+      bots.push({ ...bot, isRunning: false })
+      addedBots++
+    }
+  })
+  saveBots(bots)
+
+  return { trades: mergedTrades.length - trades.length, logs: addedLogs, bots: addedBots }
+}
+
 /**
  * 获取存储空间使用情况
  */
@@ -262,7 +667,7 @@ export const getStorageInfo = () => {
   const info = {}
   
   Object.entries(STORAGE_KEYS).forEach(([name, key]) => {
-    const data = localStorage.getItem(key)
+    const data = getBackend().getItem(key)
     const size = data ? new Blob([data]).size : 0
     info[name] = {
       key,
@@ -288,13 +693,34 @@ export default {
   saveWallet,
   getWallet,
   removeWallet,
+  saveWalletBook,
+  getWalletBook,
+  saveActiveWalletId,
+  getActiveWalletId,
   saveStrategy,
   getStrategy,
   saveTrade,
+  saveOrderTrades,
   getTrades,
   clearTrades,
   exportTrades,
+  saveCustomTokens,
+  getCustomTokens,
+  saveTokenLists,
+  getTokenLists,
+  saveActiveNetworkId,
+  getActiveNetworkId,
+  saveCustomNetworks,
+  getCustomNetworks,
+  saveExtraRpcUrls,
+  getExtraRpcUrls,
   saveConfig,
   getConfig,
+  validateSnapshot,
+  createSnapshot,
+  exportSnapshot,
+  importSnapshot,
+  mergeById,
+  setStorageBackend,
   getStorageInfo
 }
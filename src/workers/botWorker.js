@@ -0,0 +1,170 @@
+/**
+ * Bot Worker - 在专用 Worker 中运行 BotRunner 和策略
+ * 后台标签页中主线程的定时器会被节流，Worker 中的策略定时器保持设定的检查间隔；
+ * 存储通过 MirrorStorage 与主线程的 localStorage 同步，机器人状态只在变化时推送给主线程
+ */
+
+import { setStorageBackend } from '../utils/storage'
+import { MemoryStorage, MirrorStorage } from './mirrorStorage'
+import { WORKER_COMMANDS, WORKER_EVENTS } from './protocol'
+
+let storage = null
+let services = null     // { log, walletSession, botRunner, txTracker, checkPoolHealth }，初始化存储后加载
+let ready = null        // 初始化完成（其余命令等待初始化）
+let unlocking = null    // 进行中的解锁（启动机器人前等待）
+const lastStatus = new Map() // botId -> 已推送给主线程的状态
+
+const post = (type, payload = {}) => self.postMessage({ type, ...payload })
+
+/**
+ * 机器人当前状态
+ */
+const getBotStatus = (botId) => {
+  const { botRunner } = services
+  const strategy = botRunner.getStrategy(botId)
+  if (!strategy) {
+    return { isRunning: false }
+  }
+  return {
+    isRunning: Boolean(botRunner.isStrategyRunning(botId)),
+    startedAt: botRunner.getStartTime(botId),
+    stats: strategy.stats,
+    tradeStats: strategy.getTradeStats()
+  }
+}
+
+/**
+ * 推送状态变化（只含变化的字段）
+ * @param {string} botId - 状态变化的机器人，不传时检查所有已知机器人（启停时）
+ */
+const publishStatus = (botId) => {
+  const { botRunner } = services
+  const ids = botId
+    ? [botId]
+    : [...new Set([...lastStatus.keys(), ...botRunner.getRunningStrategies().map(s => s.botId)])]
+
+  ids.forEach(id => {
+    const status = getBotStatus(id)
+    const previous = lastStatus.get(id) || {}
+    const changes = {}
+    Object.entries(status).forEach(([key, value]) => {
+      if (JSON.stringify(value) !== JSON.stringify(previous[key])) {
+        changes[key] = value
+      }
+    })
+    // 策略每轮检查后都会通知，附带检查时间供主线程更新运行时长
+    if (botId) {
+      changes.updatedAt = Date.now()
+    }
+    if (Object.keys(changes).length > 0) {
+      lastStatus.set(id, { ...previous, ...changes })
+      post(WORKER_EVENTS.STATUS, { botId: id, changes })
+    }
+  })
+}
+
+/**
+ * 初始化存储并加载服务（服务模块在存储后端切换后才加载）
+ */
+const init = async (data) => {
+  storage = new MirrorStorage(
+    new MemoryStorage(data),
+    (key, value) => post(WORKER_EVENTS.STORAGE, { key, value })
+  )
+  setStorageBackend(storage)
+
+  const { log } = await import('../utils/logger')
+  const { default: walletSession } = await import('../services/session')
+  const { default: botRunner } = await import('../services/BotRunner')
+  const { default: txTracker } = await import('../services/txTracker')
+  const { subscribePoolStatus, checkPoolHealth } = await import('../services/providerPool')
+  // 锁定由主线程控制
+  walletSession.autoLock = false
+  services = { log, walletSession, botRunner, txTracker, checkPoolHealth }
+
+  // 机器人的交易由 Worker 的 txTracker 跟踪，列表推送给主线程的待确认交易面板
+  txTracker.subscribe((transactions) => post(WORKER_EVENTS.TRANSACTIONS, { transactions }))
+  // 机器人使用 Worker 中的节点池，健康检查结果推送给主线程的 RPC 节点面板
+  subscribePoolStatus((status) => post(WORKER_EVENTS.POOL_STATUS, { status }))
+  botRunner.subscribe(publishStatus)
+  // 加载 BotRunner 时已续跑的模拟盘机器人（不需要解锁）在订阅前启动，补推一次状态
+  publishStatus()
+  post(WORKER_EVENTS.READY)
+}
+
+/**
+ * 启动机器人（已在运行时直接返回状态，例如解锁时已自动续跑）
+ */
+const startBot = async (bot) => {
+  await unlocking
+  const { botRunner } = services
+  if (!botRunner.getStrategy(bot.id)) {
+    botRunner.startBot(bot)
+  }
+  return getBotStatus(bot.id)
+}
+
+const stopBot = (botId, reason) => {
+  services.botRunner.stopStrategy(botId, reason)
+  return getBotStatus(botId)
+}
+
+/**
+ * 更新配置：运行中的机器人停止后按新配置重新启动
+ */
+const updateConfig = async (bot) => {
+  if (!services.botRunner.getStrategy(bot.id)) {
+    return getBotStatus(bot.id)
+  }
+  stopBot(bot.id, '配置已更新，重新启动')
+  return startBot(bot)
+}
+
+const getAllStatus = () => {
+  return Object.fromEntries(
+    services.botRunner.getRunningStrategies().map(({ botId }) => [botId, getBotStatus(botId)])
+  )
+}
+
+const handlers = {
+  [WORKER_COMMANDS.INIT]: ({ data }) => {
+    ready = init(data)
+    return ready
+  },
+  [WORKER_COMMANDS.STORAGE]: ({ key, value }) => storage.applyRemote(key, value),
+  [WORKER_COMMANDS.UNLOCK]: ({ keys }) => {
+    unlocking = Promise.resolve(services.walletSession.unlockWithKeys(keys))
+    return unlocking.then(() => getAllStatus())
+  },
+  [WORKER_COMMANDS.LOCK]: ({ reason }) => services.walletSession.lock(reason),
+  [WORKER_COMMANDS.START]: ({ bot }) => startBot(bot),
+  [WORKER_COMMANDS.STOP]: ({ botId, reason }) => stopBot(botId, reason),
+  [WORKER_COMMANDS.UPDATE_CONFIG]: ({ bot }) => updateConfig(bot),
+  [WORKER_COMMANDS.STATUS]: () => getAllStatus(),
+  [WORKER_COMMANDS.SPEED_UP_TX]: ({ hash }) => services.txTracker.speedUp(hash),
+  [WORKER_COMMANDS.CANCEL_TX]: ({ hash }) => services.txTracker.cancel(hash),
+  [WORKER_COMMANDS.CLEAR_FINISHED_TXS]: () => services.txTracker.clearFinished(),
+  [WORKER_COMMANDS.CHECK_POOL]: ({ networkId }) => services.checkPoolHealth(networkId)
+}
+
+self.onmessage = async ({ data: message }) => {
+  const { type, requestId } = message
+  try {
+    const handler = handlers[type]
+    if (!handler) {
+      throw new Error(`未知的 Worker 命令: ${type}`)
+    }
+    if (type !== WORKER_COMMANDS.INIT) {
+      await ready
+    }
+    const result = await handler(message)
+    if (requestId !== undefined) {
+      post(WORKER_EVENTS.REPLY, { requestId, result })
+    }
+  } catch (error) {
+    services?.log.error(`Worker 命令执行失败: ${type}`, error.message)
+    if (requestId !== undefined) {
+      post(WORKER_EVENTS.REPLY, { requestId, error: { message: error.message, code: error.code } })
+    }
+  }
+}
@@ -0,0 +1,86 @@
+import { mergeById } from '../utils/storage'
+import { MERGED_KEYS } from './protocol'
+
+/**
+ * 内存存储（Worker 中没有 localStorage）
+ * 实现 localStorage 的 getItem / setItem / removeItem
+ */
+export class MemoryStorage {
+  /**
+   * @param {Object} data - 初始数据 { 存储键: 数据 }（存储快照的 data）
+   */
+  constructor(data = {}) {
+    this.items = new Map(Object.entries(data).map(([key, value]) => [key, JSON.stringify(value)]))
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value))
+  }
+
+  removeItem(key) {
+    this.items.delete(key)
+  }
+}
+
+/**
+ * 主线程与 Bot Worker 之间同步的存储后端
+ * 包装一个存储（主线程为 localStorage，Worker 中为内存存储），本地写入后通过 onWrite 发给另一侧；
+ * 另一侧的写入由 applyRemote 直接写入，不再转发
+ */
+export class MirrorStorage {
+  /**
+   * @param {Storage} storage - 实际存储
+   * @param {Function} onWrite - (key, value) => void，value 为 null 表示删除
+   * @param {Object} options - { mergeRemote: 追加型数据按 id 合并（主线程为准，合并结果再发回 Worker）}
+   */
+  constructor(storage, onWrite, { mergeRemote = false } = {}) {
+    this.storage = storage
+    this.onWrite = onWrite
+    this.mergeRemote = mergeRemote
+  }
+
+  getItem(key) {
+    return this.storage.getItem(key)
+  }
+
+  setItem(key, value) {
+    this.storage.setItem(key, value)
+    this.onWrite(key, value)
+  }
+
+  removeItem(key) {
+    this.storage.removeItem(key)
+    this.onWrite(key, null)
+  }
+
+  /**
+   * 写入另一侧发来的数据
+   */
+  applyRemote(key, value) {
+    if (value === null) {
+      this.storage.removeItem(key)
+      return
+    }
+    if (!this.mergeRemote || !(key in MERGED_KEYS)) {
+      this.storage.setItem(key, value)
+      return
+    }
+
+    const incoming = JSON.parse(value)
+    const merged = mergeById(JSON.parse(this.storage.getItem(key) || '[]'), incoming)
+    const limit = MERGED_KEYS[key]
+    const result = limit ? merged.slice(-limit) : merged
+    const json = JSON.stringify(result)
+    this.storage.setItem(key, json)
+    // 另一侧缺少本地的记录时发回合并结果
+    if (result.length !== incoming.length) {
+      this.onWrite(key, json)
+    }
+  }
+}
+
+export default MirrorStorage
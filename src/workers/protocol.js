@@ -0,0 +1,38 @@
+/**
+ * 主线程与 Bot Worker 之间的消息协议
+ * 主线程发送命令（带 requestId 的命令由 Worker 以 REPLY 回复结果），Worker 主动推送存储写入和机器人状态变化
+ */
+
+// 主线程 -> Worker
+export const WORKER_COMMANDS = {
+  INIT: 'init',                   // { data } 用主线程的存储快照初始化 Worker 的存储
+  STORAGE: 'storage',             // { key, value } 主线程的存储写入（value 为 null 表示删除）
+  UNLOCK: 'unlock',               // { keys } 用主线程解密好的私钥 { walletId: privateKey } 解锁 Worker 中的钱包会话（解锁后自动续跑实盘机器人）
+  LOCK: 'lock',                   // { reason } 锁定 Worker 中的钱包会话
+  START: 'start',                 // { bot } 启动机器人
+  STOP: 'stop',                   // { botId, reason } 停止机器人
+  UPDATE_CONFIG: 'update-config', // { bot } 更新配置，运行中的机器人按新配置重启
+  STATUS: 'status',               // 查询所有机器人的状态
+  SPEED_UP_TX: 'speed-up-tx',     // { hash } 加速 Worker 中跟踪的待确认交易，回复替换交易哈希
+  CANCEL_TX: 'cancel-tx',         // { hash } 取消 Worker 中跟踪的待确认交易，回复取消交易哈希
+  CLEAR_FINISHED_TXS: 'clear-finished-txs', // 清除 Worker 中已结束的交易记录
+  CHECK_POOL: 'check-pool'        // { networkId } 立即检测 Worker 中该网络的节点池，回复节点池状态
+}
+
+// Worker -> 主线程
+export const WORKER_EVENTS = {
+  READY: 'ready',     // Worker 的服务已加载
+  REPLY: 'reply',     // { requestId, result } 或 { requestId, error: { message, code } }
+  STORAGE: 'storage', // { key, value } Worker 的存储写入（交易记录、日志、状态快照等）
+  STATUS: 'status',   // { botId, changes } 机器人状态变化，只含变化的字段 { isRunning, startedAt, updatedAt, stats }
+  TRANSACTIONS: 'transactions', // { transactions } Worker 中机器人交易的跟踪列表（txTracker.getTransactions()），变化时推送
+  POOL_STATUS: 'pool-status'    // { status } Worker 中（机器人使用的）节点池状态变化，格式同 getPoolStatus()
+}
+
+// 追加型数据：收到另一侧的写入时按 id 合并（保留条数上限），避免两侧同时追加时互相覆盖
+export const MERGED_KEYS = {
+  swapx_trades: null,
+  swapx_logs: 1000,
+  swapx_trade_logs: 1000,
+  swapx_watch_trades: 2000
+}
@@ -2,20 +2,27 @@ import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import { nodePolyfills } from 'vite-plugin-node-polyfills'
 
+// 添加 Node.js polyfills 支持 ethers.js 等库（主线程和 Bot Worker 都需要）
+const polyfills = () => nodePolyfills({
+  include: ['buffer', 'process', 'stream', 'util'],
+  globals: {
+    Buffer: true,
+    global: true,
+    process: true,
+  },
+})
+
 // Vite 配置文件 - 支持ethers.js在浏览器运行
 export default defineConfig({
   plugins: [
     react(),
-    // 添加 Node.js polyfills 支持 ethers.js 等库
-    nodePolyfills({
-      include: ['buffer', 'process', 'stream', 'util'],
-      globals: {
-        Buffer: true,
-        global: true,
-        process: true,
-      },
-    }),
+    polyfills(),
   ],
+  // Bot Worker（src/workers/botWorker.js）按需加载服务模块，需要 ES 模块格式
+  worker: {
+    format: 'es',
+    plugins: () => [polyfills()],
+  },
   resolve: {
     alias: {
       // 确保 ethers.js 可以在浏览器环境运行
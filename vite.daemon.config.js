@@ -0,0 +1,15 @@
+import { defineConfig } from 'vite'
+
+// 守护进程构建配置 - 把 src/daemon/index.js 打包为 Node 可直接运行的 ESM 文件（依赖从 node_modules 加载）
+export default defineConfig({
+  build: {
+    ssr: 'src/daemon/index.js',
+    outDir: 'dist-daemon',
+    target: 'node18',
+    rollupOptions: {
+      output: {
+        entryFileNames: 'swapx-daemon.js'
+      }
+    }
+  },
+})